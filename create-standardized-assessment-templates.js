@@ -63,7 +63,7 @@ const standardizedAssessmentTemplates = [
         displayName: 'Pain Interference with General Activity',
         question: 'Mark the box beside the number that describes how, during the past 24 hours, pain has interfered with your general activity.',
         scale: '0-10 interference scale',
-        required: true,
+        required: false,
         displayOrder: 5
       },
       {
@@ -71,7 +71,7 @@ const standardizedAssessmentTemplates = [
         displayName: 'Pain Interference with Mood',
         question: 'Mark the box beside the number that describes how, during the past 24 hours, pain has interfered with your mood.',
         scale: '0-10 interference scale',
-        required: true,
+        required: false,
         displayOrder: 6
       },
       {
@@ -79,7 +79,7 @@ const standardizedAssessmentTemplates = [
         displayName: 'Pain Interference with Walking',
         question: 'Mark the box beside the number that describes how, during the past 24 hours, pain has interfered with your walking ability.',
         scale: '0-10 interference scale',
-        required: true,
+        required: false,
         displayOrder: 7
       },
       {
@@ -87,7 +87,7 @@ const standardizedAssessmentTemplates = [
         displayName: 'Pain Interference with Work',
         question: 'Mark the box beside the number that describes how, during the past 24 hours, pain has interfered with your normal work (including both work outside the home and housework).',
         scale: '0-10 interference scale',
-        required: true,
+        required: false,
         displayOrder: 8
       },
       {
@@ -95,7 +95,7 @@ const standardizedAssessmentTemplates = [
         displayName: 'Pain Interference with Relations',
         question: 'Mark the box beside the number that describes how, during the past 24 hours, pain has interfered with your relations with other people.',
         scale: '0-10 interference scale',
-        required: true,
+        required: false,
         displayOrder: 9
       },
       {
@@ -103,7 +103,7 @@ const standardizedAssessmentTemplates = [
         displayName: 'Pain Interference with Sleep',
         question: 'Mark the box beside the number that describes how, during the past 24 hours, pain has interfered with your sleep.',
         scale: '0-10 interference scale',
-        required: true,
+        required: false,
         displayOrder: 10
       },
       {
@@ -111,10 +111,44 @@ const standardizedAssessmentTemplates = [
         displayName: 'Pain Interference with Enjoyment of Life',
         question: 'Mark the box beside the number that describes how, during the past 24 hours, pain has interfered with your enjoyment of life.',
         scale: '0-10 interference scale',
-        required: true,
+        required: false,
         displayOrder: 11
       }
-    ]
+    ],
+    scoringInfo: {
+      subscales: {
+        severity: {
+          label: 'Pain Severity',
+          method: 'mean',
+          items: ['pain_severity_worst', 'pain_severity_least', 'pain_severity_average', 'pain_severity_now'],
+          range: '0-10',
+          metricKey: 'bpi_severity_score',
+          interpretation: {
+            '0-0': 'No pain',
+            '1-4': 'Mild pain',
+            '5-6': 'Moderate pain',
+            '7-10': 'Severe pain'
+          }
+        },
+        interference: {
+          label: 'Pain Interference',
+          method: 'mean',
+          items: [
+            'pain_interference_general',
+            'pain_interference_mood',
+            'pain_interference_walking',
+            'pain_interference_work',
+            'pain_interference_relations',
+            'pain_interference_sleep',
+            'pain_interference_enjoyment'
+          ],
+          // The interference items are optional; scored when at least 4 of the 7 are answered
+          minItems: 4,
+          range: '0-10',
+          metricKey: 'bpi_interference_score'
+        }
+      }
+    }
   },
 
   // === MENTAL HEALTH SCREENING ===
@@ -417,7 +451,31 @@ const standardizedAssessmentTemplates = [
         required: true,
         displayOrder: 10
       }
-    ]
+    ],
+    scoringInfo: {
+      // Each item contributes 0-10 (day counts rescaled, "days felt good" reversed) for a 0-100 total
+      totalScore: {
+        range: '0-100',
+        metricKey: 'fiq_total_score',
+        items: [
+          'fiq_physical_function',
+          { metricKey: 'fiq_feel_good', reverse: true, scaleTo: 10 },
+          { metricKey: 'fiq_work_missed', scaleTo: 10 },
+          'fiq_work_difficulty',
+          'fiq_pain_level',
+          'fiq_fatigue_level',
+          'fiq_morning_tiredness',
+          'fiq_stiffness',
+          'fiq_anxiety',
+          'fiq_depression'
+        ],
+        interpretation: {
+          '0-38': 'Mild impact',
+          '39-58': 'Moderate impact',
+          '59-100': 'Severe impact'
+        }
+      }
+    }
   },
 
   // === DIABETES SELF-CARE ===
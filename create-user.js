@@ -0,0 +1,57 @@
+const { PrismaClient } = require('./generated/prisma');
+const { hashPassword } = require('./src/services/authService');
+const { ROLES } = require('./src/middleware/permissions');
+
+const prisma = new PrismaClient();
+
+// Usage: node create-user.js <email> <password> [role] [clinicianEmail]
+// Creates (or resets the password and role of) a login, optionally linked to an existing clinician.
+// The role defaults to admin so the first account can manage everyone else's.
+async function createUser() {
+  const [email, password, role = 'admin', clinicianEmail] = process.argv.slice(2);
+
+  if (!email || !password) {
+    console.error('Usage: node create-user.js <email> <password> [role] [clinicianEmail]');
+    process.exit(1);
+  }
+
+  if (!ROLES.includes(role)) {
+    console.error(`Role must be one of: ${ROLES.join(', ')}`);
+    process.exit(1);
+  }
+
+  if (password.length < 8) {
+    console.error('Password must be at least 8 characters');
+    process.exit(1);
+  }
+
+  try {
+    let clinicianId = null;
+    if (clinicianEmail) {
+      const clinician = await prisma.clinician.findUnique({
+        where: { email: clinicianEmail }
+      });
+
+      if (!clinician) {
+        console.error(`No clinician found with email ${clinicianEmail}`);
+        process.exit(1);
+      }
+      clinicianId = clinician.id;
+    }
+
+    const passwordHash = await hashPassword(password);
+    const user = await prisma.user.upsert({
+      where: { email: email.toLowerCase() },
+      update: { passwordHash, role, isActive: true, ...(clinicianId && { clinicianId }) },
+      create: { email: email.toLowerCase(), passwordHash, role, clinicianId }
+    });
+
+    console.log(`User ${user.email} (${user.role}) is ready${clinicianId ? ` (linked to ${clinicianEmail})` : ''}`);
+  } catch (error) {
+    console.error('Error creating user:', error);
+  } finally {
+    await prisma.$disconnect();
+  }
+}
+
+createUser();
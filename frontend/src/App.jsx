@@ -1,6 +1,12 @@
 import React from 'react'
 import { Routes, Route } from 'react-router-dom'
 import Layout from './components/Layout'
+import RequireAuth from './components/RequireAuth'
+import LiveUpdates from './components/LiveUpdates'
+import Login from './pages/Login'
+import DailyAssessment from './pages/DailyAssessment'
+import MedicationCheckIn from './pages/MedicationCheckIn'
+import PatientMessages from './pages/PatientMessages'
 import Dashboard from './pages/Dashboard'
 import AssessmentTemplatesEnhanced from './pages/AssessmentTemplatesEnhanced'
 import Patients from './pages/Patients'
@@ -12,24 +18,41 @@ import Alerts from './pages/Alerts'
 import AlertRules from './pages/AlertRules'
 import Enrollments from './pages/Enrollments'
 import EnrollmentDetails from './pages/EnrollmentDetails'
+import Billing from './pages/Billing'
 
 function App() {
   return (
-    <Layout>
-      <Routes>
-        <Route path="/" element={<Dashboard />} />
-        <Route path="/patients" element={<Patients />} />
-        <Route path="/clinicians" element={<Clinicians />} />
-        <Route path="/condition-presets" element={<ConditionPresets />} />
-        <Route path="/metric-definitions" element={<MetricDefinitions />} />
-        <Route path="/assessment-templates" element={<AssessmentTemplatesEnhanced />} />
-        <Route path="/observations" element={<Observations />} />
-        <Route path="/alerts" element={<Alerts />} />
-        <Route path="/alert-rules" element={<AlertRules />} />
-        <Route path="/enrollments" element={<Enrollments />} />
-        <Route path="/enrollments/:id" element={<EnrollmentDetails />} />
-      </Routes>
-    </Layout>
+    <Routes>
+      <Route path="/login" element={<Login />} />
+      {/* Patient reminder links; authorized by the link's token, not a staff session */}
+      <Route path="/assessments/:enrollmentId/daily" element={<DailyAssessment />} />
+      <Route path="/assessments/:enrollmentId/medications" element={<MedicationCheckIn />} />
+      <Route path="/assessments/:enrollmentId/messages" element={<PatientMessages />} />
+      <Route
+        path="/*"
+        element={
+          <RequireAuth>
+            <LiveUpdates />
+            <Layout>
+              <Routes>
+                <Route path="/" element={<Dashboard />} />
+                <Route path="/patients" element={<Patients />} />
+                <Route path="/clinicians" element={<Clinicians />} />
+                <Route path="/condition-presets" element={<ConditionPresets />} />
+                <Route path="/metric-definitions" element={<MetricDefinitions />} />
+                <Route path="/assessment-templates" element={<AssessmentTemplatesEnhanced />} />
+                <Route path="/observations" element={<Observations />} />
+                <Route path="/alerts" element={<Alerts />} />
+                <Route path="/alert-rules" element={<AlertRules />} />
+                <Route path="/enrollments" element={<Enrollments />} />
+                <Route path="/enrollments/:id" element={<EnrollmentDetails />} />
+                <Route path="/billing" element={<Billing />} />
+              </Routes>
+            </Layout>
+          </RequireAuth>
+        }
+      />
+    </Routes>
   )
 }
 
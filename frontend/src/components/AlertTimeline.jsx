@@ -0,0 +1,109 @@
+import React from 'react'
+import { useQuery } from '@tanstack/react-query'
+import {
+  BellIcon,
+  CheckIcon,
+  UserPlusIcon,
+  ArrowTrendingUpIcon,
+  CheckCircleIcon,
+  ArrowPathIcon
+} from '@heroicons/react/24/outline'
+import { api } from '../services/api'
+
+export const RESOLUTION_LABELS = {
+  clinical_intervention: 'Clinical intervention',
+  medication_adjusted: 'Medication adjusted',
+  patient_contacted: 'Patient contacted',
+  patient_unreachable: 'Patient unreachable',
+  no_action_needed: 'No action needed',
+  false_positive: 'False positive',
+  duplicate: 'Duplicate',
+  other: 'Other'
+}
+
+const EVENT_STYLES = {
+  created: { icon: BellIcon, color: 'bg-red-100 text-red-600', label: 'Alert raised' },
+  assigned: { icon: UserPlusIcon, color: 'bg-blue-100 text-blue-600', label: 'Assigned' },
+  acknowledged: { icon: CheckIcon, color: 'bg-yellow-100 text-yellow-600', label: 'Acknowledged' },
+  escalated: { icon: ArrowTrendingUpIcon, color: 'bg-orange-100 text-orange-600', label: 'Escalated' },
+  resolved: { icon: CheckCircleIcon, color: 'bg-green-100 text-green-600', label: 'Resolved' },
+  suppressed: { icon: ArrowPathIcon, color: 'bg-gray-100 text-gray-600', label: 'Triggered again' }
+}
+
+const clinicianName = (clinician) =>
+  clinician ? `${clinician.firstName || ''} ${clinician.lastName || ''}`.trim() : null
+
+// Merge status events and cooldown-suppressed repeat triggers into one chronological list
+const buildTimeline = (alert) => {
+  const events = (alert.events || []).map((event) => {
+    let detail = event.note
+    if (event.type === 'resolved' && event.data?.resolutionCode) {
+      const reason = RESOLUTION_LABELS[event.data.resolutionCode] || event.data.resolutionCode
+      detail = event.note ? `${reason}: ${event.note}` : reason
+    }
+    if (event.type === 'assigned' && event.data?.toClinicianName) {
+      detail = [`to ${event.data.toClinicianName}`, event.note].filter(Boolean).join(' — ')
+    }
+
+    return {
+      id: event.id,
+      type: event.type,
+      at: event.createdAt,
+      actor: clinicianName(event.actor),
+      detail
+    }
+  })
+
+  const suppressions = (alert.suppressions || []).map((suppression) => ({
+    id: suppression.id,
+    type: 'suppressed',
+    at: suppression.occurredAt,
+    detail: [suppression.facts?.trigger, suppression.reason].filter(Boolean).join(' — ')
+  }))
+
+  return [...events, ...suppressions].sort((a, b) => new Date(a.at) - new Date(b.at))
+}
+
+export default function AlertTimeline({ alertId }) {
+  const { data: alert, isLoading } = useQuery({
+    queryKey: ['alert', alertId],
+    queryFn: () => api.getAlert(alertId),
+  })
+
+  if (isLoading) {
+    return <div className="text-sm text-gray-500">Loading history...</div>
+  }
+
+  const timeline = alert ? buildTimeline(alert) : []
+
+  if (timeline.length === 0) {
+    return <div className="text-sm text-gray-500">No history recorded for this alert</div>
+  }
+
+  return (
+    <ol className="space-y-4">
+      {timeline.map((entry) => {
+        const style = EVENT_STYLES[entry.type] || EVENT_STYLES.created
+        const Icon = style.icon
+
+        return (
+          <li key={`${entry.type}-${entry.id}`} className="flex items-start space-x-3">
+            <span className={`flex-shrink-0 p-1.5 rounded-full ${style.color}`}>
+              <Icon className="h-4 w-4" />
+            </span>
+            <div className="flex-1 min-w-0">
+              <div className="flex items-center justify-between">
+                <p className="text-sm font-medium text-gray-900">
+                  {style.label}
+                  {entry.actor && <span className="font-normal text-gray-600"> by {entry.actor}</span>}
+                </p>
+                <time className="text-xs text-gray-500">{new Date(entry.at).toLocaleString()}</time>
+              </div>
+              {entry.detail && <p className="text-sm text-gray-600">{entry.detail}</p>}
+            </div>
+          </li>
+        )
+      })}
+    </ol>
+  )
+}
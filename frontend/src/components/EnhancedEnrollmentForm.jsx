@@ -9,6 +9,18 @@ import {
 } from '@heroicons/react/24/outline'
 import { api } from '../services/api'
 
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat']
+
+const TIMEZONES = [
+  'America/New_York',
+  'America/Chicago',
+  'America/Denver',
+  'America/Phoenix',
+  'America/Los_Angeles',
+  'America/Anchorage',
+  'Pacific/Honolulu'
+]
+
 export default function EnhancedEnrollmentForm({ 
   patients, 
   clinicians, 
@@ -28,6 +40,9 @@ export default function EnhancedEnrollmentForm({
     reminderSettings: {
       dailyAssessment: false,
       reminderTime: '09:00',
+      daysOfWeek: [0, 1, 2, 3, 4, 5, 6],
+      timezone: Intl.DateTimeFormat().resolvedOptions().timeZone || 'America/New_York',
+      quietHours: null,
       methods: []
     }
   })
@@ -122,6 +137,18 @@ export default function EnhancedEnrollmentForm({
     }))
   }
 
+  const handleDayChange = (day, checked) => {
+    setFormData(prev => ({
+      ...prev,
+      reminderSettings: {
+        ...prev.reminderSettings,
+        daysOfWeek: checked
+          ? [...prev.reminderSettings.daysOfWeek, day].sort()
+          : prev.reminderSettings.daysOfWeek.filter(d => d !== day)
+      }
+    }))
+  }
+
   const setReminderSettings = (newSettings) => {
     setFormData(prev => ({
       ...prev,
@@ -467,7 +494,91 @@ export default function EnhancedEnrollmentForm({
                 className="px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
               />
               <p className="mt-1 text-xs text-gray-500">
-                Time when daily reminders will be sent to the patient
+                Reminders are skipped when the patient has already completed their assessments
+              </p>
+            </div>
+
+            <div>
+              <label htmlFor="reminderTimezone" className="block text-sm font-medium text-gray-700 mb-2">
+                Patient Time Zone
+              </label>
+              <select
+                id="reminderTimezone"
+                value={formData.reminderSettings.timezone}
+                onChange={(e) => setReminderSettings({
+                  ...formData.reminderSettings,
+                  timezone: e.target.value
+                })}
+                className="px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+              >
+                {[...new Set([formData.reminderSettings.timezone, ...TIMEZONES])].map(zone => (
+                  <option key={zone} value={zone}>{zone}</option>
+                ))}
+              </select>
+            </div>
+
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">
+                Reminder Days
+              </label>
+              <div className="flex flex-wrap gap-3">
+                {WEEKDAYS.map((label, day) => (
+                  <label key={label} className="flex items-center">
+                    <input
+                      type="checkbox"
+                      checked={formData.reminderSettings.daysOfWeek.includes(day)}
+                      onChange={(e) => handleDayChange(day, e.target.checked)}
+                      className="h-4 w-4 text-blue-600 focus:ring-blue-500 border-gray-300 rounded"
+                    />
+                    <span className="ml-1 text-sm text-gray-700">{label}</span>
+                  </label>
+                ))}
+              </div>
+              <p className="mt-1 text-xs text-gray-500">
+                Weekly assessments are only reminded when they are due
+              </p>
+            </div>
+
+            <div>
+              <label className="flex items-center text-sm font-medium text-gray-700 mb-2">
+                <input
+                  type="checkbox"
+                  checked={!!formData.reminderSettings.quietHours}
+                  onChange={(e) => setReminderSettings({
+                    ...formData.reminderSettings,
+                    quietHours: e.target.checked ? { start: '21:00', end: '08:00' } : null
+                  })}
+                  className="h-4 w-4 text-blue-600 focus:ring-blue-500 border-gray-300 rounded mr-2"
+                />
+                Quiet hours
+              </label>
+              {formData.reminderSettings.quietHours && (
+                <div className="flex items-center space-x-2">
+                  <input
+                    type="time"
+                    aria-label="Quiet hours start"
+                    value={formData.reminderSettings.quietHours.start}
+                    onChange={(e) => setReminderSettings({
+                      ...formData.reminderSettings,
+                      quietHours: { ...formData.reminderSettings.quietHours, start: e.target.value }
+                    })}
+                    className="px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                  />
+                  <span className="text-sm text-gray-500">to</span>
+                  <input
+                    type="time"
+                    aria-label="Quiet hours end"
+                    value={formData.reminderSettings.quietHours.end}
+                    onChange={(e) => setReminderSettings({
+                      ...formData.reminderSettings,
+                      quietHours: { ...formData.reminderSettings.quietHours, end: e.target.value }
+                    })}
+                    className="px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                  />
+                </div>
+              )}
+              <p className="mt-1 text-xs text-gray-500">
+                Reminders falling in quiet hours are sent when they end
               </p>
             </div>
 
@@ -1,5 +1,5 @@
 import React, { useState } from 'react'
-import { Link, useLocation } from 'react-router-dom'
+import { Link, useLocation, useNavigate } from 'react-router-dom'
 import {
   HomeIcon,
   UserGroupIcon,
@@ -13,19 +13,25 @@ import {
   ClipboardDocumentCheckIcon,
   Bars3Icon,
   XMarkIcon,
+  ArrowRightOnRectangleIcon,
+  BanknotesIcon,
 } from '@heroicons/react/24/outline'
+import { api, getStoredUser, clearSession } from '../services/api'
+import { can } from '../services/permissions'
 
+// Items without a permission are shown to every signed-in user
 const navigation = [
   { name: 'Dashboard', href: '/', icon: HomeIcon },
-  { name: 'Patients', href: '/patients', icon: UserGroupIcon },
-  { name: 'Clinicians', href: '/clinicians', icon: UserIcon },
-  { name: 'Condition Presets', href: '/condition-presets', icon: ClipboardDocumentCheckIcon },
-  { name: 'Metric Definitions', href: '/metric-definitions', icon: ChartBarIcon },
-  { name: 'Assessment Templates', href: '/assessment-templates', icon: DocumentTextIcon },
-  { name: 'Observations', href: '/observations', icon: EyeIcon },
-  { name: 'Alerts', href: '/alerts', icon: BellIcon },
-  { name: 'Alert Rules', href: '/alert-rules', icon: ShieldCheckIcon },
-  { name: 'Enrollments', href: '/enrollments', icon: ClipboardDocumentListIcon },
+  { name: 'Patients', href: '/patients', icon: UserGroupIcon, permission: 'patients:read' },
+  { name: 'Clinicians', href: '/clinicians', icon: UserIcon, permission: 'clinicians:read' },
+  { name: 'Condition Presets', href: '/condition-presets', icon: ClipboardDocumentCheckIcon, permission: 'conditionPresets:manage' },
+  { name: 'Metric Definitions', href: '/metric-definitions', icon: ChartBarIcon, permission: 'metricDefinitions:manage' },
+  { name: 'Assessment Templates', href: '/assessment-templates', icon: DocumentTextIcon, permission: 'assessmentTemplates:manage' },
+  { name: 'Observations', href: '/observations', icon: EyeIcon, permission: 'observations:read' },
+  { name: 'Alerts', href: '/alerts', icon: BellIcon, permission: 'alerts:read' },
+  { name: 'Alert Rules', href: '/alert-rules', icon: ShieldCheckIcon, permission: 'alertRules:manage' },
+  { name: 'Enrollments', href: '/enrollments', icon: ClipboardDocumentListIcon, permission: 'enrollments:read' },
+  { name: 'Billing', href: '/billing', icon: BanknotesIcon, permission: 'billing:read' },
 ]
 
 function classNames(...classes) {
@@ -35,6 +41,22 @@ function classNames(...classes) {
 export default function Layout({ children }) {
   const [sidebarOpen, setSidebarOpen] = useState(false)
   const location = useLocation()
+  const navigate = useNavigate()
+  const user = getStoredUser()
+  const visibleNavigation = navigation.filter((item) => !item.permission || can(user, item.permission))
+
+  const handleSignOut = async () => {
+    const refreshToken = localStorage.getItem('refreshToken')
+    if (refreshToken) {
+      try {
+        await api.logout(refreshToken)
+      } catch (error) {
+        console.error('Error signing out:', error)
+      }
+    }
+    clearSession()
+    navigate('/login', { replace: true })
+  }
 
   return (
     <div className="min-h-screen bg-gray-50">
@@ -56,7 +78,7 @@ export default function Layout({ children }) {
               <h1 className="text-xl font-bold text-gray-900">Pain Management</h1>
             </div>
             <nav className="mt-5 space-y-1 px-2">
-              {navigation.map((item) => (
+              {visibleNavigation.map((item) => (
                 <Link
                   key={item.name}
                   to={item.href}
@@ -73,6 +95,17 @@ export default function Layout({ children }) {
               ))}
             </nav>
           </div>
+          <div className="flex flex-shrink-0 items-center justify-between border-t border-gray-200 p-4">
+            <span className="truncate text-sm text-gray-600">{user?.email}</span>
+            <button
+              type="button"
+              onClick={handleSignOut}
+              className="flex items-center text-base font-medium text-gray-600 hover:text-gray-900"
+            >
+              <ArrowRightOnRectangleIcon className="mr-1 h-6 w-6" />
+              Sign out
+            </button>
+          </div>
         </div>
       </div>
 
@@ -84,7 +117,7 @@ export default function Layout({ children }) {
               <h1 className="text-xl font-bold text-gray-900">ClinMetrics Pro</h1>
             </div>
             <nav className="mt-5 flex-1 space-y-1 px-2">
-              {navigation.map((item) => (
+              {visibleNavigation.map((item) => (
                 <Link
                   key={item.name}
                   to={item.href}
@@ -101,6 +134,17 @@ export default function Layout({ children }) {
               ))}
             </nav>
           </div>
+          <div className="flex flex-shrink-0 items-center justify-between border-t border-gray-200 p-4">
+            <span className="truncate text-sm text-gray-600">{user?.email}</span>
+            <button
+              type="button"
+              onClick={handleSignOut}
+              className="flex items-center text-sm font-medium text-gray-600 hover:text-gray-900"
+            >
+              <ArrowRightOnRectangleIcon className="mr-1 h-5 w-5" />
+              Sign out
+            </button>
+          </div>
         </div>
       </div>
 
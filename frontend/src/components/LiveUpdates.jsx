@@ -0,0 +1,43 @@
+import { useEffect } from 'react'
+import { useQueryClient } from '@tanstack/react-query'
+import { toast } from 'react-toastify'
+import { subscribeToEvents } from '../services/api'
+
+const patientName = (patient) =>
+  patient ? `${patient.firstName || ''} ${patient.lastName || ''}`.trim() : 'a patient'
+
+const showAlertToast = ({ alert, patient }) => {
+  const message = `${alert.severity ? `${alert.severity.toUpperCase()} alert` : 'New alert'}: ${alert.ruleName || 'Alert'} for ${patientName(patient)}`
+  const notify = ['critical', 'high'].includes(alert.severity) ? toast.error : toast.warning
+  notify(message, { toastId: `alert-${alert.id}` })
+}
+
+// Keeps react-query caches in sync with the server's event stream while signed in, so new
+// alerts reach the dashboard and alert list without waiting for a refetch. Renders nothing.
+export default function LiveUpdates() {
+  const queryClient = useQueryClient()
+
+  useEffect(() => {
+    const invalidate = (...queryKeys) =>
+      queryKeys.forEach((queryKey) => queryClient.invalidateQueries({ queryKey }))
+
+    return subscribeToEvents((type, event) => {
+      switch (type) {
+        case 'alert.created':
+          invalidate(['alerts'], ['recent-alerts'], ['alerts-stats'], ['enrollment-alerts', event.enrollmentId])
+          showAlertToast(event)
+          break
+        case 'alert.updated':
+          invalidate(['alerts'], ['recent-alerts'], ['alerts-stats'], ['enrollment-alerts', event.enrollmentId], ['alert', event.alert.id])
+          break
+        case 'observation.created':
+          invalidate(['observations'], ['enrollment', event.enrollmentId])
+          break
+        default:
+          break
+      }
+    })
+  }, [queryClient])
+
+  return null
+}
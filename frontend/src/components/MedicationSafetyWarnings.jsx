@@ -0,0 +1,76 @@
+import React from 'react'
+import { useQuery } from '@tanstack/react-query'
+import { ExclamationTriangleIcon } from '@heroicons/react/24/outline'
+import { api } from '../services/api'
+
+const SEVERITY_STYLES = {
+  major: 'bg-red-100 text-red-800',
+  moderate: 'bg-yellow-100 text-yellow-800',
+  minor: 'bg-gray-100 text-gray-700'
+}
+
+const TYPE_LABELS = {
+  interaction: 'Interaction',
+  duplicate_therapy: 'Duplicate therapy',
+  allergy: 'Allergy',
+  contraindication: 'Contraindication'
+}
+
+// Interaction, allergy and contraindication warnings for the drug being prescribed. Major
+// warnings can only be prescribed through with an override reason, which is asked for here.
+export default function MedicationSafetyWarnings({ patientId, drugId, overrideReason, onOverrideReasonChange }) {
+  const { data: safetyResponse, isFetching } = useQuery({
+    queryKey: ['medication-safety', patientId, drugId],
+    queryFn: () => api.checkMedicationSafety({ patientId, drugId }),
+    enabled: !!patientId && !!drugId
+  })
+
+  const safety = safetyResponse?.data
+
+  if (!patientId || !drugId) return null
+
+  if (isFetching && !safety) {
+    return <p className="text-sm text-gray-500">Checking interactions...</p>
+  }
+
+  if (!safety || safety.warnings.length === 0) {
+    return <p className="text-sm text-green-700">No interactions, allergies or contraindications found</p>
+  }
+
+  return (
+    <div className="rounded-md border border-yellow-200 bg-yellow-50 p-3 space-y-3">
+      <h4 className="text-sm font-medium text-gray-900 flex items-center">
+        <ExclamationTriangleIcon className="h-4 w-4 mr-2 text-yellow-600" />
+        Safety warnings
+      </h4>
+      <ul className="space-y-2">
+        {safety.warnings.map((warning, index) => (
+          <li key={index} className="flex items-start text-sm text-gray-800">
+            <span className={`mr-2 inline-flex px-2 py-0.5 rounded-full text-xs font-medium ${SEVERITY_STYLES[warning.severity]}`}>
+              {warning.severity}
+            </span>
+            <span>
+              <span className="font-medium">{TYPE_LABELS[warning.type] || warning.type}:</span> {warning.message}
+            </span>
+          </li>
+        ))}
+      </ul>
+      {safety.requiresOverride && (
+        <div>
+          <label htmlFor="overrideReason" className="block text-sm font-medium text-gray-700">
+            Override reason
+          </label>
+          <textarea
+            id="overrideReason"
+            value={overrideReason}
+            onChange={(e) => onOverrideReasonChange(e.target.value)}
+            required
+            rows={2}
+            placeholder="Why this medication is being prescribed despite the major warnings"
+            className="mt-1 block w-full rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500"
+          />
+        </div>
+      )}
+    </div>
+  )
+}
@@ -0,0 +1,140 @@
+import React, { useEffect, useState } from 'react'
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query'
+import { toast } from 'react-toastify'
+import { ChatBubbleLeftRightIcon, PaperAirplaneIcon, CheckIcon } from '@heroicons/react/24/outline'
+import { api, getStoredUser } from '../services/api'
+import { can } from '../services/permissions'
+
+const formatTime = (date) =>
+  new Date(date).toLocaleString([], { month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit' })
+
+// Patient–care team conversation for one enrollment. Opening the thread marks the
+// patient's messages as read; replies can optionally log time toward 98980.
+export default function MessageThread({ enrollmentId }) {
+  const queryClient = useQueryClient()
+  const canWrite = can(getStoredUser(), 'messages:write')
+  const [body, setBody] = useState('')
+  const [logMinutes, setLogMinutes] = useState('')
+
+  const { data: messagesResponse, isPending } = useQuery({
+    queryKey: ['enrollment-messages', enrollmentId],
+    queryFn: () => api.getEnrollmentMessages(enrollmentId),
+    enabled: !!enrollmentId
+  })
+
+  const messages = messagesResponse?.data || []
+  const unreadCount = messagesResponse?.unreadCount || 0
+
+  const { mutate: markRead } = useMutation({
+    mutationFn: () => api.markEnrollmentMessagesRead(enrollmentId),
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['enrollment-messages', enrollmentId] })
+      queryClient.invalidateQueries({ queryKey: ['unread-messages'] })
+    }
+  })
+
+  // Runs again only when the unread count changes, e.g. when a new patient message arrives
+  useEffect(() => {
+    if (canWrite && unreadCount > 0) markRead()
+  }, [canWrite, unreadCount, markRead])
+
+  const sendMutation = useMutation({
+    mutationFn: (data) => api.sendEnrollmentMessage(enrollmentId, data),
+    onSuccess: (response) => {
+      queryClient.invalidateQueries({ queryKey: ['enrollment-messages', enrollmentId] })
+      setBody('')
+      setLogMinutes('')
+      if (response.data?.timeLog) {
+        queryClient.invalidateQueries({ queryKey: ['time-logs', enrollmentId] })
+        toast.success(`Message sent and ${response.data.timeLog.minutes} min logged`)
+      } else {
+        toast.success('Message sent')
+      }
+    },
+    onError: (error) => {
+      toast.error(error.response?.data?.error || error.response?.data?.errors?.[0] || 'Failed to send message')
+    }
+  })
+
+  const handleSubmit = (e) => {
+    e.preventDefault()
+    if (!body.trim()) return
+    sendMutation.mutate({
+      body,
+      ...(logMinutes && { logMinutes: parseInt(logMinutes, 10) })
+    })
+  }
+
+  return (
+    <div className="bg-white shadow rounded-lg p-6">
+      <h2 className="text-xl font-semibold text-gray-900 mb-4 flex items-center">
+        <ChatBubbleLeftRightIcon className="h-5 w-5 mr-2 text-gray-500" />
+        Messages
+      </h2>
+
+      {isPending ? (
+        <p className="text-sm text-gray-500">Loading messages...</p>
+      ) : messages.length > 0 ? (
+        <ul className="space-y-3 max-h-96 overflow-y-auto mb-4">
+          {messages.map((message) => {
+            const fromCareTeam = message.senderType === 'clinician'
+            return (
+              <li key={message.id} className={`flex ${fromCareTeam ? 'justify-end' : 'justify-start'}`}>
+                <div className={`max-w-md rounded-lg px-4 py-2 ${fromCareTeam ? 'bg-blue-600 text-white' : 'bg-gray-100 text-gray-900'}`}>
+                  <p className="text-sm whitespace-pre-wrap">{message.body}</p>
+                  <p className={`mt-1 text-xs flex items-center ${fromCareTeam ? 'text-blue-100' : 'text-gray-500'}`}>
+                    {formatTime(message.createdAt)}
+                    {fromCareTeam && message.readAt && (
+                      <span className="ml-2 inline-flex items-center" title={`Read ${formatTime(message.readAt)}`}>
+                        <CheckIcon className="h-3 w-3 mr-0.5" />
+                        Read
+                      </span>
+                    )}
+                  </p>
+                </div>
+              </li>
+            )
+          })}
+        </ul>
+      ) : (
+        <p className="text-sm text-gray-500 mb-4">No messages yet</p>
+      )}
+
+      {canWrite && (
+        <form onSubmit={handleSubmit} className="space-y-3">
+          <label htmlFor="message-body" className="sr-only">Message</label>
+          <textarea
+            id="message-body"
+            rows={3}
+            value={body}
+            onChange={(e) => setBody(e.target.value)}
+            placeholder="Write a message to the patient..."
+            className="block w-full rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500 text-sm"
+          />
+          <div className="flex items-center justify-between">
+            <div className="flex items-center space-x-2">
+              <label htmlFor="message-log-minutes" className="text-sm text-gray-700">Log minutes</label>
+              <input
+                id="message-log-minutes"
+                type="number"
+                min="1"
+                max="120"
+                value={logMinutes}
+                onChange={(e) => setLogMinutes(e.target.value)}
+                className="w-20 rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500 text-sm"
+              />
+            </div>
+            <button
+              type="submit"
+              disabled={!body.trim() || sendMutation.isPending}
+              className="inline-flex items-center px-3 py-2 border border-transparent text-sm leading-4 font-medium rounded-md text-white bg-blue-600 hover:bg-blue-700 disabled:opacity-50"
+            >
+              <PaperAirplaneIcon className="h-4 w-4 mr-1" />
+              Send
+            </button>
+          </div>
+        </form>
+      )}
+    </div>
+  )
+}
@@ -0,0 +1,122 @@
+import React, { useState } from 'react'
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query'
+import { toast } from 'react-toastify'
+import { LinkIcon } from '@heroicons/react/24/outline'
+import { api, getStoredUser } from '../services/api'
+import { can } from '../services/permissions'
+
+const STATUS_STYLES = {
+  active: 'bg-green-100 text-green-800',
+  used: 'bg-blue-100 text-blue-800',
+  expired: 'bg-gray-100 text-gray-700',
+  revoked: 'bg-red-100 text-red-800'
+}
+
+const formatTime = (date) =>
+  new Date(date).toLocaleString([], { month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit' })
+
+// One-time links that let the patient open their daily assessment without an account. Reminder
+// emails issue their own; staff can issue one to send by hand and revoke any that are unused.
+export default function PatientAccessLinks({ enrollmentId }) {
+  const queryClient = useQueryClient()
+  const canWrite = can(getStoredUser(), 'enrollments:write')
+  const [issuedUrl, setIssuedUrl] = useState(null)
+
+  const { data: linksResponse, isPending } = useQuery({
+    queryKey: ['access-links', enrollmentId],
+    queryFn: () => api.getEnrollmentAccessLinks(enrollmentId),
+    enabled: !!enrollmentId
+  })
+
+  const links = linksResponse?.data || []
+
+  const issueMutation = useMutation({
+    mutationFn: () => api.createEnrollmentAccessLink(enrollmentId, {}),
+    onSuccess: (response) => {
+      queryClient.invalidateQueries({ queryKey: ['access-links', enrollmentId] })
+      setIssuedUrl(`${window.location.origin}${response.data.url}`)
+      toast.success('Patient link issued')
+    },
+    onError: (error) => {
+      toast.error(error.response?.data?.error || 'Failed to issue patient link')
+    }
+  })
+
+  const revokeMutation = useMutation({
+    mutationFn: (linkId) => api.revokeEnrollmentAccessLink(enrollmentId, linkId),
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['access-links', enrollmentId] })
+      toast.success('Patient link revoked')
+    },
+    onError: (error) => {
+      toast.error(error.response?.data?.error || 'Failed to revoke patient link')
+    }
+  })
+
+  return (
+    <div className="bg-white shadow rounded-lg p-6">
+      <div className="flex items-center justify-between mb-4">
+        <h2 className="text-xl font-semibold text-gray-900 flex items-center">
+          <LinkIcon className="h-5 w-5 mr-2 text-gray-500" />
+          Patient Links
+        </h2>
+        {canWrite && (
+          <button
+            type="button"
+            onClick={() => issueMutation.mutate()}
+            disabled={issueMutation.isPending}
+            className="px-3 py-1.5 text-sm font-medium text-white bg-blue-600 rounded-md hover:bg-blue-700 disabled:opacity-50"
+          >
+            Issue link
+          </button>
+        )}
+      </div>
+
+      {issuedUrl && (
+        <div className="mb-4 rounded-md bg-blue-50 border border-blue-200 p-3">
+          <label htmlFor="issued-link" className="block text-xs font-medium text-blue-900 mb-1">
+            Send this single-use link to the patient; it is only shown once
+          </label>
+          <input
+            id="issued-link"
+            readOnly
+            value={issuedUrl}
+            onFocus={(e) => e.target.select()}
+            className="w-full text-xs font-mono border border-blue-200 rounded px-2 py-1 bg-white"
+          />
+        </div>
+      )}
+
+      {isPending ? (
+        <p className="text-sm text-gray-500">Loading links...</p>
+      ) : links.length > 0 ? (
+        <ul className="divide-y divide-gray-100">
+          {links.map((link) => (
+            <li key={link.id} className="py-2 flex items-center justify-between text-sm">
+              <div>
+                <span className={`inline-flex px-2 py-0.5 rounded-full text-xs font-medium ${STATUS_STYLES[link.status]}`}>
+                  {link.status}
+                </span>
+                <span className="ml-2 text-gray-700">{link.purpose === 'daily_reminder' ? 'Reminder' : 'Manual'}</span>
+                <span className="ml-2 text-gray-500">
+                  {link.usedAt ? `opened ${formatTime(link.usedAt)}` : `expires ${formatTime(link.expiresAt)}`}
+                </span>
+              </div>
+              {canWrite && link.status === 'active' && (
+                <button
+                  type="button"
+                  onClick={() => revokeMutation.mutate(link.id)}
+                  className="text-xs font-medium text-red-600 hover:text-red-800"
+                >
+                  Revoke
+                </button>
+              )}
+            </li>
+          ))}
+        </ul>
+      ) : (
+        <p className="text-sm text-gray-500">No patient links issued yet.</p>
+      )}
+    </div>
+  )
+}
@@ -0,0 +1,45 @@
+import React from 'react'
+import { Link } from 'react-router-dom'
+import { patientApi, getPatientSession, savePatientSession } from '../services/api'
+
+// Layout of the patient pages opened from one-time links (no staff navigation)
+export function Screen({ children }) {
+  return (
+    <div className="min-h-screen bg-gray-50 px-4 py-8">
+      <div className="w-full max-w-xl mx-auto">{children}</div>
+    </div>
+  )
+}
+
+export function Notice({ title, children }) {
+  return (
+    <Screen>
+      <div className="bg-white shadow-lg rounded-2xl p-8 text-center">
+        <h1 className="text-xl font-bold text-gray-900">{title}</h1>
+        <p className="mt-2 text-sm text-gray-600">{children}</p>
+      </div>
+    </Screen>
+  )
+}
+
+// Link from a patient page to the patient's messages; the page reuses this tab's session
+export function MessagesLink({ enrollmentId }) {
+  return (
+    <Link
+      to={`/assessments/${enrollmentId}/messages`}
+      className="mt-6 block text-center text-sm font-medium text-blue-700 hover:text-blue-800"
+    >
+      Message your care team
+    </Link>
+  )
+}
+
+// Session token for the page: redeem the one-time link token when opened from a link, else
+// reuse the session this tab already has (e.g. after a reload)
+export const openPatientSession = async (enrollmentId, linkToken) => {
+  if (!linkToken) return getPatientSession(enrollmentId)
+
+  const { data } = await patientApi.startSession(enrollmentId, linkToken)
+  savePatientSession(enrollmentId, data.accessToken)
+  return data.accessToken
+}
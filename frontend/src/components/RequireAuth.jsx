@@ -0,0 +1,13 @@
+import React from 'react'
+import { Navigate, useLocation } from 'react-router-dom'
+
+// Send visitors without a session to the login page, remembering where they were headed
+export default function RequireAuth({ children }) {
+  const location = useLocation()
+
+  if (!localStorage.getItem('authToken')) {
+    return <Navigate to="/login" state={{ from: location }} replace />
+  }
+
+  return children
+}
@@ -52,6 +52,20 @@ const conditions = {
     thresholdRange: { min: 1, max: 20 },
     description: 'Number of missed medication doses'
   },
+  'prn_overuse': {
+    label: 'PRN Overuse',
+    type: 'numeric',
+    operators: ['greater_than', 'greater_than_or_equal'],
+    thresholdRange: { min: 0.5, max: 3 },
+    description: 'As-needed doses in 24 hours as a multiple of the maximum daily dose (1 = the maximum)'
+  },
+  'daily_mme': {
+    label: 'Daily Opioid Dose (MME)',
+    type: 'numeric',
+    operators: ['greater_than', 'greater_than_or_equal'],
+    thresholdRange: { min: 1, max: 500 },
+    description: 'Morphine milligram equivalents a day of the active opioid prescriptions'
+  },
   'mood_scale': {
     label: 'Mood Scale',
     type: 'numeric',
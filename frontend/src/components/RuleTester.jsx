@@ -1,83 +1,135 @@
 import React, { useState } from 'react';
-import { PlayIcon, CheckCircleIcon, XCircleIcon, ClockIcon } from '@heroicons/react/24/outline';
+import { useQuery } from '@tanstack/react-query';
+import {
+  PlayIcon,
+  CheckCircleIcon,
+  XCircleIcon,
+  ClockIcon,
+  PlusIcon,
+  TrashIcon
+} from '@heroicons/react/24/outline';
+import { api } from '../services/api';
+
+const MEDICATION_CONDITIONS = ['medication_adherence_rate', 'medication_adherence', 'missed_medication_doses'];
+
+// Timestamp `daysAgo` days before now at 09:00 local time, in datetime-local format
+const daysAgoAt9 = (daysAgo) => {
+  const date = new Date();
+  date.setDate(date.getDate() - daysAgo);
+  date.setHours(9, 0, 0, 0);
+  return toLocalInput(date);
+};
+
+const toLocalInput = (date) => {
+  const offset = date.getTimezoneOffset() * 60000;
+  return new Date(date.getTime() - offset).toISOString().slice(0, 16);
+};
+
+// One sample per day, ending today
+const dailySeries = (values) =>
+  values.map((value, index) => ({ recordedAt: daysAgoAt9(values.length - 1 - index), value }));
+
+// Twice-daily doses, ending today; `taken` is one boolean per dose
+const doseSeries = (taken) =>
+  taken.map((wasTaken, index) => {
+    const date = new Date();
+    const doseIndex = taken.length - 1 - index;
+    date.setDate(date.getDate() - Math.floor(doseIndex / 2));
+    date.setHours(doseIndex % 2 === 0 ? 8 : 20, 0, 0, 0);
+    return { scheduledDate: toLocalInput(date), wasTaken };
+  });
+
+// Sample series for the quick scenarios, based on the rule condition
+const getTestScenarios = (condition) => {
+  if (MEDICATION_CONDITIONS.includes(condition)) {
+    return [
+      { name: 'All Doses Taken', samples: doseSeries([true, true, true, true, true, true]) },
+      { name: 'Occasional Misses', samples: doseSeries([true, false, true, true, false, true]) },
+      { name: 'Mostly Missed', samples: doseSeries([false, false, true, false, false, false]) }
+    ];
+  }
+
+  if (condition === 'no_assessment_for') {
+    return [
+      { name: 'Checked In Today', samples: [{ recordedAt: daysAgoAt9(0), value: 5 }] },
+      { name: 'Last Check-in 2 Days Ago', samples: [{ recordedAt: daysAgoAt9(2), value: 5 }] },
+      { name: 'Last Check-in 5 Days Ago', samples: [{ recordedAt: daysAgoAt9(5), value: 5 }] }
+    ];
+  }
+
+  return [
+    { name: 'Stable Low', samples: dailySeries([2, 3, 2, 3]) },
+    { name: 'Single Spike', samples: dailySeries([3, 9, 4, 3]) },
+    { name: 'Rising Trend', samples: dailySeries([3, 5, 7, 9]) },
+    { name: 'Sustained High', samples: dailySeries([8, 9, 8, 9]) }
+  ];
+};
 
 const RuleTester = ({ rule, onTest }) => {
-  const [testData, setTestData] = useState({});
+  const [mode, setMode] = useState('samples');
+  const [samples, setSamples] = useState([]);
+  const [history, setHistory] = useState({ enrollmentId: '', from: '', to: '' });
   const [testResult, setTestResult] = useState(null);
   const [isLoading, setIsLoading] = useState(false);
 
-  // Sample test scenarios based on rule condition
-  const getTestScenarios = (condition) => {
-    const scenarios = {
-      'pain_scale_0_10': [
-        { name: 'Low Pain', data: { pain_scale_0_10: 2 } },
-        { name: 'Moderate Pain', data: { pain_scale_0_10: 5 } },
-        { name: 'High Pain', data: { pain_scale_0_10: 8 } },
-        { name: 'Maximum Pain', data: { pain_scale_0_10: 10 } }
-      ],
-      'medication_adherence_rate': [
-        { name: 'Perfect Adherence', data: { medication_adherence_rate: 1.0 } },
-        { name: 'Good Adherence', data: { medication_adherence_rate: 0.85 } },
-        { name: 'Poor Adherence', data: { medication_adherence_rate: 0.6 } },
-        { name: 'Very Poor Adherence', data: { medication_adherence_rate: 0.3 } }
-      ],
-      'side_effects_severity': [
-        { name: 'No Side Effects', data: { side_effects_severity: 0 } },
-        { name: 'Mild Side Effects', data: { side_effects_severity: 3 } },
-        { name: 'Moderate Side Effects', data: { side_effects_severity: 6 } },
-        { name: 'Severe Side Effects', data: { side_effects_severity: 9 } }
-      ],
-      'mood_scale': [
-        { name: 'Very Low Mood', data: { mood_scale: 2 } },
-        { name: 'Low Mood', data: { mood_scale: 4 } },
-        { name: 'Normal Mood', data: { mood_scale: 6 } },
-        { name: 'Good Mood', data: { mood_scale: 8 } }
-      ],
-      'sleep_quality': [
-        { name: 'Poor Sleep', data: { sleep_quality: 2 } },
-        { name: 'Fair Sleep', data: { sleep_quality: 4 } },
-        { name: 'Good Sleep', data: { sleep_quality: 7 } },
-        { name: 'Excellent Sleep', data: { sleep_quality: 9 } }
-      ],
-      'no_assessment_for': [
-        { name: '12 Hours', data: { hours_since_assessment: 12 } },
-        { name: '24 Hours', data: { hours_since_assessment: 24 } },
-        { name: '48 Hours', data: { hours_since_assessment: 48 } },
-        { name: '72 Hours', data: { hours_since_assessment: 72 } }
-      ]
-    };
-
-    return scenarios[condition] || [
-      { name: 'Custom Test', data: {} }
-    ];
-  };
+  const condition = rule?.expression?.condition;
+  const isMedication = MEDICATION_CONDITIONS.includes(condition);
+  const scenarios = condition ? getTestScenarios(condition) : [];
+
+  const { data: enrollmentsResponse } = useQuery({
+    queryKey: ['enrollments', 'active'],
+    queryFn: () => api.getEnrollments({ status: 'active', limit: 100 }),
+    enabled: mode === 'history',
+  });
+
+  const enrollments = enrollmentsResponse?.data || [];
+
+  // Convert datetime-local strings to ISO so the server evaluates in absolute time
+  const toRequestSamples = (rows) =>
+    rows.map((row) => (isMedication
+      ? { scheduledDate: new Date(row.scheduledDate).toISOString(), wasTaken: !!row.wasTaken }
+      : { recordedAt: new Date(row.recordedAt).toISOString(), value: row.value }));
 
   const testRule = async (scenario = null) => {
     setIsLoading(true);
     setTestResult(null);
 
+    const payload = mode === 'history' && !scenario
+      ? {
+          enrollmentId: history.enrollmentId,
+          from: history.from ? new Date(history.from).toISOString() : undefined,
+          to: history.to ? new Date(history.to).toISOString() : undefined
+        }
+      : { observations: toRequestSamples(scenario ? scenario.samples : samples) };
+
     try {
-      const dataToTest = scenario ? scenario.data : testData;
-      
-      // Simulate rule evaluation
-      const result = evaluateRule(rule, dataToTest);
-      
+      // Saved rules are tested as stored; rules being edited are tested as currently defined
+      const response = rule?.id
+        ? await api.testAlertRule(rule.id, payload)
+        : await api.testUnsavedAlertRule({
+            ...payload,
+            rule: {
+              name: rule?.name,
+              severity: rule?.severity,
+              window: rule?.window,
+              cooldown: rule?.cooldown,
+              expression: rule?.expression
+            }
+          });
+
       setTestResult({
-        triggered: result.triggered,
-        reason: result.reason,
-        data: dataToTest,
-        scenarioName: scenario?.name || 'Custom Test',
+        ...response.data,
+        scenarioName: scenario?.name || (mode === 'history' ? 'Enrollment History' : 'Custom Samples'),
         timestamp: new Date().toISOString()
       });
 
       if (onTest) {
-        onTest(result);
+        onTest(response.data);
       }
     } catch (error) {
+      const details = error.response?.data?.errors;
       setTestResult({
-        triggered: false,
-        reason: `Error: ${error.message}`,
-        data: testData,
+        error: details?.length ? details.join(', ') : (error.response?.data?.message || error.message),
         scenarioName: scenario?.name || 'Custom Test',
         timestamp: new Date().toISOString()
       });
@@ -86,77 +138,24 @@ const RuleTester = ({ rule, onTest }) => {
     }
   };
 
-  // Simple rule evaluation logic (client-side simulation)
-  const evaluateRule = (rule, data) => {
-    if (!rule?.expression) {
-      return { triggered: false, reason: 'No rule expression defined' };
-    }
-
-    const { condition, operator, threshold, value, consecutiveDays } = rule.expression;
-
-    if (!condition || !operator) {
-      return { triggered: false, reason: 'Incomplete rule expression' };
-    }
-
-    const dataValue = data[condition] || data[condition.replace('_', '')];
-
-    if (dataValue === undefined) {
-      return { triggered: false, reason: `No data provided for condition: ${condition}` };
-    }
-
-    let triggered = false;
-    let reason = '';
-
-    // Handle special cases
-    if (condition === 'no_assessment_for') {
-      const hoursValue = data.hours_since_assessment || 0;
-      triggered = evaluateComparison(hoursValue, operator, threshold);
-      reason = triggered 
-        ? `No assessment for ${hoursValue} hours (threshold: ${threshold})`
-        : `Assessment within threshold (${hoursValue} hours)`;
-    } else if (operator === 'equals' && value !== undefined) {
-      triggered = dataValue === value;
-      reason = triggered 
-        ? `Value "${dataValue}" matches expected "${value}"`
-        : `Value "${dataValue}" does not match expected "${value}"`;
-    } else if (operator.includes('trend')) {
-      // For trend operators, we'd need historical data
-      // For testing purposes, we'll simulate based on consecutive days
-      triggered = consecutiveDays ? consecutiveDays >= 3 : false;
-      reason = triggered 
-        ? `Trend condition met (${consecutiveDays} consecutive days)`
-        : 'Trend condition not met (insufficient consecutive days)';
-    } else {
-      triggered = evaluateComparison(dataValue, operator, threshold);
-      reason = triggered 
-        ? `${condition}: ${dataValue} ${operator} ${threshold}`
-        : `${condition}: ${dataValue} does not meet ${operator} ${threshold}`;
-    }
+  const addSample = () => {
+    setSamples([
+      ...samples,
+      isMedication
+        ? { scheduledDate: toLocalInput(new Date()), wasTaken: true }
+        : { recordedAt: toLocalInput(new Date()), value: '' }
+    ]);
+  };
 
-    return { triggered, reason };
+  const updateSample = (index, field, value) => {
+    setSamples(samples.map((sample, i) => (i === index ? { ...sample, [field]: value } : sample)));
   };
 
-  const evaluateComparison = (value, operator, threshold) => {
-    switch (operator) {
-      case 'greater_than':
-        return value > threshold;
-      case 'greater_than_or_equal':
-        return value >= threshold;
-      case 'less_than':
-        return value < threshold;
-      case 'less_than_or_equal':
-        return value <= threshold;
-      case 'equal':
-      case 'equals':
-        return value === threshold;
-      case 'not_equal':
-        return value !== threshold;
-      default:
-        return false;
-    }
+  const removeSample = (index) => {
+    setSamples(samples.filter((_, i) => i !== index));
   };
 
-  const scenarios = rule?.expression?.condition ? getTestScenarios(rule.expression.condition) : [];
+  const canRunCustom = mode === 'history' ? !!history.enrollmentId : samples.length > 0;
 
   return (
     <div className="bg-white border border-gray-200 rounded-lg p-6">
@@ -164,27 +163,49 @@ const RuleTester = ({ rule, onTest }) => {
         <h3 className="text-lg font-medium text-gray-900">Rule Testing</h3>
         <div className="flex items-center text-sm text-gray-500">
           <ClockIcon className="h-4 w-4 mr-1" />
-          Test rule behavior with sample data
+          Replays the rule with the server's alert engine
         </div>
       </div>
 
+      {/* Data Source */}
+      <div className="mb-6 flex space-x-2">
+        {[
+          { value: 'samples', label: 'Sample Data' },
+          { value: 'history', label: 'Enrollment History' }
+        ].map((option) => (
+          <button
+            key={option.value}
+            type="button"
+            onClick={() => setMode(option.value)}
+            className={`px-3 py-1.5 text-sm rounded-md border ${
+              mode === option.value
+                ? 'bg-blue-50 border-blue-300 text-blue-700'
+                : 'border-gray-300 text-gray-700 hover:bg-gray-50'
+            }`}
+          >
+            {option.label}
+          </button>
+        ))}
+      </div>
+
       {/* Quick Test Scenarios */}
-      {scenarios.length > 0 && (
+      {mode === 'samples' && scenarios.length > 0 && (
         <div className="mb-6">
           <h4 className="text-sm font-medium text-gray-700 mb-3">Quick Test Scenarios</h4>
           <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-3">
             {scenarios.map((scenario, index) => (
               <button
                 key={index}
+                type="button"
                 onClick={() => testRule(scenario)}
                 disabled={isLoading}
                 className="p-3 text-left border border-gray-200 rounded-lg hover:border-blue-300 hover:bg-blue-50 transition-colors disabled:opacity-50"
               >
                 <div className="font-medium text-sm text-gray-900">{scenario.name}</div>
                 <div className="text-xs text-gray-500 mt-1">
-                  {Object.entries(scenario.data).map(([key, value]) => (
-                    <div key={key}>{key}: {value}</div>
-                  ))}
+                  {scenario.samples
+                    .map((sample) => (isMedication ? (sample.wasTaken ? 'taken' : 'missed') : sample.value))
+                    .join(', ')}
                 </div>
               </button>
             ))}
@@ -193,100 +214,201 @@ const RuleTester = ({ rule, onTest }) => {
       )}
 
       {/* Custom Test Data */}
-      <div className="mb-6">
-        <h4 className="text-sm font-medium text-gray-700 mb-3">Custom Test Data</h4>
-        <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
-          {rule?.expression?.condition && (
-            <div>
-              <label className="block text-sm font-medium text-gray-700 mb-1">
-                {rule.expression.condition.replace(/_/g, ' ').replace(/\b\w/g, l => l.toUpperCase())}
-              </label>
-              <input
-                type="number"
-                step="0.1"
-                value={testData[rule.expression.condition] || ''}
-                onChange={(e) => setTestData({
-                  ...testData,
-                  [rule.expression.condition]: parseFloat(e.target.value) || 0
-                })}
-                className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
-                placeholder="Enter test value"
-              />
-            </div>
-          )}
-          
-          {rule?.expression?.condition === 'no_assessment_for' && (
-            <div>
-              <label className="block text-sm font-medium text-gray-700 mb-1">
-                Hours Since Assessment
-              </label>
-              <input
-                type="number"
-                value={testData.hours_since_assessment || ''}
-                onChange={(e) => setTestData({
-                  ...testData,
-                  hours_since_assessment: parseInt(e.target.value) || 0
-                })}
-                className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
-                placeholder="Enter hours"
-              />
+      {mode === 'samples' ? (
+        <div className="mb-6">
+          <div className="flex items-center justify-between mb-3">
+            <h4 className="text-sm font-medium text-gray-700">
+              {isMedication ? 'Custom Doses' : 'Custom Observations'}
+            </h4>
+            <button
+              type="button"
+              onClick={addSample}
+              disabled={!condition}
+              className="inline-flex items-center text-sm text-blue-600 hover:text-blue-800 disabled:opacity-50"
+            >
+              <PlusIcon className="h-4 w-4 mr-1" />
+              Add {isMedication ? 'Dose' : 'Observation'}
+            </button>
+          </div>
+
+          {samples.length === 0 ? (
+            <p className="text-sm text-gray-500">
+              Add observations to replay them through the rule in time order.
+            </p>
+          ) : (
+            <div className="space-y-2">
+              {samples.map((sample, index) => (
+                <div key={index} className="flex items-center space-x-3">
+                  <input
+                    type="datetime-local"
+                    value={isMedication ? sample.scheduledDate : sample.recordedAt}
+                    onChange={(e) => updateSample(index, isMedication ? 'scheduledDate' : 'recordedAt', e.target.value)}
+                    className="px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                  />
+                  {isMedication ? (
+                    <label className="flex items-center text-sm text-gray-700">
+                      <input
+                        type="checkbox"
+                        checked={sample.wasTaken}
+                        onChange={(e) => updateSample(index, 'wasTaken', e.target.checked)}
+                        className="mr-2 rounded border-gray-300"
+                      />
+                      Taken
+                    </label>
+                  ) : (
+                    <input
+                      type="text"
+                      value={sample.value}
+                      onChange={(e) => updateSample(index, 'value', e.target.value)}
+                      className="w-32 px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                      placeholder="Value"
+                    />
+                  )}
+                  <button
+                    type="button"
+                    onClick={() => removeSample(index)}
+                    className="text-gray-400 hover:text-red-600"
+                  >
+                    <TrashIcon className="h-4 w-4" />
+                  </button>
+                </div>
+              ))}
             </div>
           )}
         </div>
-        
-        <button
-          onClick={() => testRule()}
-          disabled={isLoading}
-          className="mt-4 inline-flex items-center px-4 py-2 border border-transparent rounded-md shadow-sm text-sm font-medium text-white bg-blue-600 hover:bg-blue-700 disabled:opacity-50"
-        >
-          <PlayIcon className="h-4 w-4 mr-2" />
-          {isLoading ? 'Testing...' : 'Test Rule'}
-        </button>
-      </div>
+      ) : (
+        <div className="mb-6 grid grid-cols-1 md:grid-cols-3 gap-4">
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Enrollment</label>
+            <select
+              value={history.enrollmentId}
+              onChange={(e) => setHistory({ ...history, enrollmentId: e.target.value })}
+              className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+            >
+              <option value="">Select enrollment...</option>
+              {enrollments.map((enrollment) => (
+                <option key={enrollment.id} value={enrollment.id}>
+                  {enrollment.patient
+                    ? `${enrollment.patient.firstName} ${enrollment.patient.lastName}`
+                    : enrollment.id}
+                </option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">From</label>
+            <input
+              type="date"
+              value={history.from}
+              onChange={(e) => setHistory({ ...history, from: e.target.value })}
+              className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+            />
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">To</label>
+            <input
+              type="date"
+              value={history.to}
+              onChange={(e) => setHistory({ ...history, to: e.target.value })}
+              className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+            />
+          </div>
+          <p className="md:col-span-3 text-xs text-gray-500">
+            Defaults to the last 30 days when no dates are given.
+          </p>
+        </div>
+      )}
+
+      <button
+        type="button"
+        onClick={() => testRule()}
+        disabled={isLoading || !canRunCustom}
+        className="mb-6 inline-flex items-center px-4 py-2 border border-transparent rounded-md shadow-sm text-sm font-medium text-white bg-blue-600 hover:bg-blue-700 disabled:opacity-50"
+      >
+        <PlayIcon className="h-4 w-4 mr-2" />
+        {isLoading ? 'Testing...' : 'Test Rule'}
+      </button>
 
       {/* Test Results */}
       {testResult && (
         <div className="border-t border-gray-200 pt-6">
-          <h4 className="text-sm font-medium text-gray-700 mb-3">Test Results</h4>
-          <div className={`p-4 rounded-lg ${
-            testResult.triggered 
-              ? 'bg-red-50 border border-red-200' 
-              : 'bg-green-50 border border-green-200'
-          }`}>
-            <div className="flex items-center mb-2">
-              {testResult.triggered ? (
-                <XCircleIcon className="h-5 w-5 text-red-500 mr-2" />
-              ) : (
-                <CheckCircleIcon className="h-5 w-5 text-green-500 mr-2" />
-              )}
-              <span className={`font-medium ${
-                testResult.triggered ? 'text-red-800' : 'text-green-800'
-              }`}>
-                {testResult.triggered ? 'Alert Triggered' : 'No Alert'}
-              </span>
-              <span className="ml-2 text-sm text-gray-500">
-                ({testResult.scenarioName})
-              </span>
-            </div>
-            
-            <p className={`text-sm ${
-              testResult.triggered ? 'text-red-700' : 'text-green-700'
-            }`}>
-              {testResult.reason}
-            </p>
-            
-            <div className="mt-3 text-xs text-gray-600">
-              <strong>Test Data:</strong> {JSON.stringify(testResult.data, null, 2)}
-            </div>
-            
-            <div className="mt-1 text-xs text-gray-500">
-              Tested at: {new Date(testResult.timestamp).toLocaleString()}
+          <h4 className="text-sm font-medium text-gray-700 mb-3">
+            Test Results <span className="text-gray-500 font-normal">({testResult.scenarioName})</span>
+          </h4>
+
+          {testResult.error ? (
+            <div className="p-4 rounded-lg bg-yellow-50 border border-yellow-200 text-sm text-yellow-800">
+              {testResult.error}
             </div>
-          </div>
+          ) : (
+            <>
+              <div className={`p-4 rounded-lg mb-4 ${
+                testResult.alertsCreated > 0
+                  ? 'bg-red-50 border border-red-200'
+                  : 'bg-green-50 border border-green-200'
+              }`}>
+                <div className="flex items-center">
+                  {testResult.alertsCreated > 0 ? (
+                    <XCircleIcon className="h-5 w-5 text-red-500 mr-2" />
+                  ) : (
+                    <CheckCircleIcon className="h-5 w-5 text-green-500 mr-2" />
+                  )}
+                  <span className={`font-medium ${
+                    testResult.alertsCreated > 0 ? 'text-red-800' : 'text-green-800'
+                  }`}>
+                    {testResult.alertsCreated > 0
+                      ? `${testResult.alertsCreated} alert${testResult.alertsCreated === 1 ? '' : 's'} would be raised`
+                      : 'No Alert'}
+                  </span>
+                </div>
+                <p className="mt-1 text-sm text-gray-700">
+                  {testResult.pointsEvaluated} evaluations, {testResult.triggeredCount} triggered
+                  {testResult.suppressedCount > 0 && `, ${testResult.suppressedCount} folded into an open alert by cooldown`}
+                </p>
+              </div>
+
+              {testResult.points?.length > 0 && (
+                <div className="overflow-x-auto">
+                  <table className="min-w-full divide-y divide-gray-200 text-sm">
+                    <thead className="bg-gray-50">
+                      <tr>
+                        <th className="px-3 py-2 text-left font-medium text-gray-500">Evaluated At</th>
+                        <th className="px-3 py-2 text-left font-medium text-gray-500">Value</th>
+                        <th className="px-3 py-2 text-left font-medium text-gray-500">Outcome</th>
+                        <th className="px-3 py-2 text-left font-medium text-gray-500">Reason</th>
+                      </tr>
+                    </thead>
+                    <tbody className="divide-y divide-gray-100">
+                      {testResult.points.map((point, index) => (
+                        <tr key={index} className={point.triggered ? 'bg-red-50' : ''}>
+                          <td className="px-3 py-2 text-gray-700 whitespace-nowrap">
+                            {new Date(point.evaluatedAt).toLocaleString()}
+                          </td>
+                          <td className="px-3 py-2 text-gray-700">{point.value ?? '—'}</td>
+                          <td className="px-3 py-2 whitespace-nowrap">
+                            {!point.triggered && <span className="text-green-700">Not triggered</span>}
+                            {point.triggered && point.alertCreated && <span className="text-red-700 font-medium">Alert raised</span>}
+                            {point.triggered && !point.alertCreated && (
+                              <span className="text-yellow-700" title={point.suppressedReason}>Suppressed</span>
+                            )}
+                          </td>
+                          <td className="px-3 py-2 text-gray-600">{point.reason}</td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              )}
+
+              <div className="mt-3 text-xs text-gray-500">
+                Tested at: {new Date(testResult.timestamp).toLocaleString()}
+              </div>
+            </>
+          )}
         </div>
       )}
     </div>
   );
 };
 
-export default RuleTester;
\ No newline at end of file
+export default RuleTester;
@@ -0,0 +1,146 @@
+import React, { useEffect, useState } from 'react'
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query'
+import { toast } from 'react-toastify'
+import { ClockIcon, PlayIcon, StopIcon } from '@heroicons/react/24/outline'
+import { api, getStoredUser } from '../services/api'
+import { can } from '../services/permissions'
+
+export const TIME_CPT_CODES = {
+  CPT_99457: '99457 - Treatment management, first 20 min',
+  CPT_99458: '99458 - Treatment management, each additional 20 min',
+  CPT_98980: '98980 - RTM management, first 20 min',
+  CPT_98981: '98981 - RTM management, each additional 20 min'
+}
+
+// hh:mm:ss since the timer started
+const formatElapsed = (startedAt, now) => {
+  const seconds = Math.max(0, Math.floor((now - new Date(startedAt).getTime()) / 1000))
+  const pad = (value) => String(value).padStart(2, '0')
+  return `${pad(Math.floor(seconds / 3600))}:${pad(Math.floor((seconds % 3600) / 60))}:${pad(seconds % 60)}`
+}
+
+// Management time for one enrollment: a start/stop timer plus the most recent entries.
+// `clinicianId` is used for admins who are not linked to a clinician; everyone else logs their own time.
+export default function TimeTracker({ enrollmentId, clinicianId }) {
+  const queryClient = useQueryClient()
+  const user = getStoredUser()
+  const actorId = user?.clinicianId || (user?.role === 'admin' ? clinicianId : null)
+  const [cptCode, setCptCode] = useState('CPT_99457')
+  const [now, setNow] = useState(() => Date.now())
+
+  const { data: timeLogsResponse, isPending } = useQuery({
+    queryKey: ['time-logs', enrollmentId],
+    queryFn: () => api.getTimeLogs({ enrollmentId, limit: 5 }),
+    enabled: !!enrollmentId
+  })
+
+  const timeLogs = timeLogsResponse?.data || []
+  const totalMinutes = timeLogsResponse?.summary?.totalMinutes || 0
+  const runningTimer = timeLogs.find((log) => !log.endedAt && log.actorId === actorId)
+
+  // Tick once a second while a timer is running
+  useEffect(() => {
+    if (!runningTimer) return undefined
+    setNow(Date.now())
+    const interval = setInterval(() => setNow(Date.now()), 1000)
+    return () => clearInterval(interval)
+  }, [runningTimer])
+
+  const refresh = () => queryClient.invalidateQueries({ queryKey: ['time-logs', enrollmentId] })
+
+  const startMutation = useMutation({
+    mutationFn: () => api.startTimer({ enrollmentId, cptCode, clinicianId: actorId }),
+    onSuccess: () => {
+      refresh()
+      toast.success('Timer started')
+    },
+    onError: (error) => {
+      toast.error(error.response?.data?.error || 'Failed to start timer')
+    }
+  })
+
+  const stopMutation = useMutation({
+    mutationFn: () => api.stopTimer(runningTimer.id),
+    onSuccess: (response) => {
+      refresh()
+      toast.success(`Logged ${response.data?.minutes ?? 0} min`)
+    },
+    onError: (error) => {
+      toast.error(error.response?.data?.error || 'Failed to stop timer')
+    }
+  })
+
+  const canLogTime = can(user, 'timeLogs:write') && !!actorId
+
+  return (
+    <div className="bg-white shadow rounded-lg p-6">
+      <div className="flex items-center justify-between mb-4">
+        <h3 className="text-lg font-medium text-gray-900">Time Tracking</h3>
+        <span className="text-sm text-gray-500">{totalMinutes} min total</span>
+      </div>
+
+      {canLogTime && (
+        runningTimer ? (
+          <div className="flex items-center justify-between p-3 bg-blue-50 rounded-md mb-4">
+            <div>
+              <div className="text-2xl font-mono text-blue-900" aria-label="Elapsed time">
+                {formatElapsed(runningTimer.startedAt, now)}
+              </div>
+              <div className="text-xs text-blue-700">{TIME_CPT_CODES[runningTimer.cptCode] || runningTimer.cptCode}</div>
+            </div>
+            <button
+              onClick={() => stopMutation.mutate()}
+              disabled={stopMutation.isPending}
+              className="inline-flex items-center px-3 py-2 border border-transparent text-sm leading-4 font-medium rounded-md text-white bg-red-600 hover:bg-red-700 disabled:opacity-50"
+            >
+              <StopIcon className="h-4 w-4 mr-1" />
+              Stop Timer
+            </button>
+          </div>
+        ) : (
+          <div className="space-y-3 mb-4">
+            <div>
+              <label htmlFor="time-tracker-cpt" className="block text-sm font-medium text-gray-700">Activity</label>
+              <select
+                id="time-tracker-cpt"
+                value={cptCode}
+                onChange={(e) => setCptCode(e.target.value)}
+                className="mt-1 block w-full rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500 text-sm"
+              >
+                {Object.entries(TIME_CPT_CODES).map(([code, label]) => (
+                  <option key={code} value={code}>{label}</option>
+                ))}
+              </select>
+            </div>
+            <button
+              onClick={() => startMutation.mutate()}
+              disabled={startMutation.isPending}
+              className="w-full inline-flex justify-center items-center px-3 py-2 border border-transparent text-sm leading-4 font-medium rounded-md text-white bg-blue-600 hover:bg-blue-700 disabled:opacity-50"
+            >
+              <PlayIcon className="h-4 w-4 mr-1" />
+              Start Timer
+            </button>
+          </div>
+        )
+      )}
+
+      {isPending ? (
+        <p className="text-sm text-gray-500">Loading time logs...</p>
+      ) : timeLogs.filter((log) => log.endedAt).length > 0 ? (
+        <ul className="space-y-2">
+          {timeLogs.filter((log) => log.endedAt).map((log) => (
+            <li key={log.id} className="flex items-center justify-between text-sm">
+              <span className="flex items-center text-gray-700">
+                <ClockIcon className="h-4 w-4 text-gray-400 mr-2" />
+                {new Date(log.startedAt).toLocaleDateString()} · {log.cptCode.replace('CPT_', '')}
+              </span>
+              <span className="font-medium text-gray-900">{log.minutes} min</span>
+            </li>
+          ))}
+        </ul>
+      ) : (
+        <p className="text-sm text-gray-500">No time logged yet</p>
+      )}
+    </div>
+  )
+}
@@ -139,6 +139,8 @@ export default function AlertRules() {
       'medication_effectiveness': 'Medication Effectiveness',
       'no_assessment_for': 'Assessment Missing',
       'missed_medication_doses': 'Missed Medication Doses',
+      'prn_overuse': 'PRN Use in 24h',
+      'daily_mme': 'Daily MME',
       'mood_scale': 'Mood Scale',
       'sleep_quality': 'Sleep Quality',
       'activity_level': 'Activity Level'
@@ -183,6 +185,8 @@ export default function AlertRules() {
     if (threshold !== undefined && threshold !== null) {
       if (condition === 'medication_adherence_rate' && threshold <= 1) {
         formatted += ` ${(threshold * 100).toFixed(0)}%`
+      } else if (condition === 'prn_overuse') {
+        formatted += ` ${(threshold * 100).toFixed(0)}% of max daily dose`
       } else {
         formatted += ` ${threshold}`
       }
@@ -9,14 +9,30 @@ import {
   BellIcon,
   ClockIcon,
   UserIcon,
-  ChartBarIcon
+  ChartBarIcon,
+  UserPlusIcon,
+  ArrowTrendingUpIcon,
+  ChevronDownIcon,
+  ChevronUpIcon
 } from '@heroicons/react/24/outline'
 import { api } from '../services/api'
+import Modal from '../components/Modal'
+import AlertTimeline, { RESOLUTION_LABELS } from '../components/AlertTimeline'
+
+const ACTION_TITLES = {
+  ack: 'Acknowledge Alert',
+  assign: 'Assign Alert',
+  escalate: 'Escalate Alert',
+  resolve: 'Resolve Alert'
+}
 
 export default function Alerts() {
   const [statusFilter, setStatusFilter] = useState('all')
   const [severityFilter, setSeverityFilter] = useState('all')
   const [searchTerm, setSearchTerm] = useState('')
+  const [expandedAlertId, setExpandedAlertId] = useState(null)
+  const [pendingAction, setPendingAction] = useState(null)
+  const [actionForm, setActionForm] = useState({ note: '', clinicianId: '', resolutionCode: '' })
   const queryClient = useQueryClient()
 
   const { data: alertsResponse, isLoading } = useQuery({
@@ -42,24 +58,58 @@ export default function Alerts() {
     )
   })
 
-  const updateAlertMutation = useMutation({
-    mutationFn: ({ id, data }) => api.updateAlert(id, data),
-    onSuccess: () => {
+  const { data: cliniciansResponse } = useQuery({
+    queryKey: ['clinicians'],
+    queryFn: () => api.getClinicians(),
+    enabled: pendingAction?.type === 'assign',
+  })
+
+  const clinicians = cliniciansResponse?.data || []
+
+  const alertActionMutation = useMutation({
+    mutationFn: ({ type, id, data }) => {
+      switch (type) {
+        case 'ack':
+          return api.acknowledgeAlert(id, data)
+        case 'assign':
+          return api.assignAlert(id, data)
+        case 'escalate':
+          return api.escalateAlert(id, data)
+        default:
+          return api.resolveAlert(id, data)
+      }
+    },
+    onSuccess: (_, { id }) => {
       queryClient.invalidateQueries(['alerts'])
+      queryClient.invalidateQueries(['alert', id])
+      setPendingAction(null)
       toast.success('Alert updated successfully')
     },
     onError: (error) => {
-      toast.error(error.response?.data?.message || 'Failed to update alert')
+      toast.error(error.response?.data?.error || error.response?.data?.message || 'Failed to update alert')
     },
   })
 
-  const handleStatusChange = (alertId, newStatus) => {
-    updateAlertMutation.mutate({
-      id: alertId,
-      data: { status: newStatus }
-    })
+  const openAction = (type, alert) => {
+    setActionForm({ note: '', clinicianId: alert.assignedTo?.id || '', resolutionCode: '' })
+    setPendingAction({ type, alert })
   }
 
+  const submitAction = (e) => {
+    e.preventDefault()
+    const { type, alert } = pendingAction
+    const data = { note: actionForm.note || undefined }
+    if (type === 'assign') data.clinicianId = actionForm.clinicianId
+    if (type === 'resolve') data.resolutionCode = actionForm.resolutionCode
+
+    alertActionMutation.mutate({ type, id: alert.id, data })
+  }
+
+  const canSubmitAction = pendingAction && (
+    (pendingAction.type !== 'assign' || actionForm.clinicianId) &&
+    (pendingAction.type !== 'resolve' || (actionForm.resolutionCode && (actionForm.resolutionCode !== 'other' || actionForm.note)))
+  )
+
   const getSeverityColor = (severity) => {
     switch (severity?.toLowerCase()) {
       case 'critical':
@@ -82,6 +132,7 @@ export default function Alerts() {
       case 'ack':
       case 'acknowledged':
         return 'bg-gradient-to-r from-yellow-100 to-yellow-200 text-yellow-800 border border-yellow-300'
+      case 'closed':
       case 'resolved':
         return 'bg-gradient-to-r from-green-100 to-green-200 text-green-800 border border-green-300'
       default:
@@ -106,6 +157,7 @@ export default function Alerts() {
 
   const formatStatus = (status) => {
     if (status === 'ack') return 'Acknowledged'
+    if (status === 'closed') return 'Resolved'
     return status?.charAt(0).toUpperCase() + status?.slice(1) || 'Unknown'
   }
 
@@ -113,7 +165,7 @@ export default function Alerts() {
     const openAlerts = alerts.filter(a => a.status === 'open').length
     const criticalAlerts = alerts.filter(a => a.rule?.severity === 'critical').length
     const acknowledgedAlerts = alerts.filter(a => a.status === 'ack').length
-    const resolvedAlerts = alerts.filter(a => a.status === 'resolved').length
+    const resolvedAlerts = alerts.filter(a => a.status === 'closed').length
     
     return { openAlerts, criticalAlerts, acknowledgedAlerts, resolvedAlerts }
   }
@@ -235,7 +287,7 @@ export default function Alerts() {
                 <option value="all">All Statuses</option>
                 <option value="open">Open</option>
                 <option value="ack">Acknowledged</option>
-                <option value="resolved">Resolved</option>
+                <option value="closed">Resolved</option>
               </select>
             </div>
             
@@ -284,6 +336,23 @@ export default function Alerts() {
                         <span className={`inline-flex px-3 py-1 text-xs font-semibold rounded-full ${getStatusColor(alert.status)}`}>
                           {formatStatus(alert.status)}
                         </span>
+                        {alert.occurrenceCount > 1 && (
+                          <span
+                            className="inline-flex px-3 py-1 text-xs font-semibold rounded-full bg-gray-100 text-gray-700 border border-gray-300"
+                            title={alert.lastOccurredAt ? `Last occurred ${new Date(alert.lastOccurredAt).toLocaleString()}` : undefined}
+                          >
+                            {alert.occurrenceCount}× occurrences
+                          </span>
+                        )}
+                        {alert.escalationLevel > 0 && (
+                          <span
+                            className="inline-flex items-center px-3 py-1 text-xs font-semibold rounded-full bg-orange-100 text-orange-800 border border-orange-300"
+                            title={alert.lastEscalatedAt ? `Last escalated ${new Date(alert.lastEscalatedAt).toLocaleString()}` : undefined}
+                          >
+                            <ArrowTrendingUpIcon className="h-3 w-3 mr-1" />
+                            Escalated (level {alert.escalationLevel})
+                          </span>
+                        )}
                       </div>
                       
                       <p className="text-gray-600 mb-4 text-lg">
@@ -321,25 +390,76 @@ export default function Alerts() {
                           <span className="font-medium">MRN:</span>
                           <p className="text-sm">{alert.facts?.patientMrn || alert.enrollment?.patient?.mrn}</p>
                         </div>
+
+                        <div className="flex items-center space-x-2 text-gray-600">
+                          <UserPlusIcon className="h-4 w-4" />
+                          <div>
+                            <span className="font-medium">Assigned:</span>
+                            <p className="text-sm">
+                              {alert.assignedTo
+                                ? `${alert.assignedTo.firstName} ${alert.assignedTo.lastName}`
+                                : 'Unassigned'}
+                            </p>
+                          </div>
+                        </div>
                       </div>
+
+                      {alert.status === 'closed' && alert.resolutionCode && (
+                        <p className="mt-4 text-sm text-green-700">
+                          Resolved: {RESOLUTION_LABELS[alert.resolutionCode] || alert.resolutionCode}
+                          {alert.resolutionNote && ` — ${alert.resolutionNote}`}
+                        </p>
+                      )}
+
+                      <button
+                        onClick={() => setExpandedAlertId(expandedAlertId === alert.id ? null : alert.id)}
+                        className="mt-4 inline-flex items-center text-sm font-medium text-blue-600 hover:text-blue-800"
+                      >
+                        {expandedAlertId === alert.id ? (
+                          <ChevronUpIcon className="h-4 w-4 mr-1" />
+                        ) : (
+                          <ChevronDownIcon className="h-4 w-4 mr-1" />
+                        )}
+                        {expandedAlertId === alert.id ? 'Hide history' : 'Show history'}
+                      </button>
                     </div>
                     
                     <div className="flex flex-col space-y-2 ml-6">
                       {alert.status === 'open' && (
                         <button
-                          onClick={() => handleStatusChange(alert.id, 'ack')}
+                          onClick={() => openAction('ack', alert)}
                           className="inline-flex items-center px-4 py-2 bg-gradient-to-r from-yellow-500 to-yellow-600 text-white text-sm font-medium rounded-lg hover:from-yellow-600 hover:to-yellow-700 focus:outline-none focus:ring-2 focus:ring-yellow-500 focus:ring-offset-2 transition-all duration-200 disabled:opacity-50"
-                          disabled={updateAlertMutation.isLoading}
+                          disabled={alertActionMutation.isLoading}
                         >
                           <CheckIcon className="h-4 w-4 mr-2" />
                           Acknowledge
                         </button>
                       )}
-                      {alert.status !== 'resolved' && (
+                      {alert.status !== 'closed' && (
                         <button
-                          onClick={() => handleStatusChange(alert.id, 'resolved')}
+                          onClick={() => openAction('assign', alert)}
+                          className="inline-flex items-center px-4 py-2 bg-white border border-gray-300 text-gray-700 text-sm font-medium rounded-lg hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:ring-offset-2 transition-all duration-200 disabled:opacity-50"
+                          disabled={alertActionMutation.isLoading}
+                        >
+                          <UserPlusIcon className="h-4 w-4 mr-2" />
+                          Assign
+                        </button>
+                      )}
+                      {alert.status !== 'closed' && (
+                        <button
+                          onClick={() => openAction('escalate', alert)}
+                          className="inline-flex items-center px-4 py-2 bg-white border border-orange-300 text-orange-700 text-sm font-medium rounded-lg hover:bg-orange-50 focus:outline-none focus:ring-2 focus:ring-orange-500 focus:ring-offset-2 transition-all duration-200 disabled:opacity-50"
+                          disabled={alertActionMutation.isLoading}
+                        >
+                          <ArrowTrendingUpIcon className="h-4 w-4 mr-2" />
+                          Escalate
+                        </button>
+                      )}
+                      {alert.status !== 'closed' && (
+                        <button
+                          onClick={() => openAction('resolve', alert)}
                           className="inline-flex items-center px-4 py-2 bg-gradient-to-r from-green-500 to-green-600 text-white text-sm font-medium rounded-lg hover:from-green-600 hover:to-green-700 focus:outline-none focus:ring-2 focus:ring-green-500 focus:ring-offset-2 transition-all duration-200 disabled:opacity-50"
-                          disabled={updateAlertMutation.isLoading}
+                          disabled={alertActionMutation.isLoading}
                         >
                           <XMarkIcon className="h-4 w-4 mr-2" />
                           Resolve
@@ -348,10 +468,96 @@ export default function Alerts() {
                     </div>
                   </div>
                 </div>
+
+                {expandedAlertId === alert.id && (
+                  <div className="border-t border-gray-100 bg-gray-50 px-6 py-4">
+                    <h4 className="text-sm font-semibold text-gray-700 mb-3">History</h4>
+                    <AlertTimeline alertId={alert.id} />
+                  </div>
+                )}
               </div>
             ))
           )}
         </div>
+
+        <Modal
+          isOpen={!!pendingAction}
+          onClose={() => setPendingAction(null)}
+          title={pendingAction ? ACTION_TITLES[pendingAction.type] : ''}
+          size="md"
+        >
+          {pendingAction && (
+            <form onSubmit={submitAction} className="space-y-4">
+              <p className="text-sm text-gray-600">{pendingAction.alert.rule?.name || 'Alert'}</p>
+
+              {pendingAction.type === 'assign' && (
+                <div>
+                  <label htmlFor="alert-assignee" className="block text-sm font-medium text-gray-700 mb-1">Clinician</label>
+                  <select
+                    id="alert-assignee"
+                    value={actionForm.clinicianId}
+                    onChange={(e) => setActionForm({ ...actionForm, clinicianId: e.target.value })}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500"
+                  >
+                    <option value="">Select clinician...</option>
+                    {clinicians.map((clinician) => (
+                      <option key={clinician.id} value={clinician.id}>
+                        {clinician.firstName} {clinician.lastName}
+                      </option>
+                    ))}
+                  </select>
+                </div>
+              )}
+
+              {pendingAction.type === 'resolve' && (
+                <div>
+                  <label htmlFor="alert-resolution" className="block text-sm font-medium text-gray-700 mb-1">Resolution reason</label>
+                  <select
+                    id="alert-resolution"
+                    value={actionForm.resolutionCode}
+                    onChange={(e) => setActionForm({ ...actionForm, resolutionCode: e.target.value })}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500"
+                  >
+                    <option value="">Select reason...</option>
+                    {Object.entries(RESOLUTION_LABELS).map(([code, label]) => (
+                      <option key={code} value={code}>{label}</option>
+                    ))}
+                  </select>
+                </div>
+              )}
+
+              <div>
+                <label htmlFor="alert-note" className="block text-sm font-medium text-gray-700 mb-1">
+                  Note{pendingAction.type === 'resolve' && actionForm.resolutionCode === 'other' ? '' : ' (optional)'}
+                </label>
+                <textarea
+                  id="alert-note"
+                  rows={3}
+                  value={actionForm.note}
+                  onChange={(e) => setActionForm({ ...actionForm, note: e.target.value })}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500"
+                />
+              </div>
+
+              <div className="flex justify-end space-x-3">
+                <button
+                  type="button"
+                  onClick={() => setPendingAction(null)}
+                  className="px-4 py-2 border border-gray-300 rounded-lg text-sm font-medium text-gray-700 hover:bg-gray-50"
+                >
+                  Cancel
+                </button>
+                <button
+                  type="submit"
+                  disabled={!canSubmitAction || alertActionMutation.isLoading}
+                  className="px-4 py-2 bg-blue-600 text-white rounded-lg text-sm font-medium hover:bg-blue-700 disabled:opacity-50"
+                >
+                  Confirm
+                </button>
+              </div>
+            </form>
+          )}
+        </Modal>
       </div>
     </div>
   )
@@ -0,0 +1,193 @@
+import React, { useState } from 'react'
+import { useQuery } from '@tanstack/react-query'
+import { toast } from 'react-toastify'
+import {
+  ArrowDownTrayIcon,
+  DocumentTextIcon,
+  TableCellsIcon
+} from '@heroicons/react/24/outline'
+import { api, getStoredUser } from '../services/api'
+import { can } from '../services/permissions'
+
+const EXPORTS = {
+  csv: { label: 'CSV', filename: (period) => `billing-${period}.csv`, type: 'text/csv' },
+  '837p': { label: '837P', filename: (period) => `claims-${period}.837`, type: 'text/plain' }
+}
+
+// Previous calendar month as YYYY-MM, the period usually being billed
+const defaultPeriod = () => {
+  const date = new Date()
+  date.setDate(1)
+  date.setMonth(date.getMonth() - 1)
+  return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`
+}
+
+const downloadText = (text, filename, type) => {
+  const url = URL.createObjectURL(new Blob([text], { type }))
+  const link = document.createElement('a')
+  link.href = url
+  link.download = filename
+  link.click()
+  URL.revokeObjectURL(url)
+}
+
+const formatServiceDates = (line) =>
+  line.serviceFrom === line.serviceTo ? line.serviceFrom : `${line.serviceFrom} – ${line.serviceTo}`
+
+export default function Billing() {
+  const [period, setPeriod] = useState(defaultPeriod)
+  const [view, setView] = useState('lines')
+  const canExport = can(getStoredUser(), 'billing:export')
+
+  const { data: billingResponse, isPending, error } = useQuery({
+    queryKey: ['billing-period', period],
+    queryFn: () => api.getBillingPeriod(period),
+    enabled: !!period
+  })
+
+  const { data: claimFile, isPending: claimFilePending } = useQuery({
+    queryKey: ['billing-export', period, '837p'],
+    queryFn: () => api.exportBillingPeriod(period, '837p'),
+    enabled: !!period && canExport && view === '837p'
+  })
+
+  const billing = billingResponse?.data
+  const billable = (billing?.enrollments || []).filter((result) => result.lines.length > 0)
+
+  const handleDownload = async (format) => {
+    try {
+      const text = await api.exportBillingPeriod(period, format)
+      downloadText(text, EXPORTS[format].filename(period), EXPORTS[format].type)
+    } catch (err) {
+      toast.error(err.response?.data?.error || `Failed to export ${EXPORTS[format].label}`)
+    }
+  }
+
+  return (
+    <div className="space-y-6">
+      <div className="flex flex-col sm:flex-row sm:items-end sm:justify-between gap-4">
+        <div>
+          <h1 className="text-3xl font-bold text-gray-900">Billing</h1>
+          <p className="mt-1 text-gray-600">Billable RTM/RPM units per enrollment for the month</p>
+        </div>
+        <div className="flex items-end gap-3">
+          <div>
+            <label htmlFor="billing-period" className="block text-sm font-medium text-gray-700">Billing period</label>
+            <input
+              id="billing-period"
+              type="month"
+              value={period}
+              onChange={(e) => setPeriod(e.target.value)}
+              className="mt-1 block rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500 text-sm"
+            />
+          </div>
+          {canExport && Object.entries(EXPORTS).map(([format, { label }]) => (
+            <button
+              key={format}
+              onClick={() => handleDownload(format)}
+              disabled={billable.length === 0}
+              className="inline-flex items-center px-3 py-2 border border-gray-300 shadow-sm text-sm font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50 disabled:opacity-50"
+            >
+              <ArrowDownTrayIcon className="h-4 w-4 mr-2" />
+              Download {label}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      {billing && (
+        <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+          <div className="bg-white shadow rounded-lg p-4">
+            <div className="text-sm text-gray-500">Enrollments</div>
+            <div className="text-2xl font-semibold text-gray-900">{billing.summary.enrollmentCount}</div>
+          </div>
+          <div className="bg-white shadow rounded-lg p-4">
+            <div className="text-sm text-gray-500">Billable</div>
+            <div className="text-2xl font-semibold text-gray-900">{billing.summary.billableEnrollmentCount}</div>
+          </div>
+          <div className="bg-white shadow rounded-lg p-4 col-span-2">
+            <div className="text-sm text-gray-500">Units by CPT</div>
+            <div className="mt-1 flex flex-wrap gap-2">
+              {Object.keys(billing.summary.totals).length > 0 ? (
+                Object.entries(billing.summary.totals).map(([code, units]) => (
+                  <span key={code} className="px-2 py-1 text-xs font-medium rounded-full bg-blue-100 text-blue-800">
+                    {code} × {units}
+                  </span>
+                ))
+              ) : (
+                <span className="text-sm text-gray-500">None</span>
+              )}
+            </div>
+          </div>
+        </div>
+      )}
+
+      {canExport && (
+        <div className="flex space-x-2">
+          <button
+            onClick={() => setView('lines')}
+            className={`inline-flex items-center px-3 py-2 text-sm font-medium rounded-md ${view === 'lines' ? 'bg-blue-600 text-white' : 'bg-white text-gray-700 border border-gray-300'}`}
+          >
+            <TableCellsIcon className="h-4 w-4 mr-2" />
+            Claim lines
+          </button>
+          <button
+            onClick={() => setView('837p')}
+            className={`inline-flex items-center px-3 py-2 text-sm font-medium rounded-md ${view === '837p' ? 'bg-blue-600 text-white' : 'bg-white text-gray-700 border border-gray-300'}`}
+          >
+            <DocumentTextIcon className="h-4 w-4 mr-2" />
+            837P preview
+          </button>
+        </div>
+      )}
+
+      {view === '837p' && canExport ? (
+        <div className="bg-white shadow rounded-lg p-4">
+          {claimFilePending ? (
+            <p className="text-sm text-gray-500">Generating claim file...</p>
+          ) : (
+            <pre aria-label="837P preview" className="text-xs font-mono text-gray-800 overflow-x-auto whitespace-pre">{claimFile}</pre>
+          )}
+        </div>
+      ) : (
+        <div className="bg-white shadow rounded-lg overflow-x-auto">
+          {isPending ? (
+            <div className="flex items-center justify-center h-32">
+              <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-600"></div>
+            </div>
+          ) : error ? (
+            <div className="p-6 text-red-600">Error loading billing period: {error.response?.data?.error || error.message}</div>
+          ) : billable.length === 0 ? (
+            <div className="p-6 text-center text-gray-500">No billable enrollments for {period}</div>
+          ) : (
+            <table className="min-w-full divide-y divide-gray-200 text-sm">
+              <thead className="bg-gray-50">
+                <tr>
+                  {['MRN', 'Patient', 'Diagnosis', 'ICD-10', 'Rendering NPI', 'CPT', 'Units', 'Service dates'].map((heading) => (
+                    <th key={heading} className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">{heading}</th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-200">
+                {billable.flatMap((result) => result.lines.map((line, index) => (
+                  <tr key={`${result.enrollmentId}-${line.code}`}>
+                    <td className="px-4 py-2 text-gray-900">{index === 0 ? result.patient?.mrn : ''}</td>
+                    <td className="px-4 py-2 text-gray-900">
+                      {index === 0 ? `${result.patient?.lastName || ''}, ${result.patient?.firstName || ''}` : ''}
+                    </td>
+                    <td className="px-4 py-2 text-gray-700">{index === 0 ? result.diagnosisCode : ''}</td>
+                    <td className="px-4 py-2 text-gray-700">{index === 0 ? result.icd10Codes.join(', ') : ''}</td>
+                    <td className="px-4 py-2 text-gray-700">{index === 0 ? result.clinician?.npi || '—' : ''}</td>
+                    <td className="px-4 py-2 font-medium text-gray-900" title={line.description}>{line.code}</td>
+                    <td className="px-4 py-2 text-gray-900">{line.units}</td>
+                    <td className="px-4 py-2 text-gray-700">{formatServiceDates(line)}</td>
+                  </tr>
+                )))}
+              </tbody>
+            </table>
+          )}
+        </div>
+      )}
+    </div>
+  )
+}
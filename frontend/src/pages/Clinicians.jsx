@@ -229,6 +229,9 @@ export default function Clinicians() {
                       <div className="flex items-center space-x-3 text-gray-600">
                         <BuildingOfficeIcon className="h-4 w-4 text-purple-500" />
                         <span className="text-sm">{clinician.department}</span>
+                        {clinician.isOnCall && (
+                          <span className="px-2 py-0.5 text-xs font-medium rounded-full bg-orange-100 text-orange-700">On call</span>
+                        )}
                       </div>
                     )}
                     {clinician.licenseNumber && (
@@ -296,6 +299,7 @@ function ClinicianForm({ clinician, onSubmit, isLoading }) {
     specialty: clinician?.specialty || '',
     licenseNumber: clinician?.licenseNumber || '',
     department: clinician?.department || '',
+    isOnCall: clinician?.isOnCall || false,
   })
 
   const handleSubmit = (e) => {
@@ -394,6 +398,17 @@ function ClinicianForm({ clinician, onSubmit, isLoading }) {
         />
       </div>
 
+      <label className="flex items-center space-x-3 text-sm text-gray-700">
+        <input
+          type="checkbox"
+          name="isOnCall"
+          checked={formData.isOnCall}
+          onChange={(e) => setFormData({ ...formData, isOnCall: e.target.checked })}
+          className="h-4 w-4 rounded border-gray-300 text-green-600 focus:ring-green-500"
+        />
+        <span>On call (receives escalated alerts for their department)</span>
+      </label>
+
       <div className="flex justify-end space-x-3 pt-6">
         <button
           type="submit"
@@ -1,5 +1,322 @@
-export default function DailyAssessment({ enrollmentId }) {
-  // Load "Chronic Pain Daily Assessment" template
-  // Pre-populate with guidance from getMetricGuidance function
-  // Simple, mobile-friendly interface for quick completion
-}
\ No newline at end of file
+import React, { useEffect, useState } from 'react'
+import { useMutation, useQuery } from '@tanstack/react-query'
+import { useParams, useSearchParams } from 'react-router-dom'
+import { CheckCircleIcon, ClipboardDocumentListIcon } from '@heroicons/react/24/outline'
+import { patientApi, getPatientSession, clearPatientSession } from '../services/api'
+import { Screen, Notice, MessagesLink, openPatientSession } from '../components/PatientScreen'
+
+// Options of a categorical/ordinal metric as { value, label }; the value is what gets submitted
+const getOptions = (metric) => {
+  const options = metric.options?.values || metric.options
+  if (!Array.isArray(options)) return []
+  return options.map((option) => {
+    if (typeof option !== 'object') return { value: String(option), label: String(option) }
+    const label = option.display ?? option.label ?? option.code ?? option.value
+    return { value: String(option.code ?? option.value ?? label), label: String(label) }
+  })
+}
+
+const hasRange = (metric) => metric.scaleMin !== null && metric.scaleMin !== undefined &&
+  metric.scaleMax !== null && metric.scaleMax !== undefined
+
+const isBlank = (value) => value === undefined || value === null || value === ''
+
+// Error message for one answer, or null when it can be submitted
+export const validateAnswer = (item, value) => {
+  if (isBlank(value)) return item.required ? 'This question is required' : null
+
+  const { metric } = item
+  if (metric.valueType === 'numeric') {
+    const number = Number(value)
+    if (Number.isNaN(number)) return 'Enter a number'
+    if (hasRange(metric) && (number < Number(metric.scaleMin) || number > Number(metric.scaleMax))) {
+      return `Enter a value between ${metric.scaleMin} and ${metric.scaleMax}`
+    }
+  }
+  return null
+}
+
+const answerKey = (template, item) => `${template.id}:${item.metricDefinitionId}`
+
+function AnswerInput({ item, inputId, value, onChange }) {
+  const { metric } = item
+  const options = getOptions(metric)
+  const inputClass = 'w-full px-4 py-3 border border-gray-200 rounded-xl focus:ring-2 focus:ring-green-500 focus:border-transparent'
+
+  switch (metric.valueType) {
+    case 'ordinal': {
+      // Slider over the options in order, or over the metric's scale when it has no options
+      const steps = options.length > 0 ? options : null
+      const min = steps ? 0 : Number(metric.scaleMin ?? 0)
+      const max = steps ? steps.length - 1 : Number(metric.scaleMax ?? 10)
+      const position = isBlank(value) ? null : steps ? steps.findIndex((option) => option.value === value) : Number(value)
+      const label = position === null ? 'Not answered' : steps ? steps[position]?.label : position
+
+      return (
+        <div>
+          <input
+            id={inputId}
+            type="range"
+            min={min}
+            max={max}
+            step={1}
+            value={position ?? min}
+            onChange={(e) => {
+              const next = Number(e.target.value)
+              onChange(steps ? steps[next].value : String(next))
+            }}
+            className="w-full accent-green-600"
+          />
+          <div className="flex justify-between text-xs text-gray-500 mt-1">
+            <span>{steps ? steps[0].label : min}</span>
+            <span className="font-semibold text-gray-900" aria-live="polite">{label}</span>
+            <span>{steps ? steps[steps.length - 1].label : max}</span>
+          </div>
+        </div>
+      )
+    }
+
+    case 'categorical':
+    case 'boolean': {
+      const choices = metric.valueType === 'boolean'
+        ? [{ value: 'true', label: 'Yes' }, { value: 'false', label: 'No' }]
+        : options
+      return (
+        <div role="radiogroup" aria-labelledby={`${inputId}-label`} className="grid grid-cols-1 sm:grid-cols-2 gap-2">
+          {choices.map((choice) => (
+            <label
+              key={choice.value}
+              className={`flex items-center gap-3 px-4 py-3 border rounded-xl cursor-pointer ${
+                value === choice.value ? 'border-green-500 bg-green-50' : 'border-gray-200'
+              }`}
+            >
+              <input
+                type="radio"
+                name={inputId}
+                value={choice.value}
+                checked={value === choice.value}
+                onChange={() => onChange(choice.value)}
+                className="text-green-600 focus:ring-green-500"
+              />
+              <span className="text-sm text-gray-900">{choice.label}</span>
+            </label>
+          ))}
+        </div>
+      )
+    }
+
+    case 'numeric':
+      return (
+        <div className="flex items-center gap-2">
+          <input
+            id={inputId}
+            type="number"
+            inputMode="decimal"
+            min={metric.scaleMin ?? undefined}
+            max={metric.scaleMax ?? undefined}
+            step={metric.decimalPrecision ? 1 / 10 ** metric.decimalPrecision : 1}
+            value={value ?? ''}
+            onChange={(e) => onChange(e.target.value)}
+            className={inputClass}
+          />
+          {metric.unit && <span className="text-sm text-gray-600">{metric.unit}</span>}
+        </div>
+      )
+
+    default:
+      return (
+        <textarea
+          id={inputId}
+          rows={3}
+          value={value ?? ''}
+          onChange={(e) => onChange(e.target.value)}
+          className={inputClass}
+        />
+      )
+  }
+}
+
+const linkErrorMessage = (error) => {
+  switch (error.response?.status) {
+    case 401:
+    case 403:
+      return error.response.data?.reason === 'used'
+        ? 'This link has already been used. Please use the link from your most recent reminder.'
+        : 'This link has expired or is not valid. Please use the link from your most recent reminder.'
+    case 404:
+    case 410:
+      return 'There are no assessments to complete for this link. Please contact your care team if you think this is a mistake.'
+    default:
+      return 'We could not load your assessment. Please try again in a few minutes.'
+  }
+}
+
+// Patient-facing daily check-in, opened from the reminder link /assessments/:enrollmentId/daily?token=...
+// Shows every assessment of the patient's care plan not yet completed today and submits them together.
+export default function DailyAssessment() {
+  const { enrollmentId } = useParams()
+  const [searchParams, setSearchParams] = useSearchParams()
+  const linkToken = searchParams.get('token')
+  const [canOpen] = useState(() => Boolean(linkToken || getPatientSession(enrollmentId)))
+
+  const [answers, setAnswers] = useState({})
+  const [errors, setErrors] = useState({})
+  const [submitError, setSubmitError] = useState(null)
+  const [startedAt] = useState(() => new Date().toISOString())
+
+  const { data: response, isPending, error } = useQuery({
+    queryKey: ['daily-assessment', enrollmentId],
+    queryFn: async () => {
+      const accessToken = await openPatientSession(enrollmentId, linkToken)
+      try {
+        return await patientApi.getDailyAssessment(enrollmentId, accessToken)
+      } catch (err) {
+        if (err.response?.status === 401) clearPatientSession(enrollmentId)
+        throw err
+      }
+    },
+    enabled: canOpen,
+    retry: false,
+    refetchOnWindowFocus: false
+  })
+
+  // The link is single-use: once redeemed, keep it out of the address bar and history
+  useEffect(() => {
+    if (response && linkToken) setSearchParams({}, { replace: true })
+  }, [response, linkToken, setSearchParams])
+
+  const submitMutation = useMutation({
+    mutationFn: (data) => patientApi.submitDailyAssessment(enrollmentId, getPatientSession(enrollmentId), data),
+    onError: (err) => {
+      setSubmitError(err.response?.status === 400
+        ? 'Some answers could not be saved. Please check them and try again.'
+        : err.response ? linkErrorMessage(err) : 'We could not save your answers. Please try again.')
+    }
+  })
+
+  if (!canOpen) {
+    return <Notice title="Link incomplete">This link is missing its access code. Please open the link from your reminder again.</Notice>
+  }
+  if (isPending) {
+    return <Notice title="Loading your assessment...">One moment please.</Notice>
+  }
+  if (error) {
+    return <Notice title="Unable to open assessment">{linkErrorMessage(error)}</Notice>
+  }
+  if (submitMutation.isSuccess) {
+    return (
+      <Screen>
+        <div className="bg-white shadow-lg rounded-2xl p-8 text-center">
+          <CheckCircleIcon className="mx-auto h-12 w-12 text-green-600" />
+          <h1 className="mt-4 text-xl font-bold text-gray-900">Thank you!</h1>
+          <p className="mt-2 text-sm text-gray-600">Your answers have been sent to your care team.</p>
+        </div>
+      </Screen>
+    )
+  }
+
+  const { patient, templates } = response.data
+  const pending = templates.filter((template) => !template.completedToday)
+
+  if (pending.length === 0) {
+    return <Notice title="All done for today">You have already completed today's assessment. Thank you!</Notice>
+  }
+
+  const setAnswer = (key, value) => {
+    setAnswers((current) => ({ ...current, [key]: value }))
+    setErrors((current) => ({ ...current, [key]: null }))
+  }
+
+  const handleSubmit = (e) => {
+    e.preventDefault()
+    setSubmitError(null)
+
+    const nextErrors = {}
+    pending.forEach((template) => template.items.forEach((item) => {
+      const message = validateAnswer(item, answers[answerKey(template, item)])
+      if (message) nextErrors[answerKey(template, item)] = message
+    }))
+    setErrors(nextErrors)
+
+    if (Object.keys(nextErrors).length > 0) {
+      setSubmitError('Please answer the highlighted questions.')
+      return
+    }
+
+    const assessments = pending
+      .map((template) => ({
+        templateId: template.id,
+        responses: template.items
+          .filter((item) => !isBlank(answers[answerKey(template, item)]))
+          .map((item) => ({ metricDefinitionId: item.metricDefinitionId, value: answers[answerKey(template, item)] }))
+      }))
+      .filter((assessment) => assessment.responses.length > 0)
+
+    if (assessments.length === 0) {
+      setSubmitError('Please answer at least one question.')
+      return
+    }
+
+    submitMutation.mutate({ startedAt, assessments })
+  }
+
+  return (
+    <Screen>
+      <div className="flex items-center gap-3 mb-6">
+        <div className="flex h-10 w-10 items-center justify-center rounded-full bg-gradient-to-r from-green-600 to-blue-600">
+          <ClipboardDocumentListIcon className="h-5 w-5 text-white" />
+        </div>
+        <div>
+          <h1 className="text-xl font-bold text-gray-900">Daily check-in</h1>
+          <p className="text-sm text-gray-600">{patient.firstName ? `Hi ${patient.firstName}, ` : ''}please answer the questions below.</p>
+        </div>
+      </div>
+
+      <form onSubmit={handleSubmit} noValidate className="space-y-6">
+        {pending.map((template) => (
+          <section key={template.id} className="bg-white shadow rounded-2xl p-6 space-y-6">
+            <div>
+              <h2 className="text-lg font-semibold text-gray-900">{template.name}</h2>
+              {template.description && <p className="text-sm text-gray-600 mt-1">{template.description}</p>}
+            </div>
+
+            {template.items.map((item) => {
+              const key = answerKey(template, item)
+              const inputId = `answer-${key.replace(':', '-')}`
+              return (
+                <div key={key}>
+                  <label id={`${inputId}-label`} htmlFor={inputId} className="block text-sm font-medium text-gray-900 mb-1">
+                    {item.metric.displayName}
+                    {item.required && <span className="text-red-600" aria-hidden="true"> *</span>}
+                  </label>
+                  {(item.helpText || (item.metric.valueType === 'numeric' && hasRange(item.metric))) && (
+                    <p className="text-xs text-gray-500 mb-2">
+                      {item.helpText || `Between ${item.metric.scaleMin} and ${item.metric.scaleMax}${item.metric.unit ? ` ${item.metric.unit}` : ''}`}
+                    </p>
+                  )}
+                  <AnswerInput item={item} inputId={inputId} value={answers[key]} onChange={(value) => setAnswer(key, value)} />
+                  {errors[key] && <p className="mt-1 text-sm text-red-600">{errors[key]}</p>}
+                </div>
+              )
+            })}
+          </section>
+        ))}
+
+        {submitError && (
+          <div role="alert" className="rounded-xl bg-red-50 border border-red-200 px-4 py-3 text-sm text-red-700">
+            {submitError}
+          </div>
+        )}
+
+        <button
+          type="submit"
+          disabled={submitMutation.isPending}
+          className="w-full bg-gradient-to-r from-green-600 to-blue-600 hover:from-green-700 hover:to-blue-700 text-white px-6 py-4 rounded-xl font-semibold shadow-lg transition-all duration-300 disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          {submitMutation.isPending ? 'Sending...' : 'Submit answers'}
+        </button>
+      </form>
+      <MessagesLink enrollmentId={enrollmentId} />
+    </Screen>
+  )
+}
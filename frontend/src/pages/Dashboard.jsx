@@ -10,6 +10,7 @@ import {
   ClockIcon,
   ExclamationTriangleIcon,
   CheckCircleIcon,
+  ChatBubbleLeftRightIcon,
 } from '@heroicons/react/24/outline'
 
 const StatCard = ({ title, value, icon: Icon, color = 'blue', trend, isLoading }) => {
@@ -112,12 +113,18 @@ export default function Dashboard() {
     queryFn: () => api.getRecentAlerts({ limit: 5 }),
   })
 
+  const { data: unreadMessagesResponse, isLoading: unreadMessagesLoading } = useQuery({
+    queryKey: ['unread-messages'],
+    queryFn: () => api.getUnreadMessageCounts(),
+  })
+
   // Extract data from responses
   const patientsStats = patientsStatsResponse?.data || {}
   const cliniciansStats = cliniciansStatsResponse?.data || {}
   const alertsStats = alertsStatsResponse?.data || {}
   const recentPatients = recentPatientsResponse?.data || []
   const recentAlerts = recentAlertsResponse?.alerts || []
+  const unreadThreads = unreadMessagesResponse?.data?.threads || []
 
   return (
     <div className="min-h-screen bg-gradient-to-br from-blue-50 via-white to-purple-50">
@@ -306,6 +313,53 @@ export default function Dashboard() {
               </div>
             )}
           </RecentItemCard>
+
+          {/* Unread Messages */}
+          <RecentItemCard
+            title="Unread Messages"
+            viewAllLink="/enrollments"
+            icon={ChatBubbleLeftRightIcon}
+            count={unreadMessagesResponse?.data?.total || 0}
+          >
+            {unreadMessagesLoading ? (
+              <div className="space-y-3">
+                {[...Array(3)].map((_, i) => (
+                  <div key={i} className="animate-pulse flex items-center justify-between py-3">
+                    <div className="h-4 w-40 bg-gray-200 rounded"></div>
+                    <div className="h-5 w-8 bg-gray-200 rounded-full"></div>
+                  </div>
+                ))}
+              </div>
+            ) : unreadThreads.length > 0 ? (
+              <div className="space-y-4">
+                {unreadThreads.map((thread) => (
+                  <a
+                    key={thread.enrollmentId}
+                    href={`/enrollments/${thread.enrollmentId}`}
+                    className="flex items-center justify-between py-3 border-b border-gray-100 last:border-b-0 hover:bg-gray-50 rounded-lg px-3 transition-colors duration-200"
+                  >
+                    <div>
+                      <p className="font-semibold text-gray-900">
+                        {thread.patient?.firstName} {thread.patient?.lastName}
+                      </p>
+                      <div className="flex items-center space-x-1 text-sm text-gray-500">
+                        <ClockIcon className="h-4 w-4" />
+                        <span>{new Date(thread.lastMessageAt).toLocaleDateString()}</span>
+                      </div>
+                    </div>
+                    <span className="inline-flex px-2 py-1 text-xs font-semibold rounded-full bg-blue-100 text-blue-800">
+                      {thread.unreadCount} unread
+                    </span>
+                  </a>
+                ))}
+              </div>
+            ) : (
+              <div className="text-center py-8">
+                <ChatBubbleLeftRightIcon className="h-12 w-12 text-gray-300 mx-auto mb-3" />
+                <p className="text-gray-500">No unread messages</p>
+              </div>
+            )}
+          </RecentItemCard>
         </div>
       </div>
     </div>
@@ -16,6 +16,10 @@ import {
 } from '@heroicons/react/24/outline'
 import { api } from '../services/api'
 import Modal from '../components/Modal'
+import TimeTracker from '../components/TimeTracker'
+import MessageThread from '../components/MessageThread'
+import PatientAccessLinks from '../components/PatientAccessLinks'
+import MedicationSafetyWarnings from '../components/MedicationSafetyWarnings'
 
 export default function EnrollmentDetails() {
   const { id } = useParams()
@@ -74,7 +78,7 @@ export default function EnrollmentDetails() {
       toast.success('Medication added successfully')
     },
     onError: (error) => {
-      toast.error(error.response?.data?.message || 'Failed to add medication')
+      toast.error(error.response?.data?.error || error.response?.data?.message || 'Failed to add medication')
     },
   })
 
@@ -285,7 +289,20 @@ export default function EnrollmentDetails() {
                     {enrollment.reminderSettings.reminderTime && (
                       <div className="flex items-center text-sm text-gray-600">
                         <ClockIcon className="h-4 w-4 text-gray-400 mr-2" />
-                        Reminder time: {enrollment.reminderSettings.reminderTime}
+                        Reminder time: {(enrollment.reminderSettings.reminderTimes || [enrollment.reminderSettings.reminderTime]).join(', ')}
+                        {enrollment.reminderSettings.timezone && ` (${enrollment.reminderSettings.timezone})`}
+                      </div>
+                    )}
+                    {enrollment.reminderSettings.daysOfWeek && enrollment.reminderSettings.daysOfWeek.length < 7 && (
+                      <div className="text-sm text-gray-600">
+                        Days: {enrollment.reminderSettings.daysOfWeek
+                          .map(day => ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'][day])
+                          .join(', ')}
+                      </div>
+                    )}
+                    {enrollment.reminderSettings.quietHours && (
+                      <div className="text-sm text-gray-600">
+                        Quiet hours: {enrollment.reminderSettings.quietHours.start}–{enrollment.reminderSettings.quietHours.end}
                       </div>
                     )}
                     {enrollment.reminderSettings.methods && enrollment.reminderSettings.methods.length > 0 && (
@@ -334,7 +351,11 @@ export default function EnrollmentDetails() {
                       </div>
                       <div className="text-right">
                         <div className="text-sm font-medium text-gray-900">
-                          {medSummary.adherenceStats.adherenceRate}% adherence
+                          {medSummary.adherenceStats.adherenceRate !== null
+                            ? `${medSummary.adherenceStats.adherenceRate}% adherence`
+                            : !medSummary.schedule
+                              ? 'Frequency not recognised'
+                              : medSummary.schedule.prn ? 'As needed' : 'No doses due yet'}
                         </div>
                         <div className="text-xs text-gray-500">Last 7 days</div>
                         {medSummary.adherenceStats.lastTaken && (
@@ -347,7 +368,7 @@ export default function EnrollmentDetails() {
                   </div>
                 ))}
                 
-                {medicationSummary.overallAdherence !== undefined && (
+                {medicationSummary.overallAdherence !== undefined && medicationSummary.overallAdherence !== null && (
                   <div className="mt-4 p-3 bg-gray-50 rounded-md">
                     <div className="text-sm font-medium text-gray-900">
                       Overall Adherence: {medicationSummary.overallAdherence}%
@@ -362,10 +383,19 @@ export default function EnrollmentDetails() {
               </div>
             )}
           </div>
+
+          {/* Messages */}
+          <MessageThread enrollmentId={id} />
+
+          {/* Patient links */}
+          <PatientAccessLinks enrollmentId={id} />
         </div>
 
         {/* Sidebar */}
         <div className="space-y-6">
+          {/* Time Tracking */}
+          <TimeTracker enrollmentId={id} clinicianId={enrollment.clinicianId} />
+
           {/* Recent Alerts */}
           <div className="bg-white shadow rounded-lg p-6">
             <h3 className="text-lg font-medium text-gray-900 mb-4">Recent Alerts</h3>
@@ -440,6 +470,7 @@ export default function EnrollmentDetails() {
         title="Add Medication"
       >
         <AddMedicationForm
+          patientId={enrollment.patientId}
           drugs={drugs}
           onSubmit={handleAddMedication}
           isLoading={addMedicationMutation.isPending}
@@ -464,7 +495,7 @@ export default function EnrollmentDetails() {
 }
 
 // Add Medication Form Component
-function AddMedicationForm({ drugs, onSubmit, isLoading }) {
+function AddMedicationForm({ patientId, drugs, onSubmit, isLoading }) {
   const [formData, setFormData] = useState({
     drugId: '',
     dosage: '',
@@ -472,7 +503,8 @@ function AddMedicationForm({ drugs, onSubmit, isLoading }) {
     route: 'oral',
     instructions: '',
     startDate: new Date().toISOString().split('T')[0],
-    isPRN: false
+    isPRN: false,
+    overrideReason: ''
   })
 
   const handleSubmit = (e) => {
@@ -594,6 +626,13 @@ function AddMedicationForm({ drugs, onSubmit, isLoading }) {
         </label>
       </div>
 
+      <MedicationSafetyWarnings
+        patientId={patientId}
+        drugId={formData.drugId}
+        overrideReason={formData.overrideReason}
+        onOverrideReasonChange={(overrideReason) => setFormData(prev => ({ ...prev, overrideReason }))}
+      />
+
       <div className="flex justify-end space-x-3">
         <button
           type="submit"
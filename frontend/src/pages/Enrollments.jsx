@@ -79,7 +79,8 @@ export default function Enrollments() {
         diagnosisCode: formData.diagnosisCode,
         startDate: formData.startDate,
         endDate: formData.endDate,
-        notes: formData.notes
+        notes: formData.notes,
+        reminderSettings: formData.reminderSettings
       })
 
       // If medications were added, create them
@@ -105,7 +106,7 @@ export default function Enrollments() {
       toast.success('Enrollment created successfully')
     },
     onError: (error) => {
-      toast.error(error.response?.data?.message || 'Failed to create enrollment')
+      toast.error(error.response?.data?.error || error.response?.data?.message || 'Failed to create enrollment')
     },
   })
 
@@ -0,0 +1,304 @@
+import React, { useEffect, useState } from 'react'
+import { useMutation, useQuery, useQueryClient } from '@tanstack/react-query'
+import { useParams, useSearchParams } from 'react-router-dom'
+import { BeakerIcon, CheckCircleIcon, ExclamationTriangleIcon } from '@heroicons/react/24/outline'
+import { patientApi, getPatientSession, clearPatientSession } from '../services/api'
+import { Screen, Notice, MessagesLink, openPatientSession } from '../components/PatientScreen'
+
+const SKIP_REASONS = ['Forgot', 'Side effects', 'Felt better', 'Ran out', 'Other']
+
+const STATUS_STYLES = {
+  taken: 'bg-green-100 text-green-800',
+  skipped: 'bg-gray-100 text-gray-700',
+  missed: 'bg-red-100 text-red-800',
+  due: 'bg-yellow-100 text-yellow-800',
+  upcoming: 'bg-blue-100 text-blue-800'
+}
+
+const STATUS_LABELS = {
+  taken: 'Taken',
+  skipped: 'Skipped',
+  missed: 'Missed',
+  due: 'Due now',
+  upcoming: 'Later today'
+}
+
+const formatTime = (value, timeZone) =>
+  new Date(value).toLocaleTimeString([], { hour: 'numeric', minute: '2-digit', timeZone })
+
+const linkErrorMessage = (error) => {
+  switch (error.response?.status) {
+    case 401:
+    case 403:
+      return error.response.data?.reason === 'used'
+        ? 'This link has already been used. Please use the link from your most recent reminder.'
+        : 'This link has expired or is not valid. Please use the link from your most recent reminder.'
+    case 404:
+    case 410:
+      return 'There are no medications to check in for this link. Please contact your care team if you think this is a mistake.'
+    default:
+      return 'We could not load your medications. Please try again in a few minutes.'
+  }
+}
+
+// Skip form for one dose: a reason is required, side effects are optional
+function SkipForm({ onSubmit, onCancel, isPending }) {
+  const [skipReason, setSkipReason] = useState(SKIP_REASONS[0])
+  const [sideEffects, setSideEffects] = useState('')
+
+  const handleSubmit = (e) => {
+    e.preventDefault()
+    onSubmit({
+      status: 'skipped',
+      skipReason,
+      sideEffects: sideEffects.split(',').map((effect) => effect.trim()).filter(Boolean)
+    })
+  }
+
+  return (
+    <form onSubmit={handleSubmit} className="mt-3 space-y-3 rounded-xl bg-gray-50 p-3">
+      <div>
+        <label htmlFor="skip-reason" className="block text-sm font-medium text-gray-900">Why did you skip this dose?</label>
+        <select
+          id="skip-reason"
+          value={skipReason}
+          onChange={(e) => setSkipReason(e.target.value)}
+          className="mt-1 w-full px-3 py-2 border border-gray-200 rounded-lg"
+        >
+          {SKIP_REASONS.map((reason) => <option key={reason} value={reason}>{reason}</option>)}
+        </select>
+      </div>
+      <div>
+        <label htmlFor="skip-side-effects" className="block text-sm font-medium text-gray-900">Side effects (optional)</label>
+        <input
+          id="skip-side-effects"
+          type="text"
+          value={sideEffects}
+          onChange={(e) => setSideEffects(e.target.value)}
+          placeholder="e.g. nausea, dizziness"
+          className="mt-1 w-full px-3 py-2 border border-gray-200 rounded-lg"
+        />
+      </div>
+      <div className="flex justify-end gap-2">
+        <button type="button" onClick={onCancel} className="px-3 py-2 text-sm text-gray-700">Cancel</button>
+        <button
+          type="submit"
+          disabled={isPending}
+          className="px-3 py-2 text-sm font-medium rounded-lg bg-gray-700 text-white disabled:opacity-50"
+        >
+          Skip dose
+        </button>
+      </div>
+    </form>
+  )
+}
+
+// How much of an as-needed medication was taken in the last 24 hours, against its daily maximum
+function PrnUsage({ usage }) {
+  if (!usage || usage.maxDailyDose === null) return null
+
+  return (
+    <p className={`mt-2 text-sm ${usage.exceeded ? 'font-medium text-red-700' : 'text-gray-600'}`}>
+      Last 24 hours: {usage.total} of {usage.maxDailyDose} {usage.unit} maximum
+    </p>
+  )
+}
+
+function DoseRow({ dose, timeZone, onRecord, isPending }) {
+  const [skipping, setSkipping] = useState(false)
+  const open = dose.status !== 'taken' && dose.status !== 'skipped'
+
+  return (
+    <li className="py-3">
+      <div className="flex items-center justify-between gap-3">
+        <div className="flex items-center gap-3">
+          <span className="text-sm font-medium text-gray-900">{formatTime(dose.scheduledDate, timeZone)}</span>
+          <span className={`px-2 py-0.5 rounded-full text-xs font-medium ${STATUS_STYLES[dose.status]}`}>
+            {STATUS_LABELS[dose.status]}
+          </span>
+          {dose.status === 'skipped' && dose.skipReason && (
+            <span className="text-xs text-gray-500">{dose.skipReason}</span>
+          )}
+        </div>
+        {open && !skipping && (
+          <div className="flex gap-2">
+            <button
+              type="button"
+              disabled={isPending}
+              onClick={() => onRecord({ status: 'taken', adherenceId: dose.id })}
+              aria-label={`Took the ${formatTime(dose.scheduledDate, timeZone)} dose`}
+              className="px-3 py-2 text-sm font-medium rounded-lg bg-green-600 text-white hover:bg-green-700 disabled:opacity-50"
+            >
+              Taken
+            </button>
+            <button
+              type="button"
+              onClick={() => setSkipping(true)}
+              aria-label={`Skip the ${formatTime(dose.scheduledDate, timeZone)} dose`}
+              className="px-3 py-2 text-sm font-medium rounded-lg border border-gray-300 text-gray-700"
+            >
+              Skip
+            </button>
+          </div>
+        )}
+      </div>
+      {skipping && (
+        <SkipForm
+          isPending={isPending}
+          onCancel={() => setSkipping(false)}
+          onSubmit={(data) => onRecord({ ...data, adherenceId: dose.id })}
+        />
+      )}
+    </li>
+  )
+}
+
+// Patient-facing medication check-in, opened from /assessments/:enrollmentId/medications?token=...
+// Lists today's scheduled doses of each active medication so the patient can mark them taken
+// or skipped; as-needed medications get a button to record a dose when one is taken.
+export default function MedicationCheckIn() {
+  const { enrollmentId } = useParams()
+  const [searchParams, setSearchParams] = useSearchParams()
+  const linkToken = searchParams.get('token')
+  const [canOpen] = useState(() => Boolean(linkToken || getPatientSession(enrollmentId)))
+  const [recordError, setRecordError] = useState(null)
+  const [doseWarnings, setDoseWarnings] = useState([])
+  const queryClient = useQueryClient()
+
+  const { data: response, isPending, error } = useQuery({
+    queryKey: ['medication-check-in', enrollmentId],
+    queryFn: async () => {
+      const accessToken = await openPatientSession(enrollmentId, linkToken)
+      try {
+        return await patientApi.getTodaysMedications(enrollmentId, accessToken)
+      } catch (err) {
+        if (err.response?.status === 401) clearPatientSession(enrollmentId)
+        throw err
+      }
+    },
+    enabled: canOpen,
+    retry: false,
+    refetchOnWindowFocus: false
+  })
+
+  // The link is single-use: once redeemed, keep it out of the address bar and history
+  useEffect(() => {
+    if (response && linkToken) setSearchParams({}, { replace: true })
+  }, [response, linkToken, setSearchParams])
+
+  const recordMutation = useMutation({
+    mutationFn: ({ patientMedicationId, data }) =>
+      patientApi.recordDose(enrollmentId, getPatientSession(enrollmentId), patientMedicationId, data),
+    onSuccess: (result) => {
+      setRecordError(null)
+      setDoseWarnings(result?.warnings || [])
+      queryClient.invalidateQueries({ queryKey: ['medication-check-in', enrollmentId] })
+    },
+    onError: (err) => {
+      const status = err.response?.status
+      if (status === 409) {
+        setRecordError('That dose has already been recorded.')
+        queryClient.invalidateQueries({ queryKey: ['medication-check-in', enrollmentId] })
+        return
+      }
+      setRecordError(status === 400
+        ? 'That dose could not be saved. Please check it and try again.'
+        : err.response ? linkErrorMessage(err) : 'We could not save your dose. Please try again.')
+    }
+  })
+
+  if (!canOpen) {
+    return <Notice title="Link incomplete">This link is missing its access code. Please open the link from your reminder again.</Notice>
+  }
+  if (isPending) {
+    return <Notice title="Loading your medications...">One moment please.</Notice>
+  }
+  if (error) {
+    return <Notice title="Unable to open medications">{linkErrorMessage(error)}</Notice>
+  }
+
+  const { patient, timeZone, medications } = response.data
+
+  if (medications.length === 0) {
+    return <Notice title="No medications">You have no medications to check in today.</Notice>
+  }
+
+  const record = (patientMedicationId, data) => recordMutation.mutate({ patientMedicationId, data })
+  const allDone = medications.every((medication) =>
+    medication.doses.every((dose) => dose.status === 'taken' || dose.status === 'skipped'))
+
+  return (
+    <Screen>
+      <div className="flex items-center gap-3 mb-6">
+        <div className="flex h-10 w-10 items-center justify-center rounded-full bg-gradient-to-r from-green-600 to-blue-600">
+          <BeakerIcon className="h-5 w-5 text-white" />
+        </div>
+        <div>
+          <h1 className="text-xl font-bold text-gray-900">Today's medications</h1>
+          <p className="text-sm text-gray-600">{patient.firstName ? `Hi ${patient.firstName}, ` : ''}let us know which doses you have taken.</p>
+        </div>
+      </div>
+
+      {allDone && (
+        <div className="mb-6 flex items-center gap-2 rounded-xl bg-green-50 border border-green-200 px-4 py-3 text-sm text-green-800">
+          <CheckCircleIcon className="h-5 w-5" />
+          All of today's doses are checked in. Thank you!
+        </div>
+      )}
+
+      <div className="space-y-6">
+        {medications.map((medication) => (
+          <section key={medication.id} className="bg-white shadow rounded-2xl p-6">
+            <h2 className="text-lg font-semibold text-gray-900">{medication.name} {medication.dosage}</h2>
+            <p className="text-sm text-gray-600">{medication.frequency}</p>
+            {medication.instructions && <p className="text-sm text-gray-600 mt-1">{medication.instructions}</p>}
+            {medication.isPRN && <PrnUsage usage={medication.prnUsage} />}
+
+            {medication.doses.length > 0 && (
+              <ul className="mt-3 divide-y divide-gray-100">
+                {medication.doses.map((dose) => (
+                  <DoseRow
+                    key={dose.id}
+                    dose={dose}
+                    timeZone={timeZone}
+                    isPending={recordMutation.isPending}
+                    onRecord={(data) => record(medication.id, data)}
+                  />
+                ))}
+              </ul>
+            )}
+
+            {medication.isPRN && (
+              <button
+                type="button"
+                disabled={recordMutation.isPending}
+                onClick={() => record(medication.id, { status: 'taken' })}
+                className="mt-3 w-full px-4 py-3 text-sm font-medium rounded-xl border border-green-600 text-green-700 hover:bg-green-50 disabled:opacity-50"
+              >
+                I took a dose now
+              </button>
+            )}
+          </section>
+        ))}
+      </div>
+
+      {doseWarnings.length > 0 && (
+        <div role="alert" className="mt-6 rounded-xl bg-amber-50 border border-amber-200 px-4 py-3 text-sm text-amber-800">
+          <div className="flex items-center gap-2 font-medium">
+            <ExclamationTriangleIcon className="h-5 w-5" />
+            You have taken more than your maximum daily dose
+          </div>
+          {doseWarnings.map((warning) => <p key={warning.type} className="mt-1">{warning.message}</p>)}
+          <p className="mt-1">Please do not take any more and contact your care team.</p>
+        </div>
+      )}
+
+      {recordError && (
+        <div role="alert" className="mt-6 rounded-xl bg-red-50 border border-red-200 px-4 py-3 text-sm text-red-700">
+          {recordError}
+        </div>
+      )}
+      <MessagesLink enrollmentId={enrollmentId} />
+    </Screen>
+  )
+}
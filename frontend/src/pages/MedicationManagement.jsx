@@ -44,6 +44,7 @@ export default function MedicationManagement() {
     },
     onSuccess: () => {
       queryClient.invalidateQueries(['patients-with-medications'])
+      queryClient.invalidateQueries({ queryKey: ['patient-medications'] })
       toast.success('Medication added successfully')
       setShowAddModal(false)
     },
@@ -53,18 +54,15 @@ export default function MedicationManagement() {
   })
 
   const recordAdherenceMutation = useMutation({
-    mutationFn: async ({ patientMedicationId, adherenceData }) => {
-      const response = await api.post('/medication-observations', {
-        patientMedicationId,
-        metricKey: 'medication_adherence',
-        value: adherenceData.status,
-        context: adherenceData
-      })
-      return response.data
-    },
-    onSuccess: () => {
+    mutationFn: ({ patientMedicationId, adherenceData }) =>
+      api.recordMedicationDose(patientMedicationId, adherenceData),
+    onSuccess: (response) => {
       queryClient.invalidateQueries(['patients-with-medications'])
-      toast.success('Adherence recorded successfully')
+      toast.success('Dose recorded successfully')
+      response?.warnings?.forEach((warning) => toast.warning(warning.message, { autoClose: false }))
+    },
+    onError: (error) => {
+      toast.error(error.response?.data?.error || error.response?.data?.errors?.[0] || 'Failed to record dose')
     }
   })
 
@@ -127,7 +125,39 @@ export default function MedicationManagement() {
   )
 }
 
+// Daily morphine milligram equivalents of the patient's active opioid prescriptions, coloured
+// by the highest threshold reached
+function OpioidLoad({ patientId }) {
+  const { data: response } = useQuery({
+    queryKey: ['patient-medications', patientId, 'active'],
+    queryFn: () => api.getPatientMedicationsForPatient(patientId, { isActive: true })
+  })
+
+  const mme = response?.mme
+  if (!mme || mme.medications.length === 0) return null
+
+  const [lower, upper] = mme.thresholds
+  const style = upper !== undefined && mme.totalDailyMme >= upper
+    ? 'bg-red-50 text-red-800 border-red-200'
+    : lower !== undefined && mme.totalDailyMme >= lower
+      ? 'bg-yellow-50 text-yellow-800 border-yellow-200'
+      : 'bg-gray-50 text-gray-700 border-gray-200'
+
+  return (
+    <div className={`mb-4 flex items-center justify-between rounded-md border px-3 py-2 text-sm ${style}`}>
+      <span className="font-medium">Opioid load: {mme.totalDailyMme} MME/day</span>
+      {mme.incomplete && (
+        <span className="text-xs" title={mme.medications.filter(m => m.reason).map(m => `${m.drugName}: ${m.reason}`).join('\n')}>
+          Some opioids could not be converted
+        </span>
+      )}
+    </div>
+  )
+}
+
 function PatientMedicationCard({ patient, onRecordAdherence }) {
+  const hasActive = patient.patientMedications?.some(m => m.isActive)
+
   return (
     <div className="bg-white overflow-hidden shadow rounded-lg">
       <div className="px-4 py-5 sm:p-6">
@@ -140,6 +170,8 @@ function PatientMedicationCard({ patient, onRecordAdherence }) {
           </span>
         </div>
 
+        {hasActive && <OpioidLoad patientId={patient.id} />}
+
         <div className="space-y-3">
           {patient.patientMedications?.filter(m => m.isActive).map((medication) => (
             <MedicationItem 
@@ -347,14 +379,25 @@ function AddMedicationForm({ patients, drugs, onSubmit, isLoading }) {
 
 function AdherenceForm({ medication, onSubmit }) {
   const [adherenceData, setAdherenceData] = useState({
-    status: 'Taken as prescribed',
+    status: 'taken',
     takenAt: new Date().toISOString().slice(0, 16),
+    dosageTaken: medication.dosage,
+    skipReason: '',
+    sideEffects: '',
     notes: ''
   })
 
+  // The dose fills the scheduled dose closest to the time it was taken
   const handleSubmit = (e) => {
     e.preventDefault()
-    onSubmit(adherenceData)
+    const { status, takenAt, dosageTaken, skipReason, sideEffects, notes } = adherenceData
+    onSubmit({
+      status,
+      takenAt: new Date(takenAt).toISOString(),
+      ...(status === 'taken' ? { dosageTaken } : { skipReason }),
+      sideEffects: sideEffects.split(',').map((effect) => effect.trim()).filter(Boolean),
+      notes
+    })
   }
 
   return (
@@ -373,16 +416,15 @@ function AdherenceForm({ medication, onSubmit }) {
           onChange={(e) => setAdherenceData({ ...adherenceData, status: e.target.value })}
           className="mt-1 block w-full rounded-md border-gray-300 shadow-sm focus:border-indigo-500 focus:ring-indigo-500"
         >
-          <option value="Taken as prescribed">Taken as prescribed</option>
-          <option value="Missed dose">Missed dose</option>
-          <option value="Partial dose">Partial dose</option>
-          <option value="Wrong time">Wrong time</option>
-          <option value="Skipped intentionally">Skipped intentionally</option>
+          <option value="taken">Taken</option>
+          <option value="skipped">Skipped</option>
         </select>
       </div>
 
       <div>
-        <label className="block text-sm font-medium text-gray-700">Time Taken</label>
+        <label className="block text-sm font-medium text-gray-700">
+          {adherenceData.status === 'taken' ? 'Time Taken' : 'Dose Time'}
+        </label>
         <input
           type="datetime-local"
           value={adherenceData.takenAt}
@@ -391,6 +433,41 @@ function AdherenceForm({ medication, onSubmit }) {
         />
       </div>
 
+      {adherenceData.status === 'taken' ? (
+        <div>
+          <label className="block text-sm font-medium text-gray-700">Dosage Taken</label>
+          <input
+            type="text"
+            value={adherenceData.dosageTaken}
+            onChange={(e) => setAdherenceData({ ...adherenceData, dosageTaken: e.target.value })}
+            className="mt-1 block w-full rounded-md border-gray-300 shadow-sm focus:border-indigo-500 focus:ring-indigo-500"
+          />
+        </div>
+      ) : (
+        <div>
+          <label className="block text-sm font-medium text-gray-700">Reason Skipped</label>
+          <input
+            type="text"
+            required
+            value={adherenceData.skipReason}
+            onChange={(e) => setAdherenceData({ ...adherenceData, skipReason: e.target.value })}
+            className="mt-1 block w-full rounded-md border-gray-300 shadow-sm focus:border-indigo-500 focus:ring-indigo-500"
+            placeholder="e.g. Side effects, ran out"
+          />
+        </div>
+      )}
+
+      <div>
+        <label className="block text-sm font-medium text-gray-700">Side Effects</label>
+        <input
+          type="text"
+          value={adherenceData.sideEffects}
+          onChange={(e) => setAdherenceData({ ...adherenceData, sideEffects: e.target.value })}
+          className="mt-1 block w-full rounded-md border-gray-300 shadow-sm focus:border-indigo-500 focus:ring-indigo-500"
+          placeholder="Comma separated, e.g. nausea, dizziness"
+        />
+      </div>
+
       <div>
         <label className="block text-sm font-medium text-gray-700">Notes</label>
         <textarea
@@ -407,7 +484,7 @@ function AdherenceForm({ medication, onSubmit }) {
           type="submit"
           className="inline-flex justify-center py-2 px-4 border border-transparent shadow-sm text-sm font-medium rounded-md text-white bg-indigo-600 hover:bg-indigo-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-indigo-500"
         >
-          Record Adherence
+          Record Dose
         </button>
       </div>
     </form>
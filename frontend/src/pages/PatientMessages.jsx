@@ -0,0 +1,155 @@
+import React, { useEffect, useState } from 'react'
+import { useMutation, useQuery, useQueryClient } from '@tanstack/react-query'
+import { useParams, useSearchParams } from 'react-router-dom'
+import { ChatBubbleLeftRightIcon, CheckIcon, PaperAirplaneIcon } from '@heroicons/react/24/outline'
+import { patientApi, getPatientSession, clearPatientSession } from '../services/api'
+import { Screen, Notice, openPatientSession } from '../components/PatientScreen'
+
+const formatTime = (date) =>
+  new Date(date).toLocaleString([], { month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit' })
+
+const linkErrorMessage = (error) => {
+  switch (error.response?.status) {
+    case 401:
+    case 403:
+      return 'Your session has expired. Please open the link from your most recent reminder again.'
+    case 404:
+    case 410:
+      return 'Messaging is not available for this link. Please contact your care team if you think this is a mistake.'
+    default:
+      return 'We could not load your messages. Please try again in a few minutes.'
+  }
+}
+
+// Patient side of the care team conversation, opened from /assessments/:enrollmentId/messages
+// with a link token or the session of another patient page. Opening it marks the care team's
+// messages read; the patient's own messages show when the care team has read them.
+export default function PatientMessages() {
+  const { enrollmentId } = useParams()
+  const [searchParams, setSearchParams] = useSearchParams()
+  const linkToken = searchParams.get('token')
+  const [canOpen] = useState(() => Boolean(linkToken || getPatientSession(enrollmentId)))
+  const [body, setBody] = useState('')
+  const [sendError, setSendError] = useState(null)
+  const queryClient = useQueryClient()
+
+  const { data: response, isPending, error } = useQuery({
+    queryKey: ['patient-messages', enrollmentId],
+    queryFn: async () => {
+      const accessToken = await openPatientSession(enrollmentId, linkToken)
+      try {
+        return await patientApi.getMessages(enrollmentId, accessToken)
+      } catch (err) {
+        if (err.response?.status === 401) clearPatientSession(enrollmentId)
+        throw err
+      }
+    },
+    enabled: canOpen,
+    retry: false,
+    refetchOnWindowFocus: false
+  })
+
+  // The link is single-use: once redeemed, keep it out of the address bar and history
+  useEffect(() => {
+    if (response && linkToken) setSearchParams({}, { replace: true })
+  }, [response, linkToken, setSearchParams])
+
+  const sendMutation = useMutation({
+    mutationFn: (text) => patientApi.sendMessage(enrollmentId, getPatientSession(enrollmentId), text),
+    onSuccess: () => {
+      setBody('')
+      setSendError(null)
+      queryClient.invalidateQueries({ queryKey: ['patient-messages', enrollmentId] })
+    },
+    onError: (err) => {
+      setSendError(err.response?.status === 400
+        ? 'Your message could not be sent. Please check it and try again.'
+        : err.response ? linkErrorMessage(err) : 'We could not send your message. Please try again.')
+    }
+  })
+
+  if (!canOpen) {
+    return <Notice title="Link incomplete">This link is missing its access code. Please open the link from your reminder again.</Notice>
+  }
+  if (isPending) {
+    return <Notice title="Loading your messages...">One moment please.</Notice>
+  }
+  if (error) {
+    return <Notice title="Unable to open messages">{linkErrorMessage(error)}</Notice>
+  }
+
+  const messages = response.data
+
+  const handleSubmit = (e) => {
+    e.preventDefault()
+    if (!body.trim()) return
+    sendMutation.mutate(body)
+  }
+
+  return (
+    <Screen>
+      <div className="flex items-center gap-3 mb-6">
+        <div className="flex h-10 w-10 items-center justify-center rounded-full bg-gradient-to-r from-green-600 to-blue-600">
+          <ChatBubbleLeftRightIcon className="h-5 w-5 text-white" />
+        </div>
+        <div>
+          <h1 className="text-xl font-bold text-gray-900">Messages</h1>
+          <p className="text-sm text-gray-600">Your conversation with your care team.</p>
+        </div>
+      </div>
+
+      <section className="bg-white shadow rounded-2xl p-6">
+        {messages.length > 0 ? (
+          <ul className="space-y-3 mb-4">
+            {messages.map((message) => {
+              const fromPatient = message.senderType === 'patient'
+              return (
+                <li key={message.id} className={`flex ${fromPatient ? 'justify-end' : 'justify-start'}`}>
+                  <div className={`max-w-sm rounded-xl px-4 py-2 ${fromPatient ? 'bg-blue-600 text-white' : 'bg-gray-100 text-gray-900'}`}>
+                    <p className="text-sm whitespace-pre-wrap">{message.body}</p>
+                    <p className={`mt-1 text-xs flex items-center ${fromPatient ? 'text-blue-100' : 'text-gray-500'}`}>
+                      {formatTime(message.createdAt)}
+                      {fromPatient && message.readAt && (
+                        <span className="ml-2 inline-flex items-center">
+                          <CheckIcon className="h-3 w-3 mr-0.5" />
+                          Read
+                        </span>
+                      )}
+                    </p>
+                  </div>
+                </li>
+              )
+            })}
+          </ul>
+        ) : (
+          <p className="text-sm text-gray-500 mb-4">No messages yet. Send your care team a message below.</p>
+        )}
+
+        <form onSubmit={handleSubmit} className="space-y-3">
+          <label htmlFor="patient-message-body" className="block text-sm font-medium text-gray-900">Your message</label>
+          <textarea
+            id="patient-message-body"
+            rows={3}
+            value={body}
+            onChange={(e) => setBody(e.target.value)}
+            className="w-full px-3 py-2 border border-gray-200 rounded-lg"
+          />
+          <button
+            type="submit"
+            disabled={!body.trim() || sendMutation.isPending}
+            className="w-full inline-flex items-center justify-center gap-2 px-4 py-3 text-sm font-medium rounded-xl bg-blue-600 text-white hover:bg-blue-700 disabled:opacity-50"
+          >
+            <PaperAirplaneIcon className="h-4 w-4" />
+            {sendMutation.isPending ? 'Sending...' : 'Send'}
+          </button>
+        </form>
+      </section>
+
+      {sendError && (
+        <div role="alert" className="mt-6 rounded-xl bg-red-50 border border-red-200 px-4 py-3 text-sm text-red-700">
+          {sendError}
+        </div>
+      )}
+    </Screen>
+  )
+}
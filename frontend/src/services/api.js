@@ -22,21 +22,162 @@ apiClient.interceptors.request.use(
   }
 )
 
+// Session storage
+export const getStoredUser = () => {
+  try {
+    return JSON.parse(localStorage.getItem('authUser'))
+  } catch {
+    return null
+  }
+}
+
+export const saveSession = ({ token, refreshToken, user }) => {
+  localStorage.setItem('authToken', token)
+  localStorage.setItem('refreshToken', refreshToken)
+  if (user) {
+    localStorage.setItem('authUser', JSON.stringify(user))
+  }
+}
+
+export const clearSession = () => {
+  localStorage.removeItem('authToken')
+  localStorage.removeItem('refreshToken')
+  localStorage.removeItem('authUser')
+}
+
+// Concurrent 401s share a single refresh request
+let refreshRequest = null
+
+const refreshSession = () => {
+  if (!refreshRequest) {
+    const refreshToken = localStorage.getItem('refreshToken')
+    refreshRequest = (refreshToken
+      ? axios.post('/api/auth/refresh', { refreshToken }).then(({ data }) => saveSession(data.data))
+      : Promise.reject(new Error('No refresh token'))
+    ).finally(() => {
+      refreshRequest = null
+    })
+  }
+  return refreshRequest
+}
+
+// Server-sent dashboard events (see GET /api/events). EventSource cannot send headers, so the
+// access token goes in the query string. The browser reconnects dropped streams by itself but
+// gives up when the token is rejected; then the session is refreshed and a new stream opened.
+const EVENT_TYPES = ['alert.created', 'alert.updated', 'observation.created']
+const EVENT_RECONNECT_MS = 5000
+
+export const subscribeToEvents = (onEvent) => {
+  if (typeof EventSource === 'undefined') return () => {}
+
+  let source = null
+  let reconnectTimer = null
+  let closed = false
+
+  const connect = () => {
+    const token = localStorage.getItem('authToken')
+    if (closed || !token) return
+
+    source = new EventSource(`/api/events?access_token=${encodeURIComponent(token)}`)
+    EVENT_TYPES.forEach((type) => {
+      source.addEventListener(type, (event) => {
+        try {
+          onEvent(type, JSON.parse(event.data))
+        } catch (error) {
+          console.error(`Error handling ${type} event:`, error)
+        }
+      })
+    })
+    source.onerror = () => {
+      if (source.readyState !== EventSource.CLOSED) return
+      reconnectTimer = setTimeout(() => {
+        refreshSession().then(connect, () => {})
+      }, EVENT_RECONNECT_MS)
+    }
+  }
+
+  connect()
+
+  return () => {
+    closed = true
+    clearTimeout(reconnectTimer)
+    source?.close()
+  }
+}
+
 // Response interceptor
 apiClient.interceptors.response.use(
   (response) => response.data,
-  (error) => {
-    if (error.response?.status === 401) {
+  async (error) => {
+    const { config, response } = error
+    const isTokenRequest = ['/auth/login', '/auth/refresh', '/auth/logout'].includes(config?.url)
+
+    if (response?.status === 401 && !isTokenRequest) {
+      // Access tokens are short-lived: try one refresh and replay the request
+      if (!config._retried) {
+        try {
+          await refreshSession()
+          return apiClient({ ...config, _retried: true })
+        } catch {
+          // Fall through to sign-out
+        }
+      }
+
       // Handle unauthorized access
-      localStorage.removeItem('authToken')
+      clearSession()
       window.location.href = '/login'
     }
     return Promise.reject(error)
   }
 )
 
+// Patient pages opened from one-time links. Patients have no staff session: the link's token is
+// redeemed once for a patient session token, kept per enrollment for the browser tab, and a
+// rejected token must not redirect to the login page.
+const patientClient = axios.create({
+  baseURL: '/api/patient-access',
+  headers: {
+    'Content-Type': 'application/json',
+  },
+})
+
+patientClient.interceptors.response.use((response) => response.data)
+
+const patientSessionKey = (enrollmentId) => `patientSession:${enrollmentId}`
+
+export const getPatientSession = (enrollmentId) => sessionStorage.getItem(patientSessionKey(enrollmentId))
+
+export const savePatientSession = (enrollmentId, accessToken) =>
+  sessionStorage.setItem(patientSessionKey(enrollmentId), accessToken)
+
+export const clearPatientSession = (enrollmentId) => sessionStorage.removeItem(patientSessionKey(enrollmentId))
+
+const withSession = (accessToken) => ({ headers: { Authorization: `Bearer ${accessToken}` } })
+
+export const patientApi = {
+  startSession: (enrollmentId, token) => patientClient.post(`/enrollments/${enrollmentId}/session`, { token }),
+  getDailyAssessment: (enrollmentId, accessToken) =>
+    patientClient.get(`/enrollments/${enrollmentId}/daily-assessment`, withSession(accessToken)),
+  submitDailyAssessment: (enrollmentId, accessToken, data) =>
+    patientClient.post(`/enrollments/${enrollmentId}/daily-assessment`, data, withSession(accessToken)),
+  getTodaysMedications: (enrollmentId, accessToken) =>
+    patientClient.get(`/enrollments/${enrollmentId}/medications`, withSession(accessToken)),
+  recordDose: (enrollmentId, accessToken, patientMedicationId, data) =>
+    patientClient.post(`/enrollments/${enrollmentId}/medications/${patientMedicationId}/doses`, data, withSession(accessToken)),
+  getMessages: (enrollmentId, accessToken) =>
+    patientClient.get(`/enrollments/${enrollmentId}/messages`, withSession(accessToken)),
+  sendMessage: (enrollmentId, accessToken, body) =>
+    patientClient.post(`/enrollments/${enrollmentId}/messages`, { body }, withSession(accessToken)),
+}
+
 // Unified API object
 export const api = {
+  // Auth
+  login: (credentials) => apiClient.post('/auth/login', credentials),
+  logout: (refreshToken) => apiClient.post('/auth/logout', { refreshToken }),
+  getCurrentUser: () => apiClient.get('/auth/me'),
+  createUser: (data) => apiClient.post('/auth/users', data),
+
   // Patients
   getPatients: (params) => apiClient.get('/patients', { params }),
   getRecentPatients: (params) => apiClient.get('/patients/recent', { params }),
@@ -80,6 +221,70 @@ export const api = {
   getTemplateCategories: () => apiClient.get('/assessment-templates-v2/categories'),
   getAssessmentTemplate: (id) => apiClient.get(`/assessment-templates-v2/${id}`),
 
+  // Enrollments
+  getEnrollments: (params) => apiClient.get('/enrollments', { params }),
+
+  // Alerts
+  getAlerts: (params) => apiClient.get('/alerts', { params }),
+  getAlert: (id) => apiClient.get(`/alerts/${id}`),
+  getRecentAlerts: (params) => apiClient.get('/alerts/recent', { params }),
+  getAlertsStats: (params) => apiClient.get('/alerts/stats', { params }),
+  updateAlert: (id, data) => apiClient.put(`/alerts/${id}`, data),
+  acknowledgeAlert: (id, data) => apiClient.post(`/alerts/${id}/ack`, data),
+  assignAlert: (id, data) => apiClient.post(`/alerts/${id}/assign`, data),
+  escalateAlert: (id, data) => apiClient.post(`/alerts/${id}/escalate`, data),
+  resolveAlert: (id, data) => apiClient.post(`/alerts/${id}/resolve`, data),
+
+  // Time Logs
+  getTimeLogs: (params) => apiClient.get('/time-logs', { params }),
+  createTimeLog: (data) => apiClient.post('/time-logs', data),
+  updateTimeLog: (id, data) => apiClient.put(`/time-logs/${id}`, data),
+  deleteTimeLog: (id) => apiClient.delete(`/time-logs/${id}`),
+  startTimer: (data) => apiClient.post('/time-logs/timer/start', data),
+  stopTimer: (id, data) => apiClient.post(`/time-logs/${id}/stop`, data),
+
+  // Assessment responses
+  getAssessmentResponses: (enrollmentId, params) => apiClient.get(`/enrollments/${enrollmentId}/assessments`, { params }),
+  getAssessmentResponse: (enrollmentId, responseId) => apiClient.get(`/enrollments/${enrollmentId}/assessments/${responseId}`),
+  submitAssessmentResponse: (enrollmentId, data) => apiClient.post(`/enrollments/${enrollmentId}/assessments`, data),
+
+  // Patient access links
+  getEnrollmentAccessLinks: (enrollmentId) => apiClient.get(`/enrollments/${enrollmentId}/access-links`),
+  createEnrollmentAccessLink: (enrollmentId, data) => apiClient.post(`/enrollments/${enrollmentId}/access-links`, data),
+  revokeEnrollmentAccessLink: (enrollmentId, linkId) => apiClient.post(`/enrollments/${enrollmentId}/access-links/${linkId}/revoke`),
+
+  // Medications
+  getDrugs: (params) => apiClient.get('/drugs', { params }),
+  getPatientMedicationsForPatient: (patientId, params) => apiClient.get(`/patient-medications/patient/${patientId}`, { params }),
+  getEnrollmentMedicationSummary: (enrollmentId) => apiClient.get(`/enrollments/${enrollmentId}/medications`),
+  addMedicationToEnrollment: (enrollmentId, data) => apiClient.post(`/enrollments/${enrollmentId}/medications`, data),
+  checkMedicationSafety: (data) => apiClient.post('/patient-medications/safety-check', data),
+  recordMedicationDose: (patientMedicationId, data) => apiClient.post(`/patient-medications/${patientMedicationId}/doses`, data),
+
+  // Messages
+  getEnrollmentMessages: (enrollmentId, params) => apiClient.get(`/enrollments/${enrollmentId}/messages`, { params }),
+  sendEnrollmentMessage: (enrollmentId, data) => apiClient.post(`/enrollments/${enrollmentId}/messages`, data),
+  markEnrollmentMessagesRead: (enrollmentId, data) => apiClient.post(`/enrollments/${enrollmentId}/messages/read`, data),
+  getUnreadMessageCounts: () => apiClient.get('/enrollments/messages/unread'),
+
+  // Billing
+  getBillingPeriod: (period, params) => apiClient.get(`/billing/periods/${period}`, { params }),
+  exportBillingPeriod: (period, format, params) => apiClient.get(`/billing/periods/${period}/export`, {
+    params: { ...params, format },
+    responseType: 'text'
+  }),
+
+  // Alert Rules
+  getAlertRules: (params) => apiClient.get('/alert-rules', { params }),
+  getAlertRule: (id) => apiClient.get(`/alert-rules/${id}`),
+  createAlertRule: (data) => apiClient.post('/alert-rules', data),
+  updateAlertRule: (id, data) => apiClient.put(`/alert-rules/${id}`, data),
+  deleteAlertRule: (id) => apiClient.delete(`/alert-rules/${id}`),
+  getAlertRuleStats: () => apiClient.get('/alert-rules/stats'),
+  getAlertRuleTemplates: () => apiClient.get('/alert-rules/templates'),
+  testAlertRule: (id, data) => apiClient.post(`/alert-rules/${id}/test`, data),
+  testUnsavedAlertRule: (data) => apiClient.post('/alert-rules/test', data),
+
   // Condition Presets
   getConditionPresets: (params) => apiClient.get('/condition-presets', { params }),
   getConditionPreset: (id) => apiClient.get(`/condition-presets/${id}`),
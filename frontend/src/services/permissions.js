@@ -0,0 +1,48 @@
+// Mirror of the server permission matrix in src/middleware/permissions.js.
+// The server enforces access; this only decides what the UI offers.
+const ALL_ROLES = ['admin', 'clinician', 'care_coordinator', 'auditor']
+const CARE_TEAM = ['admin', 'clinician', 'care_coordinator']
+const ADMIN_ONLY = ['admin']
+
+export const PERMISSIONS = {
+  'patients:read': ALL_ROLES,
+  'patients:write': CARE_TEAM,
+  'patients:delete': ADMIN_ONLY,
+  'clinicians:read': ALL_ROLES,
+  'clinicians:manage': ADMIN_ONLY,
+  'enrollments:read': ALL_ROLES,
+  'enrollments:write': CARE_TEAM,
+  'enrollments:delete': ADMIN_ONLY,
+  'observations:read': ALL_ROLES,
+  'observations:write': CARE_TEAM,
+  'observations:delete': ADMIN_ONLY,
+  'alerts:read': ALL_ROLES,
+  'alerts:respond': CARE_TEAM,
+  'alerts:delete': ADMIN_ONLY,
+  'alertRules:read': ALL_ROLES,
+  'alertRules:test': ['admin', 'clinician'],
+  'alertRules:manage': ADMIN_ONLY,
+  'metricDefinitions:read': ALL_ROLES,
+  'metricDefinitions:manage': ADMIN_ONLY,
+  'assessmentTemplates:read': ALL_ROLES,
+  'assessmentTemplates:manage': ADMIN_ONLY,
+  'conditionPresets:read': ALL_ROLES,
+  'conditionPresets:manage': ADMIN_ONLY,
+  'drugs:read': ALL_ROLES,
+  'drugs:manage': ADMIN_ONLY,
+  'medications:read': ALL_ROLES,
+  'medications:prescribe': ['admin', 'clinician'],
+  'medications:record': CARE_TEAM,
+  'timeLogs:read': ALL_ROLES,
+  'timeLogs:write': CARE_TEAM,
+  'timeLogs:delete': ADMIN_ONLY,
+  'messages:read': ALL_ROLES,
+  'messages:write': CARE_TEAM,
+  'billing:read': ALL_ROLES,
+  'billing:export': ['admin', 'care_coordinator'],
+  'users:manage': ADMIN_ONLY,
+  'audit:read': ['admin', 'auditor'],
+}
+
+export const can = (user, permission) =>
+  Boolean(user && (PERMISSIONS[permission] || []).includes(user.role))
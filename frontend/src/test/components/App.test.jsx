@@ -2,7 +2,7 @@ import React from 'react'
 import { render, screen } from '@testing-library/react'
 import { BrowserRouter } from 'react-router-dom'
 import { QueryClient, QueryClientProvider } from '@tanstack/react-query'
-import { vi } from 'vitest'
+import { vi, beforeEach, afterEach } from 'vitest'
 import App from '../../App'
 
 // Mock all the page components
@@ -50,6 +50,14 @@ vi.mock('../../pages/EnrollmentDetails', () => ({
   default: () => <div data-testid="enrollment-details">Enrollment Details Page</div>
 }))
 
+vi.mock('../../pages/Login', () => ({
+  default: () => <div data-testid="login">Login Page</div>
+}))
+
+vi.mock('../../pages/DailyAssessment', () => ({
+  default: () => <div data-testid="daily-assessment">Daily Assessment Page</div>
+}))
+
 vi.mock('../../components/Layout', () => ({
   default: ({ children }) => <div data-testid="layout">{children}</div>
 }))
@@ -74,6 +82,34 @@ const renderWithProviders = (ui, { route = '/' } = {}) => {
 }
 
 describe('App', () => {
+  beforeEach(() => {
+    localStorage.setItem('authToken', 'test-token')
+  })
+
+  afterEach(() => {
+    localStorage.clear()
+  })
+
+  it('redirects to the login page without a session', () => {
+    localStorage.clear()
+    renderWithProviders(<App />, { route: '/patients' })
+    expect(screen.getByTestId('login')).toBeInTheDocument()
+    expect(screen.queryByTestId('layout')).not.toBeInTheDocument()
+  })
+
+  it('renders the login page outside the layout', () => {
+    renderWithProviders(<App />, { route: '/login' })
+    expect(screen.getByTestId('login')).toBeInTheDocument()
+    expect(screen.queryByTestId('layout')).not.toBeInTheDocument()
+  })
+
+  it('renders the patient daily assessment without a staff session', () => {
+    localStorage.clear()
+    renderWithProviders(<App />, { route: '/assessments/enrollment-1/daily?token=link-token' })
+    expect(screen.getByTestId('daily-assessment')).toBeInTheDocument()
+    expect(screen.queryByTestId('layout')).not.toBeInTheDocument()
+  })
+
   it('renders without crashing', () => {
     renderWithProviders(<App />)
     expect(screen.getByTestId('layout')).toBeInTheDocument()
@@ -277,4 +277,32 @@ describe('Dashboard', () => {
       expect(screen.getByText('Recent Alerts')).toBeInTheDocument()
     }, { timeout: 3000 })
   })
+
+  it('lists enrollments with unread patient messages', async () => {
+    const defaultGet = mockAxiosInstance.get.getMockImplementation()
+    mockAxiosInstance.get.mockImplementation((url) => {
+      if (url.includes('messages/unread')) {
+        return Promise.resolve({
+          data: {
+            total: 3,
+            threads: [
+              {
+                enrollmentId: 'enrollment-1',
+                patient: { id: 'patient-2', firstName: 'Mary', lastName: 'Major' },
+                unreadCount: 3,
+                lastMessageAt: '2024-01-02T09:00:00Z'
+              }
+            ]
+          }
+        })
+      }
+      return defaultGet(url)
+    })
+
+    renderWithProviders(<Dashboard />)
+
+    expect(await screen.findByText('Mary Major')).toBeInTheDocument()
+    expect(screen.getByText('3 unread')).toBeInTheDocument()
+    expect(screen.getByText('Mary Major').closest('a')).toHaveAttribute('href', '/enrollments/enrollment-1')
+  })
 })
\ No newline at end of file
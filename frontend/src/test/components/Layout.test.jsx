@@ -1,6 +1,7 @@
 import React from 'react'
 import { render, screen, fireEvent } from '@testing-library/react'
 import { BrowserRouter } from 'react-router-dom'
+import { beforeEach, afterEach } from 'vitest'
 import Layout from '../../components/Layout'
 
 const renderWithRouter = (ui) => {
@@ -11,7 +12,19 @@ const renderWithRouter = (ui) => {
   )
 }
 
+const signInAs = (role) => {
+  localStorage.setItem('authUser', JSON.stringify({ id: 'u1', email: `${role}@example.com`, role }))
+}
+
 describe('Layout', () => {
+  beforeEach(() => {
+    signInAs('admin')
+  })
+
+  afterEach(() => {
+    localStorage.clear()
+  })
+
   it('renders without crashing', () => {
     renderWithRouter(
       <Layout>
@@ -85,4 +98,30 @@ describe('Layout', () => {
     const patientLink = patientLinks[0].closest('a')
     expect(patientLink).toHaveClass('text-gray-600')
   })
-})
\ No newline at end of file
+
+  it('hides reference data management from clinicians', () => {
+    signInAs('clinician')
+    renderWithRouter(
+      <Layout>
+        <div>Test Content</div>
+      </Layout>
+    )
+
+    expect(screen.getAllByText('Patients')).toHaveLength(2)
+    expect(screen.getAllByText('Alerts')).toHaveLength(2)
+    expect(screen.queryByText('Metric Definitions')).not.toBeInTheDocument()
+    expect(screen.queryByText('Condition Presets')).not.toBeInTheDocument()
+    expect(screen.queryByText('Alert Rules')).not.toBeInTheDocument()
+  })
+
+  it('shows the signed-in user', () => {
+    signInAs('auditor')
+    renderWithRouter(
+      <Layout>
+        <div>Test Content</div>
+      </Layout>
+    )
+
+    expect(screen.getAllByText('auditor@example.com')).toHaveLength(2)
+  })
+})
@@ -0,0 +1,53 @@
+import React from 'react'
+import { describe, it, expect, beforeEach, vi } from 'vitest'
+import { screen, act } from '@testing-library/react'
+
+const unsubscribe = vi.fn()
+
+vi.mock('../../services/api', () => ({
+  subscribeToEvents: vi.fn(() => unsubscribe)
+}))
+
+import { renderWithProviders } from '../utils'
+import LiveUpdates from '../../components/LiveUpdates'
+import { subscribeToEvents } from '../../services/api'
+
+const emit = (type, event) => {
+  const onEvent = subscribeToEvents.mock.calls[0][0]
+  act(() => onEvent(type, event))
+}
+
+describe('LiveUpdates', () => {
+  beforeEach(() => {
+    vi.clearAllMocks()
+  })
+
+  it('shows a toast when an alert is created', async () => {
+    renderWithProviders(<LiveUpdates />)
+
+    emit('alert.created', {
+      enrollmentId: 'enrollment-1',
+      patient: { id: 'patient-1', firstName: 'John', lastName: 'Doe' },
+      alert: { id: 'alert-1', severity: 'critical', ruleName: 'Severe Pain' }
+    })
+
+    expect(await screen.findByText('CRITICAL alert: Severe Pain for John Doe')).toBeInTheDocument()
+  })
+
+  it('does not toast alert updates or observations', async () => {
+    renderWithProviders(<LiveUpdates />)
+
+    emit('alert.updated', { enrollmentId: 'enrollment-1', alert: { id: 'alert-1', status: 'ack' } })
+    emit('observation.created', { enrollmentId: 'enrollment-1', observations: [{ id: 'obs-1' }] })
+
+    expect(screen.queryByRole('alert')).not.toBeInTheDocument()
+  })
+
+  it('closes the event stream on unmount', () => {
+    const { unmount } = renderWithProviders(<LiveUpdates />)
+
+    unmount()
+
+    expect(unsubscribe).toHaveBeenCalled()
+  })
+})
@@ -0,0 +1,63 @@
+import React, { useState } from 'react'
+import { describe, it, expect, beforeEach, vi } from 'vitest'
+import { screen } from '@testing-library/react'
+import userEvent from '@testing-library/user-event'
+
+vi.mock('../../services/api', () => ({
+  api: {
+    checkMedicationSafety: vi.fn()
+  }
+}))
+
+import { renderWithProviders } from '../utils'
+import MedicationSafetyWarnings from '../../components/MedicationSafetyWarnings'
+import { api } from '../../services/api'
+
+function Harness() {
+  const [overrideReason, setOverrideReason] = useState('')
+  return (
+    <MedicationSafetyWarnings
+      patientId="patient-1"
+      drugId="drug-1"
+      overrideReason={overrideReason}
+      onOverrideReasonChange={setOverrideReason}
+    />
+  )
+}
+
+describe('MedicationSafetyWarnings', () => {
+  beforeEach(() => {
+    vi.clearAllMocks()
+  })
+
+  it('asks for an override reason on major warnings', async () => {
+    const user = userEvent.setup()
+    api.checkMedicationSafety.mockResolvedValue({
+      data: {
+        requiresOverride: true,
+        warnings: [
+          { type: 'interaction', severity: 'major', message: 'Ibuprofen 200mg interacts with Warfarin 5mg' },
+          { type: 'duplicate_therapy', severity: 'moderate', message: 'Naproxen 250mg is also a NSAID' }
+        ]
+      }
+    })
+    renderWithProviders(<Harness />)
+
+    expect(await screen.findByText('Ibuprofen 200mg interacts with Warfarin 5mg')).toBeInTheDocument()
+    expect(screen.getByText('Naproxen 250mg is also a NSAID')).toBeInTheDocument()
+    expect(api.checkMedicationSafety).toHaveBeenCalledWith({ patientId: 'patient-1', drugId: 'drug-1' })
+
+    const reason = screen.getByLabelText('Override reason')
+    expect(reason).toBeRequired()
+    await user.type(reason, 'INR monitored')
+    expect(reason).toHaveValue('INR monitored')
+  })
+
+  it('does not ask for a reason without major warnings', async () => {
+    api.checkMedicationSafety.mockResolvedValue({ data: { requiresOverride: false, warnings: [] } })
+    renderWithProviders(<Harness />)
+
+    expect(await screen.findByText(/No interactions/)).toBeInTheDocument()
+    expect(screen.queryByLabelText('Override reason')).not.toBeInTheDocument()
+  })
+})
@@ -0,0 +1,78 @@
+import React from 'react'
+import { describe, it, expect, beforeEach, vi } from 'vitest'
+import { screen, waitFor } from '@testing-library/react'
+import userEvent from '@testing-library/user-event'
+
+vi.mock('../../services/api', () => ({
+  api: {
+    getEnrollmentMessages: vi.fn(),
+    sendEnrollmentMessage: vi.fn(),
+    markEnrollmentMessagesRead: vi.fn()
+  },
+  getStoredUser: () => ({ id: 'user-1', role: 'clinician', clinicianId: 'clinician-1' })
+}))
+
+import { renderWithProviders } from '../utils'
+import MessageThread from '../../components/MessageThread'
+import { api } from '../../services/api'
+
+const patientMessage = {
+  id: 'message-1',
+  senderType: 'patient',
+  body: 'My pain is worse today',
+  createdAt: '2025-10-01T10:00:00Z',
+  readAt: null
+}
+
+const replyMessage = {
+  id: 'message-2',
+  senderType: 'clinician',
+  body: 'Thanks, let us adjust your plan',
+  createdAt: '2025-10-01T11:00:00Z',
+  readAt: '2025-10-01T12:00:00Z'
+}
+
+describe('MessageThread', () => {
+  beforeEach(() => {
+    vi.clearAllMocks()
+  })
+
+  it('shows the thread with read receipts and marks unread messages as read', async () => {
+    api.getEnrollmentMessages.mockResolvedValue({ data: [patientMessage, replyMessage], unreadCount: 1 })
+    api.markEnrollmentMessagesRead.mockResolvedValue({ data: { count: 1 } })
+
+    renderWithProviders(<MessageThread enrollmentId="enrollment-1" />)
+
+    expect(await screen.findByText('My pain is worse today')).toBeInTheDocument()
+    expect(screen.getByText('Thanks, let us adjust your plan')).toBeInTheDocument()
+    expect(screen.getByText('Read')).toBeInTheDocument()
+
+    await waitFor(() => {
+      expect(api.markEnrollmentMessagesRead).toHaveBeenCalledWith('enrollment-1')
+    })
+  })
+
+  it('sends a reply with logged minutes', async () => {
+    const user = userEvent.setup()
+    api.getEnrollmentMessages.mockResolvedValue({ data: [], unreadCount: 0 })
+    api.sendEnrollmentMessage.mockResolvedValue({
+      data: { ...replyMessage, id: 'message-3', timeLog: { id: 'log-1', minutes: 5 } }
+    })
+
+    renderWithProviders(<MessageThread enrollmentId="enrollment-1" />)
+
+    expect(await screen.findByText('No messages yet')).toBeInTheDocument()
+    expect(api.markEnrollmentMessagesRead).not.toHaveBeenCalled()
+
+    await user.type(screen.getByLabelText('Message'), 'How are you feeling?')
+    await user.type(screen.getByLabelText('Log minutes'), '5')
+    await user.click(screen.getByText('Send'))
+
+    await waitFor(() => {
+      expect(api.sendEnrollmentMessage).toHaveBeenCalledWith('enrollment-1', {
+        body: 'How are you feeling?',
+        logMinutes: 5
+      })
+    })
+  })
+})
@@ -0,0 +1,57 @@
+import React from 'react'
+import { describe, it, expect, beforeEach, vi } from 'vitest'
+import { screen, waitFor } from '@testing-library/react'
+import userEvent from '@testing-library/user-event'
+
+vi.mock('../../services/api', () => ({
+  api: {
+    getEnrollmentAccessLinks: vi.fn(),
+    createEnrollmentAccessLink: vi.fn(),
+    revokeEnrollmentAccessLink: vi.fn()
+  },
+  getStoredUser: () => ({ id: 'user-1', role: 'clinician', clinicianId: 'clinician-1' })
+}))
+
+import { renderWithProviders } from '../utils'
+import PatientAccessLinks from '../../components/PatientAccessLinks'
+import { api } from '../../services/api'
+
+const activeLink = {
+  id: 'link-1',
+  status: 'active',
+  purpose: 'daily_reminder',
+  expiresAt: '2025-10-04T09:00:00Z',
+  usedAt: null
+}
+
+describe('PatientAccessLinks', () => {
+  beforeEach(() => {
+    vi.clearAllMocks()
+  })
+
+  it('issues a link and shows it once', async () => {
+    const user = userEvent.setup()
+    api.getEnrollmentAccessLinks.mockResolvedValue({ data: [] })
+    api.createEnrollmentAccessLink.mockResolvedValue({
+      data: { id: 'link-2', url: '/assessments/enrollment-1/daily?token=abc' }
+    })
+    renderWithProviders(<PatientAccessLinks enrollmentId="enrollment-1" />)
+
+    await user.click(await screen.findByRole('button', { name: 'Issue link' }))
+
+    expect(await screen.findByLabelText(/single-use link/)).toHaveValue(
+      `${window.location.origin}/assessments/enrollment-1/daily?token=abc`
+    )
+  })
+
+  it('revokes an active link', async () => {
+    const user = userEvent.setup()
+    api.getEnrollmentAccessLinks.mockResolvedValue({ data: [activeLink] })
+    api.revokeEnrollmentAccessLink.mockResolvedValue({ data: { ...activeLink, status: 'revoked' } })
+    renderWithProviders(<PatientAccessLinks enrollmentId="enrollment-1" />)
+
+    await user.click(await screen.findByRole('button', { name: 'Revoke' }))
+
+    await waitFor(() => expect(api.revokeEnrollmentAccessLink).toHaveBeenCalledWith('enrollment-1', 'link-1'))
+  })
+})
@@ -0,0 +1,91 @@
+import React from 'react'
+import { describe, it, expect, beforeEach, vi } from 'vitest'
+import { screen, waitFor } from '@testing-library/react'
+import userEvent from '@testing-library/user-event'
+
+vi.mock('../../services/api', () => ({
+  api: {
+    getEnrollments: vi.fn(),
+    testAlertRule: vi.fn(),
+    testUnsavedAlertRule: vi.fn()
+  }
+}))
+
+import { renderWithProviders } from '../utils'
+import RuleTester from '../../components/RuleTester'
+import { api } from '../../services/api'
+
+const rule = {
+  name: 'High Pain',
+  severity: 'high',
+  window: '1d',
+  cooldown: '24h',
+  expression: { condition: 'pain_scale_0_10', operator: 'greater_than_or_equal', threshold: 8 }
+}
+
+const backtestResult = {
+  pointsEvaluated: 4,
+  triggeredCount: 2,
+  alertsCreated: 1,
+  suppressedCount: 1,
+  points: [
+    { evaluatedAt: '2025-10-15T09:00:00Z', value: 8, triggered: true, alertCreated: true, reason: 'pain_scale_0_10 8 >= 8' },
+    { evaluatedAt: '2025-10-16T09:00:00Z', value: 9, triggered: true, alertCreated: false, suppressedReason: 'Suppressed by 24h cooldown', reason: 'pain_scale_0_10 9 >= 8' }
+  ]
+}
+
+describe('RuleTester', () => {
+  beforeEach(() => {
+    vi.clearAllMocks()
+    api.getEnrollments.mockResolvedValue({ data: [] })
+    api.testUnsavedAlertRule.mockResolvedValue({ success: true, data: backtestResult })
+    api.testAlertRule.mockResolvedValue({ success: true, data: backtestResult })
+  })
+
+  it('replays a scenario through the server engine for unsaved rules', async () => {
+    const user = userEvent.setup()
+    const onTest = vi.fn()
+    renderWithProviders(<RuleTester rule={rule} onTest={onTest} />)
+
+    await user.click(screen.getByText('Sustained High'))
+
+    await waitFor(() => {
+      expect(api.testUnsavedAlertRule).toHaveBeenCalledWith(
+        expect.objectContaining({
+          rule: expect.objectContaining({ expression: rule.expression, cooldown: '24h' }),
+          observations: expect.arrayContaining([expect.objectContaining({ value: 9 })])
+        })
+      )
+    })
+
+    expect(await screen.findByText('1 alert would be raised')).toBeInTheDocument()
+    expect(screen.getByText('Suppressed')).toBeInTheDocument()
+    expect(onTest).toHaveBeenCalledWith(backtestResult)
+  })
+
+  it('tests saved rules by id', async () => {
+    const user = userEvent.setup()
+    renderWithProviders(<RuleTester rule={{ ...rule, id: 'rule-1' }} />)
+
+    await user.click(screen.getByText('Single Spike'))
+
+    await waitFor(() => {
+      expect(api.testAlertRule).toHaveBeenCalledWith('rule-1', expect.objectContaining({
+        observations: expect.any(Array)
+      }))
+    })
+    expect(api.testUnsavedAlertRule).not.toHaveBeenCalled()
+  })
+
+  it('shows validation errors returned by the server', async () => {
+    const user = userEvent.setup()
+    api.testUnsavedAlertRule.mockRejectedValue({
+      response: { data: { message: 'Invalid rule test request', errors: ['Expression threshold or value is required'] } }
+    })
+    renderWithProviders(<RuleTester rule={rule} />)
+
+    await user.click(screen.getByText('Stable Low'))
+
+    expect(await screen.findByText('Expression threshold or value is required')).toBeInTheDocument()
+  })
+})
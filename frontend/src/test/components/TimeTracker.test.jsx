@@ -0,0 +1,72 @@
+import React from 'react'
+import { describe, it, expect, beforeEach, vi } from 'vitest'
+import { screen, waitFor } from '@testing-library/react'
+import userEvent from '@testing-library/user-event'
+
+vi.mock('../../services/api', () => ({
+  api: {
+    getTimeLogs: vi.fn(),
+    startTimer: vi.fn(),
+    stopTimer: vi.fn()
+  },
+  getStoredUser: () => ({ id: 'user-1', role: 'clinician', clinicianId: 'clinician-1' })
+}))
+
+import { renderWithProviders } from '../utils'
+import TimeTracker from '../../components/TimeTracker'
+import { api } from '../../services/api'
+
+const completedLog = {
+  id: 'log-1',
+  cptCode: 'CPT_99457',
+  minutes: 22,
+  startedAt: '2025-10-01T10:00:00Z',
+  endedAt: '2025-10-01T10:22:00Z',
+  actorId: 'clinician-1'
+}
+
+describe('TimeTracker', () => {
+  beforeEach(() => {
+    vi.clearAllMocks()
+  })
+
+  it('starts a timer for the selected activity', async () => {
+    const user = userEvent.setup()
+    api.getTimeLogs.mockResolvedValue({ data: [completedLog], summary: { totalMinutes: 22 } })
+    api.startTimer.mockResolvedValue({ data: { id: 'log-2' } })
+
+    renderWithProviders(<TimeTracker enrollmentId="enrollment-1" />)
+
+    expect(await screen.findByText('22 min total')).toBeInTheDocument()
+    expect(screen.getByText('22 min')).toBeInTheDocument()
+
+    await user.selectOptions(screen.getByLabelText('Activity'), 'CPT_98980')
+    await user.click(screen.getByText('Start Timer'))
+
+    await waitFor(() => {
+      expect(api.startTimer).toHaveBeenCalledWith({
+        enrollmentId: 'enrollment-1',
+        cptCode: 'CPT_98980',
+        clinicianId: 'clinician-1'
+      })
+    })
+  })
+
+  it('shows the running timer and stops it', async () => {
+    const user = userEvent.setup()
+    const runningLog = { ...completedLog, id: 'log-2', endedAt: null, minutes: 0, startedAt: new Date().toISOString() }
+    api.getTimeLogs.mockResolvedValue({ data: [runningLog, completedLog], summary: { totalMinutes: 22 } })
+    api.stopTimer.mockResolvedValue({ data: { ...runningLog, minutes: 1 } })
+
+    renderWithProviders(<TimeTracker enrollmentId="enrollment-1" />)
+
+    expect(await screen.findByLabelText('Elapsed time')).toHaveTextContent(/00:00:0\d/)
+    expect(screen.queryByText('Start Timer')).not.toBeInTheDocument()
+
+    await user.click(screen.getByText('Stop Timer'))
+
+    await waitFor(() => {
+      expect(api.stopTimer).toHaveBeenCalledWith('log-2')
+    })
+  })
+})
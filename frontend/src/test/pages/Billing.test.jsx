@@ -0,0 +1,88 @@
+import React from 'react'
+import { describe, it, expect, beforeEach, vi } from 'vitest'
+import { screen, waitFor } from '@testing-library/react'
+import userEvent from '@testing-library/user-event'
+
+const storedUser = { current: { id: 'user-1', role: 'admin' } }
+
+vi.mock('../../services/api', () => ({
+  api: {
+    getBillingPeriod: vi.fn(),
+    exportBillingPeriod: vi.fn()
+  },
+  getStoredUser: () => storedUser.current
+}))
+
+import { renderWithProviders } from '../utils'
+import Billing from '../../pages/Billing'
+import { api } from '../../services/api'
+
+const billingPeriod = {
+  period: '2025-10',
+  enrollments: [
+    {
+      enrollmentId: 'enrollment-1',
+      patient: { mrn: 'MRN001', firstName: 'Jane', lastName: 'Doe' },
+      clinician: { npi: '1234567893' },
+      diagnosisCode: 'M79.3',
+      icd10Codes: ['M79.3', 'G89.29'],
+      lines: [
+        { code: '98977', units: 1, serviceFrom: '2025-10-01', serviceTo: '2025-10-20' },
+        { code: '98980', units: 1, serviceFrom: '2025-10-10', serviceTo: '2025-10-10' }
+      ]
+    },
+    { enrollmentId: 'enrollment-2', patient: { mrn: 'MRN002' }, icd10Codes: [], lines: [] }
+  ],
+  summary: { enrollmentCount: 2, billableEnrollmentCount: 1, totals: { 98977: 1, 98980: 1 } }
+}
+
+describe('Billing', () => {
+  beforeEach(() => {
+    vi.clearAllMocks()
+    storedUser.current = { id: 'user-1', role: 'admin' }
+    api.getBillingPeriod.mockResolvedValue({ data: billingPeriod })
+    api.exportBillingPeriod.mockResolvedValue('ISA*00*~\nST*837*0001*005010X222A1~\n')
+  })
+
+  it('lists the claim lines for billable enrollments', async () => {
+    renderWithProviders(<Billing />)
+
+    expect(await screen.findByText('MRN001')).toBeInTheDocument()
+    expect(screen.getByText('M79.3, G89.29')).toBeInTheDocument()
+    expect(screen.getByText('1234567893')).toBeInTheDocument()
+    expect(screen.getByText('2025-10-01 – 2025-10-20')).toBeInTheDocument()
+    expect(screen.queryByText('MRN002')).not.toBeInTheDocument()
+  })
+
+  it('loads the selected period', async () => {
+    const user = userEvent.setup()
+    renderWithProviders(<Billing />)
+
+    const input = screen.getByLabelText('Billing period')
+    await user.clear(input)
+    await user.type(input, '2025-10')
+
+    await waitFor(() => {
+      expect(api.getBillingPeriod).toHaveBeenLastCalledWith('2025-10')
+    })
+  })
+
+  it('previews the 837P claim file', async () => {
+    const user = userEvent.setup()
+    renderWithProviders(<Billing />)
+
+    await user.click(await screen.findByText('837P preview'))
+
+    expect(await screen.findByLabelText('837P preview')).toHaveTextContent('ST*837*0001*005010X222A1~')
+    expect(api.exportBillingPeriod).toHaveBeenCalledWith(expect.any(String), '837p')
+  })
+
+  it('hides exports from roles that cannot export', async () => {
+    storedUser.current = { id: 'user-2', role: 'clinician' }
+    renderWithProviders(<Billing />)
+
+    expect(await screen.findByText('MRN001')).toBeInTheDocument()
+    expect(screen.queryByText('Download CSV')).not.toBeInTheDocument()
+    expect(screen.queryByText('837P preview')).not.toBeInTheDocument()
+  })
+})
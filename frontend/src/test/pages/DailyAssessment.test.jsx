@@ -0,0 +1,139 @@
+import React from 'react'
+import { describe, it, expect, beforeEach, vi } from 'vitest'
+import { screen, waitFor, fireEvent } from '@testing-library/react'
+import userEvent from '@testing-library/user-event'
+import { Routes, Route } from 'react-router-dom'
+
+vi.mock('../../services/api', async () => {
+  const actual = await vi.importActual('../../services/api')
+  return {
+    getPatientSession: actual.getPatientSession,
+    savePatientSession: actual.savePatientSession,
+    clearPatientSession: actual.clearPatientSession,
+    patientApi: {
+      startSession: vi.fn(),
+      getDailyAssessment: vi.fn(),
+      submitDailyAssessment: vi.fn()
+    }
+  }
+})
+
+import { renderWithProviders } from '../utils'
+import DailyAssessment from '../../pages/DailyAssessment'
+import { patientApi } from '../../services/api'
+
+const item = (id, metric, required = true) => ({ metricDefinitionId: id, required, helpText: null, metric: { id, ...metric } })
+
+const dailyAssessment = (overrides = {}) => ({
+  data: {
+    enrollmentId: 'enrollment-1',
+    patient: { firstName: 'Jane' },
+    templates: [
+      {
+        id: 'template-pain',
+        name: 'Daily Pain Check',
+        completedToday: false,
+        items: [
+          item('metric-pain', { key: 'pain_level', displayName: 'Pain level', valueType: 'numeric', scaleMin: 0, scaleMax: 10, unit: null }),
+          item('metric-mood', {
+            key: 'mood',
+            displayName: 'Mood',
+            valueType: 'ordinal',
+            options: { values: [{ code: '0', display: 'Poor' }, { code: '1', display: 'Fair' }, { code: '2', display: 'Good' }] }
+          }),
+          item('metric-sleep', { key: 'slept_well', displayName: 'Did you sleep well?', valueType: 'boolean' }, false)
+        ]
+      }
+    ],
+    ...overrides
+  }
+})
+
+const renderPage = (route = '/assessments/enrollment-1/daily?token=link-token') => {
+  window.history.pushState({}, 'Daily assessment', route)
+  return renderWithProviders(
+    <Routes>
+      <Route path="/assessments/:enrollmentId/daily" element={<DailyAssessment />} />
+    </Routes>
+  )
+}
+
+describe('DailyAssessment', () => {
+  beforeEach(() => {
+    vi.clearAllMocks()
+    sessionStorage.clear()
+    patientApi.startSession.mockResolvedValue({ data: { accessToken: 'session-token' } })
+  })
+
+  it('asks for the link token when it is missing', () => {
+    renderPage('/assessments/enrollment-1/daily')
+
+    expect(screen.getByText('Link incomplete')).toBeInTheDocument()
+    expect(patientApi.getDailyAssessment).not.toHaveBeenCalled()
+  })
+
+  it('validates answers against the scale before submitting', async () => {
+    const user = userEvent.setup()
+    patientApi.getDailyAssessment.mockResolvedValue(dailyAssessment())
+    renderPage()
+
+    await user.type(await screen.findByLabelText(/Pain level/), '12')
+    await user.click(screen.getByRole('button', { name: 'Submit answers' }))
+
+    expect(screen.getByText('Enter a value between 0 and 10')).toBeInTheDocument()
+    expect(screen.getByText('This question is required')).toBeInTheDocument()
+    expect(patientApi.submitDailyAssessment).not.toHaveBeenCalled()
+  })
+
+  it('submits every answer in one request', async () => {
+    const user = userEvent.setup()
+    patientApi.getDailyAssessment.mockResolvedValue(dailyAssessment())
+    patientApi.submitDailyAssessment.mockResolvedValue({ data: [] })
+    renderPage()
+
+    await user.type(await screen.findByLabelText(/Pain level/), '6')
+    fireEvent.change(screen.getByLabelText(/Mood/), { target: { value: '2' } })
+    await user.click(screen.getByRole('radio', { name: 'Yes' }))
+    await user.click(screen.getByRole('button', { name: 'Submit answers' }))
+
+    await waitFor(() => expect(patientApi.submitDailyAssessment).toHaveBeenCalled())
+    expect(patientApi.submitDailyAssessment).toHaveBeenCalledWith('enrollment-1', 'session-token', {
+      startedAt: expect.any(String),
+      assessments: [{
+        templateId: 'template-pain',
+        responses: [
+          { metricDefinitionId: 'metric-pain', value: '6' },
+          { metricDefinitionId: 'metric-mood', value: '2' },
+          { metricDefinitionId: 'metric-sleep', value: 'true' }
+        ]
+      }]
+    })
+    expect(await screen.findByText('Thank you!')).toBeInTheDocument()
+  })
+
+  it('redeems the link once and keeps the session for reloads', async () => {
+    patientApi.getDailyAssessment.mockResolvedValue(dailyAssessment())
+    renderPage()
+
+    expect(await screen.findByText('Daily Pain Check')).toBeInTheDocument()
+    expect(patientApi.startSession).toHaveBeenCalledWith('enrollment-1', 'link-token')
+    expect(patientApi.getDailyAssessment).toHaveBeenCalledWith('enrollment-1', 'session-token')
+    await waitFor(() => expect(window.location.search).toBe(''))
+    expect(sessionStorage.getItem('patientSession:enrollment-1')).toBe('session-token')
+  })
+
+  it('explains a link that was already used', async () => {
+    patientApi.startSession.mockRejectedValue({ response: { status: 401, data: { reason: 'used' } } })
+    renderPage()
+
+    expect(await screen.findByText(/This link has already been used/)).toBeInTheDocument()
+    expect(patientApi.getDailyAssessment).not.toHaveBeenCalled()
+  })
+
+  it('explains an expired link', async () => {
+    patientApi.getDailyAssessment.mockRejectedValue({ response: { status: 401 } })
+    renderPage()
+
+    expect(await screen.findByText(/This link has expired or is not valid/)).toBeInTheDocument()
+  })
+})
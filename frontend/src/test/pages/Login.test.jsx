@@ -0,0 +1,59 @@
+import React from 'react'
+import { describe, it, expect, beforeEach, vi } from 'vitest'
+import { screen, waitFor } from '@testing-library/react'
+import userEvent from '@testing-library/user-event'
+
+vi.mock('../../services/api', () => ({
+  api: {
+    login: vi.fn()
+  },
+  saveSession: vi.fn()
+}))
+
+const mockNavigate = vi.fn()
+vi.mock('react-router-dom', async () => ({
+  ...(await vi.importActual('react-router-dom')),
+  useNavigate: () => mockNavigate
+}))
+
+import { renderWithProviders } from '../utils'
+import Login from '../../pages/Login'
+import { api, saveSession } from '../../services/api'
+
+describe('Login', () => {
+  beforeEach(() => {
+    vi.clearAllMocks()
+  })
+
+  const fillAndSubmit = async (user) => {
+    await user.type(screen.getByLabelText('Email'), 'dr.smith@example.com')
+    await user.type(screen.getByLabelText('Password'), 'secret-password')
+    await user.click(screen.getByRole('button', { name: 'Sign in' }))
+  }
+
+  it('stores the session and navigates home after signing in', async () => {
+    const user = userEvent.setup()
+    const session = { token: 'access', refreshToken: 'refresh', user: { id: 'u1', email: 'dr.smith@example.com' } }
+    api.login.mockResolvedValue({ data: session })
+    renderWithProviders(<Login />)
+
+    await fillAndSubmit(user)
+
+    await waitFor(() => {
+      expect(saveSession).toHaveBeenCalledWith(session)
+    })
+    expect(api.login.mock.calls[0][0]).toEqual({ email: 'dr.smith@example.com', password: 'secret-password' })
+    expect(mockNavigate).toHaveBeenCalledWith('/', { replace: true })
+  })
+
+  it('shows the server error for invalid credentials', async () => {
+    const user = userEvent.setup()
+    api.login.mockRejectedValue({ response: { data: { error: 'Invalid email or password' } } })
+    renderWithProviders(<Login />)
+
+    await fillAndSubmit(user)
+
+    expect(await screen.findByRole('alert')).toHaveTextContent('Invalid email or password')
+    expect(saveSession).not.toHaveBeenCalled()
+  })
+})
@@ -0,0 +1,142 @@
+import React from 'react'
+import { describe, it, expect, beforeEach, vi } from 'vitest'
+import { screen, waitFor } from '@testing-library/react'
+import userEvent from '@testing-library/user-event'
+import { Routes, Route } from 'react-router-dom'
+
+vi.mock('../../services/api', async () => {
+  const actual = await vi.importActual('../../services/api')
+  return {
+    getPatientSession: actual.getPatientSession,
+    savePatientSession: actual.savePatientSession,
+    clearPatientSession: actual.clearPatientSession,
+    patientApi: {
+      startSession: vi.fn(),
+      getTodaysMedications: vi.fn(),
+      recordDose: vi.fn()
+    }
+  }
+})
+
+import { renderWithProviders } from '../utils'
+import MedicationCheckIn from '../../pages/MedicationCheckIn'
+import { patientApi } from '../../services/api'
+
+const todaysMedications = (doses) => ({
+  data: {
+    enrollmentId: 'enrollment-1',
+    patient: { firstName: 'Jane' },
+    timeZone: 'America/New_York',
+    medications: [
+      {
+        id: 'medication-1',
+        name: 'Gabapentin',
+        dosage: '300mg',
+        frequency: 'BID',
+        instructions: 'Take with food',
+        isPRN: false,
+        doses
+      }
+    ]
+  }
+})
+
+const dose = (id, scheduledDate, status) => ({ id, scheduledDate, status, takenAt: null, skipReason: null })
+
+const renderPage = (route = '/assessments/enrollment-1/medications?token=link-token') => {
+  window.history.pushState({}, 'Medication check-in', route)
+  return renderWithProviders(
+    <Routes>
+      <Route path="/assessments/:enrollmentId/medications" element={<MedicationCheckIn />} />
+    </Routes>
+  )
+}
+
+describe('MedicationCheckIn', () => {
+  beforeEach(() => {
+    vi.clearAllMocks()
+    sessionStorage.clear()
+    patientApi.startSession.mockResolvedValue({ data: { accessToken: 'session-token' } })
+  })
+
+  it('lists today\'s doses in the patient\'s time zone', async () => {
+    patientApi.getTodaysMedications.mockResolvedValue(todaysMedications([
+      dose('dose-am', '2025-10-15T13:00:00.000Z', 'taken'),
+      dose('dose-pm', '2025-10-16T01:00:00.000Z', 'upcoming')
+    ]))
+    renderPage()
+
+    expect(await screen.findByText('Gabapentin 300mg')).toBeInTheDocument()
+    expect(screen.getByText('9:00 AM')).toBeInTheDocument()
+    expect(screen.getByText('Later today')).toBeInTheDocument()
+    expect(patientApi.getTodaysMedications).toHaveBeenCalledWith('enrollment-1', 'session-token')
+    await waitFor(() => expect(window.location.search).toBe(''))
+  })
+
+  it('marks a dose taken', async () => {
+    const user = userEvent.setup()
+    patientApi.getTodaysMedications.mockResolvedValue(todaysMedications([dose('dose-am', '2025-10-15T13:00:00.000Z', 'due')]))
+    patientApi.recordDose.mockResolvedValue({ data: { id: 'dose-am', status: 'taken' } })
+    renderPage()
+
+    await user.click(await screen.findByRole('button', { name: 'Took the 9:00 AM dose' }))
+
+    await waitFor(() => expect(patientApi.recordDose).toHaveBeenCalledWith(
+      'enrollment-1', 'session-token', 'medication-1', { status: 'taken', adherenceId: 'dose-am' }
+    ))
+  })
+
+  it('asks for a reason when a dose is skipped', async () => {
+    const user = userEvent.setup()
+    patientApi.getTodaysMedications.mockResolvedValue(todaysMedications([dose('dose-am', '2025-10-15T13:00:00.000Z', 'missed')]))
+    patientApi.recordDose.mockResolvedValue({ data: { id: 'dose-am', status: 'skipped' } })
+    renderPage()
+
+    await user.click(await screen.findByRole('button', { name: 'Skip the 9:00 AM dose' }))
+    await user.selectOptions(screen.getByLabelText('Why did you skip this dose?'), 'Side effects')
+    await user.type(screen.getByLabelText('Side effects (optional)'), 'nausea, dizziness')
+    await user.click(screen.getByRole('button', { name: 'Skip dose' }))
+
+    await waitFor(() => expect(patientApi.recordDose).toHaveBeenCalledWith('enrollment-1', 'session-token', 'medication-1', {
+      status: 'skipped',
+      skipReason: 'Side effects',
+      sideEffects: ['nausea', 'dizziness'],
+      adherenceId: 'dose-am'
+    }))
+  })
+
+  it('shows as-needed use against the daily maximum and warns when it is exceeded', async () => {
+    const user = userEvent.setup()
+    const response = todaysMedications([])
+    Object.assign(response.data.medications[0], {
+      name: 'Ibuprofen',
+      dosage: '400mg',
+      frequency: 'every 6 hours as needed',
+      isPRN: true,
+      maxDailyDose: '1200mg',
+      prnUsage: { total: 800, maxDailyDose: 1200, unit: 'mg', exceeded: false }
+    })
+    patientApi.getTodaysMedications.mockResolvedValue(response)
+    patientApi.recordDose.mockResolvedValue({
+      data: { id: 'dose-prn', status: 'taken' },
+      warnings: [{
+        type: 'max_daily_dose_exceeded',
+        message: '1600 mg of Ibuprofen taken in the last 24 hours exceeds the maximum daily dose of 1200 mg'
+      }]
+    })
+    renderPage()
+
+    expect(await screen.findByText('Last 24 hours: 800 of 1200 mg maximum')).toBeInTheDocument()
+    await user.click(screen.getByRole('button', { name: 'I took a dose now' }))
+
+    expect(await screen.findByText(/exceeds the maximum daily dose of 1200 mg/)).toBeInTheDocument()
+    expect(patientApi.recordDose).toHaveBeenCalledWith('enrollment-1', 'session-token', 'medication-1', { status: 'taken' })
+  })
+
+  it('explains an expired link', async () => {
+    patientApi.getTodaysMedications.mockRejectedValue({ response: { status: 401 } })
+    renderPage()
+
+    expect(await screen.findByText(/This link has expired or is not valid/)).toBeInTheDocument()
+  })
+})
@@ -0,0 +1,84 @@
+import React from 'react'
+import { describe, it, expect, beforeEach, vi } from 'vitest'
+import { screen, waitFor } from '@testing-library/react'
+import userEvent from '@testing-library/user-event'
+import { Routes, Route } from 'react-router-dom'
+
+vi.mock('../../services/api', async () => {
+  const actual = await vi.importActual('../../services/api')
+  return {
+    getPatientSession: actual.getPatientSession,
+    savePatientSession: actual.savePatientSession,
+    clearPatientSession: actual.clearPatientSession,
+    patientApi: {
+      startSession: vi.fn(),
+      getMessages: vi.fn(),
+      sendMessage: vi.fn()
+    }
+  }
+})
+
+import { renderWithProviders } from '../utils'
+import PatientMessages from '../../pages/PatientMessages'
+import { patientApi } from '../../services/api'
+
+const message = (id, senderType, body, readAt = null) => ({
+  id,
+  senderType,
+  body,
+  readAt,
+  createdAt: '2025-10-15T13:00:00.000Z'
+})
+
+const renderPage = (route = '/assessments/enrollment-1/messages?token=link-token') => {
+  window.history.pushState({}, 'Messages', route)
+  return renderWithProviders(
+    <Routes>
+      <Route path="/assessments/:enrollmentId/messages" element={<PatientMessages />} />
+    </Routes>
+  )
+}
+
+describe('PatientMessages', () => {
+  beforeEach(() => {
+    vi.clearAllMocks()
+    sessionStorage.clear()
+    patientApi.startSession.mockResolvedValue({ data: { accessToken: 'session-token' } })
+  })
+
+  it('shows the thread and which of the patient\'s messages were read', async () => {
+    patientApi.getMessages.mockResolvedValue({
+      data: [
+        message('message-1', 'clinician', 'How is your pain today?'),
+        message('message-2', 'patient', 'A bit better, thanks', '2025-10-15T14:00:00.000Z')
+      ]
+    })
+    renderPage()
+
+    expect(await screen.findByText('How is your pain today?')).toBeInTheDocument()
+    expect(screen.getByText('A bit better, thanks')).toBeInTheDocument()
+    expect(screen.getByText('Read')).toBeInTheDocument()
+    expect(patientApi.getMessages).toHaveBeenCalledWith('enrollment-1', 'session-token')
+    await waitFor(() => expect(window.location.search).toBe(''))
+  })
+
+  it('sends a message to the care team', async () => {
+    const user = userEvent.setup()
+    patientApi.getMessages.mockResolvedValue({ data: [] })
+    patientApi.sendMessage.mockResolvedValue({ data: message('message-3', 'patient', 'My pain is worse') })
+    renderPage()
+
+    await user.type(await screen.findByLabelText('Your message'), 'My pain is worse')
+    await user.click(screen.getByRole('button', { name: 'Send' }))
+
+    await waitFor(() => expect(patientApi.sendMessage).toHaveBeenCalledWith('enrollment-1', 'session-token', 'My pain is worse'))
+    await waitFor(() => expect(screen.getByLabelText('Your message')).toHaveValue(''))
+  })
+
+  it('explains an expired session', async () => {
+    patientApi.getMessages.mockRejectedValue({ response: { status: 401 } })
+    renderPage()
+
+    expect(await screen.findByText(/Your session has expired/)).toBeInTheDocument()
+  })
+})
@@ -21,6 +21,7 @@ app.use((req, res, next) => {
 });
 
 // Import routes
+const authRoutes = require('./src/routes/authRoutes');
 const patientRoutes = require('./src/routes/patientRoutes');
 const clinicianRoutes = require('./src/routes/clinicianRoutes');
 const enrollmentRoutes = require('./src/routes/enrollmentRoutes');
@@ -31,10 +32,22 @@ const alertRuleRoutes = require('./src/routes/alertRuleRoutes');
 const assessmentTemplateRoutes = require('./src/routes/assessmentTemplateRoutes');
 const assessmentTemplateEnhancedRoutes = require('./src/routes/assessmentTemplateRoutes.enhanced');
 const conditionPresetRoutes = require('./src/routes/conditionPresetRoutes');
+const auditRoutes = require('./src/routes/auditRoutes');
+const timeLogRoutes = require('./src/routes/timeLogRoutes');
+const billingRoutes = require('./src/routes/billingRoutes');
+const eventRoutes = require('./src/routes/eventRoutes');
+const patientAccessRoutes = require('./src/routes/patientAccessRoutes');
 
 // Import new routes
 const drugRoutes = require('./src/routes/drugRoutes');
 const patientMedicationRoutes = require('./src/routes/patientMedicationRoutes');
+const medicationObservationRoutes = require('./src/routes/medicationObservationRoutes');
+
+const { authenticate, authenticateEventStream } = require('./src/middleware/auth');
+const { captureAuditContext } = require('./src/middleware/audit');
+
+// Authenticated API routers; the audit context lets PHI access be attributed to the user
+const protect = [authenticate, captureAuditContext];
 
 // Health check endpoint
 app.get('/health', async (req, res) => {
@@ -62,6 +75,7 @@ app.get('/api', (req, res) => {
     message: 'Pain Management Database API',
     version: '1.0.0',
     endpoints: {
+      auth: '/api/auth',
       patients: '/api/patients',
       clinicians: '/api/clinicians',
       enrollments: '/api/enrollments',
@@ -71,6 +85,11 @@ app.get('/api', (req, res) => {
       alerts: '/api/alerts',
       'alert-rules': '/api/alert-rules',
       'condition-presets': '/api/condition-presets',
+      audit: '/api/audit',
+      'time-logs': '/api/time-logs',
+      billing: '/api/billing',
+      events: '/api/events',
+      'patient-access': '/api/patient-access',
       drugs: '/api/drugs',
       'patient-medications': '/api/patient-medications'
     }
@@ -78,21 +97,31 @@ app.get('/api', (req, res) => {
 });
 
 // Routes
-app.use('/api/patients', patientRoutes);
-app.use('/api/clinicians', clinicianRoutes);
-app.use('/api/enrollments', enrollmentRoutes);
-app.use('/api/metric-definitions', metricDefinitionRoutes);
+// Login/refresh are public; every other API router requires a valid access token
+app.use('/api/auth', authRoutes);
+app.use('/api/patients', protect, patientRoutes);
+app.use('/api/clinicians', protect, clinicianRoutes);
+app.use('/api/enrollments', protect, enrollmentRoutes);
+app.use('/api/metric-definitions', protect, metricDefinitionRoutes);
 // Enhanced assessment template routes with different path to avoid conflicts
-app.use('/api/assessment-templates-v2', assessmentTemplateEnhancedRoutes);
-app.use('/api/assessment-templates', assessmentTemplateRoutes);
-app.use('/api/observations', observationRoutes);
-app.use('/api/alerts', alertRoutes);
-app.use('/api/alert-rules', alertRuleRoutes);
-app.use('/api/condition-presets', conditionPresetRoutes);
+app.use('/api/assessment-templates-v2', protect, assessmentTemplateEnhancedRoutes);
+app.use('/api/assessment-templates', protect, assessmentTemplateRoutes);
+app.use('/api/observations', protect, observationRoutes);
+app.use('/api/alerts', protect, alertRoutes);
+app.use('/api/alert-rules', protect, alertRuleRoutes);
+app.use('/api/condition-presets', protect, conditionPresetRoutes);
+app.use('/api/audit', protect, auditRoutes);
+app.use('/api/time-logs', protect, timeLogRoutes);
+app.use('/api/billing', protect, billingRoutes);
+// Server-Sent Events; EventSource cannot send an Authorization header, see authenticateEventStream
+app.use('/api/events', authenticateEventStream, eventRoutes);
+// Patient links from reminder emails; authenticated per route with the link's token
+app.use('/api/patient-access', patientAccessRoutes);
 
 // New medication routes
-app.use('/api/drugs', drugRoutes);
-app.use('/api/patient-medications', patientMedicationRoutes);
+app.use('/api/drugs', protect, drugRoutes);
+app.use('/api/patient-medications', protect, patientMedicationRoutes);
+app.use('/api/medication-observations', protect, medicationObservationRoutes);
 
 // Error handling middleware
 app.use((err, req, res, next) => {
@@ -142,6 +171,12 @@ process.on('SIGTERM', async () => {
 
 // Start server
 if (require.main === module) {
+  // Background jobs only run in the server process, never when the app is imported by tests
+  require('./src/services/alertSweepScheduler');
+  require('./src/services/alertEscalationScheduler');
+  require('./src/services/schedulerService');
+  require('./src/services/medicationDoseScheduler');
+
   app.listen(PORT, () => {
     console.log(`Server running on port ${PORT}`);
     console.log(`Health check: http://localhost:${PORT}/health`);
@@ -0,0 +1,28 @@
+-- AlterTable
+ALTER TABLE "alerts" ADD COLUMN     "dedupe_key" TEXT,
+ADD COLUMN     "occurrence_count" INTEGER NOT NULL DEFAULT 1,
+ADD COLUMN     "last_occurred_at" TIMESTAMP(3);
+
+-- CreateTable
+CREATE TABLE "alert_suppressions" (
+    "id" UUID NOT NULL,
+    "alert_id" UUID NOT NULL,
+    "rule_id" UUID NOT NULL,
+    "occurred_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "reason" TEXT,
+    "facts" JSONB,
+
+    CONSTRAINT "alert_suppressions_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "alerts_enrollment_id_dedupe_key_status_idx" ON "alerts"("enrollment_id", "dedupe_key", "status");
+
+-- CreateIndex
+CREATE INDEX "alert_suppressions_alert_id_occurred_at_idx" ON "alert_suppressions"("alert_id", "occurred_at" DESC);
+
+-- AddForeignKey
+ALTER TABLE "alert_suppressions" ADD CONSTRAINT "alert_suppressions_alert_id_fkey" FOREIGN KEY ("alert_id") REFERENCES "alerts"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "alert_suppressions" ADD CONSTRAINT "alert_suppressions_rule_id_fkey" FOREIGN KEY ("rule_id") REFERENCES "alert_rules"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
@@ -0,0 +1,43 @@
+-- CreateEnum
+CREATE TYPE "AlertEventType" AS ENUM ('created', 'assigned', 'acknowledged', 'escalated', 'resolved');
+
+-- CreateEnum
+CREATE TYPE "AlertResolutionCode" AS ENUM ('clinical_intervention', 'medication_adjusted', 'patient_contacted', 'patient_unreachable', 'no_action_needed', 'false_positive', 'duplicate', 'other');
+
+-- AlterTable
+ALTER TABLE "alerts" ADD COLUMN     "assigned_to_id" UUID,
+ADD COLUMN     "assigned_at" TIMESTAMP(3),
+ADD COLUMN     "acknowledged_at" TIMESTAMP(3),
+ADD COLUMN     "resolved_at" TIMESTAMP(3),
+ADD COLUMN     "resolution_code" "AlertResolutionCode",
+ADD COLUMN     "resolution_note" TEXT;
+
+-- CreateTable
+CREATE TABLE "alert_events" (
+    "id" UUID NOT NULL,
+    "alert_id" UUID NOT NULL,
+    "type" "AlertEventType" NOT NULL,
+    "from_status" "AlertStatus",
+    "to_status" "AlertStatus",
+    "actor_id" UUID,
+    "note" TEXT,
+    "data" JSONB,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "alert_events_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "alerts_assigned_to_id_status_idx" ON "alerts"("assigned_to_id", "status");
+
+-- CreateIndex
+CREATE INDEX "alert_events_alert_id_created_at_idx" ON "alert_events"("alert_id", "created_at");
+
+-- AddForeignKey
+ALTER TABLE "alerts" ADD CONSTRAINT "alerts_assigned_to_id_fkey" FOREIGN KEY ("assigned_to_id") REFERENCES "clinicians"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "alert_events" ADD CONSTRAINT "alert_events_alert_id_fkey" FOREIGN KEY ("alert_id") REFERENCES "alerts"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "alert_events" ADD CONSTRAINT "alert_events_actor_id_fkey" FOREIGN KEY ("actor_id") REFERENCES "clinicians"("id") ON DELETE SET NULL ON UPDATE CASCADE;
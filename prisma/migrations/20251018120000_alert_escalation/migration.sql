@@ -0,0 +1,6 @@
+-- AlterTable
+ALTER TABLE "alerts" ADD COLUMN     "escalation_level" INTEGER NOT NULL DEFAULT 0,
+ADD COLUMN     "last_escalated_at" TIMESTAMP(3);
+
+-- AlterTable
+ALTER TABLE "clinicians" ADD COLUMN     "is_on_call" BOOLEAN NOT NULL DEFAULT false;
@@ -0,0 +1,33 @@
+-- CreateEnum
+CREATE TYPE "AuditAction" AS ENUM ('read', 'create', 'update', 'delete');
+
+-- CreateTable
+CREATE TABLE "audit_logs" (
+    "id" UUID NOT NULL,
+    "user_id" UUID,
+    "actor_email" TEXT,
+    "actor_role" TEXT,
+    "action" "AuditAction" NOT NULL,
+    "entity_type" TEXT NOT NULL,
+    "entity_id" UUID,
+    "patient_id" UUID,
+    "changes" JSONB,
+    "ip_address" TEXT,
+    "method" TEXT,
+    "path" TEXT,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "audit_logs_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "audit_logs_patient_id_created_at_idx" ON "audit_logs"("patient_id", "created_at");
+
+-- CreateIndex
+CREATE INDEX "audit_logs_user_id_created_at_idx" ON "audit_logs"("user_id", "created_at");
+
+-- CreateIndex
+CREATE INDEX "audit_logs_entity_type_entity_id_idx" ON "audit_logs"("entity_type", "entity_id");
+
+-- CreateIndex
+CREATE INDEX "audit_logs_created_at_idx" ON "audit_logs"("created_at");
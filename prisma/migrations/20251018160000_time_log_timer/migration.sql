@@ -0,0 +1,5 @@
+-- AlterTable
+ALTER TABLE "timelogs" ALTER COLUMN "ended_at" DROP NOT NULL;
+
+-- CreateIndex
+CREATE INDEX "timelogs_actor_id_ended_at_idx" ON "timelogs"("actor_id", "ended_at");
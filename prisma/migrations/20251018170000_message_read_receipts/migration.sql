@@ -0,0 +1,10 @@
+-- AlterTable
+ALTER TABLE "messages" ADD COLUMN     "read_at" TIMESTAMP(3),
+ADD COLUMN     "read_by_id" UUID,
+ADD COLUMN     "sender_id" UUID;
+
+-- CreateIndex
+CREATE INDEX "messages_enrollment_id_created_at_idx" ON "messages"("enrollment_id", "created_at");
+
+-- CreateIndex
+CREATE INDEX "messages_sender_type_read_at_idx" ON "messages"("sender_type", "read_at");
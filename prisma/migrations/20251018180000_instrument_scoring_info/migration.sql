@@ -0,0 +1,15 @@
+-- Scoring rules for the standardized BPI and FIQ templates, which were seeded without any.
+-- Templates that already have scoring rules are left alone.
+UPDATE "assessment_templates"
+SET "scoring_info" = '{"subscales": {"severity": {"label": "Pain Severity", "method": "mean", "items": ["pain_severity_worst", "pain_severity_least", "pain_severity_average", "pain_severity_now"], "range": "0-10", "metricKey": "bpi_severity_score", "interpretation": {"0-0": "No pain", "1-4": "Mild pain", "5-6": "Moderate pain", "7-10": "Severe pain"}}, "interference": {"label": "Pain Interference", "method": "mean", "items": ["pain_interference_general", "pain_interference_mood", "pain_interference_walking", "pain_interference_work", "pain_interference_relations", "pain_interference_sleep", "pain_interference_enjoyment"], "minItems": 4, "range": "0-10", "metricKey": "bpi_interference_score"}}}'::jsonb
+WHERE "name" = 'Brief Pain Inventory (BPI)' AND "scoring_info" IS NULL;
+
+UPDATE "assessment_templates"
+SET "scoring_info" = '{"totalScore": {"range": "0-100", "metricKey": "fiq_total_score", "items": ["fiq_physical_function", {"metricKey": "fiq_feel_good", "reverse": true, "scaleTo": 10}, {"metricKey": "fiq_work_missed", "scaleTo": 10}, "fiq_work_difficulty", "fiq_pain_level", "fiq_fatigue_level", "fiq_morning_tiredness", "fiq_stiffness", "fiq_anxiety", "fiq_depression"], "interpretation": {"0-38": "Mild impact", "39-58": "Moderate impact", "59-100": "Severe impact"}}}'::jsonb
+WHERE "name" = 'Fibromyalgia Impact Questionnaire (FIQ)' AND "scoring_info" IS NULL;
+
+-- BPI interference is scored from any 4 of its 7 items, so those items cannot be required
+UPDATE "assessment_template_items"
+SET "required" = false
+WHERE "template_id" IN (SELECT "id" FROM "assessment_templates" WHERE "name" = 'Brief Pain Inventory (BPI)')
+  AND "metric_definition_id" IN (SELECT "id" FROM "metric_definitions" WHERE "key" LIKE 'pain\_interference\_%');
@@ -0,0 +1,44 @@
+-- AlterTable
+ALTER TABLE "observations" ADD COLUMN     "response_id" UUID;
+
+-- CreateTable
+CREATE TABLE "assessment_responses" (
+    "id" UUID NOT NULL,
+    "enrollment_id" UUID NOT NULL,
+    "patient_id" UUID NOT NULL,
+    "template_id" UUID NOT NULL,
+    "template_version" INTEGER NOT NULL DEFAULT 1,
+    "source" "SourceType" NOT NULL DEFAULT 'patient',
+    "started_at" TIMESTAMP(3) NOT NULL,
+    "completed_at" TIMESTAMP(3),
+    "item_count" INTEGER NOT NULL DEFAULT 0,
+    "answered_count" INTEGER NOT NULL DEFAULT 0,
+    "required_count" INTEGER NOT NULL DEFAULT 0,
+    "missing_required" TEXT[],
+    "scores" JSONB,
+    "submitted_by_id" UUID,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "assessment_responses_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "assessment_responses_enrollment_id_started_at_idx" ON "assessment_responses"("enrollment_id", "started_at");
+
+-- CreateIndex
+CREATE INDEX "assessment_responses_template_id_idx" ON "assessment_responses"("template_id");
+
+-- CreateIndex
+CREATE INDEX "observations_response_id_idx" ON "observations"("response_id");
+
+-- AddForeignKey
+ALTER TABLE "observations" ADD CONSTRAINT "observations_response_id_fkey" FOREIGN KEY ("response_id") REFERENCES "assessment_responses"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "assessment_responses" ADD CONSTRAINT "assessment_responses_enrollment_id_fkey" FOREIGN KEY ("enrollment_id") REFERENCES "enrollments"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "assessment_responses" ADD CONSTRAINT "assessment_responses_patient_id_fkey" FOREIGN KEY ("patient_id") REFERENCES "patients"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "assessment_responses" ADD CONSTRAINT "assessment_responses_template_id_fkey" FOREIGN KEY ("template_id") REFERENCES "assessment_templates"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
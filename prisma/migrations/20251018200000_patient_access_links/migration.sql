@@ -0,0 +1,26 @@
+-- CreateTable
+CREATE TABLE "patient_access_links" (
+    "id" UUID NOT NULL,
+    "enrollment_id" UUID NOT NULL,
+    "patient_id" UUID NOT NULL,
+    "scopes" TEXT[],
+    "purpose" TEXT NOT NULL DEFAULT 'manual',
+    "expires_at" TIMESTAMP(3) NOT NULL,
+    "used_at" TIMESTAMP(3),
+    "used_ip" TEXT,
+    "revoked_at" TIMESTAMP(3),
+    "revoked_by_id" UUID,
+    "created_by_id" UUID,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "patient_access_links_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "patient_access_links_enrollment_id_created_at_idx" ON "patient_access_links"("enrollment_id", "created_at");
+
+-- AddForeignKey
+ALTER TABLE "patient_access_links" ADD CONSTRAINT "patient_access_links_enrollment_id_fkey" FOREIGN KEY ("enrollment_id") REFERENCES "enrollments"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "patient_access_links" ADD CONSTRAINT "patient_access_links_patient_id_fkey" FOREIGN KEY ("patient_id") REFERENCES "patients"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,5 @@
+-- AlterTable
+ALTER TABLE "patient_medications" ADD COLUMN     "safety_warnings" JSONB,
+ADD COLUMN     "override_reason" TEXT,
+ADD COLUMN     "overridden_by" UUID,
+ADD COLUMN     "overridden_at" TIMESTAMP(3);
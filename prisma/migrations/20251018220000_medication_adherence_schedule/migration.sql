@@ -0,0 +1,17 @@
+-- Remove duplicate doses so the unique index can be created: keep one row per medication and
+-- scheduled time, preferring a reported dose, then the most recently created row
+DELETE FROM "medication_adherence" AS "duplicate"
+USING (
+  SELECT "id", ROW_NUMBER() OVER (
+    PARTITION BY "patient_medication_id", "scheduled_date"
+    ORDER BY ("was_taken" OR "was_skipped") DESC, "created_at" DESC, "id"
+  ) AS "position"
+  FROM "medication_adherence"
+) AS "ranked"
+WHERE "duplicate"."id" = "ranked"."id" AND "ranked"."position" > 1;
+
+-- DropIndex
+DROP INDEX "medication_adherence_patient_medication_id_scheduled_date_idx";
+
+-- CreateIndex
+CREATE UNIQUE INDEX "medication_adherence_patient_medication_id_scheduled_date_key" ON "medication_adherence"("patient_medication_id", "scheduled_date");
@@ -0,0 +1,11 @@
+-- AlterTable
+ALTER TABLE "medication_adherence" ADD COLUMN     "is_prn" BOOLEAN NOT NULL DEFAULT false;
+
+-- Doses already recorded against as-needed medications are PRN dose events
+UPDATE "medication_adherence" SET "is_prn" = true
+FROM "patient_medications"
+WHERE "medication_adherence"."patient_medication_id" = "patient_medications"."id"
+  AND "patient_medications"."is_prn" = true;
+
+-- CreateIndex
+CREATE INDEX "medication_adherence_patient_medication_id_is_prn_taken_at_idx" ON "medication_adherence"("patient_medication_id", "is_prn", "taken_at");
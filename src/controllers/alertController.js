@@ -1,7 +1,26 @@
 const { PrismaClient } = require('../../generated/prisma');
+const { withAudit } = require('../services/auditService');
+const { evaluateEnrollment, evaluateActiveEnrollments } = require('../services/alertEvaluationService');
+const { applyScope, alertScope, enrollmentScope } = require('../middleware/permissions');
+const { publishAlert } = require('../services/realtimeService');
 
 // Use global prisma client in test environment, otherwise create new instance
-const prisma = global.prisma || new PrismaClient();
+const prisma = withAudit(global.prisma || new PrismaClient());
+
+const RESOLUTION_CODES = [
+  'clinical_intervention',
+  'medication_adjusted',
+  'patient_contacted',
+  'patient_unreachable',
+  'no_action_needed',
+  'false_positive',
+  'duplicate',
+  'other'
+];
+
+const clinicianSelect = { id: true, firstName: true, lastName: true };
+
+const TRANSITION_CONFLICT = 'The alert was changed by another request; reload it and try again';
 
 // Create a new alert
 const createAlert = async (req, res) => {
@@ -31,7 +50,10 @@ const createAlert = async (req, res) => {
         ruleId,
         enrollmentId,
         facts: facts || {},
-        status: 'open'
+        status: 'open',
+        events: {
+          create: { type: 'created', toStatus: 'open', data: { source: 'manual' } }
+        }
       },
       include: {
         rule: {
@@ -48,6 +70,7 @@ const createAlert = async (req, res) => {
       }
     });
 
+    publishAlert('alert.created', alert);
     res.status(201).json(alert);
   } catch (error) {
     console.error('Error creating alert:', error);
@@ -72,6 +95,7 @@ const getAlerts = async (req, res) => {
     if (enrollmentId) where.enrollmentId = enrollmentId;
     if (ruleId) where.ruleId = ruleId;
     if (status) where.status = status;
+    if (req.query.assignedToId) where.assignedToId = req.query.assignedToId;
 
     // If you need to filter by severity, you need to filter through the rule relation
     const { severity } = req.query;
@@ -83,10 +107,11 @@ const getAlerts = async (req, res) => {
 
     const skip = (parseInt(page) - 1) * parseInt(limit);
     const take = parseInt(limit);
+    const scopedWhere = applyScope(where, alertScope(req.user));
 
     const [alerts, total] = await Promise.all([
       prisma.alert.findMany({
-        where,
+        where: scopedWhere,
         skip,
         take,
         orderBy: { [sortBy]: sortOrder },
@@ -101,10 +126,13 @@ const getAlerts = async (req, res) => {
                 select: { id: true, mrn: true, firstName: true, lastName: true }
               }
             }
+          },
+          assignedTo: {
+            select: clinicianSelect
           }
         }
       }),
-      prisma.alert.count({ where })
+      prisma.alert.count({ where: scopedWhere })
     ]);
 
     res.json({
@@ -134,7 +162,32 @@ const getAlertById = async (req, res) => {
           select: {
             id: true,
             name: true,
-            severity: true
+            severity: true,
+            cooldown: true,
+            dedupeKey: true
+          }
+        },
+        assignedTo: {
+          select: clinicianSelect
+        },
+        // Status history, oldest first
+        events: {
+          orderBy: { createdAt: 'asc' },
+          include: {
+            actor: {
+              select: clinicianSelect
+            }
+          }
+        },
+        // Repeat triggers folded into this alert by cooldown / dedupe key
+        suppressions: {
+          orderBy: { occurredAt: 'desc' },
+          select: {
+            id: true,
+            ruleId: true,
+            occurredAt: true,
+            reason: true,
+            facts: true
           }
         }
       }
@@ -151,11 +204,11 @@ const getAlertById = async (req, res) => {
   }
 };
 
-// Update alert
+// Update alert facts; status changes go through the lifecycle endpoints so they are recorded
 const updateAlert = async (req, res) => {
   try {
     const { id } = req.params;
-    const { ruleType, threshold, message, severity, isActive } = req.body;
+    const { status, facts } = req.body;
 
     // Check if alert exists
     const existingAlert = await prisma.alert.findUnique({ where: { id } });
@@ -163,42 +216,24 @@ const updateAlert = async (req, res) => {
       return res.status(404).json({ error: 'Alert not found' });
     }
 
-    // Validate rule type if provided
-    if (ruleType) {
-      const validRuleTypes = ['THRESHOLD_EXCEEDED', 'THRESHOLD_BELOW', 'TREND_INCREASING', 'TREND_DECREASING', 'MISSING_DATA'];
-      if (!validRuleTypes.includes(ruleType)) {
-        return res.status(400).json({
-          error: `Invalid rule type. Must be one of: ${validRuleTypes.join(', ')}`
-        });
-      }
-    }
-
-    // Validate severity if provided
-    if (severity) {
-      const validSeverities = ['LOW', 'MEDIUM', 'HIGH', 'CRITICAL'];
-      if (!validSeverities.includes(severity)) {
-        return res.status(400).json({
-          error: `Invalid severity. Must be one of: ${validSeverities.join(', ')}`
-        });
-      }
+    if (status !== undefined && status !== existingAlert.status) {
+      return res.status(400).json({
+        error: 'Alert status cannot be updated directly. Use POST /api/alerts/:id/ack, /assign, /escalate or /resolve'
+      });
     }
 
     const updateData = {};
-    if (ruleType !== undefined) updateData.ruleType = ruleType;
-    if (threshold !== undefined) updateData.threshold = parseFloat(threshold);
-    if (message !== undefined) updateData.message = message;
-    if (severity !== undefined) updateData.severity = severity;
-    if (isActive !== undefined) updateData.isActive = isActive;
+    if (facts !== undefined) updateData.facts = facts;
 
     const alert = await prisma.alert.update({
       where: { id },
       data: updateData,
       include: {
-        patient: {
-          select: { id: true, firstName: true, lastName: true }
+        rule: {
+          select: { id: true, name: true, severity: true }
         },
-        metricDefinition: {
-          select: { id: true, name: true, unit: true }
+        assignedTo: {
+          select: clinicianSelect
         }
       }
     });
@@ -228,125 +263,242 @@ const deleteAlert = async (req, res) => {
   }
 };
 
-// Evaluate alert rules against observations
-const evaluateAlerts = async (req, res) => {
-  try {
-    const { patientId, metricDefinitionId } = req.query;
+// Apply a lifecycle change to an alert, record it in the alert's event history and push it to
+// dashboards. The change only applies while the alert still has the status it was loaded with,
+// so of two concurrent requests only one succeeds; returns null for the other.
+const recordTransition = async (alert, data, event) => {
+  const updated = await prisma.$transaction(async (tx) => {
+    const { count } = await tx.alert.updateMany({
+      where: { id: alert.id, status: alert.status },
+      data
+    });
+    if (count === 0) return null;
 
-    const where = { isActive: true };
-    if (patientId) where.patientId = patientId;
-    if (metricDefinitionId) where.metricDefinitionId = metricDefinitionId;
+    await tx.alertEvent.create({
+      data: {
+        alertId: alert.id,
+        fromStatus: alert.status,
+        toStatus: data.status || alert.status,
+        ...event
+      }
+    });
 
-    const alerts = await prisma.alert.findMany({
-      where,
+    return tx.alert.findUnique({
+      where: { id: alert.id },
       include: {
-        patient: true,
-        metricDefinition: true
+        rule: {
+          select: { id: true, name: true, severity: true }
+        },
+        assignedTo: {
+          select: clinicianSelect
+        },
+        events: {
+          orderBy: { createdAt: 'asc' },
+          include: {
+            actor: {
+              select: clinicianSelect
+            }
+          }
+        }
       }
     });
+  });
+  if (!updated) return null;
+
+  publishAlert('alert.updated', updated);
+  return updated;
+};
 
-    const evaluationResults = [];
+// Load the alert for a lifecycle endpoint, sending a 404 if it does not exist. The actor is
+// always the signed-in clinician; an actorId in the body is ignored.
+const loadTransitionContext = async (req, res) => {
+  const alert = await prisma.alert.findUnique({ where: { id: req.params.id } });
+  if (!alert) {
+    res.status(404).json({ error: 'Alert not found' });
+    return null;
+  }
 
-    for (const alert of alerts) {
-      const result = await evaluateAlertRule(alert);
-      evaluationResults.push(result);
+  return { alert, actorId: req.user?.clinicianId || null };
+};
 
-      // Update alert trigger status if needed
-      if (result.triggered !== alert.isTriggered) {
-        await prisma.alert.update({
-          where: { id: alert.id },
-          data: { 
-            isTriggered: result.triggered,
-            lastTriggeredAt: result.triggered ? new Date() : alert.lastTriggeredAt
-          }
-        });
+// Acknowledge an open alert, optionally with a note
+const acknowledgeAlert = async (req, res) => {
+  try {
+    const context = await loadTransitionContext(req, res);
+    if (!context) return;
+    const { alert, actorId } = context;
+
+    if (alert.status !== 'open') {
+      return res.status(409).json({
+        error: alert.status === 'ack' ? 'Alert is already acknowledged' : 'Resolved alerts cannot be acknowledged'
+      });
+    }
+
+    const updated = await recordTransition(
+      alert,
+      { status: 'ack', acknowledgedAt: new Date() },
+      { type: 'acknowledged', actorId, note: req.body?.note || null }
+    );
+    if (!updated) {
+      return res.status(409).json({ error: TRANSITION_CONFLICT });
+    }
+
+    res.json(updated);
+  } catch (error) {
+    console.error('Error acknowledging alert:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+// Assign (or reassign) an unresolved alert to a clinician
+const assignAlert = async (req, res) => {
+  try {
+    const { clinicianId, note } = req.body || {};
+    if (!clinicianId) {
+      return res.status(400).json({ error: 'Missing required field: clinicianId' });
+    }
+
+    const context = await loadTransitionContext(req, res);
+    if (!context) return;
+    const { alert, actorId } = context;
+
+    if (alert.status === 'closed') {
+      return res.status(409).json({ error: 'Resolved alerts cannot be reassigned' });
+    }
+
+    const clinician = await prisma.clinician.findUnique({ where: { id: clinicianId } });
+    if (!clinician) {
+      return res.status(404).json({ error: 'Clinician not found' });
+    }
+
+    const updated = await recordTransition(
+      alert,
+      { assignedToId: clinicianId, assignedAt: new Date() },
+      {
+        type: 'assigned',
+        actorId,
+        note: note || null,
+        data: {
+          fromClinicianId: alert.assignedToId,
+          toClinicianId: clinicianId,
+          toClinicianName: `${clinician.firstName || ''} ${clinician.lastName || ''}`.trim()
+        }
       }
+    );
+    if (!updated) {
+      return res.status(409).json({ error: TRANSITION_CONFLICT });
     }
 
-    res.json({ evaluationResults });
+    res.json(updated);
   } catch (error) {
-    console.error('Error evaluating alerts:', error);
+    console.error('Error assigning alert:', error);
     res.status(500).json({ error: 'Internal server error' });
   }
 };
 
-// Helper function to evaluate individual alert rule
-const evaluateAlertRule = async (alert) => {
+// Manually escalate an unresolved alert
+const escalateAlert = async (req, res) => {
   try {
-    // Get recent observations for this patient and metric
-    const observations = await prisma.observation.findMany({
-      where: {
-        patientId: alert.patientId,
-        metricDefinitionId: alert.metricDefinitionId
-      },
-      orderBy: { recordedAt: 'desc' },
-      take: 10 // Get last 10 observations for trend analysis
-    });
+    const context = await loadTransitionContext(req, res);
+    if (!context) return;
+    const { alert, actorId } = context;
 
-    if (observations.length === 0) {
-      return {
-        alertId: alert.id,
-        triggered: alert.ruleType === 'MISSING_DATA',
-        reason: 'No observations found',
-        value: null
-      };
+    if (alert.status === 'closed') {
+      return res.status(409).json({ error: 'Resolved alerts cannot be escalated' });
     }
 
-    const latestObservation = observations[0];
-    const latestValue = parseFloat(latestObservation.value);
+    const updated = await recordTransition(
+      alert,
+      { lastEscalatedAt: new Date() },
+      { type: 'escalated', actorId, note: req.body?.note || null, data: { manual: true } }
+    );
+    if (!updated) {
+      return res.status(409).json({ error: TRANSITION_CONFLICT });
+    }
 
-    let triggered = false;
-    let reason = '';
+    res.json(updated);
+  } catch (error) {
+    console.error('Error escalating alert:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
 
-    switch (alert.ruleType) {
-      case 'THRESHOLD_EXCEEDED':
-        triggered = latestValue > alert.threshold;
-        reason = triggered ? `Value ${latestValue} exceeds threshold ${alert.threshold}` : 'Within threshold';
-        break;
+// Resolve an alert with a coded reason; "other" requires a note
+const resolveAlert = async (req, res) => {
+  try {
+    const { resolutionCode, note } = req.body || {};
+    if (!resolutionCode) {
+      return res.status(400).json({ error: 'Missing required field: resolutionCode' });
+    }
+    if (!RESOLUTION_CODES.includes(resolutionCode)) {
+      return res.status(400).json({
+        error: `Invalid resolution code. Must be one of: ${RESOLUTION_CODES.join(', ')}`
+      });
+    }
+    if (resolutionCode === 'other' && !note) {
+      return res.status(400).json({ error: 'A note is required when resolving with reason "other"' });
+    }
 
-      case 'THRESHOLD_BELOW':
-        triggered = latestValue < alert.threshold;
-        reason = triggered ? `Value ${latestValue} below threshold ${alert.threshold}` : 'Above threshold';
-        break;
+    const context = await loadTransitionContext(req, res);
+    if (!context) return;
+    const { alert, actorId } = context;
 
-      case 'TREND_INCREASING':
-        if (observations.length >= 3) {
-          const values = observations.slice(0, 3).map(obs => parseFloat(obs.value));
-          triggered = values[0] > values[1] && values[1] > values[2];
-          reason = triggered ? 'Increasing trend detected' : 'No increasing trend';
-        }
-        break;
+    if (alert.status === 'closed') {
+      return res.status(409).json({ error: 'Alert is already resolved' });
+    }
 
-      case 'TREND_DECREASING':
-        if (observations.length >= 3) {
-          const values = observations.slice(0, 3).map(obs => parseFloat(obs.value));
-          triggered = values[0] < values[1] && values[1] < values[2];
-          reason = triggered ? 'Decreasing trend detected' : 'No decreasing trend';
-        }
-        break;
+    const updated = await recordTransition(
+      alert,
+      {
+        status: 'closed',
+        resolvedAt: new Date(),
+        resolutionCode,
+        resolutionNote: note || null
+      },
+      { type: 'resolved', actorId, note: note || null, data: { resolutionCode } }
+    );
+    if (!updated) {
+      return res.status(409).json({ error: TRANSITION_CONFLICT });
+    }
 
-      case 'MISSING_DATA':
-        const hoursSinceLastObservation = (new Date() - new Date(latestObservation.recordedAt)) / (1000 * 60 * 60);
-        triggered = hoursSinceLastObservation > alert.threshold;
-        reason = triggered ? `No data for ${hoursSinceLastObservation.toFixed(1)} hours` : 'Recent data available';
-        break;
+    res.json(updated);
+  } catch (error) {
+    console.error('Error resolving alert:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+// Evaluate alert rules against observations
+const evaluateAlerts = async (req, res) => {
+  try {
+    const enrollmentId = req.body?.enrollmentId || req.query.enrollmentId;
+    const presetId = req.body?.presetId || req.query.presetId;
+
+    let evaluations;
+    if (enrollmentId) {
+      const enrollment = await prisma.enrollment.findUnique({ where: { id: enrollmentId } });
+      if (!enrollment) {
+        return res.status(404).json({ error: 'Enrollment not found' });
+      }
+      evaluations = [await evaluateEnrollment(enrollmentId, { trigger: 'manual' })];
+    } else {
+      // Without an enrollment, only the enrollments the user can see are evaluated
+      evaluations = await evaluateActiveEnrollments({ presetId, trigger: 'manual', scope: enrollmentScope(req.user) });
     }
 
-    return {
-      alertId: alert.id,
-      triggered,
-      reason,
-      value: latestValue,
-      observationCount: observations.length
-    };
+    const evaluationResults = evaluations.flatMap(evaluation =>
+      evaluation.results.map(result => ({ enrollmentId: evaluation.enrollmentId, ...result }))
+    );
+
+    res.json({
+      evaluationResults,
+      alertsCreated: evaluations.reduce((count, evaluation) => count + evaluation.alerts.length, 0),
+      alertsSuppressed: evaluations.reduce((count, evaluation) => count + evaluation.suppressed.length, 0),
+      alertIds: evaluations.flatMap(evaluation => evaluation.alerts.map(alert => alert.id))
+    });
   } catch (error) {
-    console.error('Error evaluating alert rule:', error);
-    return {
-      alertId: alert.id,
-      triggered: false,
-      reason: 'Evaluation error',
-      error: error.message
-    };
+    console.error('Error evaluating alerts:', error);
+    res.status(500).json({ error: 'Internal server error' });
   }
 };
 
@@ -355,7 +507,7 @@ const getAlertStats = async (req, res) => {
   try {
     const { enrollmentId, timeframe = '7d' } = req.query;
 
-    const where = {};
+    const where = { AND: [alertScope(req.user)] };
     if (enrollmentId) where.enrollmentId = enrollmentId;
 
     // Calculate date range based on timeframe
@@ -435,6 +587,7 @@ const getRecentAlerts = async (req, res) => {
     const { limit = 5 } = req.query;
     
     const alerts = await prisma.alert.findMany({
+      where: alertScope(req.user),
       orderBy: { createdAt: 'desc' },
       take: parseInt(limit),
       select: {
@@ -479,5 +632,9 @@ module.exports = {
   deleteAlert,
   evaluateAlerts,
   getAlertStats,
-  getRecentAlerts
+  getRecentAlerts,
+  acknowledgeAlert,
+  assignAlert,
+  escalateAlert,
+  resolveAlert
 };
\ No newline at end of file
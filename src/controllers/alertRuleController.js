@@ -1,4 +1,6 @@
 const { PrismaClient } = require('../../generated/prisma');
+const { sweepAbsenceAlerts } = require('../services/alertEvaluationService');
+const { backtestRule, validateBacktestRequest } = require('../services/alertBacktestService');
 
 // Use global prisma client in test environment, otherwise create new instance
 const prisma = global.prisma || new PrismaClient();
@@ -486,6 +488,62 @@ const getRuleTemplates = async (req, res) => {
         },
         cooldown: '8h'
       },
+      {
+        id: 'prn_overuse',
+        name: 'PRN Overuse',
+        description: 'Triggers when an as-needed medication goes over its maximum daily dose in any 24 hours',
+        category: 'Medication Management',
+        severity: 'critical',
+        window: '24h',
+        expression: {
+          condition: 'prn_overuse',
+          operator: 'greater_than',
+          threshold: 1,
+          description: 'More than 100% of the maximum daily dose'
+        },
+        actions: {
+          notify: ['clinician', 'care_team'],
+          escalate: true
+        },
+        cooldown: '12h'
+      },
+      {
+        id: 'opioid_mme_50',
+        name: 'Opioid Dose 50 MME/day or More',
+        description: 'Triggers when active opioid prescriptions reach 50 morphine milligram equivalents a day',
+        category: 'Medication Management',
+        severity: 'medium',
+        window: '1d',
+        expression: {
+          condition: 'daily_mme',
+          operator: 'greater_than_or_equal',
+          threshold: 50,
+          description: '50 MME/day or more'
+        },
+        actions: {
+          notify: ['clinician']
+        },
+        cooldown: '7d'
+      },
+      {
+        id: 'opioid_mme_90',
+        name: 'Opioid Dose 90 MME/day or More',
+        description: 'Triggers when active opioid prescriptions reach 90 morphine milligram equivalents a day',
+        category: 'Medication Management',
+        severity: 'high',
+        window: '1d',
+        expression: {
+          condition: 'daily_mme',
+          operator: 'greater_than_or_equal',
+          threshold: 90,
+          description: '90 MME/day or more'
+        },
+        actions: {
+          notify: ['clinician', 'care_team'],
+          escalate: true
+        },
+        cooldown: '7d'
+      },
       {
         id: 'medication_effectiveness_declining',
         name: 'Declining Medication Effectiveness',
@@ -787,6 +845,100 @@ const getAlertRuleStats = async (req, res) => {
   }
 };
 
+// Shared by the saved and unsaved rule test endpoints
+const runRuleTest = async (rule, body, res) => {
+  const { observations, enrollmentId, from, to } = body || {};
+  const request = { samples: observations, enrollmentId, from, to };
+
+  const errors = validateBacktestRequest(rule, request);
+  if (errors.length > 0) {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid rule test request',
+      errors
+    });
+  }
+
+  const result = await backtestRule(rule, request);
+  if (!result) {
+    return res.status(404).json({
+      success: false,
+      message: 'Enrollment not found'
+    });
+  }
+
+  res.json({
+    success: true,
+    message: `Rule would have triggered ${result.triggeredCount} times and raised ${result.alertsCreated} alerts`,
+    data: result
+  });
+};
+
+// Test a saved alert rule against sample observations or an enrollment's history
+const testAlertRule = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const rule = await prisma.alertRule.findUnique({ where: { id } });
+    if (!rule) {
+      return res.status(404).json({
+        success: false,
+        message: 'Alert rule not found'
+      });
+    }
+
+    await runRuleTest(rule, req.body, res);
+  } catch (error) {
+    console.error('Error testing alert rule:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while testing alert rule'
+    });
+  }
+};
+
+// Test an unsaved rule definition (e.g. from the rule builder) the same way
+const testUnsavedAlertRule = async (req, res) => {
+  try {
+    const { rule } = req.body || {};
+
+    if (!rule || typeof rule !== 'object') {
+      return res.status(400).json({
+        success: false,
+        message: 'Missing required field: rule'
+      });
+    }
+
+    await runRuleTest(rule, req.body, res);
+  } catch (error) {
+    console.error('Error testing alert rule:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while testing alert rule'
+    });
+  }
+};
+
+// Run the missing-data / completion-rate alert sweep on demand (normally run by the scheduler)
+const runAlertSweep = async (req, res) => {
+  try {
+    const { presetId } = req.body || {};
+    const summary = await sweepAbsenceAlerts({ presetId });
+
+    res.json({
+      success: true,
+      message: `Alert sweep completed: ${summary.alertIds.length} alerts raised`,
+      data: summary
+    });
+  } catch (error) {
+    console.error('Error running alert sweep:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while running alert sweep'
+    });
+  }
+};
+
 module.exports = {
   getAllAlertRules,
   getAlertRuleById,
@@ -794,5 +946,8 @@ module.exports = {
   updateAlertRule,
   deleteAlertRule,
   getRuleTemplates,
-  getAlertRuleStats
+  getAlertRuleStats,
+  runAlertSweep,
+  testAlertRule,
+  testUnsavedAlertRule
 };
\ No newline at end of file
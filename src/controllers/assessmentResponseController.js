@@ -0,0 +1,172 @@
+const { PrismaClient } = require('../../generated/prisma');
+const { withAudit } = require('../services/auditService');
+const {
+  responseInclude,
+  observationInclude,
+  loadTemplate,
+  prepareResponse,
+  saveResponses
+} = require('../services/assessmentResponseService');
+const { evaluateObservationAlerts } = require('../services/alertEvaluationService');
+
+// Use global prisma client in test environment, otherwise create new instance
+const prisma = withAudit(global.prisma || new PrismaClient());
+
+// Submit one sitting of an assessment template. The answers are validated against the
+// template's items and written together with their AssessmentResponse (and instrument
+// scores) in a single transaction; nothing is written when any answer is invalid.
+const submitAssessmentResponse = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { templateId, responses, startedAt, completedAt, source = 'patient' } = req.body;
+
+    const enrollment = await prisma.enrollment.findUnique({
+      where: { id },
+      select: { id: true, patientId: true, presetId: true, status: true }
+    });
+
+    if (!enrollment) {
+      return res.status(404).json({
+        error: 'Enrollment not found'
+      });
+    }
+
+    if (enrollment.status !== 'active') {
+      return res.status(400).json({
+        error: 'Assessments can only be submitted for active enrollments'
+      });
+    }
+
+    const template = await loadTemplate(templateId);
+
+    if (!template) {
+      return res.status(404).json({
+        error: 'Assessment template not found'
+      });
+    }
+
+    const inPreset = await prisma.conditionPresetTemplate.findFirst({
+      where: { presetId: enrollment.presetId, templateId },
+      select: { id: true }
+    });
+
+    if (!inPreset) {
+      return res.status(400).json({
+        error: 'Assessment template is not part of this enrollment\'s condition preset'
+      });
+    }
+
+    const prepared = await prepareResponse(enrollment, template, {
+      responses,
+      startedAt,
+      completedAt,
+      source,
+      submittedById: req.user?.id || null
+    });
+
+    if (prepared.error) {
+      return res.status(400).json({
+        error: prepared.error,
+        ...(prepared.details ? { details: prepared.details } : {})
+      });
+    }
+
+    const [response] = await saveResponses(prisma, [prepared]);
+    const { observations } = response;
+
+    const triggeredAlertIds = await evaluateObservationAlerts(observations);
+
+    res.status(201).json({
+      message: 'Assessment response recorded successfully',
+      data: response,
+      triggeredAlertIds
+    });
+  } catch (error) {
+    console.error('Error submitting assessment response:', error);
+    res.status(500).json({
+      error: 'Internal server error while submitting assessment response'
+    });
+  }
+};
+
+// List an enrollment's assessment responses, newest first
+const getAssessmentResponses = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { page = 1, limit = 10, templateId, complete } = req.query;
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+    const take = parseInt(limit);
+
+    const where = { enrollmentId: id };
+    if (templateId) where.templateId = templateId;
+    if (complete !== undefined) {
+      where.completedAt = String(complete) === 'true' ? { not: null } : null;
+    }
+
+    const [responses, total] = await Promise.all([
+      prisma.assessmentResponse.findMany({
+        where,
+        include: responseInclude,
+        orderBy: { startedAt: 'desc' },
+        skip,
+        take
+      }),
+      prisma.assessmentResponse.count({ where })
+    ]);
+
+    res.json({
+      data: responses,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / parseInt(limit))
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching assessment responses:', error);
+    res.status(500).json({
+      error: 'Internal server error while fetching assessment responses'
+    });
+  }
+};
+
+// Get one assessment response with its observations
+const getAssessmentResponseById = async (req, res) => {
+  try {
+    const { id, responseId } = req.params;
+
+    const response = await prisma.assessmentResponse.findFirst({
+      where: { id: responseId, enrollmentId: id },
+      include: {
+        ...responseInclude,
+        observations: {
+          include: observationInclude,
+          orderBy: { recordedAt: 'asc' }
+        }
+      }
+    });
+
+    if (!response) {
+      return res.status(404).json({
+        error: 'Assessment response not found'
+      });
+    }
+
+    res.json({
+      data: response
+    });
+  } catch (error) {
+    console.error('Error fetching assessment response:', error);
+    res.status(500).json({
+      error: 'Internal server error while fetching assessment response'
+    });
+  }
+};
+
+module.exports = {
+  submitAssessmentResponse,
+  getAssessmentResponses,
+  getAssessmentResponseById
+};
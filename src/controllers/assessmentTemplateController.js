@@ -1,5 +1,6 @@
 const { PrismaClient } = require('../../generated/prisma');
-const prisma = global.prisma || new PrismaClient();
+const { withAudit } = require('../services/auditService');
+const prisma = withAudit(global.prisma || new PrismaClient());
 
 // Get all assessment templates
 const getAllAssessmentTemplates = async (req, res) => {
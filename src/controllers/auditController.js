@@ -0,0 +1,44 @@
+const { queryAuditLogs } = require('../services/auditService');
+
+// Query the PHI audit trail, filterable by patient, actor and date range
+const getAuditLogs = async (req, res) => {
+  try {
+    const {
+      patientId,
+      actorId,
+      entityType,
+      entityId,
+      action,
+      startDate,
+      endDate,
+      page = 1,
+      limit = 50
+    } = req.query;
+
+    const result = await queryAuditLogs({
+      patientId,
+      userId: actorId,
+      entityType,
+      entityId,
+      action,
+      startDate,
+      endDate,
+      page,
+      limit
+    });
+
+    res.json({
+      data: result.entries,
+      pagination: result.pagination
+    });
+  } catch (error) {
+    console.error('Error fetching audit logs:', error);
+    res.status(500).json({
+      error: 'Internal server error while fetching audit logs'
+    });
+  }
+};
+
+module.exports = {
+  getAuditLogs
+};
@@ -0,0 +1,232 @@
+const { PrismaClient } = require('../../generated/prisma');
+const {
+  hashPassword,
+  verifyPassword,
+  toAuthUser,
+  issueTokens,
+  rotateRefreshToken,
+  revokeRefreshToken
+} = require('../services/authService');
+
+// Use global prisma client in test environment, otherwise create new instance
+const prisma = global.prisma || new PrismaClient();
+
+// Log in with email and password
+const login = async (req, res) => {
+  try {
+    const { email, password } = req.body;
+
+    const user = await prisma.user.findUnique({
+      where: { email: email.toLowerCase() },
+      include: { clinician: true }
+    });
+
+    // Same response for unknown email and wrong password so accounts can't be enumerated
+    if (!user || !(await verifyPassword(password, user.passwordHash))) {
+      return res.status(401).json({
+        error: 'Invalid email or password'
+      });
+    }
+
+    if (!user.isActive) {
+      return res.status(403).json({
+        error: 'Account is disabled'
+      });
+    }
+
+    const updated = await prisma.user.update({
+      where: { id: user.id },
+      data: { lastLoginAt: new Date() },
+      include: { clinician: true }
+    });
+
+    const tokens = await issueTokens(updated);
+
+    res.json({
+      message: 'Login successful',
+      data: {
+        ...tokens,
+        user: toAuthUser(updated)
+      }
+    });
+  } catch (error) {
+    console.error('Error logging in:', error);
+    res.status(500).json({
+      error: 'Internal server error while logging in'
+    });
+  }
+};
+
+// Exchange a refresh token for a new access/refresh token pair
+const refresh = async (req, res) => {
+  try {
+    const result = await rotateRefreshToken(req.body.refreshToken);
+
+    if (!result) {
+      return res.status(401).json({
+        error: 'Invalid or expired refresh token'
+      });
+    }
+
+    res.json({
+      message: 'Token refreshed',
+      data: result
+    });
+  } catch (error) {
+    console.error('Error refreshing token:', error);
+    res.status(500).json({
+      error: 'Internal server error while refreshing token'
+    });
+  }
+};
+
+// Revoke the presented refresh token
+const logout = async (req, res) => {
+  try {
+    await revokeRefreshToken(req.body.refreshToken);
+
+    res.json({
+      message: 'Logged out successfully'
+    });
+  } catch (error) {
+    console.error('Error logging out:', error);
+    res.status(500).json({
+      error: 'Internal server error while logging out'
+    });
+  }
+};
+
+// Get the currently authenticated user
+const getCurrentUser = async (req, res) => {
+  try {
+    const user = await prisma.user.findUnique({
+      where: { id: req.user.id },
+      include: { clinician: true }
+    });
+
+    if (!user || !user.isActive) {
+      return res.status(401).json({
+        error: 'User account is no longer active'
+      });
+    }
+
+    res.json({
+      data: toAuthUser(user)
+    });
+  } catch (error) {
+    console.error('Error fetching current user:', error);
+    res.status(500).json({
+      error: 'Internal server error while fetching current user'
+    });
+  }
+};
+
+// Create a login for a clinician
+const createUser = async (req, res) => {
+  try {
+    const { email, password, role, clinicianId } = req.body;
+    const normalizedEmail = email.toLowerCase();
+
+    const existingUser = await prisma.user.findUnique({
+      where: { email: normalizedEmail }
+    });
+
+    if (existingUser) {
+      return res.status(409).json({
+        error: 'User with this email already exists'
+      });
+    }
+
+    if (clinicianId) {
+      const clinician = await prisma.clinician.findUnique({
+        where: { id: clinicianId },
+        include: { user: true }
+      });
+
+      if (!clinician) {
+        return res.status(404).json({
+          error: 'Clinician not found'
+        });
+      }
+
+      if (clinician.user) {
+        return res.status(409).json({
+          error: 'Clinician already has a user account'
+        });
+      }
+    }
+
+    const user = await prisma.user.create({
+      data: {
+        email: normalizedEmail,
+        passwordHash: await hashPassword(password),
+        role,
+        clinicianId: clinicianId || null
+      },
+      include: { clinician: true }
+    });
+
+    res.status(201).json({
+      message: 'User created successfully',
+      data: toAuthUser(user)
+    });
+  } catch (error) {
+    console.error('Error creating user:', error);
+    res.status(500).json({
+      error: 'Internal server error while creating user'
+    });
+  }
+};
+
+// Change a user's role or disable/enable the account
+const updateUser = async (req, res) => {
+  try {
+    const { role, isActive } = req.body;
+
+    const existingUser = await prisma.user.findUnique({
+      where: { id: req.params.id }
+    });
+
+    if (!existingUser) {
+      return res.status(404).json({
+        error: 'User not found'
+      });
+    }
+
+    const user = await prisma.user.update({
+      where: { id: req.params.id },
+      data: {
+        ...(role !== undefined && { role }),
+        ...(isActive !== undefined && { isActive })
+      },
+      include: { clinician: true }
+    });
+
+    // A disabled account must not be able to mint new access tokens
+    if (isActive === false) {
+      await prisma.refreshToken.updateMany({
+        where: { userId: user.id, revokedAt: null },
+        data: { revokedAt: new Date() }
+      });
+    }
+
+    res.json({
+      message: 'User updated successfully',
+      data: toAuthUser(user)
+    });
+  } catch (error) {
+    console.error('Error updating user:', error);
+    res.status(500).json({
+      error: 'Internal server error while updating user'
+    });
+  }
+};
+
+module.exports = {
+  login,
+  refresh,
+  logout,
+  getCurrentUser,
+  createUser,
+  updateUser
+};
@@ -0,0 +1,55 @@
+const { getBillingPeriod: buildBillingPeriod } = require('../services/billingService');
+const { toCsv, to837P } = require('../services/billingExportService');
+
+const EXPORT_FORMATS = {
+  csv: { render: toCsv, contentType: 'text/csv; charset=utf-8', filename: (period) => `billing-${period}.csv` },
+  '837p': { render: to837P, contentType: 'text/plain; charset=utf-8', filename: (period) => `claims-${period}.837` }
+};
+
+// Billable RTM/RPM codes per enrollment for one calendar month (:period is YYYY-MM)
+const getBillingPeriod = async (req, res) => {
+  try {
+    const { clinicianId, enrollmentId } = req.query;
+
+    const billingPeriod = await buildBillingPeriod(req.params.period, {
+      user: req.user,
+      clinicianId,
+      enrollmentId
+    });
+
+    res.json({ data: billingPeriod });
+  } catch (error) {
+    console.error('Error computing billing period:', error);
+    res.status(500).json({
+      error: 'Internal server error while computing billing period'
+    });
+  }
+};
+
+// Download the period's claim lines as CSV (default) or an 837P claim file
+const exportBillingPeriod = async (req, res) => {
+  try {
+    const { clinicianId, enrollmentId, format = 'csv' } = req.query;
+    const exporter = EXPORT_FORMATS[format];
+
+    const billingPeriod = await buildBillingPeriod(req.params.period, {
+      user: req.user,
+      clinicianId,
+      enrollmentId
+    });
+
+    res.set('Content-Type', exporter.contentType);
+    res.set('Content-Disposition', `attachment; filename="${exporter.filename(billingPeriod.period)}"`);
+    res.send(exporter.render(billingPeriod));
+  } catch (error) {
+    console.error('Error exporting billing period:', error);
+    res.status(500).json({
+      error: 'Internal server error while exporting billing period'
+    });
+  }
+};
+
+module.exports = {
+  getBillingPeriod,
+  exportBillingPeriod
+};
@@ -1,7 +1,8 @@
 const { PrismaClient } = require('../../generated/prisma');
+const { withAudit } = require('../services/auditService');
 
 // Use global prisma client in test environment, otherwise create new instance
-const prisma = global.prisma || new PrismaClient();
+const prisma = withAudit(global.prisma || new PrismaClient());
 
 // Create a new clinician
 const createClinician = async (req, res) => {
@@ -17,6 +18,7 @@ const createClinician = async (req, res) => {
       specialization,
       licenseNumber,
       department,
+      isOnCall,
       address,
       emergencyContact,
       credentials
@@ -56,6 +58,7 @@ const createClinician = async (req, res) => {
         specialization,
         licenseNumber,
         department,
+        isOnCall,
         address,
         emergencyContact,
         credentials
@@ -1,6 +1,7 @@
 const { PrismaClient } = require('../../generated/prisma');
+const { withAudit } = require('../services/auditService');
 
-const prisma = global.prisma || new PrismaClient();
+const prisma = withAudit(global.prisma || new PrismaClient());
 
 // Get all drugs with pagination and search
 const getDrugs = async (req, res) => {
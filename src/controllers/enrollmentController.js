@@ -1,7 +1,9 @@
 const { PrismaClient } = require('../../generated/prisma');
+const { withAudit } = require('../services/auditService');
+const { applyScope, enrollmentScope } = require('../middleware/permissions');
 
 // Use global prisma client in test environment, otherwise create new instance
-const prisma = global.prisma || new PrismaClient();
+const prisma = withAudit(global.prisma || new PrismaClient());
 
 // Create a new enrollment
 const createEnrollment = async (req, res) => {
@@ -85,10 +87,6 @@ const createEnrollment = async (req, res) => {
       });
     }
 
-    // Add this at the top with other imports
-    const { setupDailyReminderRule } = require('../services/reminderService');
-    
-    // In the createEnrollment function, update the enrollment creation:
     const enrollment = await prisma.enrollment.create({
       data: {
         patientId,
@@ -99,7 +97,7 @@ const createEnrollment = async (req, res) => {
         endDate: endDate ? new Date(endDate) : null,
         status,
         consentAt: consentAt ? new Date(consentAt) : null,
-        reminderSettings // Add this line
+        reminderSettings
       },
       include: {
         patient: {
@@ -127,8 +125,7 @@ const createEnrollment = async (req, res) => {
       }
     });
 
-    // Auto-setup daily reminder alert rule
-    await setupDailyReminderRule(enrollment.id, reminderSettings);
+    // Reminders are sent by the reminder scheduler straight from reminderSettings
 
     res.status(201).json({
       success: true,
@@ -175,9 +172,11 @@ const getAllEnrollments = async (req, res) => {
       where.clinicianId = clinicianId;
     }
 
+    const scopedWhere = applyScope(where, enrollmentScope(req.user));
+
     const [enrollments, total] = await Promise.all([
       prisma.enrollment.findMany({
-        where,
+        where: scopedWhere,
         skip,
         take,
         orderBy: {
@@ -205,7 +204,7 @@ const getAllEnrollments = async (req, res) => {
           }
         }
       }),
-      prisma.enrollment.count({ where })
+      prisma.enrollment.count({ where: scopedWhere })
     ]);
 
     res.json({
@@ -578,17 +577,19 @@ const transferEnrollment = async (req, res) => {
 // Get enrollment statistics
 const getEnrollmentStats = async (req, res) => {
   try {
+    const scope = enrollmentScope(req.user);
+
     const [totalEnrollments, activeEnrollments, pausedEnrollments, endedEnrollments] = await Promise.all([
-      prisma.enrollment.count(),
-      prisma.enrollment.count({ where: { status: 'active' } }),
-      prisma.enrollment.count({ where: { status: 'paused' } }),
-      prisma.enrollment.count({ where: { status: 'ended' } })
+      prisma.enrollment.count({ where: scope }),
+      prisma.enrollment.count({ where: { ...scope, status: 'active' } }),
+      prisma.enrollment.count({ where: { ...scope, status: 'paused' } }),
+      prisma.enrollment.count({ where: { ...scope, status: 'ended' } })
     ]);
 
     // Get enrollment distribution by clinician
     const clinicianDistribution = await prisma.enrollment.groupBy({
       by: ['clinicianId'],
-      where: { status: 'active' },
+      where: { ...scope, status: 'active' },
       _count: { clinicianId: true },
       orderBy: {
         _count: {
@@ -0,0 +1,22 @@
+const { addClient } = require('../services/realtimeService');
+
+// Server-Sent Events stream of alert and observation events for the signed-in user.
+// The connection stays open until the client disconnects; events are scoped per user.
+const streamEvents = (req, res) => {
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    // Disable response buffering in nginx so events are delivered immediately
+    'X-Accel-Buffering': 'no'
+  });
+  res.status(200);
+  res.flushHeaders();
+
+  const removeClient = addClient(req.user, res);
+  req.on('close', removeClient);
+};
+
+module.exports = {
+  streamEvents
+};
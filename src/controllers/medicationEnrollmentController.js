@@ -1,6 +1,10 @@
 const { PrismaClient } = require('../../generated/prisma');
+const { withAudit } = require('../services/auditService');
+const { checkPrescription, hasOverrideReason, safetyRecord } = require('../services/medicationSafetyService');
+const { materializePatientSchedules, adherenceStats } = require('../services/medicationScheduleService');
+const { evaluatePrescriptionAlerts } = require('../services/alertEvaluationService');
 
-const prisma = global.prisma || new PrismaClient();
+const prisma = withAudit(global.prisma || new PrismaClient());
 
 // Add medication management to an enrollment
 const addMedicationToEnrollment = async (req, res) => {
@@ -14,7 +18,8 @@ const addMedicationToEnrollment = async (req, res) => {
       instructions,
       startDate,
       endDate,
-      isPRN = false
+      isPRN = false,
+      overrideReason
     } = req.body;
 
     // Get enrollment details
@@ -32,6 +37,26 @@ const addMedicationToEnrollment = async (req, res) => {
       });
     }
 
+    const drug = await prisma.drug.findUnique({
+      where: { id: drugId }
+    });
+
+    if (!drug) {
+      return res.status(404).json({
+        error: 'Drug not found'
+      });
+    }
+
+    // Check the drug against the patient's active medications, allergies and conditions
+    const safety = await checkPrescription(enrollment.patientId, drug);
+    if (safety.requiresOverride && !hasOverrideReason(overrideReason)) {
+      return res.status(409).json({
+        error: 'This medication has major safety warnings; an override reason is required to prescribe it',
+        requiresOverride: true,
+        warnings: safety.warnings
+      });
+    }
+
     // Create patient medication
     const patientMedication = await prisma.patientMedication.create({
       data: {
@@ -45,7 +70,8 @@ const addMedicationToEnrollment = async (req, res) => {
         startDate: new Date(startDate),
         endDate: endDate ? new Date(endDate) : null,
         isPRN,
-        notes: `Prescribed as part of enrollment ${enrollmentId}`
+        notes: `Prescribed as part of enrollment ${enrollmentId}`,
+        ...safetyRecord(safety, overrideReason, req.user?.id)
       },
       include: {
         drug: true,
@@ -60,8 +86,12 @@ const addMedicationToEnrollment = async (req, res) => {
       }
     });
 
+    const triggeredAlertIds = await evaluatePrescriptionAlerts(patientMedication.patientId);
+
     res.status(201).json({
       data: patientMedication,
+      warnings: safety.warnings,
+      triggeredAlertIds,
       message: 'Medication added to enrollment successfully'
     });
   } catch (error) {
@@ -76,6 +106,21 @@ const addMedicationToEnrollment = async (req, res) => {
 const getEnrollmentMedicationSummary = async (req, res) => {
   try {
     const { id: enrollmentId } = req.params;
+    const now = new Date();
+
+    const found = await prisma.enrollment.findUnique({
+      where: { id: enrollmentId },
+      select: { patientId: true }
+    });
+
+    if (!found) {
+      return res.status(404).json({
+        error: 'Enrollment not found'
+      });
+    }
+
+    // Create the doses each medication's frequency expects, so missed doses count against adherence
+    const schedules = await materializePatientSchedules(found.patientId, { now, lookbackDays: 7 });
 
     const enrollment = await prisma.enrollment.findUnique({
       where: { id: enrollmentId },
@@ -89,7 +134,8 @@ const getEnrollmentMedicationSummary = async (req, res) => {
                 adherenceRecords: {
                   where: {
                     scheduledDate: {
-                      gte: new Date(Date.now() - 7 * 24 * 60 * 60 * 1000) // Last 7 days
+                      gte: new Date(now.getTime() - 7 * 24 * 60 * 60 * 1000), // Last 7 days
+                      lte: now
                     }
                   },
                   orderBy: { scheduledDate: 'desc' }
@@ -101,36 +147,26 @@ const getEnrollmentMedicationSummary = async (req, res) => {
       }
     });
 
-    if (!enrollment) {
-      return res.status(404).json({
-        error: 'Enrollment not found'
-      });
-    }
-
-    // Calculate adherence statistics
     const medicationSummary = enrollment.patient.patientMedications.map(med => {
-      const totalScheduled = med.adherenceRecords.length;
-      const totalTaken = med.adherenceRecords.filter(record => record.wasTaken).length;
-      const adherenceRate = totalScheduled > 0 ? (totalTaken / totalScheduled) * 100 : 0;
-
+      const schedule = schedules[med.id] || null;
       return {
         medication: med,
-        adherenceStats: {
-          totalScheduled,
-          totalTaken,
-          adherenceRate: Math.round(adherenceRate),
-          lastTaken: med.adherenceRecords.find(record => record.wasTaken)?.takenAt || null
-        }
+        schedule,
+        adherenceStats: adherenceStats(med.adherenceRecords, { schedule, now })
       };
     });
 
+    // Weighted by expected doses; null when nothing was due (e.g. only PRN medications)
+    const due = medicationSummary.reduce((sum, med) => sum + med.adherenceStats.totalScheduled, 0);
+    const taken = medicationSummary
+      .filter(med => med.adherenceStats.totalScheduled > 0)
+      .reduce((sum, med) => sum + med.adherenceStats.totalTaken, 0);
+
     res.json({
       data: {
         enrollment,
         medicationSummary,
-        overallAdherence: medicationSummary.length > 0 
-          ? Math.round(medicationSummary.reduce((sum, med) => sum + med.adherenceStats.adherenceRate, 0) / medicationSummary.length)
-          : 0
+        overallAdherence: due > 0 ? Math.round((taken / due) * 100) : null
       }
     });
   } catch (error) {
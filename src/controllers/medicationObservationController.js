@@ -1,6 +1,9 @@
 const { PrismaClient } = require('../../generated/prisma');
+const { withAudit } = require('../services/auditService');
+const { evaluateObservationAlerts } = require('../services/alertEvaluationService');
+const { recordDose } = require('../services/medicationScheduleService');
 
-const prisma = global.prisma || new PrismaClient();
+const prisma = withAudit(global.prisma || new PrismaClient());
 
 // Create medication-related observation
 const createMedicationObservation = async (req, res) => {
@@ -38,6 +41,31 @@ const createMedicationObservation = async (req, res) => {
       });
     }
 
+    if (patientMedication.patientId !== patientId) {
+      return res.status(400).json({
+        error: 'Patient medication does not belong to this patient'
+      });
+    }
+
+    if (enrollmentId) {
+      const enrollment = await prisma.enrollment.findUnique({
+        where: { id: enrollmentId },
+        select: { id: true, patientId: true }
+      });
+
+      if (!enrollment) {
+        return res.status(404).json({
+          error: 'Enrollment not found'
+        });
+      }
+
+      if (enrollment.patientId !== patientId) {
+        return res.status(400).json({
+          error: 'Enrollment does not belong to this patient'
+        });
+      }
+    }
+
     // Prepare observation data based on value type
     let observationData = {
       patientId,
@@ -86,24 +114,24 @@ const createMedicationObservation = async (req, res) => {
       }
     });
 
-    // Also create medication adherence record if this is an adherence observation
+    // Adherence observations also report the scheduled dose they belong to
     if (metricKey === 'medication_adherence') {
-      await prisma.medicationAdherence.create({
-        data: {
-          patientMedicationId,
-          patientId,
-          scheduledDate: new Date(),
-          wasTaken: value === 'Taken as prescribed',
-          wasSkipped: ['Missed dose', 'Skipped intentionally'].includes(value),
-          skipReason: value !== 'Taken as prescribed' ? value : null,
-          reportedBy: 'patient'
-        }
+      await recordDose(patientMedication, {
+        takenAt: observation.recordedAt,
+        wasTaken: value === 'Taken as prescribed',
+        wasSkipped: ['Missed dose', 'Skipped intentionally'].includes(value),
+        skipReason: value !== 'Taken as prescribed' ? value : null,
+        reportedBy: 'patient'
       });
     }
 
+    // Adherence and side-effect observations feed medication alert rules
+    const triggeredAlertIds = await evaluateObservationAlerts([observation]);
+
     res.status(201).json({
       message: 'Medication observation created successfully',
-      data: observation
+      data: observation,
+      triggeredAlertIds
     });
   } catch (error) {
     console.error('Error creating medication observation:', error);
@@ -0,0 +1,205 @@
+const { PrismaClient } = require('../../generated/prisma');
+const { withAudit } = require('../services/auditService');
+const { applyScope, messageScope } = require('../middleware/permissions');
+
+// Use global prisma client in test environment, otherwise create new instance
+const prisma = withAudit(global.prisma || new PrismaClient());
+
+// Time spent replying counts as interactive communication for RTM treatment management
+const DEFAULT_REPLY_CPT_CODE = 'CPT_98980';
+
+// Unread = patient messages the care team has not opened yet
+const unreadWhere = { senderType: 'patient', readAt: null };
+
+const findEnrollment = (id) => prisma.enrollment.findUnique({
+  where: { id },
+  select: { id: true, patientId: true, clinicianId: true }
+});
+
+// Get the message thread of an enrollment, oldest first; pages count back from the newest message
+const getEnrollmentMessages = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { page = 1, limit = 50 } = req.query;
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+    const take = parseInt(limit);
+
+    const enrollment = await findEnrollment(id);
+    if (!enrollment) {
+      return res.status(404).json({
+        error: 'Enrollment not found'
+      });
+    }
+
+    const [messages, total, unreadCount] = await Promise.all([
+      prisma.message.findMany({
+        where: { enrollmentId: id },
+        orderBy: { createdAt: 'desc' },
+        skip,
+        take
+      }),
+      prisma.message.count({ where: { enrollmentId: id } }),
+      prisma.message.count({ where: { enrollmentId: id, ...unreadWhere } })
+    ]);
+
+    res.json({
+      data: messages.reverse(),
+      unreadCount,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / parseInt(limit))
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching messages:', error);
+    res.status(500).json({
+      error: 'Internal server error while fetching messages'
+    });
+  }
+};
+
+// Send a care team message. With `logMinutes` the reply is also logged as a TimeLog
+// (98980 unless `cptCode` says otherwise) so it counts toward treatment management time.
+const sendEnrollmentMessage = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { body, logMinutes, cptCode = DEFAULT_REPLY_CPT_CODE } = req.body;
+
+    const enrollment = await findEnrollment(id);
+    if (!enrollment) {
+      return res.status(404).json({
+        error: 'Enrollment not found'
+      });
+    }
+
+    const senderId = req.user?.clinicianId || null;
+
+    const result = await prisma.$transaction(async (tx) => {
+      const message = await tx.message.create({
+        data: {
+          enrollmentId: id,
+          patientId: enrollment.patientId,
+          senderType: 'clinician',
+          senderId,
+          body: body.trim()
+        }
+      });
+
+      if (!logMinutes) return { ...message, timeLog: null };
+
+      const endedAt = new Date();
+      const minutes = parseInt(logMinutes);
+      const timeLog = await tx.timeLog.create({
+        data: {
+          enrollmentId: id,
+          patientId: enrollment.patientId,
+          cptCode,
+          minutes,
+          startedAt: new Date(endedAt.getTime() - minutes * 60000),
+          endedAt,
+          actorId: senderId,
+          activityRef: `message:${message.id}`,
+          audit: { source: 'message', userId: req.user?.id || null }
+        }
+      });
+
+      return { ...message, timeLog };
+    });
+
+    res.status(201).json({
+      message: 'Message sent successfully',
+      data: result
+    });
+  } catch (error) {
+    console.error('Error sending message:', error);
+    res.status(500).json({
+      error: 'Internal server error while sending message'
+    });
+  }
+};
+
+// Read receipts: mark the patient's unread messages (all, or `messageIds`) as read by the current user
+const markEnrollmentMessagesRead = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { messageIds } = req.body || {};
+
+    const where = { enrollmentId: id, ...unreadWhere };
+    if (Array.isArray(messageIds) && messageIds.length > 0) {
+      where.id = { in: messageIds };
+    }
+
+    const { count } = await prisma.message.updateMany({
+      where,
+      data: {
+        readAt: new Date(),
+        readById: req.user?.clinicianId || null
+      }
+    });
+
+    res.json({
+      message: 'Messages marked as read',
+      data: { count }
+    });
+  } catch (error) {
+    console.error('Error marking messages as read:', error);
+    res.status(500).json({
+      error: 'Internal server error while marking messages as read'
+    });
+  }
+};
+
+// Unread patient messages per enrollment for the dashboard, most recent first
+const getUnreadMessageCounts = async (req, res) => {
+  try {
+    const groups = await prisma.message.groupBy({
+      by: ['enrollmentId'],
+      where: applyScope(unreadWhere, messageScope(req.user)),
+      _count: { _all: true },
+      _max: { createdAt: true }
+    });
+
+    const enrollments = groups.length > 0
+      ? await prisma.enrollment.findMany({
+        where: { id: { in: groups.map(group => group.enrollmentId) } },
+        select: {
+          id: true,
+          patientId: true,
+          patient: { select: { id: true, firstName: true, lastName: true } }
+        }
+      })
+      : [];
+    const patientByEnrollment = new Map(enrollments.map(enrollment => [enrollment.id, enrollment.patient]));
+
+    const threads = groups
+      .map(group => ({
+        enrollmentId: group.enrollmentId,
+        patient: patientByEnrollment.get(group.enrollmentId) || null,
+        unreadCount: group._count._all,
+        lastMessageAt: group._max.createdAt
+      }))
+      .sort((a, b) => new Date(b.lastMessageAt) - new Date(a.lastMessageAt));
+
+    res.json({
+      data: {
+        total: threads.reduce((sum, thread) => sum + thread.unreadCount, 0),
+        threads
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching unread message counts:', error);
+    res.status(500).json({
+      error: 'Internal server error while fetching unread message counts'
+    });
+  }
+};
+
+module.exports = {
+  getEnrollmentMessages,
+  sendEnrollmentMessage,
+  markEnrollmentMessagesRead,
+  getUnreadMessageCounts
+};
@@ -1,7 +1,8 @@
 const { PrismaClient } = require('../../generated/prisma');
+const { withAudit } = require('../services/auditService');
 
 // Use global prisma client in test environment, otherwise create new instance
-const prisma = global.prisma || new PrismaClient();
+const prisma = withAudit(global.prisma || new PrismaClient());
 
 // Helper function to categorize metrics
 const getCategoryFromKey = (key) => {
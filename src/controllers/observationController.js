@@ -1,7 +1,11 @@
 const { PrismaClient } = require('../../generated/prisma');
+const { withAudit } = require('../services/auditService');
+const { evaluateObservationAlerts } = require('../services/alertEvaluationService');
+const { scoreSubmissions } = require('../services/scoringService');
+const { applyScope, observationScope } = require('../middleware/permissions');
 
 // Use global prisma client in test environment, otherwise create new instance
-const prisma = global.prisma || new PrismaClient();
+const prisma = withAudit(global.prisma || new PrismaClient());
 
 // Create a new observation
 // Optimized createObservation function
@@ -96,22 +100,7 @@ const createObservation = async (req, res) => {
     }
 
     // Prepare value fields based on valueType
-    let valueFields = {};
-    switch (metricDefinition.valueType) {
-      case 'numeric':
-        valueFields.valueNumeric = validationResult.processedValue;
-        break;
-      case 'text':
-        valueFields.valueText = validationResult.processedValue;
-        break;
-      case 'categorical':
-      case 'ordinal':
-      case 'boolean':
-        valueFields.valueCode = validationResult.processedValue;
-        break;
-      default:
-        valueFields.valueText = validationResult.processedValue;
-    }
+    const valueFields = getValueFields(metricDefinition, validationResult.processedValue);
 
     // OPTIMIZATION 4: Create observation with minimal includes
     const observation = await prisma.observation.create({
@@ -144,10 +133,16 @@ const createObservation = async (req, res) => {
       }
     });
 
+    // Re-evaluate the enrollment's alert rules for this metric in the same request
+    const triggeredAlertIds = await evaluateObservationAlerts([
+      { ...observation, metricKey: metricDefinition.key }
+    ]);
+
     res.status(201).json({
       success: true,
       message: 'Observation recorded successfully',
-      data: observation
+      data: observation,
+      triggeredAlertIds
     });
   } catch (error) {
     console.error('Error creating observation:', error);
@@ -203,9 +198,11 @@ const getAllObservations = async (req, res) => {
       }
     }
 
+    const scopedWhere = applyScope(where, observationScope(req.user));
+
     const [observations, total] = await Promise.all([
       prisma.observation.findMany({
-        where,
+        where: scopedWhere,
         skip,
         take,
         orderBy: { [sortBy]: sortOrder },
@@ -218,7 +215,7 @@ const getAllObservations = async (req, res) => {
           }
         }
       }),
-      prisma.observation.count({ where })
+      prisma.observation.count({ where: scopedWhere })
     ]);
 
     res.json({
@@ -500,6 +497,7 @@ const getObservationStats = async (req, res) => {
       if (startDate) where.recordedAt.gte = new Date(startDate);
       if (endDate) where.recordedAt.lte = new Date(endDate);
     }
+    where.AND = [observationScope(req.user)];
 
     const [totalObservations, observationsByMetric, recentObservations] = await Promise.all([
       prisma.observation.count({ where }),
@@ -586,18 +584,24 @@ const bulkCreateObservations = async (req, res) => {
     for (let i = 0; i < observations.length; i++) {
       const obs = observations[i];
       
-      if (!obs.patientId || !obs.metricDefinitionId || obs.value === undefined) {
+      if (!obs.patientId || !obs.enrollmentId || !obs.metricDefinitionId || obs.value === undefined) {
         validationErrors.push({
           index: i,
-          error: 'PatientId, metricDefinitionId, and value are required'
+          error: 'PatientId, enrollmentId, metricDefinitionId, and value are required'
         });
         continue;
       }
 
-      // Get metric definition for validation
-      const metricDefinition = await prisma.metricDefinition.findUnique({
-        where: { id: parseInt(obs.metricDefinitionId) }
-      });
+      // Get metric definition and enrollment for validation
+      const [metricDefinition, enrollment] = await Promise.all([
+        prisma.metricDefinition.findUnique({
+          where: { id: obs.metricDefinitionId }
+        }),
+        prisma.enrollment.findUnique({
+          where: { id: obs.enrollmentId },
+          select: { id: true, patientId: true, status: true }
+        })
+      ]);
 
       if (!metricDefinition) {
         validationErrors.push({
@@ -607,7 +611,7 @@ const bulkCreateObservations = async (req, res) => {
         continue;
       }
 
-      if (!metricDefinition.isActive) {
+      if (metricDefinition.activeTo && metricDefinition.activeTo < new Date()) {
         validationErrors.push({
           index: i,
           error: 'Metric definition is not active'
@@ -615,6 +619,14 @@ const bulkCreateObservations = async (req, res) => {
         continue;
       }
 
+      if (!enrollment || enrollment.patientId !== obs.patientId || enrollment.status !== 'active') {
+        validationErrors.push({
+          index: i,
+          error: 'Enrollment not found, not active, or does not belong to the specified patient'
+        });
+        continue;
+      }
+
       const validationResult = validateValueAgainstMetric(obs.value, metricDefinition);
       if (!validationResult.isValid) {
         validationErrors.push({
@@ -626,14 +638,22 @@ const bulkCreateObservations = async (req, res) => {
       }
 
       processedObservations.push({
-        patientId: parseInt(obs.patientId),
-        metricDefinitionId: parseInt(obs.metricDefinitionId),
-        value: validationResult.processedValue,
-        notes: obs.notes,
+        patientId: obs.patientId,
+        enrollmentId: obs.enrollmentId,
+        templateId: obs.templateId,
+        metricDefinitionId: metricDefinition.id,
+        metricKey: metricDefinition.key,
+        metricDefinitionVersion: metricDefinition.version,
         recordedAt: obs.recordedAt ? new Date(obs.recordedAt) : new Date(),
-        recordedBy: obs.recordedBy,
-        location: obs.location,
-        context: obs.context
+        source: obs.recordedBy === 'device' ? 'device' : obs.recordedBy === 'staff' ? 'staff' : 'patient',
+        ...getValueFields(metricDefinition, validationResult.processedValue),
+        unit: metricDefinition.unit,
+        context: obs.context,
+        raw: {
+          notes: obs.notes,
+          location: obs.location,
+          originalRecordedBy: obs.recordedBy
+        }
       });
     }
 
@@ -645,9 +665,13 @@ const bulkCreateObservations = async (req, res) => {
       });
     }
 
+    // Complete template submissions are scored; the scores are written as derived observations
+    const submissions = await scoreSubmissions(processedObservations);
+    const derivedObservations = submissions.flatMap(submission => submission.derivedObservations);
+
     // Create all observations in a transaction
     const createdObservations = await prisma.$transaction(
-      processedObservations.map(obs => 
+      [...processedObservations, ...derivedObservations].map(obs => 
         prisma.observation.create({
           data: obs,
           include: {
@@ -655,17 +679,22 @@ const bulkCreateObservations = async (req, res) => {
               select: { id: true, firstName: true, lastName: true }
             },
             metricDefinition: {
-              select: { id: true, name: true, dataType: true, unit: true }
+              select: { id: true, displayName: true, valueType: true, unit: true }
             }
           }
         })
       )
     );
 
+    // Re-evaluate alert rules once per enrollment for the metrics that were written
+    const triggeredAlertIds = await evaluateObservationAlerts(createdObservations);
+
     res.status(201).json({
       success: true,
       message: `${createdObservations.length} observations created successfully`,
-      data: createdObservations
+      data: createdObservations,
+      scores: submissions.map(({ derivedObservations: _derived, ...submission }) => submission),
+      triggeredAlertIds
     });
   } catch (error) {
     console.error('Error bulk creating observations:', error);
@@ -677,6 +706,22 @@ const bulkCreateObservations = async (req, res) => {
   }
 };
 
+// Helper function to map a processed value onto the observation column for its valueType
+function getValueFields(metricDefinition, processedValue) {
+  switch (metricDefinition.valueType) {
+    case 'numeric':
+      return { valueNumeric: processedValue };
+    case 'text':
+      return { valueText: processedValue };
+    case 'categorical':
+    case 'ordinal':
+    case 'boolean':
+      return { valueCode: String(processedValue) };
+    default:
+      return { valueText: processedValue };
+  }
+}
+
 // Helper function to validate value against metric definition
 function validateValueAgainstMetric(value, metricDefinition) {
   let isValid = true;
@@ -0,0 +1,147 @@
+const { PrismaClient } = require('../../generated/prisma');
+const { withAudit } = require('../services/auditService');
+const {
+  toLinkSummary,
+  issueAccessLink,
+  redeemAccessLink,
+  revokeAccessLink
+} = require('../services/patientAccessService');
+
+// Use global prisma client in test environment, otherwise create new instance
+const prisma = withAudit(global.prisma || new PrismaClient());
+
+// Why a link could not be redeemed, as shown to the patient
+const REDEEM_ERRORS = {
+  expired: 'This link has expired',
+  used: 'This link has already been used',
+  revoked: 'This link has been revoked',
+  wrong_enrollment: 'This link does not give access to this enrollment',
+  invalid: 'This link is invalid'
+};
+
+// List the access links issued for an enrollment, newest first (tokens are not stored)
+const getEnrollmentAccessLinks = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const links = await prisma.patientAccessLink.findMany({
+      where: { enrollmentId: id },
+      orderBy: { createdAt: 'desc' },
+      take: 50
+    });
+
+    res.json({
+      data: links.map(toLinkSummary)
+    });
+  } catch (error) {
+    console.error('Error fetching access links:', error);
+    res.status(500).json({
+      error: 'Internal server error while fetching access links'
+    });
+  }
+};
+
+// Issue a one-time patient link for an enrollment; the token is only returned here
+const createEnrollmentAccessLink = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { scopes, expiresInHours, purpose } = req.body;
+
+    const enrollment = await prisma.enrollment.findUnique({
+      where: { id },
+      select: { id: true, patientId: true, status: true }
+    });
+
+    if (!enrollment) {
+      return res.status(404).json({
+        error: 'Enrollment not found'
+      });
+    }
+
+    if (enrollment.status !== 'active') {
+      return res.status(400).json({
+        error: 'Access links can only be issued for active enrollments'
+      });
+    }
+
+    const { link, token, url } = await issueAccessLink(enrollment, {
+      scopes: scopes ? [...new Set(scopes)] : undefined,
+      expiresInHours: expiresInHours ? parseInt(expiresInHours) : undefined,
+      purpose,
+      createdById: req.user?.id || null
+    });
+
+    res.status(201).json({
+      message: 'Access link issued successfully',
+      data: { ...toLinkSummary(link), token, url }
+    });
+  } catch (error) {
+    console.error('Error issuing access link:', error);
+    res.status(500).json({
+      error: 'Internal server error while issuing access link'
+    });
+  }
+};
+
+// Revoke an access link; sessions opened with it stop working immediately
+const revokeEnrollmentAccessLink = async (req, res) => {
+  try {
+    const { id, linkId } = req.params;
+
+    const link = await revokeAccessLink(id, linkId, req.user?.id || null);
+
+    if (!link) {
+      return res.status(404).json({
+        error: 'Access link not found'
+      });
+    }
+
+    res.json({
+      message: 'Access link revoked successfully',
+      data: toLinkSummary(link)
+    });
+  } catch (error) {
+    console.error('Error revoking access link:', error);
+    res.status(500).json({
+      error: 'Internal server error while revoking access link'
+    });
+  }
+};
+
+// Patient side: redeem a one-time link for a session token limited to its enrollment and scopes
+const startPatientSession = async (req, res) => {
+  try {
+    const { enrollmentId } = req.params;
+
+    const result = await redeemAccessLink(req.body.token, { enrollmentId, ip: req.ip });
+
+    if (result.error) {
+      return res.status(result.error === 'wrong_enrollment' ? 403 : 401).json({
+        error: 'Invalid or expired link',
+        reason: result.error,
+        message: REDEEM_ERRORS[result.error]
+      });
+    }
+
+    res.status(201).json({
+      data: {
+        accessToken: result.accessToken,
+        expiresIn: result.expiresIn,
+        enrollmentId,
+        scopes: result.link.scopes
+      }
+    });
+  } catch (error) {
+    console.error('Error redeeming access link:', error);
+    res.status(500).json({
+      error: 'Internal server error while opening link'
+    });
+  }
+};
+
+module.exports = {
+  getEnrollmentAccessLinks,
+  createEnrollmentAccessLink,
+  revokeEnrollmentAccessLink,
+  startPatientSession
+};
@@ -0,0 +1,185 @@
+const { PrismaClient } = require('../../generated/prisma');
+const { withAudit } = require('../services/auditService');
+const { loadTemplate, prepareResponse, saveResponses } = require('../services/assessmentResponseService');
+const { evaluateObservationAlerts } = require('../services/alertEvaluationService');
+const { normalizeReminderSettings, startOfLocalDay } = require('../services/reminderService');
+
+// Use global prisma client in test environment, otherwise create new instance
+const prisma = withAudit(global.prisma || new PrismaClient());
+
+// What the patient sees of a metric; nothing beyond what the form needs
+const metricSelect = {
+  id: true,
+  key: true,
+  displayName: true,
+  valueType: true,
+  unit: true,
+  scaleMin: true,
+  scaleMax: true,
+  decimalPrecision: true,
+  options: true
+};
+
+// "Today" is the patient's day, in the time zone of the enrollment's reminder settings
+const startOfPatientDay = (enrollment) =>
+  startOfLocalDay(new Date(), normalizeReminderSettings(enrollment.reminderSettings).timezone);
+
+// Active enrollment of a patient link with the ids of its preset's templates
+const findActiveEnrollment = async (enrollmentId) => {
+  const enrollment = await prisma.enrollment.findUnique({
+    where: { id: enrollmentId },
+    select: {
+      id: true,
+      patientId: true,
+      status: true,
+      reminderSettings: true,
+      patient: { select: { firstName: true } },
+      preset: {
+        select: {
+          name: true,
+          templates: { select: { templateId: true } }
+        }
+      }
+    }
+  });
+
+  if (!enrollment) return { status: 404, error: 'Enrollment not found' };
+  if (enrollment.status !== 'active') return { status: 410, error: 'This enrollment is no longer active' };
+  return { enrollment };
+};
+
+// Load the daily assessment of a patient link: the enrollment's preset templates with their
+// items, and which of them were already completed today
+const getDailyAssessment = async (req, res) => {
+  try {
+    const { enrollmentId } = req.params;
+
+    const { enrollment, status, error } = await findActiveEnrollment(enrollmentId);
+    if (error) {
+      return res.status(status).json({ error });
+    }
+
+    const templateIds = enrollment.preset.templates.map(template => template.templateId);
+
+    const [templates, completedToday] = await Promise.all([
+      prisma.assessmentTemplate.findMany({
+        where: { id: { in: templateIds } },
+        include: {
+          items: {
+            include: { metricDefinition: { select: metricSelect } },
+            orderBy: { displayOrder: 'asc' }
+          }
+        },
+        orderBy: { name: 'asc' }
+      }),
+      prisma.assessmentResponse.findMany({
+        where: { enrollmentId, completedAt: { gte: startOfPatientDay(enrollment) } },
+        select: { templateId: true }
+      })
+    ]);
+
+    const completedIds = new Set(completedToday.map(response => response.templateId));
+
+    res.json({
+      data: {
+        enrollmentId,
+        patient: { firstName: enrollment.patient.firstName },
+        presetName: enrollment.preset.name,
+        templates: templates.map(template => ({
+          id: template.id,
+          name: template.name,
+          description: template.description,
+          completedToday: completedIds.has(template.id),
+          items: template.items.map(item => ({
+            metricDefinitionId: item.metricDefinition.id,
+            required: item.required,
+            helpText: item.helpText,
+            defaultValue: item.defaultValue,
+            metric: item.metricDefinition
+          }))
+        }))
+      }
+    });
+  } catch (error) {
+    console.error('Error loading daily assessment:', error);
+    res.status(500).json({
+      error: 'Internal server error while loading daily assessment'
+    });
+  }
+};
+
+// Submit the daily assessment: `assessments` holds one { templateId, responses } per template.
+// Every template is validated first and all responses are written in one transaction.
+const submitDailyAssessment = async (req, res) => {
+  try {
+    const { enrollmentId } = req.params;
+    const { assessments, startedAt } = req.body;
+
+    const { enrollment, status, error } = await findActiveEnrollment(enrollmentId);
+    if (error) {
+      return res.status(status).json({ error });
+    }
+
+    const presetTemplateIds = new Set(enrollment.preset.templates.map(template => template.templateId));
+    const prepared = [];
+    const details = [];
+    const seen = new Set();
+
+    for (const assessment of assessments) {
+      if (seen.has(assessment.templateId)) {
+        details.push({ templateId: assessment.templateId, error: 'Assessment submitted more than once' });
+        continue;
+      }
+      seen.add(assessment.templateId);
+
+      const template = presetTemplateIds.has(assessment.templateId) ? await loadTemplate(assessment.templateId) : null;
+      if (!template) {
+        details.push({ templateId: assessment.templateId, error: 'Not an assessment of this enrollment' });
+        continue;
+      }
+
+      const result = await prepareResponse(enrollment, template, {
+        responses: assessment.responses,
+        startedAt,
+        source: 'patient'
+      });
+
+      if (result.error) {
+        details.push({ templateId: template.id, error: result.error, ...(result.details ? { details: result.details } : {}) });
+        continue;
+      }
+      prepared.push(result);
+    }
+
+    if (details.length > 0) {
+      return res.status(400).json({
+        error: 'Invalid assessment responses',
+        details
+      });
+    }
+
+    const responses = await saveResponses(prisma, prepared);
+    await evaluateObservationAlerts(responses.flatMap(response => response.observations));
+
+    res.status(201).json({
+      message: 'Daily assessment submitted successfully',
+      data: responses.map(response => ({
+        id: response.id,
+        templateId: response.templateId,
+        completedAt: response.completedAt,
+        answeredCount: response.answeredCount,
+        missingRequired: response.missingRequired
+      }))
+    });
+  } catch (error) {
+    console.error('Error submitting daily assessment:', error);
+    res.status(500).json({
+      error: 'Internal server error while submitting daily assessment'
+    });
+  }
+};
+
+module.exports = {
+  getDailyAssessment,
+  submitDailyAssessment
+};
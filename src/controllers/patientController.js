@@ -1,7 +1,9 @@
 const { PrismaClient } = require('../../generated/prisma');
+const { withAudit } = require('../services/auditService');
+const { applyScope, patientScope, observationScope } = require('../middleware/permissions');
 
 // Use global prisma client in test environment, otherwise create new instance
-const prisma = global.prisma || new PrismaClient();
+const prisma = withAudit(global.prisma || new PrismaClient());
 
 // Create a new patient
 const createPatient = async (req, res) => {
@@ -98,9 +100,11 @@ const getAllPatients = async (req, res) => {
       where.gender = gender;
     }
 
+    const scopedWhere = applyScope(where, patientScope(req.user));
+
     const [patients, total] = await Promise.all([
       prisma.patient.findMany({
-        where,
+        where: scopedWhere,
         skip,
         take,
         orderBy: {
@@ -120,7 +124,7 @@ const getAllPatients = async (req, res) => {
           }
         }
       }),
-      prisma.patient.count({ where })
+      prisma.patient.count({ where: scopedWhere })
     ]);
 
     res.json({
@@ -434,8 +438,8 @@ const getGeneralPatientStats = async (req, res) => {
   try {
     // Simplified - only return counts, not recent patients (use separate endpoint for that)
     const [totalPatients, totalObservations] = await Promise.all([
-      prisma.patient.count(),
-      prisma.observation.count()
+      prisma.patient.count({ where: patientScope(req.user) }),
+      prisma.observation.count({ where: observationScope(req.user) })
     ]);
 
     res.json({
@@ -458,6 +462,7 @@ const getRecentPatients = async (req, res) => {
     const { limit = 5 } = req.query;
     
     const patients = await prisma.patient.findMany({
+      where: patientScope(req.user),
       orderBy: { createdAt: 'desc' },
       take: parseInt(limit),
       select: {
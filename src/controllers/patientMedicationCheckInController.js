@@ -0,0 +1,135 @@
+const { PrismaClient } = require('../../generated/prisma');
+const { withAudit } = require('../services/auditService');
+const { normalizeReminderSettings } = require('../services/reminderService');
+const { getDosesForDay, recordDose, doseReport } = require('../services/medicationScheduleService');
+const { evaluateDoseAlerts } = require('../services/alertEvaluationService');
+const { checkPrnUsage, prnUsageWarnings } = require('../services/prnUsageService');
+
+// Use global prisma client in test environment, otherwise create new instance
+const prisma = withAudit(global.prisma || new PrismaClient());
+
+// Active enrollment of a patient link; its reminder settings give the patient's time zone
+const findActiveEnrollment = async (enrollmentId) => {
+  const enrollment = await prisma.enrollment.findUnique({
+    where: { id: enrollmentId },
+    select: {
+      id: true,
+      patientId: true,
+      status: true,
+      reminderSettings: true,
+      patient: { select: { firstName: true } }
+    }
+  });
+
+  if (!enrollment) return { status: 404, error: 'Enrollment not found' };
+  if (enrollment.status !== 'active') return { status: 410, error: 'This enrollment is no longer active' };
+  return { enrollment };
+};
+
+// What the patient sees of a dose
+const doseView = (dose) => ({
+  id: dose.id,
+  scheduledDate: dose.scheduledDate,
+  status: dose.status,
+  takenAt: dose.takenAt,
+  skipReason: dose.skipReason,
+  dosageTaken: dose.dosageTaken
+});
+
+// Today's doses of the patient's active medications, in the patient's time zone
+const getTodaysDoses = async (req, res) => {
+  try {
+    const { enrollmentId } = req.params;
+
+    const { enrollment, status, error } = await findActiveEnrollment(enrollmentId);
+    if (error) {
+      return res.status(status).json({ error });
+    }
+
+    const timeZone = normalizeReminderSettings(enrollment.reminderSettings).timezone;
+    const { medications } = await getDosesForDay(enrollment.patientId, { timeZone });
+    const usages = await Promise.all(medications.map(({ medication }) => checkPrnUsage(medication)));
+
+    res.json({
+      data: {
+        enrollmentId,
+        patient: { firstName: enrollment.patient.firstName },
+        timeZone,
+        medications: medications.map(({ medication, schedule, doses }, index) => ({
+          id: medication.id,
+          name: medication.drug.name,
+          brandName: medication.drug.brandName,
+          dosage: medication.dosage,
+          frequency: medication.frequency,
+          route: medication.route,
+          instructions: medication.instructions,
+          isPRN: medication.isPRN || Boolean(schedule?.prn),
+          maxDailyDose: medication.maxDailyDose,
+          prnUsage: usages[index],
+          doses: doses.map(doseView)
+        }))
+      }
+    });
+  } catch (error) {
+    console.error('Error loading medication check-in:', error);
+    res.status(500).json({
+      error: 'Internal server error while loading medication check-in'
+    });
+  }
+};
+
+// Record one of today's doses (or an as-needed dose) as taken or skipped
+const recordCheckInDose = async (req, res) => {
+  try {
+    const { enrollmentId, patientMedicationId } = req.params;
+
+    const { enrollment, status, error } = await findActiveEnrollment(enrollmentId);
+    if (error) {
+      return res.status(status).json({ error });
+    }
+
+    const medication = await prisma.patientMedication.findFirst({
+      where: { id: patientMedicationId, patientId: enrollment.patientId, isActive: true },
+      include: { drug: { select: { name: true, strength: true, dosageForm: true } } }
+    });
+    if (!medication) {
+      return res.status(404).json({
+        error: 'Medication not found'
+      });
+    }
+
+    const timeZone = normalizeReminderSettings(enrollment.reminderSettings).timezone;
+    const dose = await recordDose(medication, doseReport(req.body, { reportedBy: 'patient' }), { timeZone });
+    if (!dose) {
+      return res.status(404).json({
+        error: 'Scheduled dose not found'
+      });
+    }
+    if (dose.duplicateOf) {
+      return res.status(409).json({
+        error: 'A dose was already reported at this time',
+        data: doseView({ ...dose.duplicateOf, status: dose.duplicateOf.wasTaken ? 'taken' : 'skipped' })
+      });
+    }
+
+    const prnUsage = await checkPrnUsage(medication);
+    await evaluateDoseAlerts(enrollment.patientId);
+
+    res.status(201).json({
+      message: 'Dose recorded successfully',
+      data: doseView({ ...dose, status: dose.wasTaken ? 'taken' : 'skipped' }),
+      prnUsage,
+      warnings: dose.wasTaken ? prnUsageWarnings(prnUsage, medication) : []
+    });
+  } catch (error) {
+    console.error('Error recording check-in dose:', error);
+    res.status(500).json({
+      error: 'Internal server error while recording dose'
+    });
+  }
+};
+
+module.exports = {
+  getTodaysDoses,
+  recordCheckInDose
+};
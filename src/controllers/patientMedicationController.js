@@ -1,6 +1,13 @@
 const { PrismaClient } = require('../../generated/prisma');
+const { withAudit } = require('../services/auditService');
+const { patientMedicationScope } = require('../middleware/permissions');
+const { checkPrescription, hasOverrideReason, safetyRecord } = require('../services/medicationSafetyService');
+const { recordDose, doseReport } = require('../services/medicationScheduleService');
+const { evaluateDoseAlerts, evaluatePrescriptionAlerts } = require('../services/alertEvaluationService');
+const { checkPrnUsage, prnUsageWarnings } = require('../services/prnUsageService');
+const { isActiveOn, medicationMme, patientMme } = require('../services/mmeService');
 
-const prisma = global.prisma || new PrismaClient();
+const prisma = withAudit(global.prisma || new PrismaClient());
 
 // Get all patient medications
 const getPatientMedications = async (req, res) => {
@@ -17,7 +24,8 @@ const getPatientMedications = async (req, res) => {
 
     const where = {
       ...(patientId && { patientId }),
-      ...(isActive !== undefined && { isActive: isActive === 'true' })
+      ...(isActive !== undefined && { isActive: isActive === 'true' }),
+      ...patientMedicationScope(req.user)
     };
 
     const [medications, total] = await Promise.all([
@@ -104,7 +112,15 @@ const getPatientMedicationsById = async (req, res) => {
       }
     });
 
-    res.json({ data: medications });
+    // Opioid load is always that of the current prescriptions, whichever ones were listed
+    const current = isActive === 'false'
+      ? await prisma.patientMedication.findMany({ where: { patientId, isActive: true }, include: { drug: true } })
+      : medications;
+
+    res.json({
+      data: medications.map(medication => ({ ...medication, mme: medicationMme(medication) })),
+      mme: patientMme(current.filter(medication => isActiveOn(medication)))
+    });
   } catch (error) {
     console.error('Error fetching patient medications:', error);
     res.status(500).json({
@@ -130,7 +146,8 @@ const createPatientMedication = async (req, res) => {
       maxDailyDose,
       refillsRemaining,
       pharmacyInfo,
-      notes
+      notes,
+      overrideReason
     } = req.body;
 
     // Validate required fields
@@ -175,6 +192,16 @@ const createPatientMedication = async (req, res) => {
       }
     }
 
+    // Check the drug against the patient's active medications, allergies and conditions
+    const safety = await checkPrescription(patientId, drug);
+    if (safety.requiresOverride && !hasOverrideReason(overrideReason)) {
+      return res.status(409).json({
+        error: 'This medication has major safety warnings; an override reason is required to prescribe it',
+        requiresOverride: true,
+        warnings: safety.warnings
+      });
+    }
+
     const medication = await prisma.patientMedication.create({
       data: {
         patientId,
@@ -190,7 +217,8 @@ const createPatientMedication = async (req, res) => {
         maxDailyDose,
         refillsRemaining,
         pharmacyInfo,
-        notes
+        notes,
+        ...safetyRecord(safety, overrideReason, req.user?.id)
       },
       include: {
         drug: true,
@@ -212,9 +240,13 @@ const createPatientMedication = async (req, res) => {
       }
     });
 
+    const triggeredAlertIds = await evaluatePrescriptionAlerts(patientId);
+
     res.status(201).json({
       message: 'Patient medication created successfully',
-      data: medication
+      data: medication,
+      warnings: safety.warnings,
+      triggeredAlertIds
     });
   } catch (error) {
     console.error('Error creating patient medication:', error);
@@ -224,17 +256,87 @@ const createPatientMedication = async (req, res) => {
   }
 };
 
+// Preview the safety warnings for prescribing a drug to a patient, before submitting it
+const checkPatientMedicationSafety = async (req, res) => {
+  try {
+    const { patientId, drugId } = req.body;
+
+    if (!patientId || !drugId) {
+      return res.status(400).json({
+        error: 'Validation failed: patientId and drugId are required'
+      });
+    }
+
+    const drug = await prisma.drug.findUnique({
+      where: { id: drugId }
+    });
+
+    if (!drug) {
+      return res.status(404).json({
+        error: 'Drug not found'
+      });
+    }
+
+    const safety = await checkPrescription(patientId, drug);
+
+    if (!safety) {
+      return res.status(404).json({
+        error: 'Patient not found'
+      });
+    }
+
+    res.json({ data: safety });
+  } catch (error) {
+    console.error('Error checking medication safety:', error);
+    res.status(500).json({
+      error: 'Internal server error while checking medication safety'
+    });
+  }
+};
+
 // Update a patient medication
 const updatePatientMedication = async (req, res) => {
   try {
     const { id } = req.params;
     const updateData = req.body;
+    const { overrideReason } = updateData;
 
     // Remove fields that shouldn't be updated directly
     delete updateData.id;
     delete updateData.createdAt;
     delete updateData.patientId;
     delete updateData.drugId;
+    // The safety check and its override are recorded when the medication is prescribed or reactivated
+    delete updateData.safetyWarnings;
+    delete updateData.overrideReason;
+    delete updateData.overriddenBy;
+    delete updateData.overriddenAt;
+
+    // Reactivating a discontinued medication is checked like a new prescription
+    let safety = null;
+    if (updateData.isActive === true) {
+      const existing = await prisma.patientMedication.findUnique({
+        where: { id },
+        include: { drug: true }
+      });
+      if (!existing) {
+        return res.status(404).json({
+          error: 'Patient medication not found'
+        });
+      }
+
+      if (!existing.isActive) {
+        safety = await checkPrescription(existing.patientId, existing.drug);
+        if (safety.requiresOverride && !hasOverrideReason(overrideReason)) {
+          return res.status(409).json({
+            error: 'This medication has major safety warnings; an override reason is required to reactivate it',
+            requiresOverride: true,
+            warnings: safety.warnings
+          });
+        }
+        Object.assign(updateData, safetyRecord(safety, overrideReason, req.user?.id));
+      }
+    }
     
     // Set updatedAt
     updateData.updatedAt = new Date();
@@ -270,9 +372,13 @@ const updatePatientMedication = async (req, res) => {
       }
     });
 
+    const triggeredAlertIds = await evaluatePrescriptionAlerts(medication.patientId);
+
     res.json({
       message: 'Patient medication updated successfully',
-      data: medication
+      data: medication,
+      ...(safety && { warnings: safety.warnings }),
+      triggeredAlertIds
     });
   } catch (error) {
     if (error.code === 'P2025') {
@@ -313,9 +419,12 @@ const deactivatePatientMedication = async (req, res) => {
       }
     });
 
+    const triggeredAlertIds = await evaluatePrescriptionAlerts(medication.patientId);
+
     res.json({
       message: 'Patient medication deactivated successfully',
-      data: medication
+      data: medication,
+      triggeredAlertIds
     });
   } catch (error) {
     if (error.code === 'P2025') {
@@ -330,10 +439,65 @@ const deactivatePatientMedication = async (req, res) => {
   }
 };
 
+// Record a dose as taken or skipped. The dose fills the scheduled MedicationAdherence slot given
+// as `adherenceId`, or the one closest to `takenAt`.
+const recordPatientMedicationDose = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const medication = await prisma.patientMedication.findUnique({
+      where: { id },
+      include: { drug: { select: { name: true, strength: true, dosageForm: true } } }
+    });
+    if (!medication) {
+      return res.status(404).json({
+        error: 'Patient medication not found'
+      });
+    }
+    if (!medication.isActive) {
+      return res.status(400).json({
+        error: 'Doses cannot be recorded for a discontinued medication'
+      });
+    }
+
+    const dose = await recordDose(medication, doseReport(req.body, { reportedBy: 'clinician' }));
+    if (!dose) {
+      return res.status(404).json({
+        error: 'Scheduled dose not found'
+      });
+    }
+    if (dose.duplicateOf) {
+      return res.status(409).json({
+        error: 'A dose was already reported at this time',
+        data: dose.duplicateOf
+      });
+    }
+
+    // As-needed doses are checked against the maximum daily dose over the last 24 hours
+    const prnUsage = await checkPrnUsage(medication);
+    const triggeredAlertIds = await evaluateDoseAlerts(medication.patientId);
+
+    res.status(201).json({
+      message: 'Dose recorded successfully',
+      data: dose,
+      prnUsage,
+      warnings: dose.wasTaken ? prnUsageWarnings(prnUsage, medication) : [],
+      triggeredAlertIds
+    });
+  } catch (error) {
+    console.error('Error recording medication dose:', error);
+    res.status(500).json({
+      error: 'Internal server error while recording medication dose'
+    });
+  }
+};
+
 module.exports = {
   getPatientMedications,
   getPatientMedicationsById,
   createPatientMedication,
+  checkPatientMedicationSafety,
   updatePatientMedication,
-  deactivatePatientMedication
+  deactivatePatientMedication,
+  recordPatientMedicationDose
 };
\ No newline at end of file
@@ -0,0 +1,98 @@
+const { PrismaClient } = require('../../generated/prisma');
+const { withAudit } = require('../services/auditService');
+
+// Use global prisma client in test environment, otherwise create new instance
+const prisma = withAudit(global.prisma || new PrismaClient());
+
+// Messages the patient page shows, newest last
+const THREAD_LIMIT = 50;
+
+const findActiveEnrollment = async (enrollmentId) => {
+  const enrollment = await prisma.enrollment.findUnique({
+    where: { id: enrollmentId },
+    select: { id: true, patientId: true, status: true }
+  });
+
+  if (!enrollment) return { status: 404, error: 'Enrollment not found' };
+  if (enrollment.status !== 'active') return { status: 410, error: 'This enrollment is no longer active' };
+  return { enrollment };
+};
+
+// What the patient sees of a message
+const messageView = (message) => ({
+  id: message.id,
+  senderType: message.senderType,
+  body: message.body,
+  readAt: message.readAt,
+  createdAt: message.createdAt
+});
+
+// The patient's thread with their care team. Opening it is the patient's read receipt for the
+// care team's messages.
+const getPatientMessages = async (req, res) => {
+  try {
+    const { enrollmentId } = req.params;
+
+    const { enrollment, status, error } = await findActiveEnrollment(enrollmentId);
+    if (error) {
+      return res.status(status).json({ error });
+    }
+
+    await prisma.message.updateMany({
+      where: { enrollmentId, senderType: 'clinician', readAt: null },
+      data: { readAt: new Date(), readById: enrollment.patientId }
+    });
+
+    const messages = await prisma.message.findMany({
+      where: { enrollmentId },
+      orderBy: { createdAt: 'desc' },
+      take: THREAD_LIMIT
+    });
+
+    res.json({
+      data: messages.reverse().map(messageView)
+    });
+  } catch (error) {
+    console.error('Error fetching patient messages:', error);
+    res.status(500).json({
+      error: 'Internal server error while fetching messages'
+    });
+  }
+};
+
+// Send a message from the patient to their care team; it stays unread until the care team opens it
+const sendPatientMessage = async (req, res) => {
+  try {
+    const { enrollmentId } = req.params;
+
+    const { enrollment, status, error } = await findActiveEnrollment(enrollmentId);
+    if (error) {
+      return res.status(status).json({ error });
+    }
+
+    const message = await prisma.message.create({
+      data: {
+        enrollmentId,
+        patientId: enrollment.patientId,
+        senderType: 'patient',
+        senderId: enrollment.patientId,
+        body: req.body.body.trim()
+      }
+    });
+
+    res.status(201).json({
+      message: 'Message sent successfully',
+      data: messageView(message)
+    });
+  } catch (error) {
+    console.error('Error sending patient message:', error);
+    res.status(500).json({
+      error: 'Internal server error while sending message'
+    });
+  }
+};
+
+module.exports = {
+  getPatientMessages,
+  sendPatientMessage
+};
@@ -0,0 +1,381 @@
+const { PrismaClient } = require('../../generated/prisma');
+const { withAudit } = require('../services/auditService');
+const { intervalMinutes, resolveMinutes } = require('../services/timeLogService');
+const { applyScope, enrollmentScope, timeLogScope } = require('../middleware/permissions');
+
+// Use global prisma client in test environment, otherwise create new instance
+const prisma = withAudit(global.prisma || new PrismaClient());
+
+const timeLogInclude = {
+  actor: {
+    select: { id: true, firstName: true, lastName: true }
+  },
+  patient: {
+    select: { id: true, firstName: true, lastName: true, mrn: true }
+  }
+};
+
+// Enrollment the user may log time against, or null (missing or out of scope)
+const findAccessibleEnrollment = (req, enrollmentId) =>
+  prisma.enrollment.findFirst({
+    where: applyScope({ id: enrollmentId }, enrollmentScope(req.user)),
+    select: { id: true, patientId: true, clinicianId: true }
+  });
+
+// Clinician the time is logged for: the signed-in user's, unless an admin names another one
+const resolveActorId = (req, requestedId) =>
+  (req.user?.role === 'admin' && requestedId) || req.user?.clinicianId || null;
+
+// Only the clinician who logged the time, or an admin, may change it
+const canChangeTimeLog = (req, timeLog) =>
+  req.user?.role === 'admin' || Boolean(req.user?.clinicianId && req.user.clinicianId === timeLog.actorId);
+
+// List time logs with filtering and pagination; `running=true` only returns open timers
+const getTimeLogs = async (req, res) => {
+  try {
+    const {
+      page = 1,
+      limit = 20,
+      enrollmentId,
+      patientId,
+      actorId,
+      cptCode,
+      running,
+      startDate,
+      endDate
+    } = req.query;
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+    const take = parseInt(limit);
+
+    const where = {};
+    if (enrollmentId) where.enrollmentId = enrollmentId;
+    if (patientId) where.patientId = patientId;
+    if (actorId) where.actorId = actorId;
+    if (cptCode) where.cptCode = cptCode;
+    if (running === 'true') where.endedAt = null;
+    if (running === 'false') where.endedAt = { not: null };
+    if (startDate || endDate) {
+      where.startedAt = {};
+      if (startDate) where.startedAt.gte = new Date(startDate);
+      if (endDate) where.startedAt.lte = new Date(endDate);
+    }
+
+    const scopedWhere = applyScope(where, timeLogScope(req.user));
+
+    const [timeLogs, total, totals] = await Promise.all([
+      prisma.timeLog.findMany({
+        where: scopedWhere,
+        skip,
+        take,
+        orderBy: { startedAt: 'desc' },
+        include: timeLogInclude
+      }),
+      prisma.timeLog.count({ where: scopedWhere }),
+      prisma.timeLog.aggregate({ where: scopedWhere, _sum: { minutes: true } })
+    ]);
+
+    res.json({
+      data: timeLogs,
+      summary: {
+        totalMinutes: totals._sum.minutes || 0
+      },
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / parseInt(limit))
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching time logs:', error);
+    res.status(500).json({
+      error: 'Internal server error while fetching time logs'
+    });
+  }
+};
+
+// Get a single time log by ID
+const getTimeLogById = async (req, res) => {
+  try {
+    const timeLog = await prisma.timeLog.findUnique({
+      where: { id: req.params.id },
+      include: timeLogInclude
+    });
+
+    if (!timeLog) {
+      return res.status(404).json({
+        error: 'Time log not found'
+      });
+    }
+
+    res.json({ data: timeLog });
+  } catch (error) {
+    console.error('Error fetching time log:', error);
+    res.status(500).json({
+      error: 'Internal server error while fetching time log'
+    });
+  }
+};
+
+// Record a completed block of management time
+const createTimeLog = async (req, res) => {
+  try {
+    const { enrollmentId, cptCode, startedAt, endedAt, minutes, actorId, activityRef } = req.body;
+
+    const enrollment = await findAccessibleEnrollment(req, enrollmentId);
+    if (!enrollment) {
+      return res.status(404).json({
+        error: 'Enrollment not found'
+      });
+    }
+
+    const resolved = resolveMinutes({ startedAt, endedAt, minutes });
+    if (resolved.error) {
+      return res.status(400).json({
+        error: resolved.error
+      });
+    }
+
+    const timeLog = await prisma.timeLog.create({
+      data: {
+        enrollmentId,
+        patientId: enrollment.patientId,
+        cptCode,
+        startedAt: new Date(startedAt),
+        endedAt: new Date(endedAt),
+        minutes: resolved.minutes,
+        actorId: resolveActorId(req, actorId),
+        activityRef,
+        audit: { source: 'manual', userId: req.user?.id || null }
+      },
+      include: timeLogInclude
+    });
+
+    res.status(201).json({
+      message: 'Time log created successfully',
+      data: timeLog
+    });
+  } catch (error) {
+    console.error('Error creating time log:', error);
+    res.status(500).json({
+      error: 'Internal server error while creating time log'
+    });
+  }
+};
+
+// Correct a time log. Changing the interval without `minutes` recalculates them.
+const updateTimeLog = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { cptCode, startedAt, endedAt, minutes, activityRef } = req.body;
+
+    const existing = await prisma.timeLog.findUnique({ where: { id } });
+    if (!existing) {
+      return res.status(404).json({
+        error: 'Time log not found'
+      });
+    }
+    if (!canChangeTimeLog(req, existing)) {
+      return res.status(403).json({
+        error: 'Only the clinician who logged this time can change it'
+      });
+    }
+
+    const data = {};
+    if (cptCode !== undefined) data.cptCode = cptCode;
+    if (activityRef !== undefined) data.activityRef = activityRef;
+
+    const timesChanged = startedAt !== undefined || endedAt !== undefined;
+    if (timesChanged || minutes !== undefined) {
+      const nextEndedAt = endedAt !== undefined ? endedAt : existing.endedAt;
+      if (!nextEndedAt) {
+        return res.status(409).json({
+          error: 'Stop the running timer before changing its time'
+        });
+      }
+
+      const nextStartedAt = startedAt !== undefined ? startedAt : existing.startedAt;
+      const resolved = resolveMinutes({
+        startedAt: nextStartedAt,
+        endedAt: nextEndedAt,
+        minutes: minutes !== undefined ? minutes : (timesChanged ? undefined : existing.minutes)
+      });
+      if (resolved.error) {
+        return res.status(400).json({
+          error: resolved.error
+        });
+      }
+
+      data.startedAt = new Date(nextStartedAt);
+      data.endedAt = new Date(nextEndedAt);
+      data.minutes = resolved.minutes;
+    }
+
+    const timeLog = await prisma.timeLog.update({
+      where: { id },
+      data,
+      include: timeLogInclude
+    });
+
+    res.json({
+      message: 'Time log updated successfully',
+      data: timeLog
+    });
+  } catch (error) {
+    console.error('Error updating time log:', error);
+    res.status(500).json({
+      error: 'Internal server error while updating time log'
+    });
+  }
+};
+
+// Delete a time log
+const deleteTimeLog = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const existing = await prisma.timeLog.findUnique({ where: { id } });
+    if (!existing) {
+      return res.status(404).json({
+        error: 'Time log not found'
+      });
+    }
+
+    await prisma.timeLog.delete({ where: { id } });
+
+    res.json({
+      message: 'Time log deleted successfully'
+    });
+  } catch (error) {
+    console.error('Error deleting time log:', error);
+    res.status(500).json({
+      error: 'Internal server error while deleting time log'
+    });
+  }
+};
+
+// Start a timer for a clinician on an enrollment; one running timer per clinician and enrollment
+const startTimer = async (req, res) => {
+  try {
+    const { enrollmentId, cptCode, activityRef } = req.body;
+    const clinicianId = resolveActorId(req, req.body.clinicianId);
+
+    if (!clinicianId) {
+      return res.status(400).json({
+        error: req.user?.role === 'admin'
+          ? 'clinicianId is required when the user is not linked to a clinician'
+          : 'Your account is not linked to a clinician'
+      });
+    }
+
+    const enrollment = await findAccessibleEnrollment(req, enrollmentId);
+    if (!enrollment) {
+      return res.status(404).json({
+        error: 'Enrollment not found'
+      });
+    }
+
+    const running = await prisma.timeLog.findFirst({
+      where: { enrollmentId, actorId: clinicianId, endedAt: null },
+      include: timeLogInclude
+    });
+    if (running) {
+      return res.status(409).json({
+        error: 'A timer is already running for this enrollment',
+        data: running
+      });
+    }
+
+    const timeLog = await prisma.timeLog.create({
+      data: {
+        enrollmentId,
+        patientId: enrollment.patientId,
+        cptCode,
+        startedAt: new Date(),
+        endedAt: null,
+        minutes: 0,
+        actorId: clinicianId,
+        activityRef,
+        audit: { source: 'timer', userId: req.user?.id || null }
+      },
+      include: timeLogInclude
+    });
+
+    res.status(201).json({
+      message: 'Timer started',
+      data: timeLog
+    });
+  } catch (error) {
+    console.error('Error starting timer:', error);
+    res.status(500).json({
+      error: 'Internal server error while starting timer'
+    });
+  }
+};
+
+// Stop a running timer; minutes are taken from the elapsed time
+const stopTimer = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { activityRef } = req.body || {};
+
+    const existing = await prisma.timeLog.findUnique({ where: { id } });
+    if (!existing) {
+      return res.status(404).json({
+        error: 'Time log not found'
+      });
+    }
+    if (!canChangeTimeLog(req, existing)) {
+      return res.status(403).json({
+        error: 'Only the clinician who logged this time can change it'
+      });
+    }
+    if (existing.endedAt) {
+      return res.status(409).json({
+        error: 'Timer has already been stopped'
+      });
+    }
+
+    const endedAt = new Date();
+    // Conditional update so a double click cannot stop the timer twice
+    const { count } = await prisma.timeLog.updateMany({
+      where: { id, endedAt: null },
+      data: {
+        endedAt,
+        minutes: intervalMinutes(existing.startedAt, endedAt),
+        ...(activityRef !== undefined && { activityRef })
+      }
+    });
+    if (count === 0) {
+      return res.status(409).json({
+        error: 'Timer has already been stopped'
+      });
+    }
+
+    const timeLog = await prisma.timeLog.findUnique({
+      where: { id },
+      include: timeLogInclude
+    });
+
+    res.json({
+      message: 'Timer stopped',
+      data: timeLog
+    });
+  } catch (error) {
+    console.error('Error stopping timer:', error);
+    res.status(500).json({
+      error: 'Internal server error while stopping timer'
+    });
+  }
+};
+
+module.exports = {
+  getTimeLogs,
+  getTimeLogById,
+  createTimeLog,
+  updateTimeLog,
+  deleteTimeLog,
+  startTimer,
+  stopTimer
+};
@@ -0,0 +1,20 @@
+const { runWithAuditContext } = require('../services/auditService');
+
+// Make the authenticated actor and request details available to the PHI audit extension for
+// everything that runs while handling this request. Must come after authenticate (or
+// authenticatePatientLink, whose requests are attributed to the role 'patient').
+const captureAuditContext = (req, res, next) => {
+  runWithAuditContext({
+    userId: req.user?.id || null,
+    email: req.user?.email || null,
+    role: req.user?.role || (req.patientAccess ? 'patient' : null),
+    ip: req.ip,
+    method: req.method,
+    // Query strings are left out on purpose: searches can contain patient names
+    path: `${req.baseUrl}${req.path}`
+  }, next);
+};
+
+module.exports = {
+  captureAuditContext
+};
@@ -0,0 +1,105 @@
+const { verifyAccessToken } = require('../services/authService');
+const { verifyPatientSession } = require('../services/patientAccessService');
+
+const verifyToken = (token, req, res, next) => {
+  try {
+    req.user = verifyAccessToken(token);
+    next();
+  } catch (error) {
+    return res.status(401).json({
+      error: 'Invalid or expired token',
+      message: error.name === 'TokenExpiredError' ? 'Access token has expired' : 'Access token is invalid'
+    });
+  }
+};
+
+// Require a valid Bearer access token; sets req.user = { id, email, role, clinicianId }
+const authenticate = (req, res, next) => {
+  const header = req.headers.authorization || '';
+  const [scheme, token] = header.split(' ');
+
+  if (scheme !== 'Bearer' || !token) {
+    return res.status(401).json({
+      error: 'Authentication required',
+      message: 'A Bearer token is required to access this resource'
+    });
+  }
+
+  verifyToken(token, req, res, next);
+};
+
+// Event streams are opened with EventSource, which cannot set headers, so the access
+// token may also be passed as ?access_token=. Only used for the /api/events stream.
+const authenticateEventStream = (req, res, next) => {
+  if (req.headers.authorization) {
+    return authenticate(req, res, next);
+  }
+
+  const token = req.query.access_token;
+  if (!token) {
+    return res.status(401).json({
+      error: 'Authentication required',
+      message: 'An access token is required to open the event stream'
+    });
+  }
+
+  verifyToken(token, req, res, next);
+};
+
+// Patient pages authenticate with the session token obtained by redeeming a one-time link
+// (Bearer header, or ?token=). The session is bound to one enrollment and ends when its link
+// is revoked; sets req.patientAccess = { enrollmentId, linkId, scopes } for the :enrollmentId route.
+const authenticatePatientLink = async (req, res, next) => {
+  const [scheme, headerToken] = (req.headers.authorization || '').split(' ');
+  const token = scheme === 'Bearer' && headerToken ? headerToken : req.query.token;
+
+  if (!token) {
+    return res.status(401).json({
+      error: 'Authentication required',
+      message: 'This link is missing its access token'
+    });
+  }
+
+  try {
+    req.patientAccess = await verifyPatientSession(token);
+  } catch (error) {
+    return res.status(401).json({
+      error: 'Invalid or expired link',
+      message: error.name === 'TokenExpiredError' ? 'This link has expired' : 'This link is invalid'
+    });
+  }
+
+  if (!req.patientAccess) {
+    return res.status(401).json({
+      error: 'Invalid or expired link',
+      message: 'This link has been revoked'
+    });
+  }
+
+  if (req.params.enrollmentId && req.params.enrollmentId !== req.patientAccess.enrollmentId) {
+    return res.status(403).json({
+      error: 'Access denied',
+      message: 'This link does not give access to this enrollment'
+    });
+  }
+
+  next();
+};
+
+// Limit a patient route to sessions whose link includes `scope` (see PATIENT_ACCESS_SCOPES)
+const requirePatientScope = (scope) => (req, res, next) => {
+  if (!req.patientAccess?.scopes.includes(scope)) {
+    return res.status(403).json({
+      error: 'Access denied',
+      message: 'This link does not give access to this page'
+    });
+  }
+  next();
+};
+
+module.exports = {
+  authenticate,
+  authenticateEventStream,
+  authenticatePatientLink,
+  requirePatientScope
+};
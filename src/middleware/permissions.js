@@ -0,0 +1,195 @@
+const { PrismaClient } = require('../../generated/prisma');
+
+// Use global prisma client in test environment, otherwise create new instance
+const prisma = global.prisma || new PrismaClient();
+
+const ROLES = ['admin', 'clinician', 'care_coordinator', 'auditor'];
+
+const ALL_ROLES = ROLES;
+const CARE_TEAM = ['admin', 'clinician', 'care_coordinator'];
+const ADMIN_ONLY = ['admin'];
+
+// Permission matrix: permission -> roles allowed. Auditors get read access only;
+// reference data (metrics, templates, presets, rules, drugs) is managed by admins.
+const PERMISSIONS = {
+  'patients:read': ALL_ROLES,
+  'patients:write': CARE_TEAM,
+  'patients:delete': ADMIN_ONLY,
+
+  'clinicians:read': ALL_ROLES,
+  'clinicians:manage': ADMIN_ONLY,
+
+  'enrollments:read': ALL_ROLES,
+  'enrollments:write': CARE_TEAM,
+  'enrollments:delete': ADMIN_ONLY,
+
+  'observations:read': ALL_ROLES,
+  'observations:write': CARE_TEAM,
+  'observations:delete': ADMIN_ONLY,
+
+  'alerts:read': ALL_ROLES,
+  'alerts:respond': CARE_TEAM,
+  'alerts:delete': ADMIN_ONLY,
+
+  'alertRules:read': ALL_ROLES,
+  'alertRules:test': ['admin', 'clinician'],
+  'alertRules:manage': ADMIN_ONLY,
+
+  'metricDefinitions:read': ALL_ROLES,
+  'metricDefinitions:manage': ADMIN_ONLY,
+
+  'assessmentTemplates:read': ALL_ROLES,
+  'assessmentTemplates:manage': ADMIN_ONLY,
+
+  'conditionPresets:read': ALL_ROLES,
+  'conditionPresets:manage': ADMIN_ONLY,
+
+  'drugs:read': ALL_ROLES,
+  'drugs:manage': ADMIN_ONLY,
+
+  'medications:read': ALL_ROLES,
+  'medications:prescribe': ['admin', 'clinician'],
+  'medications:record': CARE_TEAM,
+
+  'timeLogs:read': ALL_ROLES,
+  'timeLogs:write': CARE_TEAM,
+  'timeLogs:delete': ADMIN_ONLY,
+
+  'messages:read': ALL_ROLES,
+  'messages:write': CARE_TEAM,
+
+  'billing:read': ALL_ROLES,
+  'billing:export': ['admin', 'care_coordinator'],
+
+  'users:manage': ADMIN_ONLY,
+
+  'audit:read': ['admin', 'auditor']
+};
+
+const hasPermission = (user, permission) =>
+  Boolean(user && (PERMISSIONS[permission] || []).includes(user.role));
+
+// Require a permission from the matrix; expects authenticate to have set req.user
+const authorize = (permission) => (req, res, next) => {
+  if (!req.user) {
+    return res.status(401).json({
+      error: 'Authentication required'
+    });
+  }
+
+  if (!hasPermission(req.user, permission)) {
+    return res.status(403).json({
+      error: 'Forbidden',
+      message: `Your role (${req.user.role}) does not allow ${permission}`
+    });
+  }
+
+  next();
+};
+
+/* ========== Patient scoping ========== */
+
+// Clinicians only see patients enrolled with them; other roles see every patient
+const isScopedToOwnPatients = (user) => user?.role === 'clinician';
+
+// Matches nothing; used for clinician users that are not linked to a clinician record
+const NO_MATCH = { id: { in: [] } };
+
+// Prisma where fragments restricting each model to the user's patients ({} = unrestricted)
+const scopeFor = (user, buildScope) => {
+  if (!isScopedToOwnPatients(user)) return {};
+  return user.clinicianId ? buildScope(user.clinicianId) : NO_MATCH;
+};
+
+const patientScope = (user) =>
+  scopeFor(user, (clinicianId) => ({ enrollments: { some: { clinicianId } } }));
+
+const enrollmentScope = (user) =>
+  scopeFor(user, (clinicianId) => ({ clinicianId }));
+
+const observationScope = (user) =>
+  scopeFor(user, (clinicianId) => ({ enrollment: { clinicianId } }));
+
+const alertScope = (user) =>
+  scopeFor(user, (clinicianId) => ({ enrollment: { clinicianId } }));
+
+const patientMedicationScope = (user) =>
+  scopeFor(user, (clinicianId) => ({ patient: { enrollments: { some: { clinicianId } } } }));
+
+const timeLogScope = (user) =>
+  scopeFor(user, (clinicianId) => ({ enrollment: { clinicianId } }));
+
+const messageScope = (user) =>
+  scopeFor(user, (clinicianId) => ({ enrollment: { clinicianId } }));
+
+// Combine a controller's filters with a scope fragment
+const applyScope = (where, scope) =>
+  Object.keys(scope).length > 0 ? { AND: [where, scope] } : where;
+
+const SCOPED_MODELS = {
+  patient: patientScope,
+  enrollment: enrollmentScope,
+  observation: observationScope,
+  alert: alertScope,
+  patientMedication: patientMedicationScope,
+  timeLog: timeLogScope
+};
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// Values at a path of a request property; `*` steps into every array element, as in
+// 'observations.*.enrollmentId'
+const valuesAt = (source, path) =>
+  path.split('.').reduce((values, key) => values.flatMap(value => {
+    if (key === '*') return Array.isArray(value) ? value : [];
+    return value !== null && typeof value === 'object' ? [value[key]] : [];
+  }), [source]);
+
+// Reject access to records outside the user's scope, e.g. requireAccess('patient', 'patientId').
+// Ids come from the route params, or from the body or query for write routes that name the
+// records they touch: requireAccess('enrollment', 'observations.*.enrollmentId', 'body'). Missing
+// or malformed ids cannot name a record and are left to the route's own validation.
+const requireAccess = (model, param = 'id', location = 'params') => async (req, res, next) => {
+  const scope = SCOPED_MODELS[model](req.user);
+  if (Object.keys(scope).length === 0) return next();
+
+  const ids = [...new Set(valuesAt(req[location], param))]
+    .filter(id => typeof id === 'string' && UUID_PATTERN.test(id));
+  if (ids.length === 0) return next();
+
+  try {
+    const count = await prisma[model].count({
+      where: { AND: [{ id: { in: ids } }, scope] }
+    });
+
+    if (count < ids.length) {
+      return res.status(403).json({
+        error: 'Forbidden',
+        message: `You do not have access to this ${model}`
+      });
+    }
+
+    next();
+  } catch (error) {
+    console.error(`Error checking ${model} access:`, error);
+    res.status(500).json({
+      error: 'Internal server error while checking access'
+    });
+  }
+};
+
+module.exports = {
+  ROLES,
+  PERMISSIONS,
+  hasPermission,
+  authorize,
+  patientScope,
+  enrollmentScope,
+  observationScope,
+  alertScope,
+  patientMedicationScope,
+  timeLogScope,
+  messageScope,
+  applyScope,
+  requireAccess
+};
@@ -1,4 +1,7 @@
 const { body, param, query, validationResult } = require('express-validator');
+const { ROLES } = require('./permissions');
+const { REMINDER_FREQUENCIES, isValidTimeZone } = require('../services/reminderService');
+const { TIME_BASED_CPT_CODES } = require('../services/timeLogService');
 
 // Generic validation error handler
 const handleValidationErrors = (req, res, next) => {
@@ -104,6 +107,33 @@ const clinicianValidations = {
   ]
 };
 
+// Authentication validation rules
+const authValidations = {
+  login: [
+    body('email').isEmail().withMessage('Valid email is required'),
+    body('password').notEmpty().withMessage('Password is required')
+  ],
+
+  refreshToken: [
+    body('refreshToken').notEmpty().isString().withMessage('Refresh token is required')
+  ],
+
+  createUser: [
+    body('email').isEmail().withMessage('Valid email is required'),
+    body('password').isString().isLength({ min: 8, max: 128 })
+      .withMessage('Password must be 8-128 characters'),
+    body('role').optional().isIn(ROLES)
+      .withMessage(`Role must be one of: ${ROLES.join(', ')}`),
+    body('clinicianId').optional().isUUID().withMessage('Clinician ID must be a valid UUID')
+  ],
+
+  updateUser: [
+    body('role').optional().isIn(ROLES)
+      .withMessage(`Role must be one of: ${ROLES.join(', ')}`),
+    body('isActive').optional().isBoolean().withMessage('isActive must be a boolean')
+  ]
+};
+
 // Enrollment validation rules
 const enrollmentValidations = {
   create: [
@@ -129,6 +159,36 @@ const enrollmentValidations = {
     body('consentAt').optional().isISO8601().withMessage('Consent date must be a valid date'),
     body('notes').optional().trim().isLength({ max: 500 })
       .withMessage('Notes must be less than 500 characters')
+  ],
+
+  // Per-enrollment reminder schedule, checked on create and update
+  reminderSettings: [
+    body('reminderSettings').optional({ values: 'null' }).isObject()
+      .withMessage('Reminder settings must be an object'),
+    body('reminderSettings.dailyAssessment').optional().isBoolean()
+      .withMessage('dailyAssessment must be true or false'),
+    body('reminderSettings.reminderTime').optional().matches(/^([01]\d|2[0-3]):[0-5]\d$/)
+      .withMessage('Reminder time must be HH:MM'),
+    body('reminderSettings.reminderTimes').optional().isArray({ min: 1, max: 6 })
+      .withMessage('Reminder times must be a list of 1-6 times'),
+    body('reminderSettings.reminderTimes.*').matches(/^([01]\d|2[0-3]):[0-5]\d$/)
+      .withMessage('Reminder times must be HH:MM'),
+    body('reminderSettings.daysOfWeek').optional().isArray({ min: 1, max: 7 })
+      .withMessage('Days of week must be a list of 1-7 days'),
+    body('reminderSettings.daysOfWeek.*').isInt({ min: 0, max: 6 })
+      .withMessage('Days of week must be 0 (Sunday) to 6 (Saturday)'),
+    body('reminderSettings.frequency').optional().isIn(REMINDER_FREQUENCIES)
+      .withMessage(`Reminder frequency must be one of: ${REMINDER_FREQUENCIES.join(', ')}`),
+    body('reminderSettings.timezone').optional().custom(isValidTimeZone)
+      .withMessage('Timezone must be an IANA time zone such as America/New_York'),
+    body('reminderSettings.quietHours.start').optional().matches(/^([01]\d|2[0-3]):[0-5]\d$/)
+      .withMessage('Quiet hours start must be HH:MM'),
+    body('reminderSettings.quietHours.end').optional().matches(/^([01]\d|2[0-3]):[0-5]\d$/)
+      .withMessage('Quiet hours end must be HH:MM'),
+    body('reminderSettings.methods').optional().isArray()
+      .withMessage('Reminder methods must be a list'),
+    body('reminderSettings.methods.*').isIn(['email', 'sms'])
+      .withMessage('Reminder methods must be email or sms')
   ]
 };
 
@@ -239,6 +299,195 @@ const alertValidations = {
   ]
 };
 
+// Alert rule test validation rules (the rule and samples are checked by validateBacktestRequest)
+const alertRuleValidations = {
+  test: [
+    body('enrollmentId').optional().isUUID().withMessage('Enrollment ID must be a valid UUID')
+  ]
+};
+
+// Audit log query validation rules
+const auditValidations = {
+  query: [
+    query('patientId').optional().isUUID().withMessage('Patient ID must be a valid UUID'),
+    query('actorId').optional().isUUID().withMessage('Actor ID must be a valid UUID'),
+    query('entityId').optional().isUUID().withMessage('Entity ID must be a valid UUID'),
+    query('entityType').optional().isIn(['patient', 'enrollment', 'observation', 'patient_medication', 'message', 'assessment_response', 'patient_access_link'])
+      .withMessage('Entity type must be patient, enrollment, observation, patient_medication, message, assessment_response or patient_access_link'),
+    query('action').optional().isIn(['read', 'create', 'update', 'delete'])
+      .withMessage('Action must be read, create, update or delete'),
+    query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+    query('limit').optional().isInt({ min: 1, max: 500 }).withMessage('Limit must be between 1 and 500')
+  ]
+};
+
+const CPT_CODES = ['CPT_98975', 'CPT_98976', 'CPT_98977', 'CPT_98980', 'CPT_98981', 'CPT_99457', 'CPT_99458'];
+
+// Time is only logged against time-based codes; the device codes bill on days of readings
+const timeCodeValidation = (check) =>
+  check.isIn(TIME_BASED_CPT_CODES).withMessage(`CPT code must be one of ${TIME_BASED_CPT_CODES.join(', ')}`);
+
+// Time log validation rules (minutes vs. interval is checked in the controller)
+const timeLogValidations = {
+  create: [
+    body('enrollmentId').isUUID().withMessage('Enrollment ID must be a valid UUID'),
+    timeCodeValidation(body('cptCode')),
+    body('startedAt').isISO8601().withMessage('Started at must be a valid date'),
+    body('endedAt').isISO8601().withMessage('Ended at must be a valid date'),
+    body('minutes').optional().isInt({ min: 0 }).withMessage('Minutes must be a non-negative integer'),
+    body('actorId').optional().isUUID().withMessage('Actor ID must be a valid UUID'),
+    body('activityRef').optional().trim().isLength({ max: 200 })
+      .withMessage('Activity reference must be less than 200 characters')
+  ],
+
+  update: [
+    timeCodeValidation(body('cptCode').optional()),
+    body('startedAt').optional().isISO8601().withMessage('Started at must be a valid date'),
+    body('endedAt').optional().isISO8601().withMessage('Ended at must be a valid date'),
+    body('minutes').optional().isInt({ min: 0 }).withMessage('Minutes must be a non-negative integer'),
+    body('activityRef').optional().trim().isLength({ max: 200 })
+      .withMessage('Activity reference must be less than 200 characters')
+  ],
+
+  startTimer: [
+    body('enrollmentId').isUUID().withMessage('Enrollment ID must be a valid UUID'),
+    timeCodeValidation(body('cptCode')),
+    body('clinicianId').optional().isUUID().withMessage('Clinician ID must be a valid UUID'),
+    body('activityRef').optional().trim().isLength({ max: 200 })
+      .withMessage('Activity reference must be less than 200 characters')
+  ],
+
+  query: [
+    query('enrollmentId').optional().isUUID().withMessage('Enrollment ID must be a valid UUID'),
+    query('patientId').optional().isUUID().withMessage('Patient ID must be a valid UUID'),
+    query('actorId').optional().isUUID().withMessage('Actor ID must be a valid UUID'),
+    query('cptCode').optional().isIn(CPT_CODES).withMessage(`CPT code must be one of ${CPT_CODES.join(', ')}`),
+    query('running').optional().isIn(['true', 'false']).withMessage('Running must be true or false')
+  ]
+};
+
+// Message validation rules
+const messageValidations = {
+  create: [
+    body('body').isString().trim().isLength({ min: 1, max: 5000 })
+      .withMessage('Message body is required and must be less than 5000 characters'),
+    body('logMinutes').optional().isInt({ min: 1, max: 120 })
+      .withMessage('Logged minutes must be between 1 and 120'),
+    timeCodeValidation(body('cptCode').optional())
+  ],
+
+  markRead: [
+    body('messageIds').optional().isArray().withMessage('Message IDs must be an array'),
+    body('messageIds.*').optional().isUUID().withMessage('Message IDs must be valid UUIDs')
+  ],
+
+  // Patient message from a patient link session
+  patientCreate: [
+    param('enrollmentId').isUUID().withMessage('Enrollment ID must be a valid UUID'),
+    body('body').isString().trim().isLength({ min: 1, max: 5000 })
+      .withMessage('Message body is required and must be less than 5000 characters')
+  ]
+};
+
+// Assessment response validation rules
+const assessmentResponseValidations = {
+  create: [
+    body('templateId').isUUID().withMessage('Template ID must be a valid UUID'),
+    body('responses').isArray({ min: 1, max: 100 }).withMessage('Responses must be an array of 1 to 100 answers'),
+    body('responses.*').isObject().withMessage('Each response must be an object'),
+    body('responses.*.metricDefinitionId').optional().isUUID().withMessage('Metric definition ID must be a valid UUID'),
+    body('responses.*.metricKey').optional().isString().withMessage('Metric key must be a string'),
+    body('startedAt').optional().isISO8601().withMessage('Started at must be a valid ISO 8601 date'),
+    body('completedAt').optional().isISO8601().withMessage('Completed at must be a valid ISO 8601 date'),
+    body('source').optional().isIn(['patient', 'device', 'staff']).withMessage('Source must be patient, device or staff')
+  ],
+
+  query: [
+    query('templateId').optional().isUUID().withMessage('Template ID must be a valid UUID'),
+    query('complete').optional().isIn(['true', 'false']).withMessage('Complete must be true or false')
+  ],
+
+  // Patient daily assessment: one entry per template, submitted together
+  daily: [
+    param('enrollmentId').isUUID().withMessage('Enrollment ID must be a valid UUID'),
+    body('assessments').isArray({ min: 1, max: 20 }).withMessage('Assessments must be an array of 1 to 20 templates'),
+    body('assessments.*.templateId').isUUID().withMessage('Template ID must be a valid UUID'),
+    body('assessments.*.responses').isArray({ min: 1, max: 100 }).withMessage('Responses must be an array of 1 to 100 answers'),
+    body('assessments.*.responses.*').isObject().withMessage('Each response must be an object'),
+    body('startedAt').optional().isISO8601().withMessage('Started at must be a valid ISO 8601 date')
+  ]
+};
+
+// Dose report validation rules (staff and patient check-in)
+const doseFields = [
+  body('status').isIn(['taken', 'skipped']).withMessage('Status must be taken or skipped'),
+  body('adherenceId').optional().isUUID().withMessage('Adherence ID must be a valid UUID'),
+  body('takenAt').optional().isISO8601().withMessage('Taken at must be a valid ISO 8601 date')
+    .custom(value => new Date(value).getTime() <= Date.now() + 5 * 60 * 1000)
+    .withMessage('Taken at cannot be in the future'),
+  body('skipReason').if(body('status').equals('skipped'))
+    .isString().withMessage('A reason is required when a dose is skipped').bail()
+    .trim().isLength({ min: 1, max: 255 }).withMessage('A reason is required when a dose is skipped'),
+  body('dosageTaken').optional({ values: 'falsy' }).isString().trim().isLength({ max: 100 })
+    .withMessage('Dosage taken must be less than 100 characters'),
+  body('sideEffects').optional().isArray({ max: 20 }).withMessage('Side effects must be an array'),
+  body('sideEffects.*').optional().isString().trim().isLength({ min: 1, max: 100 })
+    .withMessage('Each side effect must be 1 to 100 characters'),
+  body('notes').optional({ values: 'falsy' }).isString().isLength({ max: 1000 })
+    .withMessage('Notes must be less than 1000 characters')
+];
+
+const doseValidations = {
+  record: [
+    param('id').isUUID().withMessage('Patient medication ID must be a valid UUID'),
+    ...doseFields,
+    body('reportedBy').optional().isIn(['patient', 'caregiver', 'clinician'])
+      .withMessage('Reported by must be patient, caregiver or clinician')
+  ],
+
+  checkIn: [
+    param('enrollmentId').isUUID().withMessage('Enrollment ID must be a valid UUID'),
+    param('patientMedicationId').isUUID().withMessage('Patient medication ID must be a valid UUID'),
+    ...doseFields,
+    body('reportedBy').optional().isIn(['patient', 'caregiver'])
+      .withMessage('Reported by must be patient or caregiver')
+  ]
+};
+
+// Patient access link validation rules
+const accessLinkValidations = {
+  create: [
+    body('scopes').optional().isArray({ min: 1 }).withMessage('Scopes must be a non-empty array'),
+    body('scopes.*').optional().isIn(['assessments', 'medication_adherence'])
+      .withMessage('Scopes must be assessments or medication_adherence'),
+    body('expiresInHours').optional().isInt({ min: 1, max: 168 }).withMessage('Links must expire within 1 to 168 hours'),
+    body('purpose').optional().isString().trim().isLength({ min: 1, max: 50 })
+      .withMessage('Purpose must be less than 50 characters')
+  ],
+
+  revoke: [
+    param('linkId').isUUID().withMessage('Link ID must be a valid UUID')
+  ],
+
+  redeem: [
+    param('enrollmentId').isUUID().withMessage('Enrollment ID must be a valid UUID'),
+    body('token').isString().notEmpty().withMessage('Link token is required')
+  ]
+};
+
+// Billing validation rules
+const billingValidations = {
+  period: [
+    param('period').matches(/^\d{4}-(0[1-9]|1[0-2])$/).withMessage('Billing period must be in YYYY-MM format'),
+    query('clinicianId').optional().isUUID().withMessage('Clinician ID must be a valid UUID'),
+    query('enrollmentId').optional().isUUID().withMessage('Enrollment ID must be a valid UUID')
+  ],
+
+  exportFormat: [
+    query('format').optional().isIn(['csv', '837p']).withMessage('Format must be csv or 837p')
+  ]
+};
+
 // Custom validation middleware for business logic
 const customValidations = {
   // Validate date range
@@ -338,9 +587,18 @@ module.exports = {
   commonValidations,
   patientValidations,
   clinicianValidations,
+  authValidations,
   enrollmentValidations,
   metricDefinitionValidations,
   observationValidations,
   alertValidations,
+  alertRuleValidations,
+  auditValidations,
+  timeLogValidations,
+  messageValidations,
+  assessmentResponseValidations,
+  doseValidations,
+  accessLinkValidations,
+  billingValidations,
   customValidations
 };
\ No newline at end of file
@@ -13,31 +13,42 @@ const {
   deleteAlert,
   evaluateAlerts,
   getAlertStats,
-  getRecentAlerts
+  getRecentAlerts,
+  acknowledgeAlert,
+  assignAlert,
+  escalateAlert,
+  resolveAlert
 } = require('../controllers/alertController');
+const { authorize, requireAccess } = require('../middleware/permissions');
 
 // Create a new alert with validation
-router.post('/', alertValidations.create, handleValidationErrors, createAlert);
+router.post('/', authorize('alerts:respond'), alertValidations.create, handleValidationErrors, requireAccess('enrollment', 'enrollmentId', 'body'), createAlert);
 
 // Get all alerts with filtering and pagination
-router.get('/', commonValidations.pagination, commonValidations.dateRange, handleValidationErrors, getAlerts);
+router.get('/', authorize('alerts:read'), commonValidations.pagination, commonValidations.dateRange, handleValidationErrors, getAlerts);
 
 // Get alert statistics
-router.get('/stats', getAlertStats);
+router.get('/stats', authorize('alerts:read'), getAlertStats);
 
 // Get recent alerts (optimized for dashboard)
-router.get('/recent', getRecentAlerts);
+router.get('/recent', authorize('alerts:read'), getRecentAlerts);
 
 // Evaluate alert rules
-router.post('/evaluate', evaluateAlerts);
+router.post('/evaluate', authorize('alerts:respond'), requireAccess('enrollment', 'enrollmentId', 'body'), requireAccess('enrollment', 'enrollmentId', 'query'), evaluateAlerts);
 
 // Get alert by ID with validation
-router.get('/:id', commonValidations.id, handleValidationErrors, getAlertById);
+router.get('/:id', authorize('alerts:read'), commonValidations.id, handleValidationErrors, requireAccess('alert'), getAlertById);
 
 // Update alert with validation
-router.put('/:id', commonValidations.id, alertValidations.update, handleValidationErrors, updateAlert);
+router.put('/:id', authorize('alerts:respond'), commonValidations.id, alertValidations.update, handleValidationErrors, requireAccess('alert'), updateAlert);
+
+// Alert lifecycle: each change is recorded in the alert's event history
+router.post('/:id/ack', authorize('alerts:respond'), commonValidations.id, handleValidationErrors, requireAccess('alert'), acknowledgeAlert);
+router.post('/:id/assign', authorize('alerts:respond'), commonValidations.id, handleValidationErrors, requireAccess('alert'), assignAlert);
+router.post('/:id/escalate', authorize('alerts:respond'), commonValidations.id, handleValidationErrors, requireAccess('alert'), escalateAlert);
+router.post('/:id/resolve', authorize('alerts:respond'), commonValidations.id, handleValidationErrors, requireAccess('alert'), resolveAlert);
 
 // Delete alert with validation
-router.delete('/:id', commonValidations.id, handleValidationErrors, deleteAlert);
+router.delete('/:id', authorize('alerts:delete'), commonValidations.id, handleValidationErrors, deleteAlert);
 
 module.exports = router;
\ No newline at end of file
@@ -2,6 +2,7 @@ const express = require('express');
 const router = express.Router();
 const {
   commonValidations,
+  alertRuleValidations,
   handleValidationErrors
 } = require('../middleware/validation');
 const {
@@ -11,16 +12,23 @@ const {
   updateAlertRule,
   deleteAlertRule,
   getRuleTemplates,
-  getAlertRuleStats
+  getAlertRuleStats,
+  runAlertSweep,
+  testAlertRule,
+  testUnsavedAlertRule
 } = require('../controllers/alertRuleController');
+const { authorize, requireAccess } = require('../middleware/permissions');
 
 // Alert rule CRUD routes
-router.get('/', commonValidations.pagination, handleValidationErrors, getAllAlertRules);
-router.get('/stats', getAlertRuleStats);
-router.get('/templates', getRuleTemplates);
-router.get('/:id', commonValidations.id, handleValidationErrors, getAlertRuleById);
-router.post('/', createAlertRule);
-router.put('/:id', commonValidations.id, handleValidationErrors, updateAlertRule);
-router.delete('/:id', commonValidations.id, handleValidationErrors, deleteAlertRule);
+router.get('/', authorize('alertRules:read'), commonValidations.pagination, handleValidationErrors, getAllAlertRules);
+router.get('/stats', authorize('alertRules:read'), getAlertRuleStats);
+router.get('/templates', authorize('alertRules:read'), getRuleTemplates);
+router.post('/sweep', authorize('alertRules:manage'), runAlertSweep);
+router.post('/test', authorize('alertRules:test'), alertRuleValidations.test, handleValidationErrors, requireAccess('enrollment', 'enrollmentId', 'body'), testUnsavedAlertRule);
+router.post('/:id/test', authorize('alertRules:test'), commonValidations.id, alertRuleValidations.test, handleValidationErrors, requireAccess('enrollment', 'enrollmentId', 'body'), testAlertRule);
+router.get('/:id', authorize('alertRules:read'), commonValidations.id, handleValidationErrors, getAlertRuleById);
+router.post('/', authorize('alertRules:manage'), createAlertRule);
+router.put('/:id', authorize('alertRules:manage'), commonValidations.id, handleValidationErrors, updateAlertRule);
+router.delete('/:id', authorize('alertRules:manage'), commonValidations.id, handleValidationErrors, deleteAlertRule);
 
 module.exports = router;
\ No newline at end of file
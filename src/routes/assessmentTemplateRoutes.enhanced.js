@@ -8,12 +8,13 @@ const {
   getTemplateCategories,
   getTemplateById
 } = require('../controllers/assessmentTemplateController.enhanced');
+const { authorize } = require('../middleware/permissions');
 
 // Enhanced routes with standardization support
-router.get('/', getAllAssessmentTemplates);
-router.get('/standardized', getStandardizedTemplates);
-router.get('/custom', getCustomTemplates);
-router.get('/categories', getTemplateCategories);
-router.get('/:id', getTemplateById);
+router.get('/', authorize('assessmentTemplates:read'), getAllAssessmentTemplates);
+router.get('/standardized', authorize('assessmentTemplates:read'), getStandardizedTemplates);
+router.get('/custom', authorize('assessmentTemplates:read'), getCustomTemplates);
+router.get('/categories', authorize('assessmentTemplates:read'), getTemplateCategories);
+router.get('/:id', authorize('assessmentTemplates:read'), getTemplateById);
 
 module.exports = router;
@@ -10,6 +10,7 @@ const {
 
 const { handleValidationErrors, commonValidations } = require('../middleware/validation');
 const { body } = require('express-validator');
+const { authorize } = require('../middleware/permissions');
 
 // Validation rules for assessment templates
 const assessmentTemplateValidations = {
@@ -53,10 +54,10 @@ const assessmentTemplateValidations = {
 };
 
 // Routes
-router.get('/', getAllAssessmentTemplates);
-router.get('/:id', commonValidations.id, handleValidationErrors, getAssessmentTemplateById);
-router.post('/', assessmentTemplateValidations.create, handleValidationErrors, createAssessmentTemplate);
-router.put('/:id', commonValidations.id, assessmentTemplateValidations.update, handleValidationErrors, updateAssessmentTemplate);
-router.delete('/:id', commonValidations.id, handleValidationErrors, deleteAssessmentTemplate);
+router.get('/', authorize('assessmentTemplates:read'), getAllAssessmentTemplates);
+router.get('/:id', authorize('assessmentTemplates:read'), commonValidations.id, handleValidationErrors, getAssessmentTemplateById);
+router.post('/', authorize('assessmentTemplates:manage'), assessmentTemplateValidations.create, handleValidationErrors, createAssessmentTemplate);
+router.put('/:id', authorize('assessmentTemplates:manage'), commonValidations.id, assessmentTemplateValidations.update, handleValidationErrors, updateAssessmentTemplate);
+router.delete('/:id', authorize('assessmentTemplates:manage'), commonValidations.id, handleValidationErrors, deleteAssessmentTemplate);
 
 module.exports = router;
\ No newline at end of file
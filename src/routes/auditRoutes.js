@@ -0,0 +1,14 @@
+const express = require('express');
+const router = express.Router();
+const {
+  auditValidations,
+  commonValidations,
+  handleValidationErrors
+} = require('../middleware/validation');
+const { getAuditLogs } = require('../controllers/auditController');
+const { authorize } = require('../middleware/permissions');
+
+// Audit trail (read-only; entries are written by the PHI audit extension)
+router.get('/', authorize('audit:read'), auditValidations.query, commonValidations.dateRange, handleValidationErrors, getAuditLogs);
+
+module.exports = router;
@@ -0,0 +1,26 @@
+const express = require('express');
+const router = express.Router();
+const { authValidations, commonValidations, handleValidationErrors } = require('../middleware/validation');
+const { strictLimiter } = require('../middleware/rateLimiting');
+const { authenticate } = require('../middleware/auth');
+const { authorize } = require('../middleware/permissions');
+const {
+  login,
+  refresh,
+  logout,
+  getCurrentUser,
+  createUser,
+  updateUser
+} = require('../controllers/authController');
+
+// Public token endpoints
+router.post('/login', strictLimiter, authValidations.login, handleValidationErrors, login);
+router.post('/refresh', authValidations.refreshToken, handleValidationErrors, refresh);
+router.post('/logout', authValidations.refreshToken, handleValidationErrors, logout);
+
+// Authenticated account endpoints
+router.get('/me', authenticate, getCurrentUser);
+router.post('/users', authenticate, authorize('users:manage'), authValidations.createUser, handleValidationErrors, createUser);
+router.put('/users/:id', authenticate, authorize('users:manage'), commonValidations.id, authValidations.updateUser, handleValidationErrors, updateUser);
+
+module.exports = router;
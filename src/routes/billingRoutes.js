@@ -0,0 +1,16 @@
+const express = require('express');
+const router = express.Router();
+const {
+  billingValidations,
+  handleValidationErrors
+} = require('../middleware/validation');
+const { getBillingPeriod, exportBillingPeriod } = require('../controllers/billingController');
+const { authorize } = require('../middleware/permissions');
+
+// Monthly billing eligibility summary, e.g. GET /api/billing/periods/2025-10
+router.get('/periods/:period', authorize('billing:read'), billingValidations.period, handleValidationErrors, getBillingPeriod);
+
+// Claim export for the billing team: ?format=csv (default) or ?format=837p
+router.get('/periods/:period/export', authorize('billing:export'), billingValidations.period, billingValidations.exportFormat, handleValidationErrors, exportBillingPeriod);
+
+module.exports = router;
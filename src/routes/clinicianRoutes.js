@@ -15,16 +15,17 @@ const {
   getOverallClinicianStats,
   getCliniciansBySpecialization
 } = require('../controllers/clinicianController');
+const { authorize } = require('../middleware/permissions');
 
 // Clinician CRUD routes with validation
 // Note: Specific routes must come before parameterized routes
-router.post('/', clinicianValidations.create, handleValidationErrors, createClinician);
-router.get('/', commonValidations.pagination, handleValidationErrors, getAllClinicians);
-router.get('/stats', getOverallClinicianStats);
-router.get('/specialization/:specialization', getCliniciansBySpecialization);
-router.get('/:id', getClinicianById);
-router.get('/:id/stats', getClinicianStats);
-router.put('/:id', clinicianValidations.update, handleValidationErrors, updateClinician);
-router.delete('/:id', deleteClinician);
+router.post('/', authorize('clinicians:manage'), clinicianValidations.create, handleValidationErrors, createClinician);
+router.get('/', authorize('clinicians:read'), commonValidations.pagination, handleValidationErrors, getAllClinicians);
+router.get('/stats', authorize('clinicians:read'), getOverallClinicianStats);
+router.get('/specialization/:specialization', authorize('clinicians:read'), getCliniciansBySpecialization);
+router.get('/:id', authorize('clinicians:read'), getClinicianById);
+router.get('/:id/stats', authorize('clinicians:read'), getClinicianStats);
+router.put('/:id', authorize('clinicians:manage'), clinicianValidations.update, handleValidationErrors, updateClinician);
+router.delete('/:id', authorize('clinicians:manage'), deleteClinician);
 
 module.exports = router;
\ No newline at end of file
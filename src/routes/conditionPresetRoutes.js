@@ -12,13 +12,14 @@ const {
   deleteConditionPreset,
   getConditionPresetStats
 } = require('../controllers/conditionPresetController');
+const { authorize } = require('../middleware/permissions');
 
 // Condition preset CRUD routes
-router.get('/', commonValidations.pagination, handleValidationErrors, getAllConditionPresets);
-router.get('/stats', getConditionPresetStats);
-router.get('/:id', commonValidations.id, handleValidationErrors, getConditionPresetById);
-router.post('/', createConditionPreset);
-router.put('/:id', commonValidations.id, handleValidationErrors, updateConditionPreset);
-router.delete('/:id', commonValidations.id, handleValidationErrors, deleteConditionPreset);
+router.get('/', authorize('conditionPresets:read'), commonValidations.pagination, handleValidationErrors, getAllConditionPresets);
+router.get('/stats', authorize('conditionPresets:read'), getConditionPresetStats);
+router.get('/:id', authorize('conditionPresets:read'), commonValidations.id, handleValidationErrors, getConditionPresetById);
+router.post('/', authorize('conditionPresets:manage'), createConditionPreset);
+router.put('/:id', authorize('conditionPresets:manage'), commonValidations.id, handleValidationErrors, updateConditionPreset);
+router.delete('/:id', authorize('conditionPresets:manage'), commonValidations.id, handleValidationErrors, deleteConditionPreset);
 
 module.exports = router;
\ No newline at end of file
@@ -8,13 +8,14 @@ const {
   deleteDrug,
   getDrugClasses
 } = require('../controllers/drugController');
+const { authorize } = require('../middleware/permissions');
 
 // Drug routes
-router.get('/', getDrugs);
-router.get('/classes', getDrugClasses);
-router.get('/:id', getDrugById);
-router.post('/', createDrug);
-router.put('/:id', updateDrug);
-router.delete('/:id', deleteDrug);
+router.get('/', authorize('drugs:read'), getDrugs);
+router.get('/classes', authorize('drugs:read'), getDrugClasses);
+router.get('/:id', authorize('drugs:read'), getDrugById);
+router.post('/', authorize('drugs:manage'), createDrug);
+router.put('/:id', authorize('drugs:manage'), updateDrug);
+router.delete('/:id', authorize('drugs:manage'), deleteDrug);
 
 module.exports = router;
\ No newline at end of file
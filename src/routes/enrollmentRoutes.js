@@ -2,6 +2,9 @@ const express = require('express');
 const router = express.Router();
 const {
   enrollmentValidations,
+  messageValidations,
+  assessmentResponseValidations,
+  accessLinkValidations,
   commonValidations,
   handleValidationErrors
 } = require('../middleware/validation');
@@ -24,20 +27,54 @@ const {
   getEnrollmentMedicationSummary
 } = require('../controllers/medicationEnrollmentController');
 
+const {
+  getEnrollmentMessages,
+  sendEnrollmentMessage,
+  markEnrollmentMessagesRead,
+  getUnreadMessageCounts
+} = require('../controllers/messageController');
+const {
+  submitAssessmentResponse,
+  getAssessmentResponses,
+  getAssessmentResponseById
+} = require('../controllers/assessmentResponseController');
+const {
+  getEnrollmentAccessLinks,
+  createEnrollmentAccessLink,
+  revokeEnrollmentAccessLink
+} = require('../controllers/patientAccessController');
+const { authorize, requireAccess } = require('../middleware/permissions');
+
 // Enrollment CRUD routes with validation
-router.post('/', createEnrollment);
-router.post('/bulk-create', createBulkEnrollments);
-router.get('/', getAllEnrollments);
-router.get('/stats', getEnrollmentStats);
-router.get('/:id', getEnrollmentById);
-router.get('/:id/filtered-metrics', getEnrollmentWithFilteredMetrics); // Add the new route
-router.put('/:id', updateEnrollment);
-router.delete('/:id', deleteEnrollment);
-router.put('/:id/deactivate', deactivateEnrollment);
-router.patch('/:id/transfer', transferEnrollment);
+router.post('/', authorize('enrollments:write'), enrollmentValidations.reminderSettings, handleValidationErrors, createEnrollment);
+router.post('/bulk-create', authorize('enrollments:write'), createBulkEnrollments);
+router.get('/', authorize('enrollments:read'), getAllEnrollments);
+router.get('/stats', authorize('enrollments:read'), getEnrollmentStats);
+router.get('/messages/unread', authorize('messages:read'), getUnreadMessageCounts);
+router.get('/:id', authorize('enrollments:read'), requireAccess('enrollment'), getEnrollmentById);
+router.get('/:id/filtered-metrics', authorize('enrollments:read'), requireAccess('enrollment'), getEnrollmentWithFilteredMetrics); // Add the new route
+router.put('/:id', authorize('enrollments:write'), enrollmentValidations.reminderSettings, handleValidationErrors, requireAccess('enrollment'), updateEnrollment);
+router.delete('/:id', authorize('enrollments:delete'), deleteEnrollment);
+router.put('/:id/deactivate', authorize('enrollments:write'), requireAccess('enrollment'), deactivateEnrollment);
+router.patch('/:id/transfer', authorize('enrollments:write'), requireAccess('enrollment'), transferEnrollment);
 
 // Medication-related routes for enrollments
-router.get('/:id/medications', getEnrollmentMedicationSummary);
-router.post('/:id/medications', addMedicationToEnrollment);
+router.get('/:id/medications', authorize('medications:read'), requireAccess('enrollment'), getEnrollmentMedicationSummary);
+router.post('/:id/medications', authorize('medications:prescribe'), requireAccess('enrollment'), addMedicationToEnrollment);
+
+// Patient–care team message thread
+router.get('/:id/messages', authorize('messages:read'), commonValidations.pagination, handleValidationErrors, requireAccess('enrollment'), getEnrollmentMessages);
+router.post('/:id/messages', authorize('messages:write'), messageValidations.create, handleValidationErrors, requireAccess('enrollment'), sendEnrollmentMessage);
+router.post('/:id/messages/read', authorize('messages:write'), messageValidations.markRead, handleValidationErrors, requireAccess('enrollment'), markEnrollmentMessagesRead);
+
+// Assessment responses (one sitting of a template, written atomically)
+router.get('/:id/assessments', authorize('observations:read'), commonValidations.pagination, assessmentResponseValidations.query, handleValidationErrors, requireAccess('enrollment'), getAssessmentResponses);
+router.post('/:id/assessments', authorize('observations:write'), assessmentResponseValidations.create, handleValidationErrors, requireAccess('enrollment'), submitAssessmentResponse);
+router.get('/:id/assessments/:responseId', authorize('observations:read'), requireAccess('enrollment'), getAssessmentResponseById);
+
+// One-time patient links to the enrollment's patient pages
+router.get('/:id/access-links', authorize('enrollments:read'), requireAccess('enrollment'), getEnrollmentAccessLinks);
+router.post('/:id/access-links', authorize('enrollments:write'), accessLinkValidations.create, handleValidationErrors, requireAccess('enrollment'), createEnrollmentAccessLink);
+router.post('/:id/access-links/:linkId/revoke', authorize('enrollments:write'), accessLinkValidations.revoke, handleValidationErrors, requireAccess('enrollment'), revokeEnrollmentAccessLink);
 
 module.exports = router;
\ No newline at end of file
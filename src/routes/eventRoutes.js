@@ -0,0 +1,8 @@
+const express = require('express');
+const router = express.Router();
+const { streamEvents } = require('../controllers/eventController');
+
+// GET /api/events - text/event-stream of alert.created, alert.updated and observation.created
+router.get('/', streamEvents);
+
+module.exports = router;
@@ -0,0 +1,13 @@
+const express = require('express');
+const router = express.Router();
+const {
+  createMedicationObservation,
+  getPatientMedicationObservations
+} = require('../controllers/medicationObservationController');
+const { authorize, requireAccess } = require('../middleware/permissions');
+
+// Medication observation routes (adherence, effectiveness, side effects)
+router.post('/', authorize('observations:write'), requireAccess('patient', 'patientId', 'body'), requireAccess('enrollment', 'enrollmentId', 'body'), createMedicationObservation);
+router.get('/patient/:patientId', authorize('observations:read'), requireAccess('patient', 'patientId'), getPatientMedicationObservations);
+
+module.exports = router;
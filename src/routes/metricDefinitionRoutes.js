@@ -18,21 +18,22 @@ const {
   createFromTemplate,
   getTemplateDetails
 } = require('../controllers/metricDefinitionController');
+const { authorize } = require('../middleware/permissions');
 
 // Standardized template routes (place before parameterized routes)
-router.get('/templates/standardized', getStandardizedTemplates);
-router.get('/templates/:templateKey', getTemplateDetails);
-router.post('/templates/create', createFromTemplate);
+router.get('/templates/standardized', authorize('metricDefinitions:read'), getStandardizedTemplates);
+router.get('/templates/:templateKey', authorize('metricDefinitions:read'), getTemplateDetails);
+router.post('/templates/create', authorize('metricDefinitions:manage'), createFromTemplate);
 
 // Base routes with validation
-router.post('/', metricDefinitionValidations.create, handleValidationErrors, createMetricDefinition);
-router.get('/', commonValidations.pagination, handleValidationErrors, getAllMetricDefinitions);
-router.get('/stats', getMetricDefinitionStats);
-router.get('/:id', commonValidations.id, handleValidationErrors, getMetricDefinitionById);
-router.put('/:id', commonValidations.id, metricDefinitionValidations.update, handleValidationErrors, updateMetricDefinition);
-router.delete('/:id', commonValidations.id, handleValidationErrors, deleteMetricDefinition);
+router.post('/', authorize('metricDefinitions:manage'), metricDefinitionValidations.create, handleValidationErrors, createMetricDefinition);
+router.get('/', authorize('metricDefinitions:read'), commonValidations.pagination, handleValidationErrors, getAllMetricDefinitions);
+router.get('/stats', authorize('metricDefinitions:read'), getMetricDefinitionStats);
+router.get('/:id', authorize('metricDefinitions:read'), commonValidations.id, handleValidationErrors, getMetricDefinitionById);
+router.put('/:id', authorize('metricDefinitions:manage'), commonValidations.id, metricDefinitionValidations.update, handleValidationErrors, updateMetricDefinition);
+router.delete('/:id', authorize('metricDefinitions:manage'), commonValidations.id, handleValidationErrors, deleteMetricDefinition);
 
 // Utility routes with validation
-router.post('/:id/validate', commonValidations.id, handleValidationErrors, validateMetricValue);
+router.post('/:id/validate', authorize('metricDefinitions:read'), commonValidations.id, handleValidationErrors, validateMetricValue);
 
 module.exports = router;
\ No newline at end of file
@@ -17,20 +17,21 @@ const {
   bulkCreateObservations,
   getObservationsByEnrollment
 } = require('../controllers/observationController');
+const { authorize, requireAccess } = require('../middleware/permissions');
 
 // Base routes with validation
-router.post('/', createObservation);
-router.get('/', commonValidations.pagination, commonValidations.dateRange, handleValidationErrors, getAllObservations);
-router.get('/stats', getObservationStats);
-router.post('/bulk', observationValidations.bulk, handleValidationErrors, bulkCreateObservations);
-router.get('/:id', getObservationById);
-router.put('/:id', updateObservation);
-router.delete('/:id', deleteObservation);
+router.post('/', authorize('observations:write'), requireAccess('enrollment', 'enrollmentId', 'body'), createObservation);
+router.get('/', authorize('observations:read'), commonValidations.pagination, commonValidations.dateRange, handleValidationErrors, getAllObservations);
+router.get('/stats', authorize('observations:read'), getObservationStats);
+router.post('/bulk', authorize('observations:write'), observationValidations.bulk, handleValidationErrors, requireAccess('enrollment', 'observations.*.enrollmentId', 'body'), bulkCreateObservations);
+router.get('/:id', authorize('observations:read'), requireAccess('observation'), getObservationById);
+router.put('/:id', authorize('observations:write'), requireAccess('observation'), updateObservation);
+router.delete('/:id', authorize('observations:delete'), deleteObservation);
 
 // Patient-specific routes
-router.get('/patient/:patientId/history', commonValidations.pagination, commonValidations.dateRange, handleValidationErrors, getPatientObservationHistory);
+router.get('/patient/:patientId/history', authorize('observations:read'), commonValidations.pagination, commonValidations.dateRange, handleValidationErrors, requireAccess('patient', 'patientId'), getPatientObservationHistory);
 
 // Enrollment-specific routes
-router.get('/enrollment/:enrollmentId', getObservationsByEnrollment);
+router.get('/enrollment/:enrollmentId', authorize('observations:read'), requireAccess('enrollment', 'enrollmentId'), getObservationsByEnrollment);
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,35 @@
+const express = require('express');
+const router = express.Router();
+const { authenticatePatientLink, requirePatientScope } = require('../middleware/auth');
+const { captureAuditContext } = require('../middleware/audit');
+const {
+  assessmentResponseValidations,
+  accessLinkValidations,
+  doseValidations,
+  messageValidations,
+  handleValidationErrors
+} = require('../middleware/validation');
+const { startPatientSession } = require('../controllers/patientAccessController');
+const { getDailyAssessment, submitDailyAssessment } = require('../controllers/patientAssessmentController');
+const { getTodaysDoses, recordCheckInDose } = require('../controllers/patientMedicationCheckInController');
+const { getPatientMessages, sendPatientMessage } = require('../controllers/patientMessageController');
+
+// Patient-facing pages opened from one-time links; no staff account involved. A link is
+// redeemed once for a session token, which each page route checks against :enrollmentId.
+const patientSession = (scope) => [authenticatePatientLink, requirePatientScope(scope), captureAuditContext];
+
+// Any session for the enrollment can message the care team, whatever page its link opens
+const anyPatientSession = [authenticatePatientLink, captureAuditContext];
+
+router.post('/enrollments/:enrollmentId/session', accessLinkValidations.redeem, handleValidationErrors, captureAuditContext, startPatientSession);
+
+router.get('/enrollments/:enrollmentId/daily-assessment', patientSession('assessments'), getDailyAssessment);
+router.post('/enrollments/:enrollmentId/daily-assessment', patientSession('assessments'), assessmentResponseValidations.daily, handleValidationErrors, submitDailyAssessment);
+
+router.get('/enrollments/:enrollmentId/medications', patientSession('medication_adherence'), getTodaysDoses);
+router.post('/enrollments/:enrollmentId/medications/:patientMedicationId/doses', patientSession('medication_adherence'), doseValidations.checkIn, handleValidationErrors, recordCheckInDose);
+
+router.get('/enrollments/:enrollmentId/messages', anyPatientSession, getPatientMessages);
+router.post('/enrollments/:enrollmentId/messages', anyPatientSession, messageValidations.patientCreate, handleValidationErrors, sendPatientMessage);
+
+module.exports = router;
@@ -4,15 +4,21 @@ const {
   getPatientMedications,
   getPatientMedicationsById,
   createPatientMedication,
+  checkPatientMedicationSafety,
   updatePatientMedication,
-  deactivatePatientMedication
+  deactivatePatientMedication,
+  recordPatientMedicationDose
 } = require('../controllers/patientMedicationController');
+const { authorize, requireAccess } = require('../middleware/permissions');
+const { doseValidations, handleValidationErrors } = require('../middleware/validation');
 
 // Patient medication routes
-router.get('/', getPatientMedications);
-router.get('/patient/:patientId', getPatientMedicationsById);
-router.post('/', createPatientMedication);
-router.put('/:id', updatePatientMedication);
-router.patch('/:id/deactivate', deactivatePatientMedication);
+router.get('/', authorize('medications:read'), getPatientMedications);
+router.get('/patient/:patientId', authorize('medications:read'), requireAccess('patient', 'patientId'), getPatientMedicationsById);
+router.post('/', authorize('medications:prescribe'), requireAccess('patient', 'patientId', 'body'), createPatientMedication);
+router.post('/safety-check', authorize('medications:prescribe'), requireAccess('patient', 'patientId', 'body'), checkPatientMedicationSafety);
+router.put('/:id', authorize('medications:prescribe'), requireAccess('patientMedication'), updatePatientMedication);
+router.post('/:id/doses', authorize('medications:record'), requireAccess('patientMedication'), doseValidations.record, handleValidationErrors, recordPatientMedicationDose);
+router.patch('/:id/deactivate', authorize('medications:prescribe'), requireAccess('patientMedication'), deactivatePatientMedication);
 
 module.exports = router;
\ No newline at end of file
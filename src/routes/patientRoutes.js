@@ -20,6 +20,7 @@ const {
 
 const { sanitizeInput } = require('../middleware/sanitization');
 const { generalLimiter, strictLimiter } = require('../middleware/rateLimiting');
+const { authorize, requireAccess } = require('../middleware/permissions');
 
 // Apply general middleware
 router.use(generalLimiter);
@@ -27,12 +28,14 @@ router.use(sanitizeInput);
 
 // Create a new patient
 router.post('/', 
+  authorize('patients:write'),
   strictLimiter,
   createPatient
 );
 
 // Get all patients with pagination and search
 router.get('/', 
+  authorize('patients:read'),
   ...commonValidations.pagination,
   customValidations.validateDateRange,
   handleValidationErrors,
@@ -41,32 +44,41 @@ router.get('/',
 
 // Get general patient statistics (for dashboard)
 router.get('/stats', 
+  authorize('patients:read'),
   getGeneralPatientStats
 );
 
 // Get recent patients (optimized for dashboard)
 router.get('/recent', 
+  authorize('patients:read'),
   getRecentPatients
 );
 
 // Get patient statistics by ID
 router.get('/:id/stats', 
+  authorize('patients:read'),
+  requireAccess('patient'),
   getPatientStats
 );
 
 // Get patient by ID
 router.get('/:id', 
+  authorize('patients:read'),
+  requireAccess('patient'),
   getPatientById
 );
 
 // Update patient
 router.put('/:id', 
+  authorize('patients:write'),
   strictLimiter,
+  requireAccess('patient'),
   updatePatient
 );
 
 // Delete patient
 router.delete('/:id', 
+  authorize('patients:delete'),
   strictLimiter,
   deletePatient
 );
@@ -0,0 +1,33 @@
+const express = require('express');
+const router = express.Router();
+const {
+  timeLogValidations,
+  commonValidations,
+  handleValidationErrors
+} = require('../middleware/validation');
+const {
+  getTimeLogs,
+  getTimeLogById,
+  createTimeLog,
+  updateTimeLog,
+  deleteTimeLog,
+  startTimer,
+  stopTimer
+} = require('../controllers/timeLogController');
+const { authorize, requireAccess } = require('../middleware/permissions');
+
+// List time logs with filtering and pagination
+router.get('/', authorize('timeLogs:read'), timeLogValidations.query, commonValidations.pagination, commonValidations.dateRange, handleValidationErrors, getTimeLogs);
+
+// Record a completed block of time
+router.post('/', authorize('timeLogs:write'), timeLogValidations.create, handleValidationErrors, createTimeLog);
+
+// Start/stop timer; a running timer is a time log without endedAt
+router.post('/timer/start', authorize('timeLogs:write'), timeLogValidations.startTimer, handleValidationErrors, startTimer);
+router.post('/:id/stop', authorize('timeLogs:write'), commonValidations.id, handleValidationErrors, requireAccess('timeLog'), stopTimer);
+
+router.get('/:id', authorize('timeLogs:read'), commonValidations.id, handleValidationErrors, requireAccess('timeLog'), getTimeLogById);
+router.put('/:id', authorize('timeLogs:write'), commonValidations.id, timeLogValidations.update, handleValidationErrors, requireAccess('timeLog'), updateTimeLog);
+router.delete('/:id', authorize('timeLogs:delete'), commonValidations.id, handleValidationErrors, deleteTimeLog);
+
+module.exports = router;
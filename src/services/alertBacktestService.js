@@ -0,0 +1,376 @@
+const { PrismaClient } = require('../../generated/prisma');
+const { withAudit } = require('./auditService');
+const {
+  MEDICATION_CONDITIONS,
+  ADHERENCE_MEDICATION_SELECT,
+  parseDuration,
+  medicationLookbackStart,
+  evaluateObservationExpression,
+  evaluateMedicationExpression,
+  evaluateMmeExpression,
+  evaluateNoAssessmentExpression,
+  evaluateCompletionRateExpression,
+  validateExpression
+} = require('./alertEvaluationService');
+
+// Use global prisma client in test environment, otherwise create new instance
+const prisma = withAudit(global.prisma || new PrismaClient());
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Default look-back for historical backtests, and the longest range we will replay
+const DEFAULT_BACKTEST_DAYS = 30;
+const MAX_BACKTEST_DAYS = 180;
+
+// Normalise a supplied sample ({ recordedAt, value }) into the observation shape the engine reads
+const toSampleObservation = (sample, index, condition) => {
+  const value = sample.value ?? sample.valueNumeric ?? sample.valueCode ?? sample.valueText ?? null;
+  const numeric = Number(value);
+  const isNumeric = value !== null && value !== '' && typeof value !== 'boolean' && !isNaN(numeric);
+
+  return {
+    id: sample.id || `sample-${index + 1}`,
+    metricKey: sample.metricKey || condition,
+    recordedAt: new Date(sample.recordedAt),
+    valueNumeric: isNumeric ? numeric : null,
+    valueCode: null,
+    valueText: isNumeric || value === null ? null : String(value)
+  };
+};
+
+// Normalise a supplied medication sample ({ scheduledDate, wasTaken }). prn_overuse samples are
+// as-needed doses ({ takenAt, dosageTaken, maxDailyDose, strength }) of one sample medication.
+const toSampleAdherenceRecord = (sample, index) => ({
+  id: sample.id || `sample-${index + 1}`,
+  scheduledDate: new Date(sample.scheduledDate || sample.takenAt || sample.recordedAt),
+  wasTaken: sample.wasTaken === true || sample.wasTaken === 'true' || sample.value === true ||
+    (sample.wasTaken === undefined && Boolean(sample.takenAt)),
+  takenAt: sample.takenAt ? new Date(sample.takenAt) : null,
+  dosageTaken: sample.dosageTaken || null,
+  isPRN: Boolean(sample.maxDailyDose),
+  patientMedication: sample.maxDailyDose
+    ? {
+        id: 'sample-medication',
+        isPRN: true,
+        dosage: sample.dosage || sample.dosageTaken || null,
+        maxDailyDose: sample.maxDailyDose,
+        drug: { name: sample.drugName || 'Sample medication', strength: sample.strength || null }
+      }
+    : null
+});
+
+// End-of-day checkpoints for absence conditions, which the sweep evaluates on a timer
+// rather than when data arrives
+const getDailyCheckpoints = (from, to) => {
+  const checkpoints = [];
+  const start = new Date(from);
+  start.setUTCHours(23, 59, 59, 999);
+
+  for (let checkpoint = start; checkpoint < to; checkpoint = new Date(checkpoint.getTime() + DAY_MS)) {
+    checkpoints.push(checkpoint);
+  }
+  checkpoints.push(new Date(to));
+
+  return checkpoints;
+};
+
+// Replay a rule over a data set, evaluating it at every point it would have been evaluated
+// (each observation or dose for ingest conditions, once a day for absence conditions and for
+// daily MME over the patient's prescriptions) and applying the cooldown the same way raiseAlert
+// does. Pure: nothing is read or written.
+const replayRule = (rule, {
+  observations = [],
+  adherenceRecords = [],
+  medications = null,
+  templates = [],
+  enrollmentStart,
+  from,
+  to
+}) => {
+  const expression = rule.expression || {};
+  const { condition } = expression;
+  const windowMs = parseDuration(rule.window) || DAY_MS;
+  const cooldownMs = parseDuration(rule.cooldown);
+
+  const sortedObservations = [...observations].sort((a, b) => new Date(a.recordedAt) - new Date(b.recordedAt));
+  const sortedRecords = [...adherenceRecords].sort((a, b) => new Date(a.scheduledDate) - new Date(b.scheduledDate));
+
+  // Daily MME samples are plain values and replay like observations
+  const fromPrescriptions = condition === 'daily_mme' && Array.isArray(medications);
+
+  let checkpoints;
+  if (condition === 'no_assessment_for' || condition === 'assessment_completion_rate' || fromPrescriptions) {
+    checkpoints = getDailyCheckpoints(from, to);
+  } else if (MEDICATION_CONDITIONS.includes(condition)) {
+    checkpoints = sortedRecords.map(record => new Date(record.scheduledDate));
+  } else {
+    checkpoints = sortedObservations.map(obs => new Date(obs.recordedAt));
+  }
+  checkpoints = checkpoints.filter(checkpoint => checkpoint >= from && checkpoint <= to);
+
+  const points = [];
+  let lastAlertAt = null;
+
+  checkpoints.forEach(now => {
+    const windowStart = new Date(now.getTime() - windowMs);
+    let result;
+
+    if (condition === 'no_assessment_for') {
+      const previous = sortedObservations.filter(obs => new Date(obs.recordedAt) <= now);
+      result = evaluateNoAssessmentExpression(expression, {
+        lastObservedAt: previous.length > 0 ? previous[previous.length - 1].recordedAt : null,
+        enrollmentStart,
+        now
+      });
+    } else if (condition === 'assessment_completion_rate') {
+      const completionStart = new Date(Math.max(windowStart.getTime(), new Date(enrollmentStart).getTime()));
+      result = evaluateCompletionRateExpression(expression, {
+        templates,
+        observations: sortedObservations.filter(obs => new Date(obs.recordedAt) >= completionStart && new Date(obs.recordedAt) <= now),
+        windowStart: completionStart,
+        now
+      });
+    } else if (fromPrescriptions) {
+      result = evaluateMmeExpression(expression, medications, { now });
+    } else if (MEDICATION_CONDITIONS.includes(condition)) {
+      const lookbackStart = medicationLookbackStart(condition, windowStart, now);
+      result = evaluateMedicationExpression(
+        expression,
+        sortedRecords.filter(record => new Date(record.scheduledDate) >= lookbackStart),
+        { now }
+      );
+    } else {
+      result = evaluateObservationExpression(
+        expression,
+        sortedObservations.filter(obs => new Date(obs.recordedAt) >= windowStart && new Date(obs.recordedAt) <= now),
+        { now }
+      );
+    }
+
+    const point = {
+      evaluatedAt: now.toISOString(),
+      triggered: result.triggered,
+      reason: result.reason,
+      value: result.value ?? null
+    };
+
+    if (result.triggered) {
+      // Without a cooldown the first alert stays open for the whole replay and absorbs every repeat
+      const suppressed = lastAlertAt !== null && (!cooldownMs || now.getTime() - lastAlertAt.getTime() < cooldownMs);
+
+      point.alertCreated = !suppressed;
+      if (suppressed) {
+        point.suppressedReason = cooldownMs
+          ? `Suppressed by ${rule.cooldown} cooldown`
+          : 'Suppressed while matching alert is open';
+      } else {
+        lastAlertAt = now;
+      }
+    }
+
+    points.push(point);
+  });
+
+  const triggeredPoints = points.filter(point => point.triggered);
+  const alertsCreated = triggeredPoints.filter(point => point.alertCreated).length;
+
+  return {
+    pointsEvaluated: points.length,
+    triggeredCount: triggeredPoints.length,
+    alertsCreated,
+    suppressedCount: triggeredPoints.length - alertsCreated,
+    points
+  };
+};
+
+// Load an enrollment's history for the rule's condition between the two dates, widened by the
+// rule window so the first checkpoints see the same data the live engine would have
+const loadEnrollmentHistory = async (rule, enrollment, { from, to }) => {
+  const condition = rule.expression?.condition;
+  const windowMs = parseDuration(rule.window) || DAY_MS;
+  const lookbackStart = new Date(from.getTime() - windowMs);
+
+  // Prescriptions are read as they stand now and placed in time by their start and end dates
+  // (discontinuing one sets its end date); earlier dosage changes are not kept
+  if (condition === 'daily_mme') {
+    const medications = await prisma.patientMedication.findMany({
+      where: {
+        patientId: enrollment.patientId,
+        startDate: { lte: to },
+        OR: [{ endDate: null }, { endDate: { gt: from } }]
+      },
+      include: { drug: true }
+    });
+    return { medications: medications.map(medication => ({ ...medication, isActive: medication.isActive || Boolean(medication.endDate) })) };
+  }
+
+  if (MEDICATION_CONDITIONS.includes(condition)) {
+    const adherenceRecords = await prisma.medicationAdherence.findMany({
+      where: {
+        patientId: enrollment.patientId,
+        scheduledDate: { gte: medicationLookbackStart(condition, lookbackStart, from), lte: to }
+      },
+      include: { patientMedication: { select: ADHERENCE_MEDICATION_SELECT } },
+      orderBy: { scheduledDate: 'asc' }
+    });
+    return { adherenceRecords };
+  }
+
+  const isAbsence = condition === 'no_assessment_for' || condition === 'assessment_completion_rate';
+  const where = {
+    enrollmentId: enrollment.id,
+    recordedAt: { lte: to }
+  };
+  // Absence rules look at any metric; no_assessment_for also needs the last assessment before the range
+  if (!isAbsence) where.metricKey = condition;
+  if (condition !== 'no_assessment_for') where.recordedAt.gte = lookbackStart;
+
+  const observations = await prisma.observation.findMany({
+    where,
+    orderBy: { recordedAt: 'asc' },
+    select: {
+      id: true,
+      metricKey: true,
+      recordedAt: true,
+      valueNumeric: true,
+      valueCode: true,
+      valueText: true
+    }
+  });
+
+  let templates = [];
+  if (condition === 'assessment_completion_rate') {
+    const presetTemplates = await prisma.conditionPresetTemplate.findMany({
+      where: { presetId: enrollment.presetId },
+      include: {
+        template: {
+          include: {
+            items: {
+              include: {
+                metricDefinition: {
+                  select: { key: true, defaultFrequency: true }
+                }
+              }
+            }
+          }
+        }
+      }
+    });
+
+    templates = presetTemplates.map(({ template }) => ({
+      id: template.id,
+      name: template.name,
+      items: template.items.map(item => ({
+        metricKey: item.metricDefinition.key,
+        defaultFrequency: item.metricDefinition.defaultFrequency,
+        required: item.required
+      }))
+    }));
+  }
+
+  return { observations, templates };
+};
+
+// Dry-run a (saved or unsaved) rule against supplied samples or an enrollment's history.
+// Returns null when the enrollment does not exist.
+const backtestRule = async (rule, { samples, enrollmentId, from, to }) => {
+  const condition = rule.expression?.condition;
+  const rangeEnd = to ? new Date(to) : new Date();
+
+  let data;
+  let source;
+  let rangeStart;
+  let enrollmentStart;
+
+  if (Array.isArray(samples)) {
+    source = 'samples';
+    data = MEDICATION_CONDITIONS.includes(condition)
+      ? { adherenceRecords: samples.map(toSampleAdherenceRecord) }
+      : { observations: samples.map((sample, index) => toSampleObservation(sample, index, condition)) };
+
+    const times = (data.adherenceRecords || data.observations).map(point =>
+      new Date(point.scheduledDate || point.recordedAt).getTime()
+    );
+    const earliest = times.length > 0 ? Math.min(...times) : rangeEnd.getTime();
+    rangeStart = from ? new Date(from) : new Date(Math.max(earliest, rangeEnd.getTime() - MAX_BACKTEST_DAYS * DAY_MS));
+    enrollmentStart = rangeStart;
+  } else {
+    const enrollment = await prisma.enrollment.findUnique({ where: { id: enrollmentId } });
+    if (!enrollment) return null;
+
+    source = 'enrollment';
+    rangeStart = from ? new Date(from) : new Date(rangeEnd.getTime() - DEFAULT_BACKTEST_DAYS * DAY_MS);
+    enrollmentStart = enrollment.startDate;
+    data = await loadEnrollmentHistory(rule, enrollment, { from: rangeStart, to: rangeEnd });
+  }
+
+  const replay = replayRule(rule, {
+    ...data,
+    enrollmentStart,
+    from: rangeStart,
+    to: rangeEnd
+  });
+
+  return {
+    rule: {
+      id: rule.id || null,
+      name: rule.name || null,
+      severity: rule.severity || null,
+      window: rule.window || null,
+      cooldown: rule.cooldown || null,
+      expression: rule.expression
+    },
+    source,
+    enrollmentId: source === 'enrollment' ? enrollmentId : null,
+    from: rangeStart.toISOString(),
+    to: rangeEnd.toISOString(),
+    ...replay
+  };
+};
+
+// Request-level checks shared by the saved and unsaved test endpoints
+const validateBacktestRequest = (rule, { samples, enrollmentId, from, to }) => {
+  const errors = validateExpression(rule.expression);
+  const condition = rule.expression?.condition;
+
+  if (rule.window && parseDuration(rule.window) === null) errors.push(`Invalid window: ${rule.window}`);
+  if (rule.cooldown && parseDuration(rule.cooldown) === null) errors.push(`Invalid cooldown: ${rule.cooldown}`);
+
+  if (samples !== undefined && !Array.isArray(samples)) {
+    errors.push('observations must be an array');
+  } else if (!samples && !enrollmentId) {
+    errors.push('Provide either sample observations or an enrollmentId');
+  } else if (samples) {
+    const dateField = MEDICATION_CONDITIONS.includes(condition) ? 'scheduledDate' : 'recordedAt';
+    samples.forEach((sample, index) => {
+      const date = sample?.[dateField] || sample?.takenAt || sample?.recordedAt;
+      if (!date || isNaN(new Date(date).getTime())) {
+        errors.push(`observations[${index}].${dateField} must be a valid date`);
+      }
+    });
+    if (condition === 'assessment_completion_rate') {
+      errors.push('assessment_completion_rate can only be tested against an enrollmentId');
+    }
+  }
+
+  const fromDate = from ? new Date(from) : null;
+  const toDate = to ? new Date(to) : new Date();
+  if (from && isNaN(fromDate.getTime())) errors.push('from must be a valid date');
+  if (to && isNaN(toDate.getTime())) errors.push('to must be a valid date');
+  if (fromDate && !isNaN(fromDate.getTime()) && !isNaN(toDate.getTime())) {
+    if (fromDate > toDate) errors.push('from must be before to');
+    if (toDate - fromDate > MAX_BACKTEST_DAYS * DAY_MS) {
+      errors.push(`Date range cannot exceed ${MAX_BACKTEST_DAYS} days`);
+    }
+  }
+
+  return errors;
+};
+
+module.exports = {
+  DEFAULT_BACKTEST_DAYS,
+  MAX_BACKTEST_DAYS,
+  replayRule,
+  backtestRule,
+  validateBacktestRequest
+};
@@ -0,0 +1,36 @@
+const cron = require('node-cron');
+const { runEscalations } = require('./alertEscalationService');
+
+// Every 5 minutes by default; override with ALERT_ESCALATION_CRON
+const ALERT_ESCALATION_CRON = process.env.ALERT_ESCALATION_CRON || '*/5 * * * *';
+
+let running = false;
+
+// Escalate open alerts that have gone unacknowledged past their severity's policy step
+cron.schedule(ALERT_ESCALATION_CRON, async () => {
+  // Skip this tick if the previous run is still going
+  if (running) {
+    console.log('Alert escalation still running, skipping this run');
+    return;
+  }
+
+  running = true;
+
+  try {
+    const summary = await runEscalations();
+    if (summary.escalations.length > 0 || summary.errors.length > 0) {
+      console.log(
+        `Alert escalation completed: ${summary.escalations.length} escalated, ` +
+        `${summary.errors.length} errors (${summary.alertsChecked} open alerts checked)`
+      );
+    }
+  } catch (error) {
+    console.error('Error in alert escalation job:', error);
+  } finally {
+    running = false;
+  }
+});
+
+console.log(`Alert escalation scheduler initialized (${ALERT_ESCALATION_CRON})`);
+
+module.exports = {};
@@ -0,0 +1,236 @@
+const { PrismaClient } = require('../../generated/prisma');
+const { withAudit } = require('./auditService');
+const notificationService = require('./notificationService');
+const { publishAlert } = require('./realtimeService');
+
+// Use global prisma client in test environment, otherwise create new instance
+const prisma = withAudit(global.prisma || new PrismaClient());
+
+// Escalation steps per severity, applied to open (unacknowledged) alerts whose rule has
+// `actions.escalate: true`. `afterMinutes` is measured from when the alert was raised.
+// Targets: enrollment_clinician, department_on_call, all_on_call.
+const DEFAULT_ESCALATION_POLICIES = {
+  critical: [
+    { afterMinutes: 30, target: 'enrollment_clinician' },
+    { afterMinutes: 60, target: 'department_on_call' }
+  ],
+  high: [
+    { afterMinutes: 120, target: 'enrollment_clinician' },
+    { afterMinutes: 240, target: 'department_on_call' }
+  ],
+  medium: [
+    { afterMinutes: 24 * 60, target: 'enrollment_clinician' }
+  ],
+  low: []
+};
+
+const TARGET_LABELS = {
+  enrollment_clinician: 'enrollment clinician',
+  department_on_call: 'department on-call list',
+  all_on_call: 'on-call list'
+};
+
+// Policies can be overridden with ALERT_ESCALATION_POLICIES, e.g.
+// {"critical":[{"afterMinutes":15,"target":"enrollment_clinician"}]}
+const getEscalationPolicies = () => {
+  if (!process.env.ALERT_ESCALATION_POLICIES) return DEFAULT_ESCALATION_POLICIES;
+
+  try {
+    return { ...DEFAULT_ESCALATION_POLICIES, ...JSON.parse(process.env.ALERT_ESCALATION_POLICIES) };
+  } catch (error) {
+    console.error('Invalid ALERT_ESCALATION_POLICIES, using defaults:', error.message);
+    return DEFAULT_ESCALATION_POLICIES;
+  }
+};
+
+// Next escalation step an alert is due for, or null if it is not (yet) due
+const getDueEscalationStep = (alert, policies, now = new Date()) => {
+  if (alert.status !== 'open') return null;
+
+  const steps = policies[alert.rule?.severity] || [];
+  const level = alert.escalationLevel || 0;
+  const step = steps[level];
+  if (!step) return null;
+
+  const minutesOpen = (now.getTime() - new Date(alert.triggeredAt).getTime()) / 60000;
+  if (minutesOpen < step.afterMinutes) return null;
+
+  return { level: level + 1, ...step };
+};
+
+const contactSelect = {
+  id: true,
+  firstName: true,
+  lastName: true,
+  email: true,
+  phone: true,
+  department: true
+};
+
+// Clinicians to notify for an escalation step
+const resolveEscalationRecipients = async (alert, step) => {
+  const clinician = alert.enrollment?.clinician;
+
+  switch (step.target) {
+    case 'enrollment_clinician':
+      return clinician ? [clinician] : [];
+    case 'department_on_call':
+      // Without a department on record, fall back to everyone on call
+      return prisma.clinician.findMany({
+        where: clinician?.department
+          ? { isOnCall: true, department: clinician.department }
+          : { isOnCall: true },
+        select: contactSelect
+      });
+    case 'all_on_call':
+      return prisma.clinician.findMany({
+        where: { isOnCall: true },
+        select: contactSelect
+      });
+    default:
+      return [];
+  }
+};
+
+const recipientName = (recipient) => `${recipient.firstName || ''} ${recipient.lastName || ''}`.trim();
+
+// What an escalation step did, for the alert's history
+const escalationNote = (step, targetLabel, notified, failed) => {
+  const opening = `Unacknowledged for ${step.afterMinutes} minutes`;
+  if (notified.length === 0 && failed.length === 0) {
+    return `${opening}; no recipients found for ${targetLabel}`;
+  }
+
+  const parts = [`${opening}; notified ${targetLabel}: ${notified.map(r => r.name).join(', ')}`];
+  if (failed.length > 0) parts.push(`could not notify: ${failed.map(r => r.name).join(', ')}`);
+  return parts.join('; ');
+};
+
+// Apply one escalation step: notify recipients and record the step on the alert. A step with
+// no recipients moves on to the next one; a step whose recipients all failed to be notified
+// throws, leaving the alert at its level so the next run tries again.
+const escalateAlert = async (alert, step, now = new Date()) => {
+  const recipients = await resolveEscalationRecipients(alert, step);
+  const targetLabel = TARGET_LABELS[step.target] || step.target;
+
+  const notified = [];
+  const failed = [];
+  for (const recipient of recipients) {
+    const entry = { clinicianId: recipient.id, name: recipientName(recipient) };
+    try {
+      const channels = await notificationService.sendAlertEscalation(recipient, alert, step);
+      if (channels.length > 0) {
+        notified.push({ ...entry, channels });
+      } else {
+        failed.push({ ...entry, error: 'No email or phone on record' });
+      }
+    } catch (error) {
+      console.error(`Error notifying clinician ${recipient.id} of alert ${alert.id}:`, error);
+      failed.push({ ...entry, error: error.message });
+    }
+  }
+
+  if (recipients.length > 0 && notified.length === 0) {
+    const error = new Error(
+      `Could not notify the ${targetLabel}: ${failed.map(r => `${r.name} (${r.error})`).join(', ')}`
+    );
+    error.failed = failed;
+    throw error;
+  }
+
+  const note = escalationNote(step, targetLabel, notified, failed);
+
+  const [updated] = await prisma.$transaction([
+    prisma.alert.update({
+      where: { id: alert.id },
+      data: {
+        escalationLevel: step.level,
+        lastEscalatedAt: now
+      }
+    }),
+    prisma.alertEvent.create({
+      data: {
+        alertId: alert.id,
+        type: 'escalated',
+        fromStatus: alert.status,
+        toStatus: alert.status,
+        note,
+        data: {
+          automatic: true,
+          level: step.level,
+          target: step.target,
+          afterMinutes: step.afterMinutes,
+          recipients: notified,
+          failed
+        }
+      }
+    })
+  ]);
+
+  publishAlert('alert.updated', updated, alert.rule);
+  return { alert: updated, level: step.level, target: step.target, recipients: notified, failed };
+};
+
+// Scheduled job body: escalate every open alert that has passed its next policy step
+const runEscalations = async ({ now = new Date(), policies = getEscalationPolicies() } = {}) => {
+  const alerts = await prisma.alert.findMany({
+    where: {
+      status: 'open',
+      rule: {
+        actions: { path: ['escalate'], equals: true }
+      }
+    },
+    include: {
+      rule: {
+        select: { id: true, name: true, severity: true }
+      },
+      enrollment: {
+        select: {
+          id: true,
+          patient: {
+            select: { id: true, firstName: true, lastName: true }
+          },
+          clinician: {
+            select: contactSelect
+          }
+        }
+      }
+    }
+  });
+
+  const escalations = [];
+  const errors = [];
+
+  for (const alert of alerts) {
+    const step = getDueEscalationStep(alert, policies, now);
+    if (!step) continue;
+
+    try {
+      const result = await escalateAlert(alert, step, now);
+      escalations.push({
+        alertId: alert.id,
+        level: result.level,
+        target: result.target,
+        recipients: result.recipients.length,
+        failed: result.failed.length
+      });
+    } catch (error) {
+      console.error(`Error escalating alert ${alert.id}:`, error);
+      errors.push({ alertId: alert.id, error: error.message, ...(error.failed && { failed: error.failed }) });
+    }
+  }
+
+  return {
+    alertsChecked: alerts.length,
+    escalations,
+    errors
+  };
+};
+
+module.exports = {
+  DEFAULT_ESCALATION_POLICIES,
+  getEscalationPolicies,
+  getDueEscalationStep,
+  escalateAlert,
+  runEscalations
+};
@@ -0,0 +1,997 @@
+const { PrismaClient } = require('../../generated/prisma');
+const { withAudit } = require('./auditService');
+const { publishAlert, publishObservations } = require('./realtimeService');
+const { isDoseDue } = require('./medicationScheduleService');
+const { USAGE_WINDOW_MS, isPrnMedication, prnUsage } = require('./prnUsageService');
+const { isActiveOn, patientMme } = require('./mmeService');
+
+// Use global prisma client in test environment, otherwise create new instance
+const prisma = withAudit(global.prisma || new PrismaClient());
+
+const DURATION_UNITS = {
+  m: 60 * 1000,
+  h: 60 * 60 * 1000,
+  d: 24 * 60 * 60 * 1000,
+  w: 7 * 24 * 60 * 60 * 1000
+};
+
+const HOUR_MS = DURATION_UNITS.h;
+const DAY_MS = DURATION_UNITS.d;
+
+// Conditions that are computed from medication adherence records rather than observations
+const MEDICATION_CONDITIONS = ['medication_adherence_rate', 'medication_adherence', 'missed_medication_doses', 'prn_overuse'];
+
+// Conditions computed from the patient's prescriptions; evaluated when a prescription changes
+const PRESCRIPTION_CONDITIONS = ['daily_mme'];
+
+// The medication a dose record belongs to, as prn_overuse needs it
+const ADHERENCE_MEDICATION_SELECT = {
+  id: true,
+  isPRN: true,
+  frequency: true,
+  dosage: true,
+  maxDailyDose: true,
+  drug: { select: { name: true, strength: true, dosageForm: true } }
+};
+
+// Conditions that fire on the absence of data; evaluated by the scheduled sweep rather than on ingest
+const ABSENCE_CONDITIONS = ['no_assessment_for', 'assessment_completion_rate'];
+
+const OPERATOR_SYMBOLS = {
+  greater_than: '>',
+  greater_than_or_equal: '>=',
+  less_than: '<',
+  less_than_or_equal: '<=',
+  equal: '=',
+  equals: '=',
+  not_equal: '!=',
+  contains: 'contains'
+};
+
+// Parse durations such as "30m", "4h", "7d" or "2w" into milliseconds
+const parseDuration = (value) => {
+  if (value === undefined || value === null || value === '') return null;
+  if (typeof value === 'number') return value * DURATION_UNITS.h;
+
+  const match = String(value).trim().toLowerCase().match(/^(\d+(?:\.\d+)?)\s*([mhdw])$/);
+  if (!match) return null;
+
+  return parseFloat(match[1]) * DURATION_UNITS[match[2]];
+};
+
+// Extract the comparable value of an observation (numeric where possible)
+const getObservationValue = (observation) => {
+  if (observation.valueNumeric !== null && observation.valueNumeric !== undefined) {
+    return Number(observation.valueNumeric);
+  }
+
+  const raw = observation.valueCode ?? observation.valueText;
+  if (raw === null || raw === undefined) return null;
+
+  const numeric = Number(raw);
+  return raw !== '' && !isNaN(numeric) ? numeric : raw;
+};
+
+const compareValues = (actual, operator, expected) => {
+  if (actual === null || actual === undefined) return false;
+
+  switch (operator) {
+    case 'greater_than':
+      return Number(actual) > Number(expected);
+    case 'greater_than_or_equal':
+      return Number(actual) >= Number(expected);
+    case 'less_than':
+      return Number(actual) < Number(expected);
+    case 'less_than_or_equal':
+      return Number(actual) <= Number(expected);
+    case 'equal':
+    case 'equals':
+      return String(actual).toLowerCase() === String(expected).toLowerCase();
+    case 'not_equal':
+      return String(actual).toLowerCase() !== String(expected).toLowerCase();
+    case 'contains':
+      return String(actual).toLowerCase().includes(String(expected).toLowerCase());
+    default:
+      return false;
+  }
+};
+
+// Value the operator compares against: categorical rules use `value`, numeric ones `threshold`
+const getExpectedValue = (expression) => {
+  if (['equals', 'not_equal', 'contains'].includes(expression.operator) && expression.value !== undefined) {
+    return expression.value;
+  }
+  return expression.threshold !== undefined ? expression.threshold : expression.value;
+};
+
+const toDayKey = (date) => new Date(date).toISOString().split('T')[0];
+
+// Collapse observations into one averaged (or modal, for codes) value per calendar day, oldest first
+const groupByDay = (observations) => {
+  const days = {};
+
+  observations.forEach(obs => {
+    const key = toDayKey(obs.recordedAt);
+    if (!days[key]) days[key] = [];
+    days[key].push(obs);
+  });
+
+  return Object.keys(days).sort().map(day => {
+    const dayObservations = days[day];
+    const values = dayObservations.map(getObservationValue).filter(v => v !== null);
+    const numericValues = values.filter(v => typeof v === 'number');
+
+    let value = null;
+    if (numericValues.length > 0 && numericValues.length === values.length) {
+      value = numericValues.reduce((sum, v) => sum + v, 0) / numericValues.length;
+    } else if (values.length > 0) {
+      value = values[values.length - 1];
+    }
+
+    return {
+      day,
+      value,
+      observationIds: dayObservations.map(obs => obs.id)
+    };
+  });
+};
+
+// Most recent run of calendar days, ending at the latest day, with no gaps
+const getTrailingConsecutiveDays = (dailyValues) => {
+  const run = [];
+
+  for (let i = dailyValues.length - 1; i >= 0; i--) {
+    if (run.length > 0) {
+      const gap = new Date(run[0].day) - new Date(dailyValues[i].day);
+      if (gap !== DAY_MS) break;
+    }
+    run.unshift(dailyValues[i]);
+  }
+
+  return run;
+};
+
+const formatValue = (value) => (typeof value === 'number' ? Math.round(value * 100) / 100 : value);
+
+const describeComparison = (condition, value, operator, expected) =>
+  `${condition} ${formatValue(value)} ${OPERATOR_SYMBOLS[operator] || operator} ${expected}`;
+
+// Evaluate a trend operator over the last N consecutive days of daily values
+const evaluateTrend = (expression, dailyValues) => {
+  const { condition, operator } = expression;
+  const requiredDays = parseInt(expression.consecutiveDays) || 3;
+  const run = getTrailingConsecutiveDays(dailyValues).slice(-requiredDays);
+
+  if (run.length < requiredDays) {
+    return {
+      triggered: false,
+      reason: `Insufficient data for trend: ${run.length} of ${requiredDays} consecutive days recorded`
+    };
+  }
+
+  let monotonic = true;
+  for (let i = 1; i < run.length; i++) {
+    const previous = Number(run[i - 1].value);
+    const current = Number(run[i].value);
+    if (operator === 'trend_increasing' ? !(current > previous) : !(current < previous)) {
+      monotonic = false;
+      break;
+    }
+  }
+
+  const direction = operator === 'trend_increasing' ? 'increasing' : 'decreasing';
+  const series = run.map(d => formatValue(d.value)).join(' → ');
+
+  return {
+    triggered: monotonic,
+    reason: monotonic
+      ? `${condition} ${direction} for ${requiredDays} consecutive days (${series})`
+      : `${condition} not ${direction} over the last ${requiredDays} days (${series})`,
+    value: run[run.length - 1].value,
+    series: run.map(d => ({ day: d.day, value: formatValue(d.value) })),
+    observationIds: run.flatMap(d => d.observationIds)
+  };
+};
+
+// Evaluate a threshold held for N consecutive days (daily averages)
+const evaluateConsecutiveDays = (expression, dailyValues) => {
+  const { condition, operator } = expression;
+  const expected = getExpectedValue(expression);
+  const requiredDays = parseInt(expression.consecutiveDays);
+  const run = getTrailingConsecutiveDays(dailyValues);
+
+  const matching = [];
+  for (let i = run.length - 1; i >= 0; i--) {
+    if (!compareValues(run[i].value, operator, expected)) break;
+    matching.unshift(run[i]);
+  }
+
+  const triggered = matching.length >= requiredDays;
+
+  return {
+    triggered,
+    reason: triggered
+      ? `${condition} ${OPERATOR_SYMBOLS[operator] || operator} ${expected} for ${matching.length} consecutive days`
+      : `${condition} met ${OPERATOR_SYMBOLS[operator] || operator} ${expected} on ${matching.length} of ${requiredDays} required consecutive days`,
+    value: run.length > 0 ? run[run.length - 1].value : null,
+    consecutiveDays: matching.length,
+    series: matching.map(d => ({ day: d.day, value: formatValue(d.value) })),
+    observationIds: matching.flatMap(d => d.observationIds)
+  };
+};
+
+// Pure evaluation of an expression against observations already restricted to the rule window
+const evaluateObservationExpression = (expression, observations, { now = new Date() } = {}) => {
+  const { condition, operator } = expression;
+
+  if (operator === 'missing_data') {
+    return {
+      triggered: observations.length === 0,
+      reason: observations.length === 0
+        ? `No ${condition} observations recorded in window`
+        : `${observations.length} ${condition} observations recorded in window`,
+      value: observations.length
+    };
+  }
+
+  // Optional narrower look-back inside the rule window (e.g. "spike within 24h")
+  const timeWindowMs = parseDuration(expression.timeWindow);
+  const scoped = timeWindowMs
+    ? observations.filter(obs => new Date(obs.recordedAt) >= new Date(now.getTime() - timeWindowMs))
+    : observations;
+
+  if (scoped.length === 0) {
+    return { triggered: false, reason: `No ${condition} observations in evaluation window` };
+  }
+
+  const sorted = [...scoped].sort((a, b) => new Date(a.recordedAt) - new Date(b.recordedAt));
+
+  if (operator === 'trend_increasing' || operator === 'trend_decreasing') {
+    return evaluateTrend(expression, groupByDay(sorted));
+  }
+
+  if (expression.consecutiveDays) {
+    return evaluateConsecutiveDays(expression, groupByDay(sorted));
+  }
+
+  const expected = getExpectedValue(expression);
+
+  // "occurrences" requires the comparison to hold N times inside the window
+  if (expression.occurrences) {
+    const matches = sorted.filter(obs => compareValues(getObservationValue(obs), operator, expected));
+    const triggered = matches.length >= parseInt(expression.occurrences);
+    const latest = matches.length > 0 ? getObservationValue(matches[matches.length - 1]) : null;
+
+    return {
+      triggered,
+      reason: triggered
+        ? `${condition} ${OPERATOR_SYMBOLS[operator] || operator} ${expected} occurred ${matches.length} times`
+        : `${condition} ${OPERATOR_SYMBOLS[operator] || operator} ${expected} occurred ${matches.length} of ${expression.occurrences} required times`,
+      value: latest,
+      occurrences: matches.length,
+      observationIds: matches.map(obs => obs.id)
+    };
+  }
+
+  const latest = sorted[sorted.length - 1];
+  const value = getObservationValue(latest);
+  const triggered = compareValues(value, operator, expected);
+
+  return {
+    triggered,
+    reason: triggered
+      ? describeComparison(condition, value, operator, expected)
+      : `${condition} ${formatValue(value)} does not meet ${OPERATOR_SYMBOLS[operator] || operator} ${expected}`,
+    value,
+    observationIds: [latest.id]
+  };
+};
+
+// Map an adherence rate to the categorical statuses offered by the rule builder
+const getAdherenceStatus = (rate) => {
+  if (rate >= 0.8) return 'compliant';
+  if (rate >= 0.5) return 'partially_compliant';
+  return 'non_compliant';
+};
+
+// Start of the adherence records a medication condition needs: prn_overuse always looks at the
+// full 24 hours a maximum daily dose covers, whatever the rule window
+const medicationLookbackStart = (condition, windowStart, now) =>
+  condition === 'prn_overuse'
+    ? new Date(Math.min(windowStart.getTime(), now.getTime() - USAGE_WINDOW_MS))
+    : windowStart;
+
+// Pure evaluation of "prn_overuse": the largest share of its maxDailyDose that any as-needed
+// medication reached over the 24 hours before now, as a fraction (1 = the maximum). Records
+// carry their patientMedication (with drug) so doses can be converted to the maximum's unit.
+const evaluatePrnOveruseExpression = (expression, adherenceRecords, { now = new Date() } = {}) => {
+  const { operator } = expression;
+  const expected = getExpectedValue(expression);
+
+  const byMedication = new Map();
+  adherenceRecords.forEach(record => {
+    const medication = record.patientMedication;
+    if (!medication || !medication.maxDailyDose || !isPrnMedication(medication)) return;
+    if (!byMedication.has(medication.id)) byMedication.set(medication.id, { medication, records: [] });
+    byMedication.get(medication.id).records.push(record);
+  });
+
+  const usages = [...byMedication.values()]
+    .map(({ medication, records }) => ({ medication, usage: prnUsage(medication, records, { now }) }))
+    .filter(({ usage }) => usage.dosesTaken > 0 && usage.maxDailyDose > 0);
+
+  if (usages.length === 0) {
+    return { triggered: false, reason: 'No as-needed doses with a maximum daily dose in the last 24 hours' };
+  }
+
+  const ratioOf = ({ usage }) => usage.total / usage.maxDailyDose;
+  const highest = usages.reduce((worst, entry) => (ratioOf(entry) > ratioOf(worst) ? entry : worst));
+  const { medication, usage } = highest;
+  const value = Math.round(ratioOf(highest) * 100) / 100;
+  const triggered = compareValues(value, operator, expected);
+  const usageText = `${medication.drug?.name || 'As-needed medication'} ${usage.total} ${usage.unit} in 24 hours, ` +
+    `${usage.percentOfMax}% of the ${usage.maxDailyDose} ${usage.unit} maximum`;
+  const thresholdText = `${OPERATOR_SYMBOLS[operator] || operator} ${Math.round(Number(expected) * 100)}%`;
+
+  return {
+    triggered,
+    reason: triggered ? `${usageText} (threshold ${thresholdText})` : `${usageText} does not meet ${thresholdText}`,
+    value: formatValue(value),
+    patientMedicationId: medication.id,
+    adherenceRecordIds: byMedication.get(medication.id).records
+      .filter(record => record.wasTaken && new Date(record.takenAt || record.scheduledDate) > usage.windowStart)
+      .map(record => record.id)
+  };
+};
+
+// Pure evaluation of medication conditions against MedicationAdherence records
+const evaluateMedicationExpression = (expression, adherenceRecords, { now = new Date() } = {}) => {
+  const { condition, operator } = expression;
+
+  if (condition === 'prn_overuse') {
+    return evaluatePrnOveruseExpression(expression, adherenceRecords, { now });
+  }
+
+  const expected = getExpectedValue(expression);
+  // Scheduled doses still inside their dose window are not missed yet; as-needed doses are not
+  // scheduled at all
+  const due = adherenceRecords.filter(record =>
+    !record.isPRN && new Date(record.scheduledDate) <= now && isDoseDue(record, now));
+
+  if (due.length === 0) {
+    return { triggered: false, reason: 'No scheduled medication doses in evaluation window' };
+  }
+
+  const taken = due.filter(record => record.wasTaken).length;
+  const rate = taken / due.length;
+
+  if (condition === 'missed_medication_doses') {
+    const lookbackMs = expression.consecutiveDays ? parseInt(expression.consecutiveDays) * DAY_MS : null;
+    const scoped = lookbackMs
+      ? due.filter(record => new Date(record.scheduledDate) >= new Date(now.getTime() - lookbackMs))
+      : due;
+    const missed = scoped.filter(record => !record.wasTaken);
+    const triggered = compareValues(missed.length, operator, expected);
+
+    return {
+      triggered,
+      reason: triggered
+        ? `${missed.length} missed medication doses (threshold ${OPERATOR_SYMBOLS[operator] || operator} ${expected})`
+        : `${missed.length} missed medication doses does not meet ${OPERATOR_SYMBOLS[operator] || operator} ${expected}`,
+      value: missed.length,
+      adherenceRecordIds: missed.map(record => record.id)
+    };
+  }
+
+  const value = condition === 'medication_adherence' ? getAdherenceStatus(rate) : rate;
+  const triggered = compareValues(value, operator, expected);
+  const rateText = `Medication adherence ${Math.round(rate * 100)}%`;
+  const thresholdText = `${OPERATOR_SYMBOLS[operator] || operator} ${Math.round(Number(expected) * 100)}%`;
+
+  let reason;
+  if (condition === 'medication_adherence') {
+    reason = `Medication adherence ${value} (${Math.round(rate * 100)}% of ${due.length} doses)`;
+  } else {
+    reason = triggered ? `${rateText} ${thresholdText}` : `${rateText} does not meet ${thresholdText}`;
+  }
+
+  return {
+    triggered,
+    reason,
+    value: formatValue(value),
+    dosesScheduled: due.length,
+    dosesTaken: taken
+  };
+};
+
+// Pure evaluation of "daily_mme": total morphine milligram equivalents a day of the opioid
+// prescriptions active at `now`
+const evaluateMmeExpression = (expression, medications, { now = new Date() } = {}) => {
+  const { operator } = expression;
+  const expected = getExpectedValue(expression);
+  const mme = patientMme(medications.filter(medication => isActiveOn(medication, now)));
+
+  if (mme.medications.length === 0) {
+    return { triggered: false, reason: 'No active opioid prescriptions', value: 0 };
+  }
+
+  const triggered = compareValues(mme.totalDailyMme, operator, expected);
+  const mmeText = `Daily MME ${formatValue(mme.totalDailyMme)} from ${mme.medications.length} opioid prescription${mme.medications.length === 1 ? '' : 's'}`;
+  const thresholdText = `${OPERATOR_SYMBOLS[operator] || operator} ${expected}`;
+  const missing = mme.incomplete ? ' (some could not be converted)' : '';
+
+  return {
+    triggered,
+    reason: triggered ? `${mmeText} (threshold ${thresholdText})${missing}` : `${mmeText} does not meet ${thresholdText}${missing}`,
+    value: formatValue(mme.totalDailyMme),
+    patientMedicationIds: mme.medications.map(entry => entry.patientMedicationId)
+  };
+};
+
+// Pure evaluation of "no_assessment_for": hours since the enrollment last recorded anything
+const evaluateNoAssessmentExpression = (expression, { lastObservedAt, enrollmentStart, now = new Date() }) => {
+  const { operator } = expression;
+  const since = lastObservedAt || enrollmentStart;
+  const hours = (now.getTime() - new Date(since).getTime()) / HOUR_MS;
+  const thresholdHours = expression.unit === 'days' ? Number(expression.threshold) * 24 : Number(expression.threshold);
+  const triggered = compareValues(hours, operator, thresholdHours);
+  const hoursText = formatValue(Math.round(hours * 10) / 10);
+
+  let reason;
+  if (!lastObservedAt) {
+    reason = `No assessment recorded since enrollment started ${hoursText} hours ago`;
+  } else {
+    reason = triggered
+      ? `No assessment for ${hoursText} hours (threshold ${OPERATOR_SYMBOLS[operator] || operator} ${thresholdHours}h)`
+      : `Last assessment ${hoursText} hours ago`;
+  }
+
+  return {
+    triggered,
+    reason,
+    value: hoursText,
+    lastObservedAt: lastObservedAt ? new Date(lastObservedAt).toISOString() : null
+  };
+};
+
+// Pure evaluation of "assessment_completion_rate" across the preset's templates.
+// Only whole days are counted; a template-day is complete when every required item
+// (or, with no required items, any item) has an observation on that day.
+const evaluateCompletionRateExpression = (expression, { templates, observations, windowStart, now = new Date() }) => {
+  const { operator } = expression;
+  const today = toDayKey(now);
+  const days = [];
+
+  for (let day = new Date(toDayKey(windowStart)); toDayKey(day) < today; day = new Date(day.getTime() + DAY_MS)) {
+    days.push(toDayKey(day));
+  }
+
+  if (days.length === 0 || templates.length === 0) {
+    return { triggered: false, reason: 'Insufficient history to compute assessment completion rate' };
+  }
+
+  const metricsByDay = {};
+  observations.forEach(obs => {
+    const day = toDayKey(obs.recordedAt);
+    if (!metricsByDay[day]) metricsByDay[day] = new Set();
+    metricsByDay[day].add(obs.metricKey);
+  });
+
+  let expectedTotal = 0;
+  let completedTotal = 0;
+
+  const perTemplate = templates.map(template => {
+    const items = template.items || [];
+    const requiredKeys = items.filter(item => item.required).map(item => item.metricKey);
+    const itemKeys = items.map(item => item.metricKey);
+    const weekly = items.length > 0 && items.every(item => item.defaultFrequency === 'weekly');
+
+    const completedDays = days.filter(day => {
+      const recorded = metricsByDay[day];
+      if (!recorded) return false;
+      return requiredKeys.length > 0
+        ? requiredKeys.every(key => recorded.has(key))
+        : itemKeys.some(key => recorded.has(key));
+    }).length;
+
+    const expected = weekly ? Math.ceil(days.length / 7) : days.length;
+    const completed = Math.min(expected, completedDays);
+
+    expectedTotal += expected;
+    completedTotal += completed;
+
+    return {
+      templateId: template.id,
+      templateName: template.name,
+      expected,
+      completed,
+      rate: expected > 0 ? formatValue(completed / expected) : null
+    };
+  });
+
+  const rate = expectedTotal > 0 ? completedTotal / expectedTotal : 1;
+  const triggered = compareValues(rate, operator, expression.threshold);
+  const rateText = `Assessment completion ${Math.round(rate * 100)}% (${completedTotal}/${expectedTotal} over ${days.length} days)`;
+  const thresholdText = `${OPERATOR_SYMBOLS[operator] || operator} ${Math.round(Number(expression.threshold) * 100)}%`;
+
+  return {
+    triggered,
+    reason: triggered ? `${rateText} ${thresholdText}` : `${rateText} does not meet ${thresholdText}`,
+    value: formatValue(rate),
+    templates: perTemplate
+  };
+};
+
+// Validate that a rule expression is something the engine knows how to interpret
+const validateExpression = (expression) => {
+  const errors = [];
+
+  if (!expression || typeof expression !== 'object') {
+    return ['Expression must be an object'];
+  }
+  if (!expression.condition) errors.push('Expression condition is required');
+  if (!expression.operator) errors.push('Expression operator is required');
+
+  const operator = expression.operator;
+  const isTrend = operator === 'trend_increasing' || operator === 'trend_decreasing';
+
+  if (operator && !isTrend && operator !== 'missing_data' && !OPERATOR_SYMBOLS[operator]) {
+    errors.push(`Unsupported operator: ${operator}`);
+  }
+  if (operator && !isTrend && operator !== 'missing_data' && getExpectedValue(expression) === undefined) {
+    errors.push('Expression threshold or value is required');
+  }
+  if (expression.timeWindow && parseDuration(expression.timeWindow) === null) {
+    errors.push(`Invalid timeWindow: ${expression.timeWindow}`);
+  }
+
+  return errors;
+};
+
+// Load the rules attached to an enrollment's condition preset
+const getRulesForEnrollment = async (enrollment) => {
+  const links = await prisma.conditionPresetAlertRule.findMany({
+    where: { presetId: enrollment.presetId },
+    include: { rule: true }
+  });
+
+  return links
+    .map(link => link.rule)
+    // Per-enrollment reminder rules are handled by the scheduler, not the evaluation engine
+    .filter(rule => rule.expression?.condition !== 'daily_reminder');
+};
+
+// Evaluate a single rule for an enrollment without writing anything
+const evaluateRule = async (rule, enrollment, { now = new Date() } = {}) => {
+  const expression = rule.expression || {};
+  const windowMs = parseDuration(rule.window) || DAY_MS;
+  const windowStart = new Date(now.getTime() - windowMs);
+
+  const base = {
+    ruleId: rule.id,
+    ruleName: rule.name,
+    severity: rule.severity,
+    condition: expression.condition,
+    operator: expression.operator,
+    window: rule.window
+  };
+
+  const errors = validateExpression(expression);
+  if (errors.length > 0) {
+    return { ...base, triggered: false, skipped: true, reason: errors.join(', ') };
+  }
+
+  let result;
+  if (expression.condition === 'no_assessment_for') {
+    const lastObservation = await prisma.observation.findFirst({
+      where: { enrollmentId: enrollment.id, recordedAt: { lte: now } },
+      orderBy: { recordedAt: 'desc' },
+      select: { recordedAt: true }
+    });
+    result = evaluateNoAssessmentExpression(expression, {
+      lastObservedAt: lastObservation?.recordedAt,
+      enrollmentStart: enrollment.startDate,
+      now
+    });
+  } else if (expression.condition === 'assessment_completion_rate') {
+    // Don't count days before the patient was enrolled as missed
+    const completionStart = new Date(Math.max(windowStart.getTime(), new Date(enrollment.startDate).getTime()));
+    const [presetTemplates, observations] = await Promise.all([
+      prisma.conditionPresetTemplate.findMany({
+        where: { presetId: enrollment.presetId },
+        include: {
+          template: {
+            include: {
+              items: {
+                include: {
+                  metricDefinition: {
+                    select: { key: true, defaultFrequency: true }
+                  }
+                }
+              }
+            }
+          }
+        }
+      }),
+      prisma.observation.findMany({
+        where: {
+          enrollmentId: enrollment.id,
+          recordedAt: { gte: completionStart, lte: now }
+        },
+        select: { metricKey: true, recordedAt: true }
+      })
+    ]);
+
+    const templates = presetTemplates.map(({ template }) => ({
+      id: template.id,
+      name: template.name,
+      items: template.items.map(item => ({
+        metricKey: item.metricDefinition.key,
+        defaultFrequency: item.metricDefinition.defaultFrequency,
+        required: item.required
+      }))
+    }));
+
+    result = evaluateCompletionRateExpression(expression, {
+      templates,
+      observations,
+      windowStart: completionStart,
+      now
+    });
+  } else if (expression.condition === 'daily_mme') {
+    const medications = await prisma.patientMedication.findMany({
+      where: { patientId: enrollment.patientId, isActive: true },
+      include: { drug: true }
+    });
+    result = evaluateMmeExpression(expression, medications, { now });
+  } else if (MEDICATION_CONDITIONS.includes(expression.condition)) {
+    const adherenceRecords = await prisma.medicationAdherence.findMany({
+      where: {
+        patientId: enrollment.patientId,
+        scheduledDate: { gte: medicationLookbackStart(expression.condition, windowStart, now), lte: now }
+      },
+      include: { patientMedication: { select: ADHERENCE_MEDICATION_SELECT } },
+      orderBy: { scheduledDate: 'asc' }
+    });
+    result = evaluateMedicationExpression(expression, adherenceRecords, { now });
+  } else {
+    const observations = await prisma.observation.findMany({
+      where: {
+        enrollmentId: enrollment.id,
+        metricKey: expression.condition,
+        recordedAt: { gte: windowStart, lte: now }
+      },
+      orderBy: { recordedAt: 'asc' },
+      select: {
+        id: true,
+        recordedAt: true,
+        valueNumeric: true,
+        valueCode: true,
+        valueText: true
+      }
+    });
+    result = evaluateObservationExpression(expression, observations, { now });
+  }
+
+  return { ...base, ...result };
+};
+
+// Build the facts stored on an alert from an evaluation result
+const buildAlertFacts = (result, rule, enrollment, { now = new Date(), trigger = 'manual' } = {}) => {
+  const expression = rule.expression || {};
+  const facts = {
+    trigger: result.reason,
+    source: trigger,
+    condition: expression.condition,
+    operator: expression.operator,
+    threshold: getExpectedValue(expression),
+    value: result.value,
+    window: rule.window,
+    evaluatedAt: now.toISOString(),
+    patientMrn: enrollment.patient?.mrn || undefined
+  };
+
+  if (result.observationIds) facts.observationIds = result.observationIds;
+  if (result.adherenceRecordIds) facts.adherenceRecordIds = result.adherenceRecordIds;
+  if (result.series) facts.series = result.series;
+  if (result.consecutiveDays !== undefined) facts.consecutiveDays = result.consecutiveDays;
+  if (result.occurrences !== undefined) facts.occurrences = result.occurrences;
+  if (result.templates) facts.templates = result.templates;
+  if (result.lastObservedAt !== undefined) facts.lastObservedAt = result.lastObservedAt;
+  if (expression.condition && expression.condition.startsWith('pain_scale') && typeof result.value === 'number') {
+    facts.painLevel = formatValue(result.value);
+  }
+
+  return facts;
+};
+
+// Render a rule's dedupe key template, e.g. "{enrollmentId}:pain" or "{{ruleId}}-{{patientId}}"
+const renderDedupeKey = (rule, enrollment) => {
+  const variables = {
+    ruleId: rule.id,
+    enrollmentId: enrollment.id,
+    patientId: enrollment.patientId,
+    presetId: enrollment.presetId,
+    condition: rule.expression?.condition,
+    metricKey: rule.expression?.condition,
+    severity: rule.severity
+  };
+
+  if (!rule.dedupeKey) {
+    return `${rule.id}:${enrollment.id}`;
+  }
+
+  return rule.dedupeKey.replace(/\{\{?\s*(\w+)\s*\}?\}/g, (match, name) =>
+    variables[name] !== undefined ? variables[name] : match
+  );
+};
+
+// Create an alert, or fold the trigger into an existing open alert sharing the dedupe key
+// when it was raised within the rule's cooldown (or at any time if the rule has no cooldown)
+const raiseAlert = async (rule, enrollment, result, { now = new Date(), trigger = 'manual' } = {}) => {
+  const dedupeKey = renderDedupeKey(rule, enrollment);
+  const facts = buildAlertFacts(result, rule, enrollment, { now, trigger });
+  const cooldownMs = parseDuration(rule.cooldown);
+
+  const where = {
+    enrollmentId: enrollment.id,
+    dedupeKey,
+    status: { not: 'closed' }
+  };
+  if (cooldownMs) {
+    where.triggeredAt = { gte: new Date(now.getTime() - cooldownMs) };
+  }
+
+  const existing = await prisma.alert.findFirst({
+    where,
+    orderBy: { triggeredAt: 'desc' }
+  });
+
+  if (existing) {
+    const [alert] = await prisma.$transaction([
+      prisma.alert.update({
+        where: { id: existing.id },
+        data: {
+          occurrenceCount: { increment: 1 },
+          lastOccurredAt: now
+        }
+      }),
+      prisma.alertSuppression.create({
+        data: {
+          alertId: existing.id,
+          ruleId: rule.id,
+          occurredAt: now,
+          reason: cooldownMs
+            ? `Suppressed by ${rule.cooldown} cooldown`
+            : 'Suppressed while matching alert is open',
+          facts
+        }
+      })
+    ]);
+
+    publishAlert('alert.updated', alert, rule);
+    return { alert, suppressed: true };
+  }
+
+  const alert = await prisma.alert.create({
+    data: {
+      ruleId: rule.id,
+      enrollmentId: enrollment.id,
+      triggeredAt: now,
+      lastOccurredAt: now,
+      dedupeKey,
+      facts,
+      status: 'open',
+      events: {
+        create: {
+          type: 'created',
+          toStatus: 'open',
+          note: result.reason,
+          data: { source: trigger }
+        }
+      }
+    }
+  });
+
+  publishAlert('alert.created', alert, rule);
+  return { alert, suppressed: false };
+};
+
+// Evaluate every rule attached to an enrollment and create alerts for those that trigger
+const evaluateEnrollment = async (enrollmentId, options = {}) => {
+  const { now = new Date(), trigger = 'manual', conditions } = options;
+
+  const enrollment = await prisma.enrollment.findUnique({
+    where: { id: enrollmentId },
+    include: {
+      patient: {
+        select: { id: true, mrn: true }
+      }
+    }
+  });
+
+  if (!enrollment) {
+    throw new Error(`Enrollment ${enrollmentId} not found`);
+  }
+
+  if (enrollment.status !== 'active') {
+    return { enrollmentId, results: [], alerts: [], suppressed: [] };
+  }
+
+  let rules = await getRulesForEnrollment(enrollment);
+  if (Array.isArray(conditions)) {
+    rules = rules.filter(rule => conditions.includes(rule.expression?.condition));
+  }
+
+  const results = [];
+  const alerts = [];
+  const suppressedAlerts = [];
+
+  for (const rule of rules) {
+    const result = await evaluateRule(rule, enrollment, { now });
+    results.push(result);
+
+    if (!result.triggered) continue;
+
+    const { alert, suppressed } = await raiseAlert(rule, enrollment, result, { now, trigger });
+
+    result.alertId = alert.id;
+    result.suppressed = suppressed;
+    if (suppressed) {
+      suppressedAlerts.push(alert);
+    } else {
+      alerts.push(alert);
+    }
+  }
+
+  return { enrollmentId, results, alerts, suppressed: suppressedAlerts };
+};
+
+// Evaluate all active enrollments (optionally restricted to a preset, and to an enrollment
+// where fragment such as a user's scope)
+const evaluateActiveEnrollments = async (options = {}) => {
+  const where = { status: 'active' };
+  if (options.presetId) where.presetId = options.presetId;
+  if (options.scope) where.AND = [options.scope];
+
+  const enrollments = await prisma.enrollment.findMany({
+    where,
+    select: { id: true }
+  });
+
+  const evaluations = [];
+  for (const enrollment of enrollments) {
+    try {
+      evaluations.push(await evaluateEnrollment(enrollment.id, options));
+    } catch (error) {
+      console.error(`Error evaluating alert rules for enrollment ${enrollment.id}:`, error);
+      evaluations.push({ enrollmentId: enrollment.id, error: error.message, results: [], alerts: [], suppressed: [] });
+    }
+  }
+
+  return evaluations;
+};
+
+// Scheduled sweep: evaluate absence-based rules (missing assessments, low completion) for
+// every active enrollment, since these can never be triggered by an incoming observation
+const sweepAbsenceAlerts = async (options = {}) => {
+  const startedAt = new Date();
+  const evaluations = await evaluateActiveEnrollments({
+    ...options,
+    trigger: 'sweep',
+    conditions: ABSENCE_CONDITIONS
+  });
+
+  return {
+    startedAt: startedAt.toISOString(),
+    completedAt: new Date().toISOString(),
+    enrollmentsEvaluated: evaluations.length,
+    rulesEvaluated: evaluations.reduce((count, evaluation) => count + evaluation.results.length, 0),
+    alertIds: evaluations.flatMap(evaluation => evaluation.alerts.map(alert => alert.id)),
+    suppressedAlertIds: evaluations.flatMap(evaluation => evaluation.suppressed.map(alert => alert.id)),
+    errors: evaluations
+      .filter(evaluation => evaluation.error)
+      .map(evaluation => ({ enrollmentId: evaluation.enrollmentId, error: evaluation.error }))
+  };
+};
+
+// Ingest hook: push the new observations to connected dashboards, then re-evaluate the
+// rules affected by them, per enrollment
+const evaluateObservationAlerts = async (observations, options = {}) => {
+  publishObservations(observations);
+
+  const metricKeysByEnrollment = {};
+
+  observations.forEach(obs => {
+    if (!obs || !obs.enrollmentId) return;
+    if (!metricKeysByEnrollment[obs.enrollmentId]) {
+      metricKeysByEnrollment[obs.enrollmentId] = new Set();
+    }
+    metricKeysByEnrollment[obs.enrollmentId].add(obs.metricKey);
+  });
+
+  const alertIds = [];
+
+  for (const [enrollmentId, metricKeys] of Object.entries(metricKeysByEnrollment)) {
+    const conditions = [...metricKeys];
+    // Adherence check-ins also feed the derived medication conditions
+    if (metricKeys.has('medication_adherence')) {
+      conditions.push(...MEDICATION_CONDITIONS);
+    }
+
+    try {
+      const { alerts } = await evaluateEnrollment(enrollmentId, {
+        ...options,
+        trigger: 'observation',
+        conditions
+      });
+      alertIds.push(...alerts.map(alert => alert.id));
+    } catch (error) {
+      // Alert evaluation must never cause the observation write itself to fail
+      console.error(`Error evaluating alert rules for enrollment ${enrollmentId}:`, error);
+    }
+  }
+
+  return alertIds;
+};
+
+// Re-evaluate the given conditions for each of a patient's active enrollments. Errors are logged
+// per enrollment so that evaluation never fails the write that triggered it.
+const evaluatePatientEnrollments = async (patientId, options) => {
+  const enrollments = await prisma.enrollment.findMany({
+    where: { patientId, status: 'active' },
+    select: { id: true }
+  });
+
+  const alertIds = [];
+  for (const enrollment of enrollments) {
+    try {
+      const { alerts } = await evaluateEnrollment(enrollment.id, options);
+      alertIds.push(...alerts.map(alert => alert.id));
+    } catch (error) {
+      console.error(`Error evaluating alert rules for enrollment ${enrollment.id}:`, error);
+    }
+  }
+
+  return alertIds;
+};
+
+// Dose hook: re-evaluate the medication rules of the patient's active enrollments after a dose
+// is reported, which creates no observation of its own
+const evaluateDoseAlerts = (patientId, options = {}) =>
+  evaluatePatientEnrollments(patientId, { ...options, trigger: 'dose', conditions: MEDICATION_CONDITIONS });
+
+// Prescription hook: re-evaluate rules on the patient's prescriptions (daily MME) after one is
+// prescribed, changed or discontinued
+const evaluatePrescriptionAlerts = (patientId, options = {}) =>
+  evaluatePatientEnrollments(patientId, { ...options, trigger: 'prescription', conditions: PRESCRIPTION_CONDITIONS });
+
+module.exports = {
+  MEDICATION_CONDITIONS,
+  PRESCRIPTION_CONDITIONS,
+  ADHERENCE_MEDICATION_SELECT,
+  ABSENCE_CONDITIONS,
+  parseDuration,
+  getObservationValue,
+  compareValues,
+  groupByDay,
+  evaluateObservationExpression,
+  medicationLookbackStart,
+  evaluatePrnOveruseExpression,
+  evaluateMedicationExpression,
+  evaluateMmeExpression,
+  evaluateNoAssessmentExpression,
+  evaluateCompletionRateExpression,
+  validateExpression,
+  getRulesForEnrollment,
+  evaluateRule,
+  buildAlertFacts,
+  renderDedupeKey,
+  raiseAlert,
+  evaluateEnrollment,
+  evaluateActiveEnrollments,
+  sweepAbsenceAlerts,
+  evaluateObservationAlerts,
+  evaluateDoseAlerts,
+  evaluatePrescriptionAlerts
+};
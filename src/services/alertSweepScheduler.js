@@ -0,0 +1,35 @@
+const cron = require('node-cron');
+const { sweepAbsenceAlerts } = require('./alertEvaluationService');
+
+// Hourly by default; override with ALERT_SWEEP_CRON (e.g. "*/15 * * * *")
+const ALERT_SWEEP_CRON = process.env.ALERT_SWEEP_CRON || '0 * * * *';
+
+let running = false;
+
+// Sweep for absence-based alerts (no_assessment_for, assessment_completion_rate)
+cron.schedule(ALERT_SWEEP_CRON, async () => {
+  // Skip this tick if the previous sweep is still running
+  if (running) {
+    console.log('Alert sweep still running, skipping this run');
+    return;
+  }
+
+  running = true;
+  console.log('Running missing-data alert sweep...');
+
+  try {
+    const summary = await sweepAbsenceAlerts();
+    console.log(
+      `Alert sweep completed: ${summary.enrollmentsEvaluated} enrollments, ` +
+      `${summary.alertIds.length} alerts raised, ${summary.suppressedAlertIds.length} suppressed`
+    );
+  } catch (error) {
+    console.error('Error in alert sweep job:', error);
+  } finally {
+    running = false;
+  }
+});
+
+console.log(`Alert sweep scheduler initialized (${ALERT_SWEEP_CRON})`);
+
+module.exports = {};
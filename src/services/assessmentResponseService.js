@@ -0,0 +1,229 @@
+const crypto = require('crypto');
+const { PrismaClient } = require('../../generated/prisma');
+const { scoreResponse } = require('./scoringService');
+
+// Use global prisma client in test environment, otherwise create new instance
+const prisma = global.prisma || new PrismaClient();
+
+// Assessment responses: one sitting of a template, validated against its items and written
+// together with its observations and instrument scores.
+
+const isBlank = (value) => value === null || value === undefined || value === '';
+
+const optionValues = (metricDefinition) => {
+  const options = metricDefinition.options?.values || metricDefinition.options;
+  if (!Array.isArray(options)) return [];
+  return options.flatMap(option => (typeof option === 'string'
+    ? [option]
+    : [option.code, option.display, option.label, option.value].filter(value => value !== undefined && value !== null)
+  )).map(String);
+};
+
+// Observation value columns for one answer, or { error } when it does not fit the metric
+const answerValueFields = (value, metricDefinition) => {
+  switch (metricDefinition.valueType) {
+    case 'numeric': {
+      const number = typeof value === 'number' ? value : Number(value);
+      if (typeof value === 'boolean' || isNaN(number)) {
+        return { error: 'Value must be a number' };
+      }
+      const min = metricDefinition.scaleMin !== null && metricDefinition.scaleMin !== undefined ? Number(metricDefinition.scaleMin) : null;
+      const max = metricDefinition.scaleMax !== null && metricDefinition.scaleMax !== undefined ? Number(metricDefinition.scaleMax) : null;
+      if ((min !== null && number < min) || (max !== null && number > max)) {
+        return { error: `Value must be between ${min ?? '-∞'} and ${max ?? '∞'}` };
+      }
+      return { valueNumeric: number };
+    }
+    case 'categorical':
+    case 'ordinal': {
+      const allowed = optionValues(metricDefinition);
+      if (allowed.length > 0 && !allowed.includes(String(value))) {
+        return { error: `Value must be one of: ${allowed.join(', ')}` };
+      }
+      return { valueCode: String(value) };
+    }
+    case 'boolean':
+      if (![true, false, 'true', 'false'].includes(value)) {
+        return { error: 'Value must be true or false' };
+      }
+      return { valueCode: String(value) };
+    default:
+      if (typeof value !== 'string') {
+        return { error: 'Value must be text' };
+      }
+      return { valueText: value };
+  }
+};
+
+// Match the submitted answers to the template's items and check them.
+// `answers` are { metricDefinitionId | metricKey, value, notes }; blank values count as skipped.
+// Returns { errors, answers: [{ item, metricDefinition, valueFields, notes }], completeness }.
+const buildResponse = (template, answers) => {
+  const items = template.items || [];
+  const byId = new Map(items.map(item => [item.metricDefinition.id, item]));
+  const byKey = new Map(items.map(item => [item.metricDefinition.key, item]));
+
+  const errors = [];
+  const accepted = [];
+  const seen = new Set();
+
+  answers.forEach((answer, index) => {
+    const item = byId.get(answer.metricDefinitionId) || byKey.get(answer.metricKey);
+    if (!item) {
+      errors.push({ index, error: 'Not an item of this assessment template' });
+      return;
+    }
+
+    const { metricDefinition } = item;
+    if (seen.has(metricDefinition.id)) {
+      errors.push({ index, metricKey: metricDefinition.key, error: 'Item answered more than once' });
+      return;
+    }
+    seen.add(metricDefinition.id);
+
+    if (isBlank(answer.value)) return;
+
+    const valueFields = answerValueFields(answer.value, metricDefinition);
+    if (valueFields.error) {
+      errors.push({ index, metricKey: metricDefinition.key, error: valueFields.error });
+      return;
+    }
+
+    accepted.push({ item, metricDefinition, valueFields, notes: answer.notes });
+  });
+
+  const answeredIds = new Set(accepted.map(answer => answer.metricDefinition.id));
+  const requiredItems = items.filter(item => item.required);
+
+  return {
+    errors,
+    answers: accepted,
+    completeness: {
+      itemCount: items.length,
+      answeredCount: accepted.length,
+      requiredCount: requiredItems.length,
+      missingRequired: requiredItems
+        .filter(item => !answeredIds.has(item.metricDefinition.id))
+        .map(item => item.metricDefinition.key)
+    }
+  };
+};
+
+const loadTemplate = (templateId) => prisma.assessmentTemplate.findUnique({
+  where: { id: templateId },
+  include: {
+    items: {
+      include: { metricDefinition: true },
+      orderBy: { displayOrder: 'asc' }
+    }
+  }
+});
+
+// Validate and score a submission of `template` for `enrollment`. Returns { error, details }
+// when it cannot be recorded, otherwise the response record, its observation rows and the
+// derived score observations, ready for saveResponses.
+const prepareResponse = async (enrollment, template, { responses, startedAt, completedAt, source = 'patient', submittedById = null }) => {
+  const { errors, answers, completeness } = buildResponse(template, responses);
+
+  if (errors.length > 0) {
+    return { error: 'Invalid assessment responses', details: errors };
+  }
+  if (answers.length === 0) {
+    return { error: 'At least one item must be answered' };
+  }
+
+  const started = startedAt ? new Date(startedAt) : new Date();
+  const complete = completeness.missingRequired.length === 0;
+  const completed = complete ? (completedAt ? new Date(completedAt) : new Date()) : null;
+
+  if (completed && completed < started) {
+    return { error: 'completedAt must not be before startedAt' };
+  }
+
+  const responseId = crypto.randomUUID();
+  const recordedAt = completed || new Date();
+  const sourceType = ['device', 'staff'].includes(source) ? source : 'patient';
+
+  const rows = answers.map(({ metricDefinition, valueFields, notes }) => ({
+    patientId: enrollment.patientId,
+    enrollmentId: enrollment.id,
+    templateId: template.id,
+    metricDefinitionId: metricDefinition.id,
+    metricKey: metricDefinition.key,
+    metricDefinitionVersion: metricDefinition.version,
+    recordedAt,
+    source: sourceType,
+    ...valueFields,
+    unit: metricDefinition.unit,
+    context: { submissionId: responseId },
+    ...(notes ? { raw: { notes } } : {})
+  }));
+
+  const scoring = await scoreResponse(template, rows, { submissionId: responseId });
+  const { derivedObservations = [], ...scores } = scoring || {};
+
+  return {
+    response: {
+      id: responseId,
+      enrollmentId: enrollment.id,
+      patientId: enrollment.patientId,
+      templateId: template.id,
+      templateVersion: template.version,
+      source: sourceType,
+      startedAt: started,
+      completedAt: completed,
+      ...completeness,
+      scores: scoring ? scores : undefined,
+      submittedById
+    },
+    rows,
+    derivedObservations
+  };
+};
+
+const responseInclude = {
+  template: {
+    select: { id: true, name: true, version: true, category: true }
+  }
+};
+
+const observationInclude = {
+  metricDefinition: {
+    select: { id: true, key: true, displayName: true, valueType: true, unit: true }
+  }
+};
+
+// Write prepared responses and their observations in one transaction on `client` (the
+// caller's audited client). Returns the responses, each with its `observations`.
+const saveResponses = (client, prepared) => client.$transaction(async (tx) => {
+  const saved = [];
+
+  for (const { response, rows, derivedObservations } of prepared) {
+    const created = await tx.assessmentResponse.create({
+      data: response,
+      include: responseInclude
+    });
+
+    const observations = [];
+    for (const row of [...rows, ...derivedObservations]) {
+      observations.push(await tx.observation.create({
+        data: { ...row, responseId: created.id },
+        include: observationInclude
+      }));
+    }
+
+    saved.push({ ...created, observations });
+  }
+
+  return saved;
+});
+
+module.exports = {
+  responseInclude,
+  observationInclude,
+  answerValueFields,
+  buildResponse,
+  loadTemplate,
+  prepareResponse,
+  saveResponses
+};
@@ -0,0 +1,265 @@
+const { AsyncLocalStorage } = require('async_hooks');
+const { PrismaClient, Prisma } = require('../../generated/prisma');
+
+// Use global prisma client in test environment, otherwise create new instance
+const prisma = global.prisma || new PrismaClient();
+
+// Models holding PHI, with the audit entity type and the field naming the patient a record belongs to
+const AUDITED_MODELS = {
+  Patient: { entityType: 'patient', patientKey: 'id' },
+  Enrollment: { entityType: 'enrollment', patientKey: 'patientId' },
+  Observation: { entityType: 'observation', patientKey: 'patientId' },
+  PatientMedication: { entityType: 'patient_medication', patientKey: 'patientId' },
+  MedicationAdherence: { entityType: 'medication_adherence', patientKey: 'patientId' },
+  Message: { entityType: 'message', patientKey: 'patientId' },
+  AssessmentResponse: { entityType: 'assessment_response', patientKey: 'patientId' },
+  PatientAccessLink: { entityType: 'patient_access_link', patientKey: 'patientId' }
+};
+
+// Relation fields of every model and the model each leads to, e.g. Alert.enrollment -> Enrollment
+const RELATIONS = Object.fromEntries(Prisma.dmmf.datamodel.models.map(model => [
+  model.name,
+  Object.fromEntries(model.fields.filter(field => field.kind === 'object').map(field => [field.name, field.type]))
+]));
+
+const READ_OPERATIONS = ['findUnique', 'findUniqueOrThrow', 'findFirst', 'findFirstOrThrow', 'findMany'];
+const SINGLE_WRITE_OPERATIONS = ['create', 'update', 'upsert', 'delete'];
+const BULK_WRITE_OPERATIONS = ['createMany', 'updateMany', 'deleteMany'];
+
+// Bookkeeping columns that change on every write and say nothing about the PHI itself
+const IGNORED_DIFF_FIELDS = ['createdAt', 'updatedAt'];
+
+// Request context (actor, IP, route) for the code running on behalf of an API request
+const auditContext = new AsyncLocalStorage();
+
+const runWithAuditContext = (context, fn) => auditContext.run(context, fn);
+
+const getAuditContext = () => auditContext.getStore() || null;
+
+const delegateName = (model) => model.charAt(0).toLowerCase() + model.slice(1);
+
+const normalizeValue = (value) => {
+  if (value === undefined) return null;
+  if (value instanceof Date) return value.toISOString();
+  // Prisma Decimal
+  if (value && typeof value === 'object' && typeof value.toFixed === 'function') return value.toString();
+  return value;
+};
+
+const isEqual = (a, b) => JSON.stringify(normalizeValue(a)) === JSON.stringify(normalizeValue(b));
+
+// Related records pulled in by include/select (objects or lists of objects with an id)
+const isRelationValue = (value) =>
+  (Array.isArray(value) && value.some(item => item && typeof item === 'object' && 'id' in item)) ||
+  Boolean(value && typeof value === 'object' && !(value instanceof Date) && 'id' in value);
+
+// Field-level diff { field: { from, to } } between two versions of a record
+const computeDiff = (before, after) => {
+  const fields = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+  const diff = {};
+
+  for (const field of fields) {
+    if (IGNORED_DIFF_FIELDS.includes(field)) continue;
+
+    const from = before ? before[field] : undefined;
+    const to = after ? after[field] : undefined;
+    if (isRelationValue(from) || isRelationValue(to)) continue;
+
+    if (!isEqual(from, to)) {
+      diff[field] = { from: normalizeValue(from), to: normalizeValue(to) };
+    }
+  }
+
+  return diff;
+};
+
+const toEntry = (context, model, action, record, changes = null) => {
+  const { entityType, patientKey } = AUDITED_MODELS[model];
+
+  return {
+    userId: context?.userId || null,
+    actorEmail: context?.email || null,
+    actorRole: context?.role || null,
+    action,
+    entityType,
+    entityId: record?.id || null,
+    patientId: record?.[patientKey] || null,
+    changes,
+    ipAddress: context?.ip || null,
+    method: context?.method || null,
+    path: context?.path || null
+  };
+};
+
+// Audit failures are logged but never fail the request that triggered them
+const writeEntries = async (entries) => {
+  if (entries.length === 0) return;
+
+  try {
+    await prisma.auditLog.createMany({ data: entries });
+  } catch (error) {
+    console.error('Error writing audit log:', error);
+  }
+};
+
+// Plan a query so its audited records can be traced: wherever a select narrows an audited
+// record, its id and patient key are selected too, down through every included relation.
+// The plan mirrors the query's relations and lists the fields added at each level.
+const planQuery = (model, args) => {
+  const plan = { model, added: [], relations: {} };
+  if (!args || typeof args !== 'object') return { args, plan };
+
+  const planned = { ...args };
+  for (const key of ['select', 'include']) {
+    if (!args[key]) continue;
+    planned[key] = { ...args[key] };
+
+    for (const [field, value] of Object.entries(args[key])) {
+      const relatedModel = RELATIONS[model]?.[field];
+      if (!relatedModel || !value) continue;
+
+      const relation = planQuery(relatedModel, value);
+      planned[key][field] = relation.args;
+      plan.relations[field] = relation.plan;
+    }
+  }
+
+  if (args.select && AUDITED_MODELS[model]) {
+    for (const field of ['id', AUDITED_MODELS[model].patientKey]) {
+      if (planned.select[field]) continue;
+      planned.select[field] = true;
+      plan.added.push(field);
+    }
+  }
+
+  return { args: planned, plan };
+};
+
+// Read entries for the audited records a query returned, the related records it included among them
+const readEntries = (context, plan, result, { includeRoot = true } = {}) =>
+  [].concat(result || []).flatMap(record => {
+    if (!record || typeof record !== 'object') return [];
+
+    const own = includeRoot && AUDITED_MODELS[plan.model] ? [toEntry(context, plan.model, 'read', record)] : [];
+    return [
+      ...own,
+      ...Object.entries(plan.relations).flatMap(([field, relation]) => readEntries(context, relation, record[field]))
+    ];
+  });
+
+// Drop the fields a plan added, so callers get the shape they selected
+const removeAddedFields = (plan, result) => {
+  [].concat(result || []).forEach(record => {
+    if (!record || typeof record !== 'object') return;
+    plan.added.forEach(field => delete record[field]);
+    Object.entries(plan.relations).forEach(([field, relation]) => removeAddedFields(relation, record[field]));
+  });
+};
+
+// Wrap a Prisma client so every read and write of an audited model is recorded, including
+// audited records pulled in through include/select of any model. Reads are only recorded on
+// behalf of an API request; writes are always recorded (system jobs have no actor).
+const withAudit = (client) => client.$extends({
+  name: 'phiAudit',
+  query: {
+    $allModels: {
+      async $allOperations({ model, operation, args, query }) {
+        const context = getAuditContext();
+        const isRead = READ_OPERATIONS.includes(operation);
+
+        if (!AUDITED_MODELS[model] || isRead) {
+          const returnsRecords = isRead || SINGLE_WRITE_OPERATIONS.includes(operation);
+          if (!context || !returnsRecords) return query(args);
+
+          const { args: plannedArgs, plan } = planQuery(model, args);
+          const result = await query(plannedArgs);
+          const entries = readEntries(context, plan, result);
+          removeAddedFields(plan, result);
+          await writeEntries(entries);
+          return result;
+        }
+
+        if (SINGLE_WRITE_OPERATIONS.includes(operation)) {
+          const delegate = client[delegateName(model)];
+          const before = operation === 'create'
+            ? null
+            : await delegate.findUnique({ where: args.where });
+
+          const { args: plannedArgs, plan } = planQuery(model, args);
+          const result = await query(plannedArgs);
+
+          const action = operation === 'upsert' ? (before ? 'update' : 'create') : operation;
+          const after = operation === 'delete' ? null : result;
+          const entries = [
+            toEntry(context, model, action, after || before, computeDiff(before, after)),
+            ...(context ? readEntries(context, plan, result, { includeRoot: false }) : [])
+          ];
+          removeAddedFields(plan, result);
+          await writeEntries(entries);
+          return result;
+        }
+
+        if (BULK_WRITE_OPERATIONS.includes(operation)) {
+          const result = await query(args);
+          const action = operation.replace('Many', '');
+          await writeEntries([
+            toEntry(context, model, action, null, { bulk: true, count: result?.count ?? null, where: args?.where || null })
+          ]);
+          return result;
+        }
+
+        return query(args);
+      }
+    }
+  }
+});
+
+// Query the audit trail
+const queryAuditLogs = async ({ patientId, userId, entityType, entityId, action, startDate, endDate, page = 1, limit = 50 }) => {
+  const where = {};
+  if (patientId) where.patientId = patientId;
+  if (userId) where.userId = userId;
+  if (entityType) where.entityType = entityType;
+  if (entityId) where.entityId = entityId;
+  if (action) where.action = action;
+  if (startDate || endDate) {
+    where.createdAt = {};
+    if (startDate) where.createdAt.gte = new Date(startDate);
+    if (endDate) where.createdAt.lte = new Date(endDate);
+  }
+
+  const skip = (parseInt(page) - 1) * parseInt(limit);
+  const take = parseInt(limit);
+
+  const [entries, total] = await Promise.all([
+    prisma.auditLog.findMany({
+      where,
+      skip,
+      take,
+      orderBy: { createdAt: 'desc' }
+    }),
+    prisma.auditLog.count({ where })
+  ]);
+
+  return {
+    entries,
+    pagination: {
+      page: parseInt(page),
+      limit: parseInt(limit),
+      total,
+      pages: Math.ceil(total / parseInt(limit))
+    }
+  };
+};
+
+module.exports = {
+  AUDITED_MODELS,
+  runWithAuditContext,
+  getAuditContext,
+  computeDiff,
+  planQuery,
+  readEntries,
+  removeAddedFields,
+  withAudit,
+  queryAuditLogs
+};
@@ -0,0 +1,177 @@
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const jwt = require('jsonwebtoken');
+const { PrismaClient } = require('../../generated/prisma');
+
+// Use global prisma client in test environment, otherwise create new instance
+const prisma = global.prisma || new PrismaClient();
+
+const PASSWORD_SALT_ROUNDS = 12;
+const ACCESS_TOKEN_TTL = process.env.JWT_EXPIRES_IN || '15m';
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.JWT_REFRESH_EXPIRES_DAYS, 10) || 7;
+const PATIENT_SESSION_TTL = process.env.PATIENT_SESSION_EXPIRES_IN || '2h';
+
+// `typ` claims of the patient tokens; staff access tokens have none
+const PATIENT_LINK_TYPE = 'patient_link';
+const PATIENT_ACCESS_TYPE = 'patient_access';
+
+const getJwtSecret = () => {
+  if (process.env.JWT_SECRET) return process.env.JWT_SECRET;
+  if (process.env.NODE_ENV === 'production') {
+    throw new Error('JWT_SECRET must be set in production');
+  }
+  return 'development-only-jwt-secret';
+};
+
+const hashPassword = (password) => bcrypt.hash(password, PASSWORD_SALT_ROUNDS);
+
+const verifyPassword = (password, passwordHash) => bcrypt.compare(password, passwordHash);
+
+// Refresh tokens are opaque random strings; only their SHA-256 hash is stored
+const hashRefreshToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const signAccessToken = (user) => jwt.sign(
+  {
+    sub: user.id,
+    email: user.email,
+    role: user.role,
+    clinicianId: user.clinicianId || null
+  },
+  getJwtSecret(),
+  { expiresIn: ACCESS_TOKEN_TTL }
+);
+
+// Returns the token claims as the request user, throws on invalid or expired tokens
+const verifyAccessToken = (token) => {
+  const payload = jwt.verify(token, getJwtSecret());
+  if (payload.typ) {
+    throw new jwt.JsonWebTokenError('Not an access token');
+  }
+  return {
+    id: payload.sub,
+    email: payload.email,
+    role: payload.role,
+    clinicianId: payload.clinicianId
+  };
+};
+
+// Patients have no accounts. A one-time link (see patientAccessService) carries a signed link
+// token whose jti is the PatientAccessLink id; redeeming it yields a short-lived patient
+// session token limited to the link's enrollment and scopes.
+const signPatientLinkToken = (link) => jwt.sign(
+  { typ: PATIENT_LINK_TYPE, enrollmentId: link.enrollmentId },
+  getJwtSecret(),
+  {
+    jwtid: link.id,
+    expiresIn: Math.max(1, Math.floor((new Date(link.expiresAt).getTime() - Date.now()) / 1000))
+  }
+);
+
+// Returns { linkId, enrollmentId }, throws on invalid or expired tokens and on any other token type
+const verifyPatientLinkToken = (token) => {
+  const payload = jwt.verify(token, getJwtSecret());
+  if (payload.typ !== PATIENT_LINK_TYPE || !payload.jti || !payload.enrollmentId) {
+    throw new jwt.JsonWebTokenError('Not a patient link token');
+  }
+  return { linkId: payload.jti, enrollmentId: payload.enrollmentId };
+};
+
+const signPatientAccessToken = ({ enrollmentId, linkId, scopes }) => jwt.sign(
+  { typ: PATIENT_ACCESS_TYPE, enrollmentId, linkId, scopes },
+  getJwtSecret(),
+  { expiresIn: PATIENT_SESSION_TTL }
+);
+
+// Returns { enrollmentId, linkId, scopes }, throws on invalid or expired tokens and on any
+// other token type
+const verifyPatientAccessToken = (token) => {
+  const payload = jwt.verify(token, getJwtSecret());
+  if (payload.typ !== PATIENT_ACCESS_TYPE || !payload.enrollmentId || !payload.linkId) {
+    throw new jwt.JsonWebTokenError('Not a patient access token');
+  }
+  return { enrollmentId: payload.enrollmentId, linkId: payload.linkId, scopes: payload.scopes || [] };
+};
+
+// Public shape of a user; never includes the password hash
+const toAuthUser = (user) => ({
+  id: user.id,
+  email: user.email,
+  role: user.role,
+  clinicianId: user.clinicianId,
+  isActive: user.isActive,
+  lastLoginAt: user.lastLoginAt,
+  clinician: user.clinician
+    ? {
+        id: user.clinician.id,
+        firstName: user.clinician.firstName,
+        lastName: user.clinician.lastName,
+        email: user.clinician.email
+      }
+    : null
+});
+
+// Issue an access token and a new stored refresh token for a user
+const issueTokens = async (user) => {
+  const refreshToken = crypto.randomBytes(48).toString('hex');
+
+  await prisma.refreshToken.create({
+    data: {
+      userId: user.id,
+      tokenHash: hashRefreshToken(refreshToken),
+      expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000)
+    }
+  });
+
+  return {
+    token: signAccessToken(user),
+    refreshToken,
+    expiresIn: ACCESS_TOKEN_TTL
+  };
+};
+
+// Exchange a refresh token for a new token pair. The presented token is revoked (rotation),
+// so a stolen token can only be used once. Returns null if the token is unusable.
+const rotateRefreshToken = async (refreshToken) => {
+  const stored = await prisma.refreshToken.findUnique({
+    where: { tokenHash: hashRefreshToken(refreshToken) },
+    include: { user: { include: { clinician: true } } }
+  });
+
+  if (!stored || stored.revokedAt || stored.expiresAt <= new Date() || !stored.user.isActive) {
+    return null;
+  }
+
+  // Conditional update guards against two concurrent refreshes with the same token
+  const { count } = await prisma.refreshToken.updateMany({
+    where: { id: stored.id, revokedAt: null },
+    data: { revokedAt: new Date() }
+  });
+  if (count === 0) return null;
+
+  const tokens = await issueTokens(stored.user);
+  return { ...tokens, user: toAuthUser(stored.user) };
+};
+
+const revokeRefreshToken = async (refreshToken) => {
+  await prisma.refreshToken.updateMany({
+    where: { tokenHash: hashRefreshToken(refreshToken), revokedAt: null },
+    data: { revokedAt: new Date() }
+  });
+};
+
+module.exports = {
+  ACCESS_TOKEN_TTL,
+  hashPassword,
+  verifyPassword,
+  signAccessToken,
+  verifyAccessToken,
+  PATIENT_SESSION_TTL,
+  signPatientLinkToken,
+  verifyPatientLinkToken,
+  signPatientAccessToken,
+  verifyPatientAccessToken,
+  toAuthUser,
+  issueTokens,
+  rotateRefreshToken,
+  revokeRefreshToken
+};
@@ -0,0 +1,228 @@
+// Renders a billing period (see billingService.getBillingPeriod) as a CSV for the billing team
+// and as an X12 837P professional claim file. Only enrollments with claim lines are exported.
+
+// Approximate national non-facility rates; override with BILLING_CLAIM_SETTINGS.charges
+const DEFAULT_CLAIM_SETTINGS = {
+  submitterName: 'PAIN DB',
+  submitterId: 'PAINDB',
+  contactName: 'BILLING',
+  contactPhone: '0000000000',
+  receiverName: 'CLEARINGHOUSE',
+  receiverId: 'CLEARINGHOUSE',
+  providerName: 'BILLING PROVIDER',
+  providerNpi: '',
+  providerTaxId: '',
+  providerAddress: { street: '', city: '', state: '', zipCode: '' },
+  placeOfService: '11',
+  claimFilingCode: 'CI',
+  charges: {
+    98975: 19.73,
+    98976: 46.22,
+    98977: 46.22,
+    98980: 49.48,
+    98981: 39.40,
+    99457: 48.14,
+    99458: 38.64
+  }
+};
+
+// Settings can be overridden with BILLING_CLAIM_SETTINGS, e.g.
+// {"providerName":"Acme Pain Clinic","providerNpi":"1234567893","charges":{"98977":50}}
+const getClaimSettings = () => {
+  if (!process.env.BILLING_CLAIM_SETTINGS) return DEFAULT_CLAIM_SETTINGS;
+
+  try {
+    const overrides = JSON.parse(process.env.BILLING_CLAIM_SETTINGS);
+    return {
+      ...DEFAULT_CLAIM_SETTINGS,
+      ...overrides,
+      charges: { ...DEFAULT_CLAIM_SETTINGS.charges, ...overrides.charges }
+    };
+  } catch (error) {
+    console.error('Invalid BILLING_CLAIM_SETTINGS, using defaults:', error.message);
+    return DEFAULT_CLAIM_SETTINGS;
+  }
+};
+
+const billableEnrollments = (billingPeriod) =>
+  billingPeriod.enrollments.filter(result => result.lines.length > 0);
+
+const formatDate = (date) => (date ? new Date(date).toISOString().slice(0, 10) : '');
+
+/* ========== CSV ========== */
+
+const CSV_COLUMNS = [
+  'Billing Period',
+  'MRN',
+  'Patient Last Name',
+  'Patient First Name',
+  'Date of Birth',
+  'Diagnosis Code',
+  'ICD-10 Codes',
+  'Rendering Clinician',
+  'Rendering NPI',
+  'CPT',
+  'Units',
+  'Service From',
+  'Service To'
+];
+
+// Text a spreadsheet would run as a formula is prefixed with a quote so it stays text
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+const csvCell = (value) => {
+  const raw = value === null || value === undefined ? '' : String(value);
+  const text = typeof value === 'string' && FORMULA_START.test(raw) ? `'${raw}` : raw;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// One row per claim line
+const toCsv = (billingPeriod) => {
+  const rows = [CSV_COLUMNS];
+
+  for (const result of billableEnrollments(billingPeriod)) {
+    const { patient, clinician } = result;
+    for (const line of result.lines) {
+      rows.push([
+        billingPeriod.period,
+        patient?.mrn,
+        patient?.lastName,
+        patient?.firstName,
+        formatDate(patient?.dateOfBirth),
+        result.diagnosisCode,
+        result.icd10Codes.join('; '),
+        clinician ? `${clinician.firstName || ''} ${clinician.lastName || ''}`.trim() : '',
+        clinician?.npi,
+        line.code,
+        line.units,
+        line.serviceFrom,
+        line.serviceTo
+      ]);
+    }
+  }
+
+  return rows.map(row => row.map(csvCell).join(',')).join('\r\n') + '\r\n';
+};
+
+/* ========== X12 837P ========== */
+
+// Strip X12 delimiters from free text and upper-case it
+const x12Text = (value) => String(value ?? '').replace(/[*~:^]/g, ' ').trim().toUpperCase();
+
+const x12Date = (date) => formatDate(date).replace(/-/g, '');
+
+const x12Amount = (amount) => (Math.round(amount * 100) / 100).toFixed(2);
+
+// ICD-10 codes are sent without the dot
+const x12Diagnosis = (code) => x12Text(code).replace(/\./g, '');
+
+const x12Gender = (gender) => {
+  const value = String(gender || '').toLowerCase();
+  if (value.startsWith('f')) return 'F';
+  if (value.startsWith('m')) return 'M';
+  return 'U';
+};
+
+// insuranceInfo is free-form JSON; older records hold a plain "Payer - Policy #123" string
+const insuranceOf = (patient) => {
+  const info = patient?.insuranceInfo;
+  if (!info) return {};
+  if (typeof info === 'string') return { payerName: info };
+
+  return {
+    payerName: info.payerName || info.provider || info.name,
+    payerId: info.payerId,
+    memberId: info.memberId || info.policyNumber,
+    groupNumber: info.groupNumber
+  };
+};
+
+const segment = (...elements) => {
+  // Trailing empty elements are omitted in X12
+  while (elements.length > 1 && (elements[elements.length - 1] === '' || elements[elements.length - 1] === undefined)) {
+    elements.pop();
+  }
+  return `${elements.map(element => element ?? '').join('*')}~`;
+};
+
+const claimSegments = (result, index, billingPeriod, settings) => {
+  const { patient, clinician } = result;
+  const insurance = insuranceOf(patient);
+
+  const diagnoses = [...new Set([result.diagnosisCode, ...result.icd10Codes].filter(Boolean).map(x12Diagnosis))].slice(0, 12);
+  const lineCharge = (line) => (settings.charges[line.code] || 0) * line.units;
+  const totalCharge = result.lines.reduce((total, line) => total + lineCharge(line), 0);
+  const claimId = `${billingPeriod.period.replace('-', '')}${result.enrollmentId.replace(/-/g, '').slice(0, 20)}`;
+
+  const segments = [
+    segment('HL', index + 2, 1, 22, 0),
+    segment('SBR', 'P', 18, x12Text(insurance.groupNumber), '', '', '', '', '', settings.claimFilingCode),
+    segment('NM1', 'IL', 1, x12Text(patient?.lastName), x12Text(patient?.firstName), '', '', '', 'MI', x12Text(insurance.memberId || patient?.mrn))
+  ];
+
+  if (patient?.address?.street) {
+    segments.push(segment('N3', x12Text(patient.address.street)));
+    segments.push(segment('N4', x12Text(patient.address.city), x12Text(patient.address.state), x12Text(patient.address.zipCode)));
+  }
+
+  segments.push(
+    segment('DMG', 'D8', x12Date(patient?.dateOfBirth), x12Gender(patient?.gender)),
+    segment('NM1', 'PR', 2, x12Text(insurance.payerName || 'UNKNOWN PAYER'), '', '', '', '', 'PI', x12Text(insurance.payerId || 'UNKNOWN')),
+    segment('CLM', claimId, x12Amount(totalCharge), '', '', `${settings.placeOfService}:B:1`, 'Y', 'A', 'Y', 'Y'),
+    segment('HI', ...diagnoses.map((code, i) => `${i === 0 ? 'ABK' : 'ABF'}:${code}`)),
+    segment('NM1', 82, 1, x12Text(clinician?.lastName), x12Text(clinician?.firstName), '', '', '', 'XX', x12Text(clinician?.npi))
+  );
+
+  result.lines.forEach((line, i) => {
+    const from = x12Date(line.serviceFrom || billingPeriod.start);
+    const to = x12Date(line.serviceTo || line.serviceFrom || billingPeriod.start);
+    segments.push(
+      segment('LX', i + 1),
+      segment('SV1', `HC:${line.code}`, x12Amount(lineCharge(line)), 'UN', line.units, '', '', 1),
+      from === to ? segment('DTP', 472, 'D8', from) : segment('DTP', 472, 'RD8', `${from}-${to}`)
+    );
+  });
+
+  return segments;
+};
+
+// One 837P interchange with a claim per billable enrollment. `now` fixes the
+// interchange dates and control number (used by tests).
+const to837P = (billingPeriod, { now = new Date(), settings = getClaimSettings() } = {}) => {
+  const date = x12Date(now);
+  const time = now.toISOString().slice(11, 16).replace(':', '');
+  const controlNumber = String(Math.floor(now.getTime() / 1000) % 1000000000).padStart(9, '0');
+  const pad = (value, length) => x12Text(value).padEnd(length).slice(0, length);
+  const address = settings.providerAddress || {};
+
+  const transaction = [
+    segment('ST', 837, '0001', '005010X222A1'),
+    segment('BHT', '0019', '00', `${billingPeriod.period.replace('-', '')}${controlNumber}`, date, time, 'CH'),
+    segment('NM1', 41, 2, x12Text(settings.submitterName), '', '', '', '', 46, x12Text(settings.submitterId)),
+    segment('PER', 'IC', x12Text(settings.contactName), 'TE', x12Text(settings.contactPhone)),
+    segment('NM1', 40, 2, x12Text(settings.receiverName), '', '', '', '', 46, x12Text(settings.receiverId)),
+    segment('HL', 1, '', 20, 1),
+    segment('NM1', 85, 2, x12Text(settings.providerName), '', '', '', '', 'XX', x12Text(settings.providerNpi)),
+    segment('N3', x12Text(address.street)),
+    segment('N4', x12Text(address.city), x12Text(address.state), x12Text(address.zipCode)),
+    segment('REF', 'EI', x12Text(settings.providerTaxId)),
+    ...billableEnrollments(billingPeriod).flatMap((result, index) => claimSegments(result, index, billingPeriod, settings))
+  ];
+  // SE counts every segment from ST to SE inclusive
+  transaction.push(segment('SE', transaction.length + 1, '0001'));
+
+  return [
+    `ISA*00*${' '.repeat(10)}*00*${' '.repeat(10)}*ZZ*${pad(settings.submitterId, 15)}*ZZ*${pad(settings.receiverId, 15)}*${date.slice(2)}*${time}*^*00501*${controlNumber}*0*P*:~`,
+    segment('GS', 'HC', x12Text(settings.submitterId), x12Text(settings.receiverId), date, time, Number(controlNumber), 'X', '005010X222A1'),
+    ...transaction,
+    segment('GE', 1, Number(controlNumber)),
+    segment('IEA', 1, controlNumber)
+  ].join('\n') + '\n';
+};
+
+module.exports = {
+  CSV_COLUMNS,
+  getClaimSettings,
+  toCsv,
+  to837P
+};
@@ -0,0 +1,232 @@
+const { PrismaClient } = require('../../generated/prisma');
+const { withAudit } = require('./auditService');
+const { applyScope, enrollmentScope } = require('../middleware/permissions');
+
+// Use global prisma client in test environment, otherwise create new instance
+const basePrisma = global.prisma || new PrismaClient();
+const prisma = withAudit(basePrisma);
+
+// CMS RTM/RPM billing thresholds, evaluated per enrollment per calendar month (UTC)
+const MIN_DATA_DAYS = 16;
+const FIRST_UNIT_MINUTES = 20;
+const ADDITIONAL_UNIT_MINUTES = 20;
+
+// Time logged against these codes counts toward the RTM (98980/98981) or RPM (99457/99458) total
+const RTM_TIME_CODES = ['CPT_98980', 'CPT_98981'];
+const RPM_TIME_CODES = ['CPT_99457', 'CPT_99458'];
+
+const CPT_DESCRIPTIONS = {
+  98975: 'RTM initial set-up and patient education',
+  98976: 'RTM device supply, respiratory system',
+  98977: 'RTM device supply, musculoskeletal system',
+  98980: 'RTM treatment management, first 20 minutes',
+  98981: 'RTM treatment management, each additional 20 minutes',
+  99457: 'Remote monitoring treatment management, first 20 minutes',
+  99458: 'Remote monitoring treatment management, each additional 20 minutes'
+};
+
+// '2025-10' -> { period, start, end } with end exclusive, or null when malformed
+const parseBillingPeriod = (period) => {
+  const match = /^(\d{4})-(0[1-9]|1[0-2])$/.exec(period || '');
+  if (!match) return null;
+
+  const year = Number(match[1]);
+  const month = Number(match[2]) - 1;
+  return {
+    period,
+    start: new Date(Date.UTC(year, month, 1)),
+    end: new Date(Date.UTC(year, month + 1, 1))
+  };
+};
+
+const dayKey = (date) => new Date(date).toISOString().slice(0, 10);
+
+// First and last day (YYYY-MM-DD) among the given dates, or nulls when there are none
+const serviceDates = (dates) => {
+  const days = dates.map(dayKey).sort();
+  return { serviceFrom: days[0] || null, serviceTo: days[days.length - 1] || null };
+};
+
+// Device supply code follows the monitored body system; ICD-10 chapter J is respiratory
+const deviceSupplyCode = (diagnosisCode) =>
+  /^J/i.test(diagnosisCode || '') ? '98976' : '98977';
+
+// 20 minutes buys the first unit; every further full 20 minutes buys an additional unit
+const timeUnits = (minutes) => {
+  if (minutes < FIRST_UNIT_MINUTES) return { first: 0, additional: 0 };
+  return { first: 1, additional: Math.floor((minutes - FIRST_UNIT_MINUTES) / ADDITIONAL_UNIT_MINUTES) };
+};
+
+const check = (code, eligible, units, reason, dates) => ({
+  code,
+  description: CPT_DESCRIPTIONS[code],
+  eligible,
+  units: eligible ? units : 0,
+  reason,
+  ...dates
+});
+
+const timeChecks = (firstCode, additionalCode, logs, label) => {
+  const minutes = logs.reduce((total, log) => total + log.minutes, 0);
+  const units = timeUnits(minutes);
+  const dates = serviceDates(logs.filter(log => log.startedAt).map(log => log.startedAt));
+  return [
+    check(firstCode, units.first > 0, 1,
+      units.first > 0
+        ? `${minutes} ${label} minutes logged`
+        : `${minutes} of ${FIRST_UNIT_MINUTES} required ${label} minutes logged`,
+      dates),
+    check(additionalCode, units.additional > 0, units.additional,
+      units.additional > 0
+        ? `${units.additional} additional ${ADDITIONAL_UNIT_MINUTES}-minute unit(s) beyond the first ${FIRST_UNIT_MINUTES} minutes`
+        : `Needs ${FIRST_UNIT_MINUTES + ADDITIONAL_UNIT_MINUTES} ${label} minutes, ${minutes} logged`,
+      dates)
+  ];
+};
+
+// Decide which codes one enrollment can bill for a period. `observationDates` are the recordedAt
+// values inside the period; `timeLogs` are completed logs that started inside it.
+// Claim lines carry service dates: first/last reading for data codes, first/last log for time codes.
+const evaluateEnrollmentPeriod = ({ enrollment, observationDates, timeLogs, period }) => {
+  const dataDays = new Set(observationDates.map(dayKey)).size;
+  const hasEnoughData = dataDays >= MIN_DATA_DAYS;
+  const dataReason = `${dataDays} of ${MIN_DATA_DAYS} required days with readings`;
+  const dataDates = serviceDates(observationDates);
+
+  const rtmLogs = timeLogs.filter(log => RTM_TIME_CODES.includes(log.cptCode));
+  const rpmLogs = timeLogs.filter(log => RPM_TIME_CODES.includes(log.cptCode));
+  const rtmMinutes = rtmLogs.reduce((total, log) => total + log.minutes, 0);
+  const rpmMinutes = rpmLogs.reduce((total, log) => total + log.minutes, 0);
+
+  // Set-up is billed once per episode of care: in the month monitoring started
+  const startedThisPeriod = enrollment.startDate >= period.start && enrollment.startDate < period.end;
+
+  const checks = [
+    check('98975', startedThisPeriod && hasEnoughData, 1,
+      startedThisPeriod ? dataReason : 'Set-up is only billable in the month monitoring started',
+      dataDates),
+    check(deviceSupplyCode(enrollment.diagnosisCode), hasEnoughData, 1, dataReason, dataDates),
+    ...timeChecks('98980', '98981', rtmLogs, 'RTM'),
+    ...timeChecks('99457', '99458', rpmLogs, 'RPM')
+  ];
+
+  return {
+    enrollmentId: enrollment.id,
+    patient: enrollment.patient,
+    clinician: enrollment.clinician,
+    preset: enrollment.preset ? { id: enrollment.preset.id, name: enrollment.preset.name } : null,
+    diagnosisCode: enrollment.diagnosisCode,
+    icd10Codes: (enrollment.preset?.diagnoses || []).map(diagnosis => diagnosis.icd10),
+    dataDays,
+    rtmMinutes,
+    rpmMinutes,
+    checks,
+    lines: checks
+      .filter(item => item.eligible)
+      .map(item => ({
+        code: item.code,
+        description: item.description,
+        units: item.units,
+        diagnosisCode: enrollment.diagnosisCode,
+        serviceFrom: item.serviceFrom,
+        serviceTo: item.serviceTo
+      }))
+  };
+};
+
+const groupByEnrollment = (rows, pick) => {
+  const groups = new Map();
+  for (const row of rows) {
+    if (!groups.has(row.enrollmentId)) groups.set(row.enrollmentId, []);
+    groups.get(row.enrollmentId).push(pick(row));
+  }
+  return groups;
+};
+
+// Claim-ready billing summary for every enrollment active during the period
+const getBillingPeriod = async (period, { user, clinicianId, enrollmentId } = {}) => {
+  const range = parseBillingPeriod(period);
+  if (!range) {
+    throw new Error(`Invalid billing period: ${period}`);
+  }
+
+  const where = {
+    startDate: { lt: range.end },
+    OR: [{ endDate: null }, { endDate: { gte: range.start } }]
+  };
+  if (clinicianId) where.clinicianId = clinicianId;
+  if (enrollmentId) where.id = enrollmentId;
+
+  const enrollments = await prisma.enrollment.findMany({
+    where: applyScope(where, enrollmentScope(user)),
+    orderBy: { startDate: 'asc' },
+    include: {
+      patient: {
+        select: { id: true, mrn: true, firstName: true, lastName: true, dateOfBirth: true, gender: true, address: true, insuranceInfo: true }
+      },
+      preset: {
+        select: { id: true, name: true, diagnoses: { select: { icd10: true, label: true } } }
+      },
+      clinician: {
+        select: { id: true, npi: true, firstName: true, lastName: true }
+      }
+    }
+  });
+
+  const enrollmentIds = enrollments.map(enrollment => enrollment.id);
+
+  // Only reading dates and minutes here, so the unaudited client avoids one audit row per reading
+  const [observations, timeLogs] = await Promise.all([
+    basePrisma.observation.findMany({
+      where: { enrollmentId: { in: enrollmentIds }, recordedAt: { gte: range.start, lt: range.end } },
+      select: { enrollmentId: true, recordedAt: true }
+    }),
+    basePrisma.timeLog.findMany({
+      where: {
+        enrollmentId: { in: enrollmentIds },
+        startedAt: { gte: range.start, lt: range.end },
+        endedAt: { not: null }
+      },
+      select: { enrollmentId: true, cptCode: true, minutes: true, startedAt: true }
+    })
+  ]);
+
+  const observationDatesByEnrollment = groupByEnrollment(observations, o => o.recordedAt);
+  const timeLogsByEnrollment = groupByEnrollment(timeLogs, log => log);
+
+  const results = enrollments.map(enrollment => evaluateEnrollmentPeriod({
+    enrollment,
+    observationDates: observationDatesByEnrollment.get(enrollment.id) || [],
+    timeLogs: timeLogsByEnrollment.get(enrollment.id) || [],
+    period: range
+  }));
+
+  const totals = {};
+  for (const result of results) {
+    for (const line of result.lines) {
+      totals[line.code] = (totals[line.code] || 0) + line.units;
+    }
+  }
+
+  return {
+    period: range.period,
+    start: range.start,
+    end: range.end,
+    enrollments: results,
+    summary: {
+      enrollmentCount: results.length,
+      billableEnrollmentCount: results.filter(result => result.lines.length > 0).length,
+      totals
+    }
+  };
+};
+
+module.exports = {
+  MIN_DATA_DAYS,
+  CPT_DESCRIPTIONS,
+  parseBillingPeriod,
+  deviceSupplyCode,
+  timeUnits,
+  evaluateEnrollmentPeriod,
+  getBillingPeriod
+};
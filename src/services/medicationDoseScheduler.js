@@ -0,0 +1,37 @@
+const cron = require('node-cron');
+const { materializeActiveSchedules } = require('./medicationScheduleService');
+
+// Hourly by default, so each patient's doses for the day exist (and can be missed) by the time
+// medication alert rules are evaluated. Override with MEDICATION_SCHEDULE_CRON.
+const MEDICATION_SCHEDULE_CRON = process.env.MEDICATION_SCHEDULE_CRON || '15 * * * *';
+
+let running = false;
+
+// Create the expected doses of every active medication
+cron.schedule(MEDICATION_SCHEDULE_CRON, async () => {
+  // Skip this tick if the previous run is still going
+  if (running) {
+    console.log('Medication schedule job still running, skipping this run');
+    return;
+  }
+
+  running = true;
+
+  try {
+    const summary = await materializeActiveSchedules();
+    if (summary.errors.length > 0) {
+      console.log(
+        `Medication schedule job completed with ${summary.errors.length} errors ` +
+        `(${summary.patients} patients, ${summary.medications} medications)`
+      );
+    }
+  } catch (error) {
+    console.error('Error in medication schedule job:', error);
+  } finally {
+    running = false;
+  }
+});
+
+console.log(`Medication dose scheduler initialized (${MEDICATION_SCHEDULE_CRON})`);
+
+module.exports = {};
@@ -0,0 +1,185 @@
+const { PrismaClient } = require('../../generated/prisma');
+const { withAudit } = require('./auditService');
+
+// Use global prisma client in test environment, otherwise create new instance
+const prisma = withAudit(global.prisma || new PrismaClient());
+
+// Warning severities, least to most serious. Major warnings block prescribing unless the
+// prescriber gives an override reason.
+const SEVERITIES = ['minor', 'moderate', 'major'];
+
+const normalize = (value) => String(value || '').trim().toLowerCase();
+
+// Flatten the free-form JSON stored on drugs and patients (a string, a list of strings or
+// objects, or an object of such lists) into a list of entries
+const toEntries = (value) => {
+  if (value === null || value === undefined || value === '') return [];
+  if (Array.isArray(value)) return value.flatMap(toEntries);
+  if (typeof value === 'string') {
+    return value.split(/[,;]/).map(part => part.trim()).filter(Boolean).map(term => ({ term }));
+  }
+  if (typeof value === 'object') {
+    const term = value.drug || value.drugName || value.name || value.ingredient || value.substance ||
+      value.drugClass || value.condition;
+    if (term) return [{ ...value, term: String(term) }];
+    // e.g. { medications: [...], environmental: [...] } or { conditions: [...], surgeries: [...] }
+    return Object.values(value).flatMap(toEntries);
+  }
+  return [];
+};
+
+// Words that mean "nothing recorded" rather than an allergy or condition
+const EMPTY_TERMS = ['none', 'none known', 'nka', 'nkda', 'n/a'];
+
+const drugNames = (drug) => [drug.name, drug.brandName, drug.activeIngredient, drug.drugClass]
+  .map(normalize)
+  .filter(Boolean);
+
+// Whether a free-text term names the drug (its name, brand, ingredient or class)
+const namesDrug = (term, drug) => {
+  const needle = normalize(term);
+  if (needle.length < 3 || EMPTY_TERMS.includes(needle)) return false;
+  return drugNames(drug).some(name => name.includes(needle) || (name.length >= 3 && needle.includes(name)));
+};
+
+const severityOf = (entry, fallback) => {
+  const severity = normalize(entry.severity);
+  if (SEVERITIES.includes(severity)) return severity;
+  // Common synonyms in drug reference data
+  if (['severe', 'high', 'contraindicated'].includes(severity)) return 'major';
+  if (['moderate', 'medium'].includes(severity)) return 'moderate';
+  if (['mild', 'low'].includes(severity)) return 'minor';
+  return fallback;
+};
+
+const drugLabel = (drug) => [drug.name, drug.strength].filter(Boolean).join(' ');
+
+// Compare a drug about to be prescribed with the patient's active medications, allergies and
+// conditions. Interactions are checked both ways, since either drug's record may list the other.
+// Returns warnings sorted most serious first.
+const checkDrugSafety = (drug, { activeMedications = [], allergies = null, conditions = null } = {}) => {
+  const warnings = [];
+
+  for (const medication of activeMedications) {
+    const other = medication.drug;
+    if (!other) continue;
+
+    if (normalize(other.activeIngredient) && normalize(other.activeIngredient) === normalize(drug.activeIngredient)) {
+      warnings.push({
+        type: 'duplicate_therapy',
+        severity: 'major',
+        patientMedicationId: medication.id,
+        drugId: other.id,
+        message: `${drugLabel(other)} already contains ${drug.activeIngredient}`
+      });
+    } else if (normalize(other.drugClass) && normalize(other.drugClass) === normalize(drug.drugClass)) {
+      warnings.push({
+        type: 'duplicate_therapy',
+        severity: 'moderate',
+        patientMedicationId: medication.id,
+        drugId: other.id,
+        message: `${drugLabel(other)} is also a ${drug.drugClass}`
+      });
+    }
+
+    const listed = [
+      ...toEntries(drug.interactions).filter(entry => namesDrug(entry.term, other)),
+      ...toEntries(other.interactions).filter(entry => namesDrug(entry.term, drug))
+    ];
+    if (listed.length > 0) {
+      const severity = listed
+        .map(entry => severityOf(entry, 'moderate'))
+        .reduce((worst, current) => (SEVERITIES.indexOf(current) > SEVERITIES.indexOf(worst) ? current : worst));
+      const description = listed.map(entry => entry.description || entry.effect).find(Boolean);
+
+      warnings.push({
+        type: 'interaction',
+        severity,
+        patientMedicationId: medication.id,
+        drugId: other.id,
+        message: `${drugLabel(drug)} interacts with ${drugLabel(other)}${description ? `: ${description}` : ''}`
+      });
+    }
+  }
+
+  toEntries(allergies)
+    .filter(entry => namesDrug(entry.term, drug))
+    .forEach(entry => warnings.push({
+      type: 'allergy',
+      severity: 'major',
+      term: entry.term,
+      message: `Patient is allergic to ${entry.term}${entry.reaction ? ` (${entry.reaction})` : ''}`
+    }));
+
+  const patientConditions = toEntries(conditions)
+    .map(entry => normalize(entry.term))
+    .filter(condition => condition.length >= 3 && !EMPTY_TERMS.includes(condition));
+  toEntries(drug.contraindications).forEach(entry => {
+    const contraindication = normalize(entry.term);
+    if (contraindication.length < 3) return;
+
+    const condition = patientConditions.find(c => c.includes(contraindication) || contraindication.includes(c));
+    if (!condition) return;
+
+    warnings.push({
+      type: 'contraindication',
+      severity: severityOf(entry, 'major'),
+      term: entry.term,
+      message: `${drugLabel(drug)} is contraindicated in ${entry.term}`
+    });
+  });
+
+  return warnings.sort((a, b) => SEVERITIES.indexOf(b.severity) - SEVERITIES.indexOf(a.severity));
+};
+
+const requiresOverride = (warnings) => warnings.some(warning => warning.severity === 'major');
+
+const hasOverrideReason = (reason) => typeof reason === 'string' && reason.trim().length > 0;
+
+// Load what a prescription for `patientId` is checked against and check `drug`. Returns
+// { warnings, requiresOverride }, or null when the patient does not exist.
+const checkPrescription = async (patientId, drug) => {
+  const patient = await prisma.patient.findUnique({
+    where: { id: patientId },
+    select: {
+      allergies: true,
+      medicalHistory: true,
+      patientMedications: {
+        where: { isActive: true },
+        select: { id: true, drug: true }
+      }
+    }
+  });
+  if (!patient) return null;
+
+  const warnings = checkDrugSafety(drug, {
+    activeMedications: patient.patientMedications,
+    allergies: patient.allergies,
+    conditions: patient.medicalHistory
+  });
+
+  return { warnings, requiresOverride: requiresOverride(warnings) };
+};
+
+// Fields recording the check on a new PatientMedication. A major warning is only let through
+// with an override reason, which is kept with who overrode it and when.
+const safetyRecord = (check, overrideReason, userId) => {
+  if (check.warnings.length === 0) return {};
+  return {
+    safetyWarnings: check.warnings,
+    ...(check.requiresOverride && {
+      overrideReason: overrideReason.trim(),
+      overriddenBy: userId || null,
+      overriddenAt: new Date()
+    })
+  };
+};
+
+module.exports = {
+  SEVERITIES,
+  checkDrugSafety,
+  requiresOverride,
+  hasOverrideReason,
+  checkPrescription,
+  safetyRecord
+};
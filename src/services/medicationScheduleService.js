@@ -0,0 +1,416 @@
+const { PrismaClient } = require('../../generated/prisma');
+const { withAudit } = require('./auditService');
+const { parseTime, localParts, zonedTime, startOfLocalDay, normalizeReminderSettings } = require('./reminderService');
+
+// Use global prisma client in test environment, otherwise create new instance
+const prisma = withAudit(global.prisma || new PrismaClient());
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// How far from its scheduled time a reported dose still belongs to that dose. A dose nobody
+// reported counts as missed once this window has passed.
+const DOSE_WINDOW_MINUTES = parseInt(process.env.DOSE_WINDOW_MINUTES, 10) || 120;
+
+// Clock times of doses taken n times a day
+const DAILY_TIMES = {
+  1: ['09:00'],
+  2: ['09:00', '21:00'],
+  3: ['08:00', '14:00', '20:00'],
+  4: ['08:00', '12:00', '16:00', '20:00']
+};
+
+const WORD_NUMBERS = { once: 1, one: 1, twice: 2, two: 2, three: 3, thrice: 3, four: 4, five: 5, six: 6 };
+
+const countOf = (word) => WORD_NUMBERS[word] || parseInt(word, 10);
+
+const formatTime = (minutes) =>
+  `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+
+// Doses are taken on the days of each `cycleDays`-day cycle listed in `offsets` (counted from
+// the start date), at each of `times`
+const cycle = (cycleDays, offsets, times) => ({ prn: false, cycleDays, offsets, times });
+
+// Every N hours from 08:00; intervals of a day or more become a dose every N days
+const everyHours = (hours) => {
+  if (!(hours > 0)) return null;
+  if (hours >= 24) return cycle(Math.max(1, Math.round(hours / 24)), [0], DAILY_TIMES[1]);
+
+  const times = Array.from({ length: Math.floor(24 / hours) }, (_, index) => (8 * 60 + index * hours * 60) % (24 * 60));
+  return cycle(1, [0], times.sort((a, b) => a - b).map(formatTime));
+};
+
+const timesPerDay = (count) => {
+  if (!(count > 0)) return null;
+  return DAILY_TIMES[count] ? cycle(1, [0], DAILY_TIMES[count]) : everyHours(24 / count);
+};
+
+// n doses a week, spread over the week
+const timesPerWeek = (count) => {
+  if (!(count > 0) || count > 7) return null;
+  return cycle(7, Array.from({ length: count }, (_, index) => Math.floor((index * 7) / count)), DAILY_TIMES[1]);
+};
+
+// Parse the free-text PatientMedication.frequency ("twice daily", "BID", "q8h", "every other day",
+// "weekly", "PRN", ...) into a dosing schedule. Returns { prn: true } for as-needed medications,
+// and null when the text is not understood (no doses are expected then).
+const parseFrequency = (frequency, { isPRN = false } = {}) => {
+  const text = String(frequency || '').toLowerCase().replace(/\./g, '').replace(/\s+/g, ' ').trim();
+
+  if (isPRN || /\b(prn|as needed|when needed|as required)\b/.test(text)) return { prn: true };
+
+  let match = /\bq ?(\d+) ?h(?:rs?|ours?)?\b/.exec(text) || /\bevery (\d+) ?(?:hours?|hrs?)\b/.exec(text);
+  if (match) return everyHours(parseInt(match[1], 10));
+
+  if (/\b(biweekly|every other week|every 2 weeks|fortnightly)\b/.test(text)) return cycle(14, [0], DAILY_TIMES[1]);
+  match = /\bevery (\d+) weeks?\b/.exec(text);
+  if (match) return cycle(7 * parseInt(match[1], 10), [0], DAILY_TIMES[1]);
+  match = /\b(once|one|twice|two|three|thrice|four|five|six|\d) ?(?:x|times)? ?(?:a|per|each)? ?week(?:ly)?\b/.exec(text);
+  if (match) return timesPerWeek(countOf(match[1]));
+  if (/\b(weekly|every week|qw|qwk)\b/.test(text)) return cycle(7, [0], DAILY_TIMES[1]);
+  if (/\b(monthly|every month|once a month)\b/.test(text)) return cycle(30, [0], DAILY_TIMES[1]);
+
+  if (/\b(qod|every other day|alternate days)\b/.test(text)) return cycle(2, [0], DAILY_TIMES[1]);
+  match = /\bevery (\d+) days?\b/.exec(text);
+  if (match) return cycle(parseInt(match[1], 10), [0], DAILY_TIMES[1]);
+
+  if (/\bqid\b/.test(text)) return timesPerDay(4);
+  if (/\btid\b/.test(text)) return timesPerDay(3);
+  if (/\bbid\b/.test(text)) return timesPerDay(2);
+  match = /\b(once|one|twice|two|three|thrice|four|five|six|\d+) ?(?:x|times)? ?(?:a|per|each)? ?(?:day|daily)\b/.exec(text);
+  if (match) return timesPerDay(countOf(match[1]));
+
+  if (/\b(qhs|hs|at bedtime|bedtime|nightly|every night|at night|qpm|every evening)\b/.test(text)) return cycle(1, [0], ['21:00']);
+  if (/\b(qam|every morning|in the morning)\b/.test(text)) return cycle(1, [0], ['08:00']);
+  if (/\b(daily|qd|od|every day|each day|once a day)\b/.test(text)) return cycle(1, [0], DAILY_TIMES[1]);
+
+  return null;
+};
+
+const dayNumber = ({ year, month, day }) => Date.UTC(year, month - 1, day) / DAY_MS;
+
+const fromDayNumber = (number) => {
+  const date = new Date(number * DAY_MS);
+  return { year: date.getUTCFullYear(), month: date.getUTCMonth() + 1, day: date.getUTCDate() };
+};
+
+// Start and end dates entered as plain dates arrive as UTC midnight; those are calendar days,
+// not instants in the patient's time zone
+const isDateOnly = (date) =>
+  date.getUTCHours() === 0 && date.getUTCMinutes() === 0 && date.getUTCSeconds() === 0 && date.getUTCMilliseconds() === 0;
+
+const calendarDay = (date, timeZone) => (isDateOnly(date)
+  ? { year: date.getUTCFullYear(), month: date.getUTCMonth() + 1, day: date.getUTCDate() }
+  : localParts(date, timeZone));
+
+// Instants of the doses a schedule expects between `from` and `to`, within the medication's
+// start and end dates, at wall-clock times in `timeZone`
+const expectedDoses = (schedule, { startDate, endDate = null, from, to, timeZone }) => {
+  if (!schedule || schedule.prn) return [];
+
+  const start = new Date(startDate);
+  const end = endDate ? new Date(endDate) : null;
+  const firstDay = dayNumber(calendarDay(start, timeZone));
+  const lastDay = end ? dayNumber(calendarDay(end, timeZone)) : Infinity;
+
+  const doses = [];
+  const toDay = Math.min(lastDay, dayNumber(localParts(to, timeZone)));
+  for (let day = Math.max(firstDay, dayNumber(localParts(from, timeZone))); day <= toDay; day++) {
+    if (!schedule.offsets.includes((day - firstDay) % schedule.cycleDays)) continue;
+
+    for (const time of schedule.times) {
+      const at = zonedTime(fromDayNumber(day), parseTime(time), timeZone);
+      if (at < from || at > to) continue;
+      if (!isDateOnly(start) && at < start) continue;
+      if (end && !isDateOnly(end) && at > end) continue;
+      doses.push(at);
+    }
+  }
+
+  return doses;
+};
+
+const isRecorded = (record) => record.wasTaken || record.wasSkipped || !!record.takenAt;
+
+// A scheduled dose counts towards adherence once it has been reported, or once its window has
+// passed without a report (a missed dose)
+const isDoseDue = (record, now = new Date()) =>
+  isRecorded(record) || new Date(record.scheduledDate).getTime() <= now.getTime() - DOSE_WINDOW_MINUTES * 60 * 1000;
+
+// Adherence of one medication over its adherence records. PRN medications have no expected
+// doses, so their rate is null and only the doses taken are counted.
+const adherenceStats = (records, { schedule, now = new Date() } = {}) => {
+  const taken = records.filter(record => record.wasTaken);
+  const lastTaken = taken
+    .map(record => record.takenAt || record.scheduledDate)
+    .sort((a, b) => new Date(b) - new Date(a))[0] || null;
+
+  if (!schedule || schedule.prn) {
+    return { totalScheduled: 0, totalTaken: taken.length, totalMissed: 0, adherenceRate: null, lastTaken };
+  }
+
+  const due = records.filter(record => isDoseDue(record, now));
+  const totalTaken = due.filter(record => record.wasTaken).length;
+
+  return {
+    totalScheduled: due.length,
+    totalTaken,
+    totalMissed: due.filter(record => !record.wasTaken && !record.wasSkipped).length,
+    adherenceRate: due.length > 0 ? Math.round((totalTaken / due.length) * 100) : null,
+    lastTaken
+  };
+};
+
+// The patient's time zone, from the reminder settings of their latest active enrollment
+const patientTimeZone = async (patientId) => {
+  const enrollment = await prisma.enrollment.findFirst({
+    where: { patientId, status: 'active' },
+    orderBy: { startDate: 'desc' },
+    select: { reminderSettings: true }
+  });
+  return normalizeReminderSettings(enrollment?.reminderSettings).timezone;
+};
+
+const endOfLocalDay = (date, timeZone) => zonedTime(localParts(date, timeZone), 24 * 60 - 1, timeZone);
+
+// Create the MedicationAdherence rows a medication's schedule expects between `from` and
+// `through`. Rows that already exist are left alone, so this can run as often as needed.
+const materializeAdherenceSchedule = async (medication, { from, through, timeZone }) => {
+  const schedule = parseFrequency(medication.frequency, { isPRN: medication.isPRN });
+  const doses = expectedDoses(schedule, {
+    startDate: medication.startDate,
+    endDate: medication.endDate,
+    from,
+    to: through,
+    timeZone
+  });
+
+  if (doses.length === 0) return { schedule, created: 0 };
+
+  const { count } = await prisma.medicationAdherence.createMany({
+    data: doses.map(scheduledDate => ({
+      patientMedicationId: medication.id,
+      patientId: medication.patientId,
+      scheduledDate
+    })),
+    skipDuplicates: true
+  });
+
+  return { schedule, created: count };
+};
+
+// Materialize a patient's active medications from the start of their day `lookbackDays` ago to
+// the end of today. Returns the parsed schedule of each medication by id.
+const materializePatientSchedules = async (patientId, {
+  now = new Date(),
+  lookbackDays = 7,
+  medications = null,
+  timeZone: zone = null
+} = {}) => {
+  const active = medications || await prisma.patientMedication.findMany({
+    where: { patientId, isActive: true }
+  });
+  const timeZone = zone || await patientTimeZone(patientId);
+  const from = startOfLocalDay(new Date(now.getTime() - lookbackDays * DAY_MS), timeZone);
+  const through = endOfLocalDay(now, timeZone);
+
+  const schedules = {};
+  for (const medication of active) {
+    const { schedule } = await materializeAdherenceSchedule(medication, { from, through, timeZone });
+    schedules[medication.id] = schedule;
+  }
+  return schedules;
+};
+
+// Materialize every patient with active medications (scheduled job)
+const materializeActiveSchedules = async ({ now = new Date() } = {}) => {
+  const medications = await prisma.patientMedication.findMany({
+    where: { isActive: true, isPRN: false }
+  });
+
+  const byPatient = {};
+  medications.forEach(medication => {
+    (byPatient[medication.patientId] = byPatient[medication.patientId] || []).push(medication);
+  });
+
+  let patients = 0;
+  const errors = [];
+  for (const [patientId, patientMedications] of Object.entries(byPatient)) {
+    try {
+      await materializePatientSchedules(patientId, { now, lookbackDays: 1, medications: patientMedications });
+      patients += 1;
+    } catch (error) {
+      console.error(`Error materializing medication schedule for patient ${patientId}:`, error);
+      errors.push({ patientId, error: error.message });
+    }
+  }
+
+  return { medications: medications.length, patients, errors };
+};
+
+// A dose outside any scheduled dose, in a row of its own keyed on when it was taken. A row already
+// at that time is filled if it is still unreported (a scheduled dose created concurrently); if it
+// was reported, this is the same dose reported twice.
+const createUnscheduledDose = async (medication, at, data) => {
+  try {
+    return await prisma.medicationAdherence.create({
+      data: {
+        patientMedicationId: medication.id,
+        patientId: medication.patientId,
+        scheduledDate: at,
+        ...data
+      }
+    });
+  } catch (error) {
+    if (error.code !== 'P2002') throw error;
+
+    const existing = await prisma.medicationAdherence.findFirst({
+      where: { patientMedicationId: medication.id, scheduledDate: at }
+    });
+    if (!existing) throw error;
+    if (existing.wasTaken || existing.wasSkipped) return { duplicateOf: existing };
+
+    return prisma.medicationAdherence.update({ where: { id: existing.id }, data });
+  }
+};
+
+// Record a reported dose against the scheduled dose it belongs to: the one given as `adherenceId`,
+// else the closest unreported one within the dose window. Doses outside any scheduled dose (PRN,
+// extra doses) get a row of their own. Returns null when `adherenceId` is not a dose of the medication,
+// and { duplicateOf } when a dose was already reported at the same time.
+const recordDose = async (medication, {
+  adherenceId = null,
+  takenAt = null,
+  wasTaken = true,
+  wasSkipped = false,
+  skipReason = null,
+  dosageTaken = null,
+  sideEffectsReported = null,
+  notes = null,
+  reportedBy = 'patient'
+} = {}, { timeZone = null } = {}) => {
+  const at = takenAt ? new Date(takenAt) : new Date();
+  const data = {
+    takenAt: wasTaken ? at : null,
+    wasTaken,
+    wasSkipped,
+    skipReason,
+    dosageTaken,
+    sideEffectsReported,
+    notes,
+    reportedBy
+  };
+
+  if (adherenceId) {
+    const slot = await prisma.medicationAdherence.findFirst({
+      where: { id: adherenceId, patientMedicationId: medication.id }
+    });
+    if (!slot) return null;
+    return prisma.medicationAdherence.update({ where: { id: slot.id }, data });
+  }
+
+  // As-needed doses have no slot to fill; each one is its own dose event
+  if (parseFrequency(medication.frequency, { isPRN: medication.isPRN })?.prn) {
+    return createUnscheduledDose(medication, at, { isPRN: true, ...data });
+  }
+
+  const windowMs = DOSE_WINDOW_MINUTES * 60 * 1000;
+  const from = new Date(at.getTime() - windowMs);
+  const to = new Date(at.getTime() + windowMs);
+
+  await materializeAdherenceSchedule(medication, {
+    from,
+    through: to,
+    timeZone: timeZone || await patientTimeZone(medication.patientId)
+  });
+
+  const candidates = await prisma.medicationAdherence.findMany({
+    where: {
+      patientMedicationId: medication.id,
+      scheduledDate: { gte: from, lte: to },
+      wasTaken: false,
+      wasSkipped: false,
+      takenAt: null
+    }
+  });
+  const slot = candidates.sort((a, b) =>
+    Math.abs(a.scheduledDate - at) - Math.abs(b.scheduledDate - at)
+  )[0];
+
+  if (slot) {
+    return prisma.medicationAdherence.update({ where: { id: slot.id }, data });
+  }
+
+  return createUnscheduledDose(medication, at, data);
+};
+
+// recordDose fields of a dose report from the API: { status: 'taken' | 'skipped', adherenceId,
+// takenAt, skipReason, dosageTaken, sideEffects, notes, reportedBy }
+const doseReport = (body, { reportedBy = 'patient' } = {}) => ({
+  adherenceId: body.adherenceId || null,
+  takenAt: body.takenAt || null,
+  wasTaken: body.status === 'taken',
+  wasSkipped: body.status === 'skipped',
+  skipReason: body.status === 'skipped' ? body.skipReason : null,
+  dosageTaken: body.dosageTaken || null,
+  sideEffectsReported: Array.isArray(body.sideEffects) && body.sideEffects.length > 0 ? body.sideEffects : null,
+  notes: body.notes || null,
+  reportedBy: body.reportedBy || reportedBy
+});
+
+// Status of a dose for check-in lists: taken, skipped, missed (window passed unreported),
+// due (within its window) or upcoming
+const doseStatus = (record, now = new Date()) => {
+  if (record.wasTaken) return 'taken';
+  if (record.wasSkipped) return 'skipped';
+  if (isDoseDue(record, now)) return 'missed';
+  return new Date(record.scheduledDate).getTime() <= now.getTime() + DOSE_WINDOW_MINUTES * 60 * 1000
+    ? 'due'
+    : 'upcoming';
+};
+
+// A patient's active medications with their doses on the patient's current day, creating the
+// day's scheduled doses first
+const getDosesForDay = async (patientId, { now = new Date(), timeZone = null } = {}) => {
+  const zone = timeZone || await patientTimeZone(patientId);
+  const from = startOfLocalDay(now, zone);
+  const through = endOfLocalDay(now, zone);
+
+  const schedules = await materializePatientSchedules(patientId, { now, lookbackDays: 0, timeZone: zone });
+
+  const medications = await prisma.patientMedication.findMany({
+    where: { patientId, isActive: true },
+    include: {
+      drug: { select: { name: true, brandName: true, strength: true, dosageForm: true } },
+      adherenceRecords: {
+        where: { scheduledDate: { gte: from, lte: through } },
+        orderBy: { scheduledDate: 'asc' }
+      }
+    },
+    orderBy: { startDate: 'asc' }
+  });
+
+  return {
+    timeZone: zone,
+    medications: medications.map(({ adherenceRecords, ...medication }) => ({
+      medication,
+      schedule: schedules[medication.id] || null,
+      doses: adherenceRecords.map(record => ({ ...record, status: doseStatus(record, now) }))
+    }))
+  };
+};
+
+module.exports = {
+  DOSE_WINDOW_MINUTES,
+  parseFrequency,
+  expectedDoses,
+  isDoseDue,
+  adherenceStats,
+  patientTimeZone,
+  materializeAdherenceSchedule,
+  materializePatientSchedules,
+  materializeActiveSchedules,
+  recordDose,
+  doseReport,
+  doseStatus,
+  getDosesForDay
+};
@@ -0,0 +1,193 @@
+const { parseFrequency } = require('./medicationScheduleService');
+const { parseAmount, parseStrength, convertAmount, resolveAmount, isPrnMedication } = require('./prnUsageService');
+
+// Morphine milligram equivalents per mg of each opioid, from the CDC Clinical Practice Guideline
+// for Prescribing Opioids for Pain (2022). Buprenorphine has no factor: its MME does not reflect
+// its overdose risk, so it is reported but not counted.
+const MME_CONVERSION_FACTORS = {
+  codeine: 0.15,
+  dihydrocodeine: 0.25,
+  hydrocodone: 1,
+  hydromorphone: 5,
+  levorphanol: 11,
+  meperidine: 0.1,
+  methadone: 4.7,
+  morphine: 1,
+  oxycodone: 1.5,
+  oxymorphone: 3,
+  pentazocine: 0.37,
+  tapentadol: 0.4,
+  tramadol: 0.2
+};
+
+// Transdermal fentanyl is converted per mcg/hr of the patch rather than per mg
+const FENTANYL_PATCH_FACTOR = 2.4;
+
+// Daily MME levels reported with a patient's total, e.g. 50 (reassess) and 90 (avoid or justify)
+const MME_THRESHOLDS = String(process.env.MME_THRESHOLDS || '50,90')
+  .split(',')
+  .map(Number)
+  .filter(threshold => threshold > 0)
+  .sort((a, b) => a - b);
+
+const OTHER_OPIOIDS = ['fentanyl', 'buprenorphine', 'butorphanol', 'nalbuphine', 'sufentanil', 'remifentanil', 'opium'];
+
+// Longest names first, so "oxymorphone" is not read as "morphine"
+const INGREDIENTS = [...Object.keys(MME_CONVERSION_FACTORS), ...OTHER_OPIOIDS].sort((a, b) => b.length - a.length);
+
+const PRN_WORDS = /\b(prn|as needed|when needed|as required)\b/g;
+
+const round = (value) => Math.round(value * 10) / 10;
+
+// The opioid a drug contains, from its active ingredient or name
+const opioidIngredient = (drug) => {
+  const text = [drug?.activeIngredient, drug?.name].filter(Boolean).join(' ').toLowerCase();
+  return INGREDIENTS.find(ingredient => text.includes(ingredient)) || null;
+};
+
+const isOpioid = (drug) => Boolean(opioidIngredient(drug)) || /opioid|opiate|narcotic/i.test(drug?.drugClass || '');
+
+// Whether a prescription is being taken on a date: active, started, and not yet ended
+const isActiveOn = (medication, date = new Date()) =>
+  medication.isActive !== false &&
+  new Date(medication.startDate) <= date &&
+  (!medication.endDate || new Date(medication.endDate) > date);
+
+// Ingredients of a combination product, in the order they are named: "Acetaminophen/Codeine",
+// "Hydrocodone and Acetaminophen"
+const ingredientList = (text) =>
+  String(text || '').toLowerCase().split(/\s*(?:\/|,|\+|&|\band\b|\bwith\b)\s*/).filter(Boolean);
+
+// Strength of the opioid itself. A combination product ("300mg/30mg") lists one mass per
+// ingredient, paired in order with the ingredients of its active ingredient or name; a product
+// whose masses cannot be paired gets a reason instead.
+const opioidStrength = (drug, ingredient) => {
+  const parts = String(drug.strength || '').split('/');
+  const firstNonMass = parts.findIndex(part => parseAmount(part)?.kind !== 'mass');
+  const masses = firstNonMass === -1 ? parts.length : firstNonMass;
+  if (masses < 2) return { strength: parseStrength(drug.strength) };
+
+  const ingredients = [drug.activeIngredient, drug.name].map(ingredientList).find(list => list.length === masses);
+  const index = ingredients ? ingredients.findIndex(name => name.includes(ingredient)) : -1;
+  if (index === -1) return { reason: `Cannot tell which part of the strength ${drug.strength} is ${ingredient}` };
+
+  return { strength: parseStrength([parts[index], ...parts.slice(masses)].join('/')) };
+};
+
+// Average doses a day of a schedule from parseFrequency
+const dosesPerDay = (schedule) => (schedule.times.length * schedule.offsets.length) / schedule.cycleDays;
+
+// Prescribed mg of the opioid a day, given the opioid's strength. As-needed prescriptions count
+// at their most: the maxDailyDose, else every dose the interval allows ("every 4 hours as needed").
+const dailyMilligrams = (medication, strength) => {
+  const doseMg = convertAmount(resolveAmount(medication.dosage, medication), 'mass', strength);
+
+  if (isPrnMedication(medication)) {
+    const maxMg = convertAmount(resolveAmount(medication.maxDailyDose, medication), 'mass', strength);
+    if (maxMg !== null) return { dailyDose: maxMg, dosesPerDay: null, basis: 'max_daily_dose' };
+
+    const schedule = parseFrequency(String(medication.frequency || '').toLowerCase().replace(/\./g, '').replace(PRN_WORDS, ' '));
+    if (!schedule || doseMg === null) {
+      return { reason: 'As-needed without a maximum daily dose or dosing interval' };
+    }
+    return { dailyDose: doseMg * dosesPerDay(schedule), dosesPerDay: dosesPerDay(schedule), basis: 'prn_interval' };
+  }
+
+  const schedule = parseFrequency(medication.frequency);
+  if (!schedule) return { reason: 'Frequency not recognised' };
+  if (doseMg === null) return { reason: 'Dosage could not be converted to mg' };
+  return { dailyDose: doseMg * dosesPerDay(schedule), dosesPerDay: dosesPerDay(schedule), basis: 'scheduled' };
+};
+
+// Patch rate in mcg/hr, from the dosage or the drug strength ("25 mcg/hr")
+const patchRate = (medication) => {
+  const text = [medication.dosage, medication.drug?.strength].filter(Boolean).join(' ');
+  const match = /(\d+(?:\.\d+)?)\s*(?:mcg|µg|ug)\s*\/\s*h(?:r|our)?\b/i.exec(text);
+  return match ? parseFloat(match[1]) : null;
+};
+
+const isPatch = (medication) =>
+  /transdermal|patch/i.test([medication.route, medication.drug?.dosageForm].filter(Boolean).join(' ')) ||
+  patchRate(medication) !== null;
+
+// Daily MME of one prescription (dosage × doses a day × conversion factor). Returns null for
+// non-opioids; opioids that cannot be converted have a null `dailyMme` and a `reason`.
+const medicationMme = (medication) => {
+  const drug = medication.drug || {};
+  if (!isOpioid(drug)) return null;
+
+  const ingredient = opioidIngredient(drug);
+  const entry = {
+    patientMedicationId: medication.id,
+    drugName: drug.name || null,
+    ingredient,
+    conversionFactor: null,
+    dailyDose: null,
+    doseUnit: 'mg/day',
+    dosesPerDay: null,
+    basis: null,
+    dailyMme: null,
+    reason: null
+  };
+
+  if (ingredient === 'fentanyl') {
+    const rate = isPatch(medication) ? patchRate(medication) : null;
+    if (rate === null) {
+      return { ...entry, reason: 'Only transdermal fentanyl (mcg/hr) can be converted' };
+    }
+    return {
+      ...entry,
+      conversionFactor: FENTANYL_PATCH_FACTOR,
+      dailyDose: rate,
+      doseUnit: 'mcg/hr',
+      basis: 'patch',
+      dailyMme: round(rate * FENTANYL_PATCH_FACTOR)
+    };
+  }
+
+  const factor = MME_CONVERSION_FACTORS[ingredient];
+  if (factor === undefined) {
+    return { ...entry, reason: `No MME conversion factor for ${ingredient || drug.activeIngredient || 'this opioid'}` };
+  }
+
+  const { strength, reason: strengthReason } = opioidStrength(drug, ingredient);
+  if (strengthReason) return { ...entry, conversionFactor: factor, reason: strengthReason };
+
+  const { dailyDose, dosesPerDay: perDay = null, basis = null, reason = null } = dailyMilligrams(medication, strength);
+  if (reason) return { ...entry, conversionFactor: factor, reason };
+
+  return {
+    ...entry,
+    conversionFactor: factor,
+    dailyDose: round(dailyDose),
+    dosesPerDay: perDay === null ? null : round(perDay),
+    basis,
+    dailyMme: round(dailyDose * factor)
+  };
+};
+
+// Total daily MME of a patient's prescriptions, which should be the active ones. `incomplete`
+// is set when an opioid could not be converted and is missing from the total.
+const patientMme = (medications, { thresholds = MME_THRESHOLDS } = {}) => {
+  const entries = medications.map(medicationMme).filter(Boolean);
+  const totalDailyMme = round(entries.reduce((sum, entry) => sum + (entry.dailyMme || 0), 0));
+
+  return {
+    totalDailyMme,
+    thresholds,
+    thresholdsReached: thresholds.filter(threshold => totalDailyMme >= threshold),
+    incomplete: entries.some(entry => entry.dailyMme === null),
+    medications: entries
+  };
+};
+
+module.exports = {
+  MME_CONVERSION_FACTORS,
+  FENTANYL_PATCH_FACTOR,
+  MME_THRESHOLDS,
+  opioidIngredient,
+  isOpioid,
+  isActiveOn,
+  medicationMme,
+  patientMme
+};
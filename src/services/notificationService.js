@@ -1,13 +1,16 @@
 const { PrismaClient } = require('../../generated/prisma');
+const { withAudit } = require('./auditService');
 const nodemailer = require('nodemailer'); // You'll need to install this
+const { issueAccessLink } = require('./patientAccessService');
 // const twilio = require('twilio'); // For SMS - optional
 
-const prisma = new PrismaClient();
+// Use global prisma client in test environment, otherwise create new instance
+const prisma = withAudit(global.prisma || new PrismaClient());
 
 class NotificationService {
   constructor() {
     // Configure email transporter (example with Gmail)
-    this.emailTransporter = nodemailer.createTransporter({
+    this.emailTransporter = nodemailer.createTransport({
       service: 'gmail',
       auth: {
         user: process.env.EMAIL_USER,
@@ -16,37 +19,83 @@ class NotificationService {
     });
   }
 
+  // Send a patient their daily assessment reminder. Throws when it cannot be sent, so the
+  // reminder run counts it as an error rather than as sent.
   async sendDailyReminder(patientId, enrollmentId, reminderSettings) {
-    try {
-      const patient = await prisma.patient.findUnique({
-        where: { id: patientId },
-        select: { email: true, phone: true, firstName: true }
-      });
-
-      if (!patient) {
-        console.error(`Patient ${patientId} not found`);
-        return;
-      }
+    const patient = await prisma.patient.findUnique({
+      where: { id: patientId },
+      select: { email: true, phone: true, firstName: true }
+    });
 
-      const message = {
-        subject: 'Daily Pain Assessment Reminder',
-        body: `Hi ${patient.firstName}, it's time to complete your daily pain assessment.`,
-        actionUrl: `/assessments/${enrollmentId}/daily`
-      };
+    if (!patient) {
+      throw new Error(`Patient ${patientId} not found`);
+    }
+
+    const channels = [];
+    if (reminderSettings.methods.includes('email') && patient.email) channels.push('email');
+    if (reminderSettings.methods.includes('sms') && patient.phone) channels.push('sms');
+    if (channels.length === 0) {
+      throw new Error(`Patient ${patientId} has no contact details for ${reminderSettings.methods.join(', ')}`);
+    }
+
+    // Patients have no accounts; each reminder carries its own one-time link
+    const { url } = await issueAccessLink({ id: enrollmentId, patientId }, { purpose: 'daily_reminder' });
+
+    const message = {
+      subject: 'Daily Pain Assessment Reminder',
+      body: `Hi ${patient.firstName}, it's time to complete your daily pain assessment.`,
+      actionUrl: url
+    };
+
+    // Send via configured methods
+    if (channels.includes('email')) {
+      await this.sendEmail(patient.email, message);
+    }
 
-      // Send via configured methods
-      if (reminderSettings.methods.includes('email') && patient.email) {
-        await this.sendEmail(patient.email, message);
+    if (channels.includes('sms')) {
+      await this.sendSMS(patient.phone, message);
+    }
+
+    console.log(`Daily reminder sent to patient ${patient.firstName}`);
+    return channels;
+  }
+
+  // Notify a clinician that an unacknowledged alert has been escalated to them
+  async sendAlertEscalation(clinician, alert, step) {
+    const patient = alert.enrollment?.patient;
+    const patientName = patient ? `${patient.firstName || ''} ${patient.lastName || ''}`.trim() : 'a patient';
+
+    const message = {
+      subject: `[${(alert.rule?.severity || 'alert').toUpperCase()}] Unacknowledged alert: ${alert.rule?.name || 'Alert'}`,
+      body: `Hi ${clinician.firstName || ''}, the ${alert.rule?.severity || ''} alert "${alert.rule?.name || 'Alert'}" ` +
+        `for ${patientName} has not been acknowledged for ${step.afterMinutes} minutes and has been escalated to you. ` +
+        `${alert.facts?.trigger || ''}`.trim(),
+      actionUrl: '/alerts',
+      actionLabel: 'Review Alert'
+    };
+
+    const channels = [];
+    const failures = [];
+    if (clinician.email) {
+      try {
+        await this.sendEmail(clinician.email, message);
+        channels.push('email');
+      } catch (error) {
+        failures.push(error);
       }
-      
-      if (reminderSettings.methods.includes('sms') && patient.phone) {
-        await this.sendSMS(patient.phone, message);
+    }
+    if (clinician.phone) {
+      try {
+        await this.sendSMS(clinician.phone, message);
+        channels.push('sms');
+      } catch (error) {
+        failures.push(error);
       }
-
-      console.log(`Daily reminder sent to patient ${patient.firstName}`);
-    } catch (error) {
-      console.error('Error sending daily reminder:', error);
     }
+
+    // Reaching the clinician on one channel is enough; fail only when every channel did
+    if (channels.length === 0 && failures.length > 0) throw failures[0];
+    return channels;
   }
 
   async sendEmail(email, message) {
@@ -62,7 +111,7 @@ class NotificationService {
             <a href="${process.env.FRONTEND_URL}${message.actionUrl}" 
                style="background-color: #2563eb; color: white; padding: 12px 24px; 
                       text-decoration: none; border-radius: 6px; display: inline-block;">
-              Complete Assessment
+              ${message.actionLabel || 'Complete Assessment'}
             </a>
             <p style="margin-top: 20px; color: #666; font-size: 14px;">
               If you have any questions, please contact your healthcare provider.
@@ -75,6 +124,7 @@ class NotificationService {
       console.log(`Email sent to ${email}`);
     } catch (error) {
       console.error('Error sending email:', error);
+      throw error;
     }
   }
 
@@ -93,6 +143,7 @@ class NotificationService {
       // });
     } catch (error) {
       console.error('Error sending SMS:', error);
+      throw error;
     }
   }
 }
@@ -0,0 +1,136 @@
+const { PrismaClient } = require('../../generated/prisma');
+const { withAudit } = require('./auditService');
+const {
+  PATIENT_SESSION_TTL,
+  signPatientLinkToken,
+  verifyPatientLinkToken,
+  signPatientAccessToken,
+  verifyPatientAccessToken
+} = require('./authService');
+
+// Use global prisma client in test environment, otherwise create new instance. Links are
+// audited: issuing, redeeming (the single use) and revoking each leave an audit record.
+const prisma = withAudit(global.prisma || new PrismaClient());
+
+// Patient pages a link can open
+const PATIENT_ACCESS_SCOPES = ['assessments', 'medication_adherence'];
+
+const LINK_TTL_HOURS = parseInt(process.env.PATIENT_LINK_EXPIRES_HOURS, 10) || 72;
+
+const linkStatus = (link, now = new Date()) => {
+  if (link.revokedAt) return 'revoked';
+  if (link.usedAt) return 'used';
+  if (link.expiresAt <= now) return 'expired';
+  return 'active';
+};
+
+// Listing shape of a link; the token itself is never stored and only returned when issued
+const toLinkSummary = (link) => ({
+  id: link.id,
+  enrollmentId: link.enrollmentId,
+  scopes: link.scopes,
+  purpose: link.purpose,
+  status: linkStatus(link),
+  expiresAt: link.expiresAt,
+  usedAt: link.usedAt,
+  revokedAt: link.revokedAt,
+  createdById: link.createdById,
+  createdAt: link.createdAt
+});
+
+// Issue a one-time link for an enrollment. Returns the link, its token and the patient page URL
+// (relative to the frontend) that opens it: the daily assessment, or the medication check-in for
+// links limited to medication adherence.
+const issueAccessLink = async (enrollment, { scopes = PATIENT_ACCESS_SCOPES, purpose = 'manual', expiresInHours = LINK_TTL_HOURS, createdById = null } = {}) => {
+  const link = await prisma.patientAccessLink.create({
+    data: {
+      enrollmentId: enrollment.id,
+      patientId: enrollment.patientId,
+      scopes,
+      purpose,
+      expiresAt: new Date(Date.now() + expiresInHours * 60 * 60 * 1000),
+      createdById
+    }
+  });
+
+  const token = signPatientLinkToken(link);
+  return {
+    link,
+    token,
+    url: `/assessments/${enrollment.id}/${scopes.includes('assessments') ? 'daily' : 'medications'}?token=${encodeURIComponent(token)}`
+  };
+};
+
+// Exchange a link token for a patient session token. The link must belong to `enrollmentId`
+// and be unused, unrevoked and unexpired; it is marked used in the same conditional update,
+// so two concurrent redemptions cannot both succeed. Returns { error } when unusable.
+const redeemAccessLink = async (token, { enrollmentId, ip = null }) => {
+  let claims;
+  try {
+    claims = verifyPatientLinkToken(token);
+  } catch (error) {
+    return { error: error.name === 'TokenExpiredError' ? 'expired' : 'invalid' };
+  }
+
+  if (claims.enrollmentId !== enrollmentId) return { error: 'wrong_enrollment' };
+
+  const link = await prisma.patientAccessLink.findUnique({ where: { id: claims.linkId } });
+  if (!link || link.enrollmentId !== enrollmentId) return { error: 'invalid' };
+
+  const status = linkStatus(link);
+  if (status !== 'active') return { error: status };
+
+  try {
+    const used = await prisma.patientAccessLink.update({
+      where: { id: link.id, usedAt: null, revokedAt: null },
+      data: { usedAt: new Date(), usedIp: ip }
+    });
+
+    return {
+      link: used,
+      accessToken: signPatientAccessToken({ enrollmentId, linkId: used.id, scopes: used.scopes }),
+      expiresIn: PATIENT_SESSION_TTL
+    };
+  } catch (error) {
+    // Redeemed or revoked since it was read
+    if (error.code === 'P2025') return { error: 'used' };
+    throw error;
+  }
+};
+
+// Resolve a patient session token to { enrollmentId, linkId, scopes }. Throws on invalid or
+// expired tokens; returns null when the link it came from has been revoked since.
+const verifyPatientSession = async (token) => {
+  const session = verifyPatientAccessToken(token);
+
+  const link = await prisma.patientAccessLink.findUnique({
+    where: { id: session.linkId },
+    select: { revokedAt: true, enrollmentId: true }
+  });
+  if (!link || link.revokedAt || link.enrollmentId !== session.enrollmentId) return null;
+
+  return session;
+};
+
+// Revoke a link, which also ends any session opened with it. Returns null when the link does
+// not belong to the enrollment.
+const revokeAccessLink = async (enrollmentId, linkId, revokedById = null) => {
+  const link = await prisma.patientAccessLink.findFirst({ where: { id: linkId, enrollmentId } });
+  if (!link) return null;
+  if (link.revokedAt) return link;
+
+  return prisma.patientAccessLink.update({
+    where: { id: linkId },
+    data: { revokedAt: new Date(), revokedById }
+  });
+};
+
+module.exports = {
+  PATIENT_ACCESS_SCOPES,
+  linkStatus,
+  toLinkSummary,
+  issueAccessLink,
+  redeemAccessLink,
+  verifyPatientSession,
+  revokeAccessLink
+};
@@ -0,0 +1,184 @@
+const { PrismaClient } = require('../../generated/prisma');
+const { withAudit } = require('./auditService');
+const { parseFrequency } = require('./medicationScheduleService');
+
+// Use global prisma client in test environment, otherwise create new instance
+const prisma = withAudit(global.prisma || new PrismaClient());
+
+// maxDailyDose is checked against the doses taken in the rolling 24 hours before now
+const USAGE_WINDOW_MS = 24 * 60 * 60 * 1000;
+
+// Units of the free-text dose strings, as [pattern, kind, size in the kind's base unit]. Amounts
+// of the same kind add up; amounts of different kinds convert through the drug's strength.
+const UNITS = [
+  [/^(mcg|ug|µg|micrograms?)$/, 'mass', 0.001],
+  [/^(mg|milligrams?)$/, 'mass', 1],
+  [/^(g|gm|grams?)$/, 'mass', 1000],
+  [/^(ml|milliliters?|millilitres?)$/, 'volume', 1],
+  [/^(l|liters?|litres?)$/, 'volume', 1000],
+  [/^(units?|iu)$/, 'units', 1],
+  [/^(tablets?|tabs?|capsules?|caps?|pills?|puffs?|sprays?|drops?|patch(es)?|suppositor(y|ies)|lozenges?|sachets?)$/, 'count', 1],
+  [/^doses?$/, 'dose', 1]
+];
+
+const BASE_UNITS = { mass: 'mg', volume: 'mL', units: 'units' };
+
+const round = (value) => Math.round(value * 100) / 100;
+
+const unitOf = (word) => UNITS.find(([pattern]) => pattern.test(word.toLowerCase()));
+
+// Parse the first amount in a dose string: "400mg", "2 tablets", "5 mL", "4 g per day", "1-2 tabs"
+// (the upper bound). A bare number counts tablets, capsules etc. Returns { value, kind, unit }
+// in the kind's base unit (unit is null for a bare number), or null.
+const parseAmount = (text) => {
+  if (text === null || text === undefined) return null;
+
+  const pattern = /(\d+(?:\.\d+)?)\s*([a-zµ]+)?/gi;
+  let bare = null;
+  let match;
+  while ((match = pattern.exec(String(text))) !== null) {
+    const value = parseFloat(match[1]);
+    const unit = match[2] && unitOf(match[2]);
+    if (unit) {
+      const [, kind, size] = unit;
+      return { value: value * size, kind, unit: BASE_UNITS[kind] || match[2].toLowerCase() };
+    }
+    if (!match[2] && bare === null) bare = value;
+  }
+
+  return bare === null ? null : { value: bare, kind: 'count', unit: null };
+};
+
+// Parse a drug strength into the amount of drug per dosage unit: "200mg" (per tablet),
+// "5mg/ml", "100 mg / 5 mL", "100 units/mL". Combination products ("5mg/325mg") are measured
+// by their first ingredient.
+const parseStrength = (text) => {
+  const [content, per] = String(text || '').split('/');
+  const amount = parseAmount(content);
+  if (!amount) return null;
+
+  const perAmount = per === undefined ? null : parseAmount(/\d/.test(per) ? per : `1 ${per.trim()}`);
+  if (!perAmount || perAmount.kind === amount.kind || perAmount.kind === 'mass') {
+    return { amount, per: { value: 1, kind: 'count' } };
+  }
+  return { amount, per: perAmount };
+};
+
+// Convert an amount to another kind through the drug strength: tablets to mg, mL to mg, ...
+const convertAmount = (amount, kind, strength) => {
+  if (!amount) return null;
+  if (amount.kind === kind) return amount.value;
+  if (!strength) return null;
+
+  const { amount: content, per } = strength;
+  if (amount.kind === per.kind && kind === content.kind) return (amount.value / per.value) * content.value;
+  if (amount.kind === content.kind && kind === per.kind) return (amount.value / content.value) * per.value;
+  return null;
+};
+
+// Amount of a dose string, with "doses" resolved against the prescribed dosage
+const resolveAmount = (text, medication) => {
+  const amount = parseAmount(text);
+  if (!amount || amount.kind !== 'dose') return amount;
+
+  const dosage = parseAmount(medication.dosage);
+  if (!dosage || dosage.kind === 'dose') return null;
+  return { ...dosage, value: dosage.value * amount.value };
+};
+
+const isPrnMedication = (medication) =>
+  Boolean(medication.isPRN || parseFrequency(medication.frequency)?.prn);
+
+const doseTime = (dose) => new Date(dose.takenAt || dose.scheduledDate);
+
+// Rolling 24 hour use of a medication against its maxDailyDose. `doses` are its adherence records
+// (at least those of the last 24 hours); a dose without a dosageTaken counts as the prescribed
+// dosage. Doses whose amount cannot be read or converted to the unit of the maximum are listed
+// in `unparsedDoseIds` and left out of the total. The medication needs `drug.strength` to convert
+// between units.
+const prnUsage = (medication, doses, { now = new Date() } = {}) => {
+  const windowStart = new Date(now.getTime() - USAGE_WINDOW_MS);
+  const taken = doses
+    .filter(dose => dose.wasTaken && doseTime(dose) > windowStart && doseTime(dose) <= now)
+    .sort((a, b) => doseTime(a) - doseTime(b));
+
+  const limit = resolveAmount(medication.maxDailyDose, medication);
+  const strength = parseStrength(medication.drug?.strength);
+
+  let total = 0;
+  const unparsedDoseIds = [];
+  taken.forEach(dose => {
+    const value = limit
+      ? convertAmount(resolveAmount(dose.dosageTaken || medication.dosage, medication), limit.kind, strength)
+      : null;
+    if (value === null) {
+      unparsedDoseIds.push(dose.id);
+    } else {
+      total += value;
+    }
+  });
+
+  return {
+    patientMedicationId: medication.id,
+    windowStart,
+    windowEnd: now,
+    dosesTaken: taken.length,
+    lastTakenAt: taken.length > 0 ? doseTime(taken[taken.length - 1]) : null,
+    total: limit ? round(total) : null,
+    maxDailyDose: limit ? round(limit.value) : null,
+    unit: limit ? limit.unit || `${medication.drug?.dosageForm || 'dose'}s` : null,
+    percentOfMax: limit && limit.value > 0 ? Math.round((total / limit.value) * 100) : null,
+    remaining: limit ? round(Math.max(0, limit.value - total)) : null,
+    exceeded: Boolean(limit) && total > limit.value,
+    unparsedDoseIds
+  };
+};
+
+// Warnings to return with a recorded dose
+const prnUsageWarnings = (usage, medication) => {
+  if (!usage || !usage.exceeded) return [];
+
+  const name = medication.drug?.name || 'this medication';
+  return [{
+    type: 'max_daily_dose_exceeded',
+    severity: 'major',
+    patientMedicationId: medication.id,
+    total: usage.total,
+    maxDailyDose: usage.maxDailyDose,
+    unit: usage.unit,
+    message: `${usage.total} ${usage.unit} of ${name} taken in the last 24 hours exceeds the maximum daily dose of ${usage.maxDailyDose} ${usage.unit}`
+  }];
+};
+
+// Load the doses of the last 24 hours and compute the usage of an as-needed medication.
+// Returns null for scheduled medications.
+const checkPrnUsage = async (medication, { now = new Date() } = {}) => {
+  if (!isPrnMedication(medication)) return null;
+
+  const drug = medication.drug || await prisma.drug.findUnique({
+    where: { id: medication.drugId },
+    select: { name: true, strength: true, dosageForm: true }
+  });
+  const doses = await prisma.medicationAdherence.findMany({
+    where: {
+      patientMedicationId: medication.id,
+      wasTaken: true,
+      takenAt: { gt: new Date(now.getTime() - USAGE_WINDOW_MS), lte: now }
+    },
+    orderBy: { takenAt: 'asc' }
+  });
+
+  return prnUsage({ ...medication, drug }, doses, { now });
+};
+
+module.exports = {
+  USAGE_WINDOW_MS,
+  parseAmount,
+  parseStrength,
+  convertAmount,
+  resolveAmount,
+  isPrnMedication,
+  prnUsage,
+  prnUsageWarnings,
+  checkPrnUsage
+};
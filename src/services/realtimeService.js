@@ -0,0 +1,142 @@
+const { PrismaClient } = require('../../generated/prisma');
+const { withAudit } = require('./auditService');
+const { hasPermission } = require('../middleware/permissions');
+
+// Use global prisma client in test environment, otherwise create new instance
+const prisma = withAudit(global.prisma || new PrismaClient());
+
+// Server-Sent Events fan-out for dashboard updates. Connections live in this process only,
+// so every API instance pushes the events raised by its own requests and jobs.
+
+const HEARTBEAT_MS = 25 * 1000;
+const RETRY_MS = 5000;
+
+// Event type -> permission a subscriber needs to receive it
+const EVENT_PERMISSIONS = {
+  'alert.created': 'alerts:read',
+  'alert.updated': 'alerts:read',
+  'observation.created': 'observations:read'
+};
+
+const clients = new Set();
+
+// Clinicians only receive events for their own enrollments, like the REST scoping in permissions.js
+const canReceive = (user, type, clinicianId) => {
+  if (!hasPermission(user, EVENT_PERMISSIONS[type])) return false;
+  if (user.role !== 'clinician') return true;
+  return Boolean(user.clinicianId) && user.clinicianId === clinicianId;
+};
+
+const formatEvent = (type, data) => `event: ${type}\ndata: ${JSON.stringify(data)}\n\n`;
+
+// Register an SSE response for a user; returns a function that unregisters it
+const addClient = (user, res) => {
+  const client = { user, res };
+  clients.add(client);
+
+  res.write(`retry: ${RETRY_MS}\n\n`);
+  res.write(formatEvent('ready', { connectedAt: new Date().toISOString() }));
+
+  // Comment lines keep proxies from closing an idle stream
+  const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), HEARTBEAT_MS);
+  heartbeat.unref?.();
+
+  return () => {
+    clearInterval(heartbeat);
+    clients.delete(client);
+  };
+};
+
+const clientCount = () => clients.size;
+
+// Write an event to every connected client allowed to see it
+const dispatch = (type, data, clinicianId) => {
+  const message = formatEvent(type, data);
+  let delivered = 0;
+
+  for (const client of clients) {
+    if (!canReceive(client.user, type, clinicianId)) continue;
+    try {
+      client.res.write(message);
+      delivered += 1;
+    } catch (error) {
+      console.error('Error writing realtime event:', error);
+    }
+  }
+
+  return delivered;
+};
+
+// Publish an event about an enrollment. Looks up the enrollment's clinician for scoping and
+// the patient for display; never throws, so callers can fire and forget after their write.
+const publish = async (type, enrollmentId, data = {}) => {
+  if (clients.size === 0 || !enrollmentId) return 0;
+
+  try {
+    const enrollment = await prisma.enrollment.findUnique({
+      where: { id: enrollmentId },
+      select: {
+        clinicianId: true,
+        patient: { select: { id: true, firstName: true, lastName: true } }
+      }
+    });
+    if (!enrollment) return 0;
+
+    return dispatch(type, {
+      type,
+      enrollmentId,
+      patient: enrollment.patient,
+      ...data,
+      publishedAt: new Date().toISOString()
+    }, enrollment.clinicianId);
+  } catch (error) {
+    console.error(`Error publishing ${type} event:`, error);
+    return 0;
+  }
+};
+
+// Alert payloads carry what the dashboard needs for a toast; pages refetch the rest
+const alertSummary = (alert, rule = alert.rule) => ({
+  id: alert.id,
+  status: alert.status,
+  ruleId: alert.ruleId,
+  ruleName: rule?.name || null,
+  severity: rule?.severity || null,
+  triggeredAt: alert.triggeredAt,
+  occurrenceCount: alert.occurrenceCount,
+  escalationLevel: alert.escalationLevel,
+  assignedToId: alert.assignedToId
+});
+
+const publishAlert = (type, alert, rule) =>
+  publish(type, alert.enrollmentId, { alert: alertSummary(alert, rule) });
+
+// One event per enrollment for a batch of newly written observations
+const publishObservations = (observations) => {
+  const byEnrollment = new Map();
+  for (const observation of observations) {
+    if (!observation?.enrollmentId) continue;
+    if (!byEnrollment.has(observation.enrollmentId)) byEnrollment.set(observation.enrollmentId, []);
+    byEnrollment.get(observation.enrollmentId).push({
+      id: observation.id,
+      metricKey: observation.metricKey,
+      recordedAt: observation.recordedAt
+    });
+  }
+
+  return Promise.all([...byEnrollment].map(([enrollmentId, items]) =>
+    publish('observation.created', enrollmentId, { observations: items })
+  ));
+};
+
+module.exports = {
+  EVENT_PERMISSIONS,
+  canReceive,
+  formatEvent,
+  addClient,
+  clientCount,
+  dispatch,
+  publish,
+  publishAlert,
+  publishObservations
+};
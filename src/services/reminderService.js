@@ -1,41 +1,306 @@
 const { PrismaClient } = require('../../generated/prisma');
+const { withAudit } = require('./auditService');
+const notificationService = require('./notificationService');
 
-const prisma = new PrismaClient();
+// Use global prisma client in test environment, otherwise create new instance
+const prisma = withAudit(global.prisma || new PrismaClient());
 
-async function setupDailyReminderRule(enrollmentId, reminderSettings) {
+const DEFAULT_TIMEZONE = process.env.REMINDER_DEFAULT_TIMEZONE || 'America/New_York';
+
+// How long after its scheduled time a reminder may still go out (missed ticks, restarts)
+const REMINDER_WINDOW_MINUTES = parseInt(process.env.REMINDER_WINDOW_MINUTES, 10) || 60;
+
+// Days between reminders for each MetricDefinition.defaultFrequency. multiple_daily templates
+// are reminded at every configured time; as_needed templates are never reminded.
+const FREQUENCY_DAYS = {
+  multiple_daily: 0,
+  daily: 1,
+  weekly: 7,
+  biweekly: 14,
+  monthly: 30,
+  quarterly: 91
+};
+
+// 'auto' follows the frequencies of each template's metrics
+const REMINDER_FREQUENCIES = ['auto', ...Object.keys(FREQUENCY_DAYS)];
+
+const isValidTimeZone = (timeZone) => {
+  if (!timeZone || typeof timeZone !== 'string') return false;
   try {
-    if (!reminderSettings.dailyAssessment) {
-      return; // No reminder needed
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+// "HH:MM" to minutes after midnight, or null
+const parseTime = (value) => {
+  const match = /^([01]\d|2[0-3]):([0-5]\d)$/.exec(value || '');
+  return match ? parseInt(match[1], 10) * 60 + parseInt(match[2], 10) : null;
+};
+
+// Calendar date, weekday (0 = Sunday), minutes after midnight and UTC offset of an instant
+// in a time zone
+const localParts = (date, timeZone) => {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit'
+  }).formatToParts(date);
+  const get = (type) => parseInt(parts.find(part => part.type === type).value, 10);
+
+  const [year, month, day, hour, minute, second] =
+    ['year', 'month', 'day', 'hour', 'minute', 'second'].map(get);
+  const localAsUtc = Date.UTC(year, month - 1, day, hour, minute, second);
+
+  return {
+    year,
+    month,
+    day,
+    weekday: new Date(Date.UTC(year, month - 1, day)).getUTCDay(),
+    minutes: hour * 60 + minute,
+    offsetMs: localAsUtc - Math.floor(date.getTime() / 1000) * 1000
+  };
+};
+
+// The instant of a wall-clock time on a calendar date in a time zone. `daysAgo` steps back
+// whole calendar days, so DST changes in between do not shift the time of day.
+const zonedTime = ({ year, month, day }, minutes, timeZone, daysAgo = 0) => {
+  const guess = Date.UTC(year, month - 1, day - daysAgo, 0, minutes);
+  const estimate = guess - localParts(new Date(guess), timeZone).offsetMs;
+  // The offset at the guess can differ from the one at the result across a DST change
+  return new Date(guess - localParts(new Date(estimate), timeZone).offsetMs);
+};
+
+// Midnight of the day `date` falls on in a time zone
+const startOfLocalDay = (date, timeZone) => zonedTime(localParts(date, timeZone), 0, timeZone);
+
+const inQuietHours = (minutes, quietHours) => {
+  if (!quietHours) return false;
+  const { start, end } = quietHours;
+  return start <= end
+    ? minutes >= start && minutes < end
+    : minutes >= start || minutes < end;
+};
+
+// Fill in defaults for an enrollment's reminderSettings:
+// { dailyAssessment, reminderTime | reminderTimes, daysOfWeek, frequency, timezone, quietHours: { start, end }, methods }
+const normalizeReminderSettings = (settings) => {
+  const raw = settings || {};
+
+  const requestedTimes = Array.isArray(raw.reminderTimes) && raw.reminderTimes.length > 0
+    ? raw.reminderTimes
+    : [raw.reminderTime || '09:00'];
+  const times = [...new Set(requestedTimes.map(parseTime).filter(minutes => minutes !== null))]
+    .sort((a, b) => a - b);
+
+  const quietStart = parseTime(raw.quietHours?.start);
+  const quietEnd = parseTime(raw.quietHours?.end);
+
+  return {
+    enabled: raw.dailyAssessment === true,
+    times: times.length > 0 ? times : [parseTime('09:00')],
+    daysOfWeek: Array.isArray(raw.daysOfWeek) && raw.daysOfWeek.length > 0
+      ? raw.daysOfWeek.map(Number)
+      : [0, 1, 2, 3, 4, 5, 6],
+    frequency: REMINDER_FREQUENCIES.includes(raw.frequency) ? raw.frequency : 'auto',
+    timezone: isValidTimeZone(raw.timezone) ? raw.timezone : DEFAULT_TIMEZONE,
+    quietHours: quietStart !== null && quietEnd !== null && quietStart !== quietEnd
+      ? { start: quietStart, end: quietEnd }
+      : null,
+    methods: Array.isArray(raw.methods) && raw.methods.length > 0 ? raw.methods : ['email']
+  };
+};
+
+// Reminder frequency of a template: the most frequent of its metrics' defaultFrequency, daily
+// when none is set, and null when every metric is as_needed
+const templateFrequency = (template) => {
+  const frequencies = (template.items || []).map(item => item.metricDefinition?.defaultFrequency);
+  const known = frequencies.filter(frequency => frequency in FREQUENCY_DAYS);
+
+  if (known.length === 0) {
+    return frequencies.length > 0 && frequencies.every(frequency => frequency === 'as_needed')
+      ? null
+      : 'daily';
+  }
+
+  return known.reduce((best, frequency) => (FREQUENCY_DAYS[frequency] < FREQUENCY_DAYS[best] ? frequency : best));
+};
+
+// The reminder slot open at `now`, as { slotAt, previousSlotAt, local }, or { reason } when no
+// reminder is due. Times inside quiet hours are moved to the end of the quiet hours.
+const currentReminderSlot = (settings, now = new Date(), windowMinutes = REMINDER_WINDOW_MINUTES) => {
+  if (!settings.enabled) return { reason: 'disabled' };
+
+  const local = localParts(now, settings.timezone);
+  if (!settings.daysOfWeek.includes(local.weekday)) return { reason: 'not_scheduled_day' };
+  if (inQuietHours(local.minutes, settings.quietHours)) return { reason: 'quiet_hours' };
+
+  const slots = [...new Set(settings.times.map(minutes =>
+    (inQuietHours(minutes, settings.quietHours) ? settings.quietHours.end : minutes)
+  ))].sort((a, b) => a - b);
+
+  const index = slots.filter(minutes => minutes <= local.minutes).length - 1;
+  if (index < 0) return { reason: 'not_due' };
+
+  const slotAt = zonedTime(local, slots[index], settings.timezone);
+  if (now.getTime() - slotAt.getTime() >= windowMinutes * 60 * 1000) return { reason: 'not_due' };
+
+  return {
+    slotAt,
+    previousSlotAt: index > 0 ? zonedTime(local, slots[index - 1], settings.timezone) : null,
+    local
+  };
+};
+
+// Start of the period a completion must fall in to count for a slot. For multiple_daily that is
+// halfway from the previous slot, so answering a morning reminder late does not cover the evening.
+const periodStart = (settings, slot, frequency) => {
+  const days = FREQUENCY_DAYS[frequency];
+  if (days > 0) return zonedTime(slot.local, 0, settings.timezone, days - 1);
+  if (!slot.previousSlotAt) return zonedTime(slot.local, 0, settings.timezone);
+
+  const previous = slot.previousSlotAt.getTime();
+  return new Date(previous + (slot.slotAt.getTime() - previous) / 2);
+};
+
+// Templates not yet completed in their current period (the last N local days, or since the
+// previous slot for multiple_daily)
+const dueTemplates = (settings, slot, templates, lastCompletedAt = {}) => templates.filter(template => {
+  const frequency = settings.frequency === 'auto' ? templateFrequency(template) : settings.frequency;
+  if (!frequency) return false;
+
+  const completedAt = lastCompletedAt[template.id];
+  return !completedAt || new Date(completedAt) < periodStart(settings, slot, frequency);
+});
+
+// Decide whether an enrollment gets a reminder now. Returns { send, reason, slotAt, templateIds }.
+const planReminder = (reminderSettings, {
+  now = new Date(),
+  templates = [],
+  lastCompletedAt = {},
+  lastReminderAt = null,
+  windowMinutes = REMINDER_WINDOW_MINUTES
+} = {}) => {
+  const settings = normalizeReminderSettings(reminderSettings);
+  const slot = currentReminderSlot(settings, now, windowMinutes);
+  if (slot.reason) return { send: false, reason: slot.reason };
+
+  if (lastReminderAt && new Date(lastReminderAt) >= slot.slotAt) {
+    return { send: false, reason: 'already_sent', slotAt: slot.slotAt };
+  }
+
+  const due = dueTemplates(settings, slot, templates, lastCompletedAt);
+  if (due.length === 0) return { send: false, reason: 'completed', slotAt: slot.slotAt };
+
+  return { send: true, slotAt: slot.slotAt, templateIds: due.map(template => template.id) };
+};
+
+// Send every reminder due at `now`. Sent reminders are recognised by the daily_reminder link
+// each one issues, so a slot is never reminded twice.
+const runReminders = async ({ now = new Date(), windowMinutes = REMINDER_WINDOW_MINUTES } = {}) => {
+  const enrollments = await prisma.enrollment.findMany({
+    where: {
+      status: 'active',
+      reminderSettings: {
+        path: ['dailyAssessment'],
+        equals: true
+      }
+    },
+    select: {
+      id: true,
+      patientId: true,
+      reminderSettings: true,
+      preset: {
+        select: {
+          templates: {
+            select: {
+              template: {
+                select: {
+                  id: true,
+                  items: { select: { metricDefinition: { select: { defaultFrequency: true } } } }
+                }
+              }
+            }
+          }
+        }
+      }
     }
+  });
 
-    // Create a daily reminder alert rule for this specific enrollment
-    const alertRule = await prisma.alertRule.create({
-      data: {
-        name: `Daily Reminder - Enrollment ${enrollmentId}`,
-        severity: 'low',
-        window: '1d',
-        expression: {
-          condition: 'daily_reminder',
-          enrollmentId: enrollmentId,
-          reminderTime: reminderSettings.reminderTime || '09:00'
-        },
-        actions: {
-          notify: ['patient'],
-          reminder: true,
-          methods: reminderSettings.methods || ['email']
-        },
-        cooldown: '23h'
+  const sent = [];
+  const skipped = {};
+  const errors = [];
+
+  for (const enrollment of enrollments) {
+    try {
+      const settings = normalizeReminderSettings(enrollment.reminderSettings);
+
+      // Most enrollments are outside their reminder window; skip the history queries for them
+      const slot = currentReminderSlot(settings, now, windowMinutes);
+      if (slot.reason) {
+        skipped[slot.reason] = (skipped[slot.reason] || 0) + 1;
+        continue;
       }
-    });
 
-    console.log(`Daily reminder rule created for enrollment ${enrollmentId}`);
-    return alertRule;
-  } catch (error) {
-    console.error('Error setting up daily reminder rule:', error);
-    throw error;
+      const [completions, lastReminder] = await Promise.all([
+        prisma.assessmentResponse.groupBy({
+          by: ['templateId'],
+          where: { enrollmentId: enrollment.id, completedAt: { not: null } },
+          _max: { completedAt: true }
+        }),
+        prisma.patientAccessLink.findFirst({
+          where: { enrollmentId: enrollment.id, purpose: 'daily_reminder' },
+          orderBy: { createdAt: 'desc' },
+          select: { createdAt: true }
+        })
+      ]);
+
+      const plan = planReminder(enrollment.reminderSettings, {
+        now,
+        windowMinutes,
+        templates: enrollment.preset.templates.map(entry => entry.template),
+        lastCompletedAt: Object.fromEntries(completions.map(row => [row.templateId, row._max.completedAt])),
+        lastReminderAt: lastReminder?.createdAt
+      });
+
+      if (!plan.send) {
+        skipped[plan.reason] = (skipped[plan.reason] || 0) + 1;
+        continue;
+      }
+
+      const channels = await notificationService.sendDailyReminder(enrollment.patientId, enrollment.id, settings);
+      sent.push({ enrollmentId: enrollment.id, templateIds: plan.templateIds, channels });
+    } catch (error) {
+      console.error(`Error sending reminder for enrollment ${enrollment.id}:`, error);
+      errors.push({ enrollmentId: enrollment.id, error: error.message });
+    }
   }
-}
+
+  return {
+    enrollmentsChecked: enrollments.length,
+    sent,
+    skipped,
+    errors
+  };
+};
 
 module.exports = {
-  setupDailyReminderRule
-};
\ No newline at end of file
+  FREQUENCY_DAYS,
+  REMINDER_FREQUENCIES,
+  isValidTimeZone,
+  parseTime,
+  localParts,
+  zonedTime,
+  startOfLocalDay,
+  normalizeReminderSettings,
+  templateFrequency,
+  planReminder,
+  runReminders
+};
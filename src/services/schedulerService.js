@@ -1,50 +1,37 @@
 const cron = require('node-cron');
-const { PrismaClient } = require('../../generated/prisma');
-const notificationService = require('./notificationService');
+const { runReminders } = require('./reminderService');
 
-const prisma = new PrismaClient();
+// Every 5 minutes by default; each enrollment is reminded at its own times in its own time zone.
+// Override with REMINDER_CRON.
+const REMINDER_CRON = process.env.REMINDER_CRON || '*/5 * * * *';
 
-// Daily cron job to send reminders at 9 AM
-cron.schedule('0 9 * * *', async () => {
-  console.log('Running daily reminder job...');
-  
-  try {
-    const activeEnrollments = await prisma.enrollment.findMany({
-      where: {
-        status: 'active',
-        reminderSettings: {
-          path: ['dailyAssessment'],
-          equals: true
-        }
-      },
-      include: { 
-        patient: {
-          select: {
-            id: true,
-            firstName: true,
-            email: true,
-            phone: true
-          }
-        }
-      }
-    });
+let running = false;
+
+// Send the assessment reminders that have come due since the last run
+cron.schedule(REMINDER_CRON, async () => {
+  // Skip this tick if the previous run is still going
+  if (running) {
+    console.log('Reminder job still running, skipping this run');
+    return;
+  }
 
-    console.log(`Found ${activeEnrollments.length} enrollments with daily reminders enabled`);
+  running = true;
 
-    for (const enrollment of activeEnrollments) {
-      await notificationService.sendDailyReminder(
-        enrollment.patientId,
-        enrollment.id,
-        enrollment.reminderSettings
+  try {
+    const summary = await runReminders();
+    if (summary.sent.length > 0 || summary.errors.length > 0) {
+      console.log(
+        `Reminder job completed: ${summary.sent.length} sent, ${summary.errors.length} errors ` +
+        `(${summary.enrollmentsChecked} enrollments checked)`
       );
     }
-
-    console.log('Daily reminder job completed');
   } catch (error) {
-    console.error('Error in daily reminder job:', error);
+    console.error('Error in reminder job:', error);
+  } finally {
+    running = false;
   }
 });
 
-console.log('Daily reminder scheduler initialized');
+console.log(`Reminder scheduler initialized (${REMINDER_CRON})`);
 
-module.exports = {};
\ No newline at end of file
+module.exports = {};
@@ -0,0 +1,258 @@
+const crypto = require('crypto');
+const { PrismaClient } = require('../../generated/prisma');
+
+// Use global prisma client in test environment, otherwise create new instance
+const prisma = global.prisma || new PrismaClient();
+
+// Scores standardized instruments from AssessmentTemplate.scoringInfo:
+//
+//   {
+//     totalScore: { range: '0-27', interpretation: { '0-4': 'Minimal depression', ... } },
+//     subscales: {
+//       severity: { label: 'Pain Severity', method: 'mean', items: [...], minItems: 3, range: '0-10' }
+//     }
+//   }
+//
+// A scale scores the template's items (all of them unless `items` lists metric keys) by `method`
+// 'sum' (default) or 'mean'. An item may be `{ metricKey, reverse: true, scaleTo: 10 }` to reverse
+// it within its metric's scaleMin..scaleMax and/or rescale it to 0..scaleTo. `minItems` (default:
+// every item) is how many answers the scale needs. `metricKey` names the metric the score is stored
+// under; it defaults to `<instrument>_<scale>_score`, e.g. phq9_total_score.
+
+const round = (value) => Math.round(value * 100) / 100;
+
+const slug = (value) => String(value || '').toLowerCase().replace(/[^a-z0-9]+/g, '');
+
+// '10-14' -> { min: 10, max: 14 }, or null when malformed
+const parseRange = (range) => {
+  const match = /^\s*(-?\d+(?:\.\d+)?)\s*-\s*(-?\d+(?:\.\d+)?)\s*$/.exec(String(range ?? ''));
+  return match ? { min: Number(match[1]), max: Number(match[2]) } : null;
+};
+
+// Bands are read as lower bounds so fractional scores (means, rescaled items) fall in the band
+// they have reached: with '1-4' and '5-6', a mean of 4.5 is still in '1-4'. Scores below the
+// first band or above the last band's upper bound have no interpretation.
+const interpretScore = (score, interpretation) => {
+  const bands = Object.entries(interpretation || {})
+    .map(([range, label]) => ({ range, label, ...parseRange(range) }))
+    .filter(band => band.min !== undefined)
+    .sort((a, b) => a.min - b.min);
+
+  if (bands.length === 0 || score < bands[0].min || score > bands[bands.length - 1].max) return null;
+
+  const band = bands.filter(candidate => candidate.min <= score).pop();
+  return { range: band.range, label: band.label };
+};
+
+// Numeric value of a response: numbers as-is, numeric codes parsed, and option labels
+// (e.g. 'Several days') mapped to their option code or position
+const responseValue = (response, metricDefinition) => {
+  if (!response) return null;
+  if (response.valueNumeric !== null && response.valueNumeric !== undefined) {
+    return Number(response.valueNumeric);
+  }
+
+  const raw = response.valueCode ?? response.valueText;
+  if (raw === null || raw === undefined || raw === '') return null;
+  if (!isNaN(Number(raw))) return Number(raw);
+
+  const options = metricDefinition?.options?.values || metricDefinition?.options || [];
+  if (!Array.isArray(options)) return null;
+  const index = options.findIndex(option =>
+    (typeof option === 'string' ? option : option.display ?? option.label ?? option.code) === raw
+  );
+  if (index === -1) return null;
+  const code = options[index]?.code ?? options[index]?.value;
+  return code !== undefined && !isNaN(Number(code)) ? Number(code) : index;
+};
+
+const itemSpec = (item) => (typeof item === 'string' ? { metricKey: item } : item);
+
+const itemValue = (spec, value, metricDefinition) => {
+  const min = Number(metricDefinition?.scaleMin ?? 0);
+  const max = Number(metricDefinition?.scaleMax ?? value);
+
+  let result = spec.reverse ? min + max - value : value;
+  if (spec.scaleTo !== undefined && max > min) {
+    result = ((result - min) / (max - min)) * spec.scaleTo;
+  }
+  return result;
+};
+
+// Score one scale; `responses` and `metrics` are keyed by metric key
+const scoreScale = (name, scale, { responses, metrics, itemKeys, instrument }) => {
+  const specs = (scale.items || itemKeys).map(itemSpec);
+  const method = scale.method === 'mean' ? 'mean' : 'sum';
+  const minItems = scale.minItems ?? specs.length;
+
+  const values = specs
+    .map(spec => {
+      const value = responseValue(responses[spec.metricKey], metrics[spec.metricKey]);
+      return value === null ? null : itemValue(spec, value, metrics[spec.metricKey]);
+    })
+    .filter(value => value !== null);
+
+  const result = {
+    scale: name,
+    label: scale.label || (name === 'total' ? 'Total Score' : name),
+    metricKey: scale.metricKey || `${instrument}_${slug(name)}_score`,
+    method,
+    range: scale.range || null,
+    answered: values.length,
+    itemCount: specs.length
+  };
+
+  if (values.length === 0 || values.length < minItems) {
+    return { ...result, score: null, interpretation: null };
+  }
+
+  const total = values.reduce((sum, value) => sum + value, 0);
+  const score = round(method === 'mean' ? total / values.length : total);
+  return { ...result, score, interpretation: interpretScore(score, scale.interpretation) };
+};
+
+// Score a template submission. `template.items` carry their metricDefinition; `responses` maps
+// metric key -> { valueNumeric | valueCode | valueText }. Returns null unless the template has
+// scoring rules and every required item (every item, when none is required) was answered.
+const scoreTemplate = (template, responses) => {
+  const scoringInfo = template?.scoringInfo;
+  if (!scoringInfo || (!scoringInfo.totalScore && !scoringInfo.subscales)) return null;
+
+  const items = template.items || [];
+  const metrics = Object.fromEntries(items.map(item => [item.metricDefinition.key, item.metricDefinition]));
+  const itemKeys = items.map(item => item.metricDefinition.key);
+
+  const requiredKeys = items.some(item => item.required)
+    ? items.filter(item => item.required).map(item => item.metricDefinition.key)
+    : itemKeys;
+  if (requiredKeys.some(key => responseValue(responses[key], metrics[key]) === null)) return null;
+
+  const instrument = slug(template.validationInfo?.instrument) || slug(template.name);
+  const context = { responses, metrics, itemKeys, instrument };
+
+  const scores = [
+    ...(scoringInfo.totalScore ? [scoreScale('total', scoringInfo.totalScore, context)] : []),
+    ...Object.entries(scoringInfo.subscales || {}).map(([name, scale]) => scoreScale(name, scale, context))
+  ];
+
+  // The headline band: the total score's, else the first subscale with one
+  const primary = scores.find(score => score.interpretation);
+
+  return {
+    templateId: template.id,
+    scores,
+    interpretation: primary ? { scale: primary.scale, ...primary.interpretation } : null
+  };
+};
+
+// Metric definition that stores a derived score; created on first use
+const ensureScoreMetric = async (score, template) => {
+  const existing = await prisma.metricDefinition.findFirst({
+    where: { key: score.metricKey, activeTo: null },
+    orderBy: { version: 'desc' }
+  });
+  if (existing) return existing;
+
+  const range = parseRange(score.range);
+  try {
+    return await prisma.metricDefinition.create({
+      data: {
+        key: score.metricKey,
+        displayName: `${template.validationInfo?.instrument || template.name}: ${score.label}`,
+        valueType: 'numeric',
+        unit: 'score',
+        scaleMin: range?.min ?? null,
+        scaleMax: range?.max ?? null,
+        decimalPrecision: score.method === 'mean' ? 2 : 0,
+        validation: { derived: true, templateId: template.id }
+      }
+    });
+  } catch (error) {
+    // A concurrent submission created it first
+    if (error.code === 'P2002') {
+      return prisma.metricDefinition.findFirst({ where: { key: score.metricKey }, orderBy: { version: 'desc' } });
+    }
+    throw error;
+  }
+};
+
+// Score one submission of a template. `rows` are the observation rows about to be written for
+// it; returns the scoring result plus the derived score observations (tagged with
+// `context.submissionId`) to write with them, or null when the submission is not scorable.
+const scoreResponse = async (template, rows, { submissionId }) => {
+  const responses = Object.fromEntries(rows.map(row => [row.metricKey, row]));
+  const result = scoreTemplate(template, responses);
+  if (!result) return null;
+
+  const { enrollmentId, patientId } = rows[0];
+  const recordedAt = new Date(Math.max(...rows.map(row => new Date(row.recordedAt).getTime())));
+  const derivedObservations = [];
+
+  for (const score of result.scores.filter(item => item.score !== null)) {
+    const metricDefinition = await ensureScoreMetric(score, template);
+    derivedObservations.push({
+      patientId,
+      enrollmentId,
+      templateId: template.id,
+      metricDefinitionId: metricDefinition.id,
+      metricKey: metricDefinition.key,
+      metricDefinitionVersion: metricDefinition.version,
+      recordedAt,
+      source: rows[0].source,
+      valueNumeric: score.score,
+      unit: 'score',
+      context: {
+        submissionId,
+        derived: true,
+        scale: score.scale,
+        interpretation: score.interpretation?.label || null
+      },
+      raw: { method: score.method, answered: score.answered, itemCount: score.itemCount }
+    });
+  }
+
+  return { ...result, derivedObservations };
+};
+
+// Ingest step for bulk writes: group the observation rows about to be written by enrollment
+// and template and score every complete submission. Rows of a scored submission get
+// `context.submissionId`, which their derived observations share.
+const scoreSubmissions = async (observations) => {
+  const groups = new Map();
+  for (const observation of observations) {
+    if (!observation.templateId) continue;
+    const key = `${observation.enrollmentId}:${observation.templateId}`;
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(observation);
+  }
+
+  const submissions = [];
+
+  for (const rows of groups.values()) {
+    const { templateId, enrollmentId } = rows[0];
+    const template = await prisma.assessmentTemplate.findUnique({
+      where: { id: templateId },
+      include: { items: { include: { metricDefinition: true } } }
+    });
+
+    const submissionId = crypto.randomUUID();
+    const result = await scoreResponse(template, rows, { submissionId });
+    if (!result) continue;
+
+    rows.forEach(row => {
+      row.context = { ...(row.context || {}), submissionId };
+    });
+    submissions.push({ submissionId, enrollmentId, ...result });
+  }
+
+  return submissions;
+};
+
+module.exports = {
+  parseRange,
+  interpretScore,
+  responseValue,
+  scoreTemplate,
+  scoreResponse,
+  scoreSubmissions
+};
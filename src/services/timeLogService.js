@@ -0,0 +1,45 @@
+// Logged minutes may differ from the start/end interval by this much (rounding of manual entries)
+const MINUTES_TOLERANCE = 1;
+
+// Codes billed on management time rather than device days
+const TIME_BASED_CPT_CODES = ['CPT_98980', 'CPT_98981', 'CPT_99457', 'CPT_99458'];
+
+// Whole minutes between two instants
+const intervalMinutes = (startedAt, endedAt) =>
+  Math.round((new Date(endedAt).getTime() - new Date(startedAt).getTime()) / 60000);
+
+// Work out the minutes for a completed time log. `minutes` is optional and defaults to the
+// interval; when given it has to agree with the interval. Returns { minutes } or { error }.
+const resolveMinutes = ({ startedAt, endedAt, minutes }) => {
+  const start = new Date(startedAt);
+  const end = new Date(endedAt);
+
+  if (Number.isNaN(start.getTime()) || Number.isNaN(end.getTime())) {
+    return { error: 'startedAt and endedAt must be valid dates' };
+  }
+  if (end <= start) {
+    return { error: 'endedAt must be after startedAt' };
+  }
+
+  const elapsed = intervalMinutes(start, end);
+  if (minutes === undefined || minutes === null) {
+    return { minutes: elapsed };
+  }
+
+  const logged = Number(minutes);
+  if (!Number.isInteger(logged) || logged < 0) {
+    return { error: 'minutes must be a non-negative integer' };
+  }
+  if (Math.abs(logged - elapsed) > MINUTES_TOLERANCE) {
+    return { error: `minutes (${logged}) does not match the ${elapsed} minute interval between startedAt and endedAt` };
+  }
+
+  return { minutes: logged };
+};
+
+module.exports = {
+  MINUTES_TOLERANCE,
+  TIME_BASED_CPT_CODES,
+  intervalMinutes,
+  resolveMinutes
+};
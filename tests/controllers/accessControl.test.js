@@ -0,0 +1,180 @@
+const request = require('supertest');
+const express = require('express');
+const patientRoutes = require('../../src/routes/patientRoutes');
+const metricDefinitionRoutes = require('../../src/routes/metricDefinitionRoutes');
+const observationRoutes = require('../../src/routes/observationRoutes');
+const patientMedicationRoutes = require('../../src/routes/patientMedicationRoutes');
+const alertRuleRoutes = require('../../src/routes/alertRuleRoutes');
+const alertRoutes = require('../../src/routes/alertRoutes');
+const medicationObservationRoutes = require('../../src/routes/medicationObservationRoutes');
+const { actAs } = require('../helpers/auth');
+
+const buildApp = (role, clinicianId) => {
+  const app = express();
+  app.use(express.json());
+  app.use(actAs(role, clinicianId));
+  app.use('/api/patients', patientRoutes);
+  app.use('/api/metric-definitions', metricDefinitionRoutes);
+  app.use('/api/observations', observationRoutes);
+  app.use('/api/patient-medications', patientMedicationRoutes);
+  app.use('/api/alert-rules', alertRuleRoutes);
+  app.use('/api/alerts', alertRoutes);
+  app.use('/api/medication-observations', medicationObservationRoutes);
+  return app;
+};
+
+describe('Access Control', () => {
+  let ownClinician, ownPatient, otherPatient, ownEnrollment, otherEnrollment, metric;
+
+  beforeEach(async () => {
+    const timestamp = Date.now();
+
+    ownClinician = await global.prisma.clinician.create({
+      data: { firstName: 'Own', lastName: 'Clinician', email: `own.${timestamp}@example.com` }
+    });
+    const otherClinician = await global.prisma.clinician.create({
+      data: { firstName: 'Other', lastName: 'Clinician', email: `other.${timestamp}@example.com` }
+    });
+
+    ownPatient = await global.prisma.patient.create({
+      data: { firstName: 'Own', lastName: 'Patient', email: `own.patient.${timestamp}@example.com` }
+    });
+    otherPatient = await global.prisma.patient.create({
+      data: { firstName: 'Other', lastName: 'Patient', email: `other.patient.${timestamp}@example.com` }
+    });
+
+    const preset = await global.prisma.conditionPreset.create({
+      data: { name: `Access Preset ${timestamp}` }
+    });
+
+    [ownEnrollment, otherEnrollment] = await Promise.all([
+      global.prisma.enrollment.create({
+        data: { patientId: ownPatient.id, presetId: preset.id, clinicianId: ownClinician.id, diagnosisCode: 'M79.3', startDate: new Date() }
+      }),
+      global.prisma.enrollment.create({
+        data: { patientId: otherPatient.id, presetId: preset.id, clinicianId: otherClinician.id, diagnosisCode: 'M79.3', startDate: new Date() }
+      })
+    ]);
+
+    metric = await global.prisma.metricDefinition.create({
+      data: {
+        key: `access_metric_${timestamp}`,
+        displayName: 'Access Metric',
+        valueType: 'numeric',
+        scaleMin: 0,
+        scaleMax: 10
+      }
+    });
+  });
+
+  describe('clinicians', () => {
+    it('should only list patients enrolled with them', async () => {
+      const app = buildApp('clinician', ownClinician.id);
+
+      const response = await request(app).get('/api/patients').expect(200);
+
+      expect(response.body.data.map(patient => patient.id)).toEqual([ownPatient.id]);
+    });
+
+    it('should be denied patients enrolled with someone else', async () => {
+      const app = buildApp('clinician', ownClinician.id);
+
+      await request(app).get(`/api/patients/${ownPatient.id}`).expect(200);
+      await request(app).get(`/api/patients/${otherPatient.id}`).expect(403);
+    });
+
+    it('should be denied writes that name someone else\'s enrollment or patient', async () => {
+      const app = buildApp('clinician', ownClinician.id);
+      const observation = (patient, enrollment) => ({
+        patientId: patient.id,
+        enrollmentId: enrollment.id,
+        metricDefinitionId: metric.id,
+        value: 5,
+        recordedAt: new Date().toISOString()
+      });
+
+      await request(app).post('/api/observations').send(observation(otherPatient, otherEnrollment)).expect(403);
+      await request(app)
+        .post('/api/observations/bulk')
+        .send({ observations: [observation(ownPatient, ownEnrollment), observation(otherPatient, otherEnrollment)] })
+        .expect(403);
+      await request(app)
+        .post('/api/patient-medications/safety-check')
+        .send({ patientId: otherPatient.id, drugId: metric.id })
+        .expect(403);
+      await request(app)
+        .post('/api/medication-observations')
+        .send({ patientId: otherPatient.id, enrollmentId: otherEnrollment.id, patientMedicationId: metric.id, metricKey: metric.key, value: 5 })
+        .expect(403);
+      await request(app)
+        .post('/api/medication-observations')
+        .send({ patientId: ownPatient.id, enrollmentId: otherEnrollment.id, patientMedicationId: metric.id, metricKey: metric.key, value: 5 })
+        .expect(403);
+    });
+
+    it('should only test alert rules against their own enrollments', async () => {
+      const app = buildApp('clinician', ownClinician.id);
+      const rule = {
+        name: 'High pain',
+        expression: { condition: 'pain_scale_0_10', operator: 'greater_than', threshold: 7 }
+      };
+
+      await request(app).post('/api/alert-rules/test').send({ rule, enrollmentId: ownEnrollment.id }).expect(200);
+      await request(app).post('/api/alert-rules/test').send({ rule, enrollmentId: otherEnrollment.id }).expect(403);
+    });
+
+    it('should only evaluate alerts for their own enrollments when no enrollment is given', async () => {
+      const app = buildApp('clinician', ownClinician.id);
+      const rule = await global.prisma.alertRule.create({
+        data: {
+          name: 'High pain',
+          severity: 'high',
+          window: '1d',
+          expression: { condition: 'pain_scale_0_10', operator: 'greater_than', threshold: 7 },
+          actions: {}
+        }
+      });
+      await global.prisma.conditionPresetAlertRule.create({
+        data: { presetId: ownEnrollment.presetId, ruleId: rule.id }
+      });
+
+      const response = await request(app)
+        .post('/api/alerts/evaluate')
+        .send({ presetId: ownEnrollment.presetId })
+        .expect(200);
+
+      expect(response.body.evaluationResults.map(result => result.enrollmentId)).toEqual([ownEnrollment.id]);
+    });
+
+    it('should not manage metric definitions', async () => {
+      const app = buildApp('clinician', ownClinician.id);
+
+      await request(app).get('/api/metric-definitions').expect(200);
+      await request(app).delete(`/api/metric-definitions/${metric.id}`).expect(403);
+    });
+  });
+
+  describe('auditors', () => {
+    it('should read every patient but not change any', async () => {
+      const app = buildApp('auditor');
+
+      const response = await request(app).get('/api/patients').expect(200);
+      expect(response.body.data.map(patient => patient.id)).toEqual(
+        expect.arrayContaining([ownPatient.id, otherPatient.id])
+      );
+
+      await request(app)
+        .put(`/api/patients/${otherPatient.id}`)
+        .send({ firstName: 'Changed' })
+        .expect(403);
+    });
+  });
+
+  describe('admins', () => {
+    it('should delete metric definitions', async () => {
+      const app = buildApp('admin');
+
+      await request(app).delete(`/api/metric-definitions/${metric.id}`).expect(200);
+    });
+  });
+});
@@ -1,5 +1,6 @@
 const request = require('supertest');
 const { app } = require('../../index');
+const { authHeader } = require('../helpers/auth');
 
 describe('Alert Controller', () => {
   let testPatient, testClinician, testEnrollment, testAlert;
@@ -68,6 +69,7 @@ describe('Alert Controller', () => {
 
       const response = await request(app)
         .post('/api/alerts')
+        .set(authHeader)
         .send(alertData)
         .expect(201);
 
@@ -83,6 +85,7 @@ describe('Alert Controller', () => {
     it('should validate required fields', async () => {
       const response = await request(app)
         .post('/api/alerts')
+        .set(authHeader)
         .send({})
         .expect(400);
 
@@ -120,6 +123,7 @@ describe('Alert Controller', () => {
     it('should get all alerts with pagination', async () => {
       const response = await request(app)
         .get('/api/alerts')
+        .set(authHeader)
         .expect(200);
 
       expect(response.body.success).toBe(true);
@@ -134,6 +138,7 @@ describe('Alert Controller', () => {
     it('should filter alerts by status', async () => {
       const response = await request(app)
         .get('/api/alerts?status=open')
+        .set(authHeader)
         .expect(200);
 
       expect(response.body.alerts).toHaveLength(1);
@@ -143,6 +148,7 @@ describe('Alert Controller', () => {
     it('should filter alerts by severity', async () => {
       const response = await request(app)
         .get('/api/alerts?severity=high')
+        .set(authHeader)
         .expect(200);
 
       expect(response.body.alerts).toHaveLength(1);
@@ -152,6 +158,7 @@ describe('Alert Controller', () => {
     it('should search alerts by title', async () => {
       const response = await request(app)
         .get('/api/alerts?search=Medication')
+        .set(authHeader)
         .expect(200);
 
       expect(response.body.alerts).toHaveLength(1);
@@ -177,6 +184,7 @@ describe('Alert Controller', () => {
     it('should get alert by ID', async () => {
       const response = await request(app)
         .get(`/api/alerts/${testAlert.id}`)
+        .set(authHeader)
         .expect(200);
 
       expect(response.body.success).toBe(true);
@@ -189,6 +197,7 @@ describe('Alert Controller', () => {
       
       const response = await request(app)
         .get(`/api/alerts/${nonExistentId}`)
+        .set(authHeader)
         .expect(404);
 
       expect(response.body.success).toBe(false);
@@ -219,6 +228,7 @@ describe('Alert Controller', () => {
 
       const response = await request(app)
         .put(`/api/alerts/${testAlert.id}`)
+        .set(authHeader)
         .send(updateData)
         .expect(200);
 
@@ -232,6 +242,7 @@ describe('Alert Controller', () => {
       
       const response = await request(app)
         .put(`/api/alerts/${nonExistentId}`)
+        .set(authHeader)
         .send({ status: 'acknowledged' })
         .expect(404);
 
@@ -257,6 +268,7 @@ describe('Alert Controller', () => {
     it('should delete alert successfully', async () => {
       const response = await request(app)
         .delete(`/api/alerts/${testAlert.id}`)
+        .set(authHeader)
         .expect(200);
 
       expect(response.body.success).toBe(true);
@@ -268,6 +280,7 @@ describe('Alert Controller', () => {
       
       const response = await request(app)
         .delete(`/api/alerts/${nonExistentId}`)
+        .set(authHeader)
         .expect(404);
 
       expect(response.body.success).toBe(false);
@@ -312,6 +325,7 @@ describe('Alert Controller', () => {
     it('should get alert statistics', async () => {
       const response = await request(app)
         .get('/api/alerts/stats')
+        .set(authHeader)
         .expect(200);
 
       expect(response.body.success).toBe(true);
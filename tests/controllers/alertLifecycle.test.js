@@ -0,0 +1,183 @@
+const request = require('supertest');
+const express = require('express');
+const alertRoutes = require('../../src/routes/alertRoutes');
+const { actAs } = require('../helpers/auth');
+
+// Requests act as an admin signed in as the test clinician
+let testClinician;
+
+const app = express();
+app.use(express.json());
+app.use((req, res, next) => actAs('admin', testClinician.id)(req, res, next));
+app.use('/api/alerts', alertRoutes);
+
+describe('Alert Lifecycle', () => {
+  let otherClinician, testAlert;
+
+  beforeEach(async () => {
+    const timestamp = Date.now();
+
+    const patient = await global.prisma.patient.create({
+      data: {
+        firstName: 'Test',
+        lastName: 'Patient',
+        email: `test.patient.${timestamp}@example.com`
+      }
+    });
+
+    testClinician = await global.prisma.clinician.create({
+      data: {
+        firstName: 'Test',
+        lastName: 'Clinician',
+        email: `test.clinician.${timestamp}@example.com`
+      }
+    });
+
+    otherClinician = await global.prisma.clinician.create({
+      data: {
+        firstName: 'Care',
+        lastName: 'Coordinator',
+        email: `care.coordinator.${timestamp}@example.com`
+      }
+    });
+
+    const preset = await global.prisma.conditionPreset.create({
+      data: { name: `Lifecycle Preset ${timestamp}` }
+    });
+
+    const enrollment = await global.prisma.enrollment.create({
+      data: {
+        patientId: patient.id,
+        presetId: preset.id,
+        clinicianId: testClinician.id,
+        diagnosisCode: 'M79.3',
+        startDate: new Date(),
+        status: 'active'
+      }
+    });
+
+    const rule = await global.prisma.alertRule.create({
+      data: {
+        name: `Lifecycle Rule ${timestamp}`,
+        severity: 'high',
+        window: '1d',
+        expression: { condition: 'pain_scale_0_10', operator: 'greater_than', threshold: 7 },
+        actions: {}
+      }
+    });
+
+    testAlert = await global.prisma.alert.create({
+      data: {
+        ruleId: rule.id,
+        enrollmentId: enrollment.id,
+        status: 'open',
+        facts: { trigger: 'pain_scale_0_10 9 > 7' }
+      }
+    });
+  });
+
+  it('should acknowledge an open alert with a note and record the event', async () => {
+    const response = await request(app)
+      .post(`/api/alerts/${testAlert.id}/ack`)
+      .send({ note: 'Calling patient now' })
+      .expect(200);
+
+    expect(response.body.status).toBe('ack');
+    expect(response.body.acknowledgedAt).toBeTruthy();
+    expect(response.body.events).toHaveLength(1);
+    expect(response.body.events[0]).toMatchObject({
+      type: 'acknowledged',
+      fromStatus: 'open',
+      toStatus: 'ack',
+      actorId: testClinician.id,
+      note: 'Calling patient now'
+    });
+  });
+
+  it('should record the signed-in clinician as the actor, not one given in the body', async () => {
+    const response = await request(app)
+      .post(`/api/alerts/${testAlert.id}/ack`)
+      .send({ actorId: otherClinician.id })
+      .expect(200);
+
+    expect(response.body.events[0].actorId).toBe(testClinician.id);
+  });
+
+  it('should reject acknowledging an alert twice', async () => {
+    await request(app).post(`/api/alerts/${testAlert.id}/ack`).send({}).expect(200);
+
+    const response = await request(app)
+      .post(`/api/alerts/${testAlert.id}/ack`)
+      .send({})
+      .expect(409);
+
+    expect(response.body.error).toBe('Alert is already acknowledged');
+  });
+
+  it('should let only one of two concurrent acknowledgements through', async () => {
+    const responses = await Promise.all([
+      request(app).post(`/api/alerts/${testAlert.id}/ack`).send({}),
+      request(app).post(`/api/alerts/${testAlert.id}/ack`).send({})
+    ]);
+
+    expect(responses.map(response => response.status).sort()).toEqual([200, 409]);
+    expect(await global.prisma.alertEvent.count({ where: { alertId: testAlert.id, type: 'acknowledged' } })).toBe(1);
+  });
+
+  it('should assign an alert to a clinician', async () => {
+    const response = await request(app)
+      .post(`/api/alerts/${testAlert.id}/assign`)
+      .send({ clinicianId: otherClinician.id })
+      .expect(200);
+
+    expect(response.body.assignedTo.id).toBe(otherClinician.id);
+    expect(response.body.events[0].data).toEqual({
+      fromClinicianId: null,
+      toClinicianId: otherClinician.id,
+      toClinicianName: 'Care Coordinator'
+    });
+  });
+
+  it('should resolve an alert with a coded reason', async () => {
+    const response = await request(app)
+      .post(`/api/alerts/${testAlert.id}/resolve`)
+      .send({ resolutionCode: 'medication_adjusted', note: 'Increased dose' })
+      .expect(200);
+
+    expect(response.body.status).toBe('closed');
+    expect(response.body.resolutionCode).toBe('medication_adjusted');
+    expect(response.body.resolutionNote).toBe('Increased dose');
+  });
+
+  it('should require a note when resolving with reason "other"', async () => {
+    await request(app)
+      .post(`/api/alerts/${testAlert.id}/resolve`)
+      .send({ resolutionCode: 'other' })
+      .expect(400);
+
+    await request(app)
+      .post(`/api/alerts/${testAlert.id}/resolve`)
+      .send({ resolutionCode: 'not_a_code', note: 'x' })
+      .expect(400);
+  });
+
+  it('should return the full timeline with the alert', async () => {
+    await request(app).post(`/api/alerts/${testAlert.id}/assign`).send({ clinicianId: testClinician.id }).expect(200);
+    await request(app).post(`/api/alerts/${testAlert.id}/ack`).send({}).expect(200);
+    await request(app).post(`/api/alerts/${testAlert.id}/resolve`).send({ resolutionCode: 'patient_contacted' }).expect(200);
+
+    const response = await request(app)
+      .get(`/api/alerts/${testAlert.id}`)
+      .expect(200);
+
+    expect(response.body.events.map(event => event.type)).toEqual(['assigned', 'acknowledged', 'resolved']);
+    expect(response.body.events[1].actor.id).toBe(testClinician.id);
+  });
+
+  it('should not allow status changes through the generic update', async () => {
+    await request(app)
+      .put(`/api/alerts/${testAlert.id}`)
+      .send({ status: 'closed' })
+      .expect(400);
+  });
+});
@@ -0,0 +1,168 @@
+const request = require('supertest');
+const express = require('express');
+const enrollmentRoutes = require('../../src/routes/enrollmentRoutes');
+const { actAs } = require('../helpers/auth');
+
+const app = express();
+app.use(express.json());
+app.use(actAs('admin'));
+app.use('/api/enrollments', enrollmentRoutes);
+
+describe('Assessment Response Controller', () => {
+  let testPatient, testEnrollment, testPreset, template, itemMetrics, timestamp;
+
+  beforeEach(async () => {
+    timestamp = Date.now();
+
+    testPatient = await global.prisma.patient.create({
+      data: { firstName: 'Test', lastName: 'Patient', email: `test.patient.${timestamp}@example.com` }
+    });
+    testPreset = await global.prisma.conditionPreset.create({
+      data: { name: `Assessment Preset ${timestamp}` }
+    });
+    testEnrollment = await global.prisma.enrollment.create({
+      data: {
+        patientId: testPatient.id,
+        presetId: testPreset.id,
+        diagnosisCode: 'M79.3',
+        startDate: new Date()
+      }
+    });
+
+    itemMetrics = await Promise.all(['interest', 'mood'].map(name =>
+      global.prisma.metricDefinition.create({
+        data: {
+          key: `screen_${name}_${timestamp}`,
+          displayName: name,
+          valueType: 'numeric',
+          scaleMin: 0,
+          scaleMax: 3
+        }
+      })
+    ));
+    const notesMetric = await global.prisma.metricDefinition.create({
+      data: { key: `screen_notes_${timestamp}`, displayName: 'Notes', valueType: 'text' }
+    });
+
+    template = await global.prisma.assessmentTemplate.create({
+      data: {
+        name: `Two Item Screen ${timestamp}`,
+        scoringInfo: {
+          totalScore: {
+            range: '0-6',
+            metricKey: `screen_total_${timestamp}`,
+            interpretation: { '0-2': 'Negative screen', '3-6': 'Positive screen' }
+          }
+        },
+        items: {
+          create: [
+            ...itemMetrics.map((metric, index) => ({ metricDefinitionId: metric.id, required: true, displayOrder: index })),
+            { metricDefinitionId: notesMetric.id, required: false, displayOrder: 2 }
+          ]
+        }
+      }
+    });
+    await global.prisma.conditionPresetTemplate.create({
+      data: { presetId: testPreset.id, templateId: template.id }
+    });
+  });
+
+  const answers = (values) => itemMetrics.map((metric, index) => ({ metricDefinitionId: metric.id, value: values[index] }));
+
+  describe('POST /api/enrollments/:id/assessments', () => {
+    it('should write the response, its observations and scores together', async () => {
+      const startedAt = new Date(Date.now() - 5 * 60000).toISOString();
+
+      const response = await request(app)
+        .post(`/api/enrollments/${testEnrollment.id}/assessments`)
+        .send({ templateId: template.id, responses: answers([1, 2]), startedAt })
+        .expect(201);
+
+      expect(response.body.data).toMatchObject({
+        enrollmentId: testEnrollment.id,
+        patientId: testPatient.id,
+        templateId: template.id,
+        startedAt,
+        itemCount: 3,
+        answeredCount: 2,
+        requiredCount: 2,
+        missingRequired: []
+      });
+      expect(response.body.data.completedAt).not.toBeNull();
+      expect(response.body.data.scores.scores[0]).toMatchObject({ scale: 'total', score: 3 });
+      // Two answers plus the derived total score
+      expect(response.body.data.observations).toHaveLength(3);
+
+      const stored = await global.prisma.observation.findMany({ where: { responseId: response.body.data.id } });
+      expect(stored).toHaveLength(3);
+    });
+
+    it('should leave a response with a skipped required item incomplete', async () => {
+      const response = await request(app)
+        .post(`/api/enrollments/${testEnrollment.id}/assessments`)
+        .send({ templateId: template.id, responses: answers([1, null]) })
+        .expect(201);
+
+      expect(response.body.data.completedAt).toBeNull();
+      expect(response.body.data.missingRequired).toEqual([`screen_mood_${timestamp}`]);
+      expect(response.body.data.scores).toBeNull();
+      expect(response.body.data.observations).toHaveLength(1);
+    });
+
+    it('should reject the whole response when an answer is invalid', async () => {
+      const response = await request(app)
+        .post(`/api/enrollments/${testEnrollment.id}/assessments`)
+        .send({ templateId: template.id, responses: answers([1, 9]) })
+        .expect(400);
+
+      expect(response.body.details).toEqual([
+        { index: 1, metricKey: `screen_mood_${timestamp}`, error: 'Value must be between 0 and 3' }
+      ]);
+      expect(await global.prisma.assessmentResponse.count({ where: { enrollmentId: testEnrollment.id } })).toBe(0);
+      expect(await global.prisma.observation.count({ where: { enrollmentId: testEnrollment.id } })).toBe(0);
+    });
+
+    it('should reject responses that are not objects', async () => {
+      const response = await request(app)
+        .post(`/api/enrollments/${testEnrollment.id}/assessments`)
+        .send({ templateId: template.id, responses: [null] })
+        .expect(400);
+
+      expect(response.body.errors).toContain('Each response must be an object');
+    });
+
+    it('should reject templates outside the enrollment\'s preset', async () => {
+      const otherTemplate = await global.prisma.assessmentTemplate.create({
+        data: { name: `Other Template ${timestamp}` }
+      });
+
+      const response = await request(app)
+        .post(`/api/enrollments/${testEnrollment.id}/assessments`)
+        .send({ templateId: otherTemplate.id, responses: answers([1, 2]) })
+        .expect(400);
+
+      expect(response.body.error).toBe('Assessment template is not part of this enrollment\'s condition preset');
+    });
+  });
+
+  describe('GET /api/enrollments/:id/assessments', () => {
+    it('should filter responses by completeness', async () => {
+      await request(app)
+        .post(`/api/enrollments/${testEnrollment.id}/assessments`)
+        .send({ templateId: template.id, responses: answers([1, 2]) })
+        .expect(201);
+      await request(app)
+        .post(`/api/enrollments/${testEnrollment.id}/assessments`)
+        .send({ templateId: template.id, responses: answers([0, null]) })
+        .expect(201);
+
+      const response = await request(app)
+        .get(`/api/enrollments/${testEnrollment.id}/assessments?complete=false`)
+        .expect(200);
+
+      expect(response.body.data).toHaveLength(1);
+      expect(response.body.data[0].answeredCount).toBe(1);
+      expect(response.body.pagination.total).toBe(1);
+    });
+  });
+});
@@ -0,0 +1,72 @@
+const request = require('supertest');
+const express = require('express');
+const patientRoutes = require('../../src/routes/patientRoutes');
+const auditRoutes = require('../../src/routes/auditRoutes');
+const { captureAuditContext } = require('../../src/middleware/audit');
+const { actAs } = require('../helpers/auth');
+
+const buildApp = (role) => {
+  const app = express();
+  app.use(express.json());
+  app.use(actAs(role), captureAuditContext);
+  app.use('/api/patients', patientRoutes);
+  app.use('/api/audit', auditRoutes);
+  return app;
+};
+
+describe('Audit Controller', () => {
+  let testPatient;
+
+  beforeEach(async () => {
+    testPatient = await global.prisma.patient.create({
+      data: {
+        firstName: 'Audit',
+        lastName: 'Patient',
+        email: `audit.patient.${Date.now()}@example.com`
+      }
+    });
+  });
+
+  it('should record who read a patient', async () => {
+    const app = buildApp('admin');
+
+    await request(app).get(`/api/patients/${testPatient.id}`).expect(200);
+
+    const response = await request(app)
+      .get(`/api/audit?patientId=${testPatient.id}&action=read`)
+      .expect(200);
+
+    expect(response.body.data.length).toBeGreaterThan(0);
+    expect(response.body.data[0]).toMatchObject({
+      action: 'read',
+      entityType: 'patient',
+      entityId: testPatient.id,
+      actorRole: 'admin',
+      method: 'GET',
+      path: `/api/patients/${testPatient.id}`
+    });
+  });
+
+  it('should record the fields changed by an update', async () => {
+    const app = buildApp('admin');
+
+    await request(app)
+      .put(`/api/patients/${testPatient.id}`)
+      .send({ firstName: 'Changed' })
+      .expect(200);
+
+    const response = await request(app)
+      .get(`/api/audit?entityId=${testPatient.id}&action=update`)
+      .expect(200);
+
+    expect(response.body.data).toHaveLength(1);
+    expect(response.body.data[0].changes).toEqual({
+      firstName: { from: 'Audit', to: 'Changed' }
+    });
+  });
+
+  it('should only be readable by admins and auditors', async () => {
+    await request(buildApp('auditor')).get('/api/audit').expect(200);
+    await request(buildApp('clinician')).get('/api/audit').expect(403);
+  });
+});
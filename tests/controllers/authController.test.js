@@ -0,0 +1,176 @@
+const request = require('supertest');
+const express = require('express');
+const authRoutes = require('../../src/routes/authRoutes');
+const { authenticate } = require('../../src/middleware/auth');
+const { hashPassword } = require('../../src/services/authService');
+
+const app = express();
+app.use(express.json());
+app.use('/api/auth', authRoutes);
+app.get('/api/protected', authenticate, (req, res) => res.json({ user: req.user }));
+
+describe('Auth Controller', () => {
+  const password = 'correct-horse-battery';
+  let testClinician, testUser;
+
+  beforeEach(async () => {
+    const timestamp = Date.now();
+
+    testClinician = await global.prisma.clinician.create({
+      data: {
+        firstName: 'Test',
+        lastName: 'Clinician',
+        email: `test.clinician.${timestamp}@example.com`
+      }
+    });
+
+    testUser = await global.prisma.user.create({
+      data: {
+        email: `test.user.${timestamp}@example.com`,
+        passwordHash: await hashPassword(password),
+        role: 'admin',
+        clinicianId: testClinician.id
+      }
+    });
+  });
+
+  const login = () => request(app)
+    .post('/api/auth/login')
+    .send({ email: testUser.email, password })
+    .expect(200);
+
+  describe('POST /api/auth/login', () => {
+    it('should issue tokens for valid credentials', async () => {
+      const response = await login();
+
+      expect(response.body.data.token).toBeTruthy();
+      expect(response.body.data.refreshToken).toBeTruthy();
+      expect(response.body.data.user).toMatchObject({
+        id: testUser.id,
+        clinicianId: testClinician.id
+      });
+      expect(response.body.data.user.passwordHash).toBeUndefined();
+    });
+
+    it('should reject a wrong password', async () => {
+      const response = await request(app)
+        .post('/api/auth/login')
+        .send({ email: testUser.email, password: 'wrong-password' })
+        .expect(401);
+
+      expect(response.body.error).toBe('Invalid email or password');
+    });
+
+    it('should reject disabled accounts', async () => {
+      await global.prisma.user.update({ where: { id: testUser.id }, data: { isActive: false } });
+
+      await request(app)
+        .post('/api/auth/login')
+        .send({ email: testUser.email, password })
+        .expect(403);
+    });
+  });
+
+  describe('authenticate middleware', () => {
+    it('should reject requests without a token', async () => {
+      const response = await request(app).get('/api/protected').expect(401);
+      expect(response.body.error).toBe('Authentication required');
+    });
+
+    it('should reject invalid tokens', async () => {
+      await request(app)
+        .get('/api/protected')
+        .set('Authorization', 'Bearer not-a-jwt')
+        .expect(401);
+    });
+
+    it('should expose the token user on the request', async () => {
+      const { body } = await login();
+
+      const response = await request(app)
+        .get('/api/protected')
+        .set('Authorization', `Bearer ${body.data.token}`)
+        .expect(200);
+
+      expect(response.body.user).toEqual({
+        id: testUser.id,
+        email: testUser.email,
+        role: 'admin',
+        clinicianId: testClinician.id
+      });
+    });
+  });
+
+  describe('POST /api/auth/refresh', () => {
+    it('should rotate the refresh token', async () => {
+      const { body } = await login();
+
+      const response = await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken: body.data.refreshToken })
+        .expect(200);
+
+      expect(response.body.data.refreshToken).not.toBe(body.data.refreshToken);
+
+      // The old token was consumed by the rotation
+      await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken: body.data.refreshToken })
+        .expect(401);
+    });
+
+    it('should reject a refresh token after logout', async () => {
+      const { body } = await login();
+
+      await request(app)
+        .post('/api/auth/logout')
+        .send({ refreshToken: body.data.refreshToken })
+        .expect(200);
+
+      await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken: body.data.refreshToken })
+        .expect(401);
+    });
+  });
+
+  describe('POST /api/auth/users', () => {
+    it('should create a user linked to a clinician', async () => {
+      const { body } = await login();
+      const otherClinician = await global.prisma.clinician.create({
+        data: { firstName: 'Other', lastName: 'Clinician', email: `other.${Date.now()}@example.com` }
+      });
+
+      const response = await request(app)
+        .post('/api/auth/users')
+        .set('Authorization', `Bearer ${body.data.token}`)
+        .send({ email: 'New.User@Example.com', password: 'a-long-password', clinicianId: otherClinician.id })
+        .expect(201);
+
+      expect(response.body.data.email).toBe('new.user@example.com');
+      expect(response.body.data.role).toBe('clinician');
+      expect(response.body.data.clinicianId).toBe(otherClinician.id);
+    });
+
+    it('should only allow admins to manage users', async () => {
+      await global.prisma.user.update({ where: { id: testUser.id }, data: { role: 'care_coordinator' } });
+      const { body } = await login();
+
+      await request(app)
+        .post('/api/auth/users')
+        .set('Authorization', `Bearer ${body.data.token}`)
+        .send({ email: 'another@example.com', password: 'a-long-password' })
+        .expect(403);
+    });
+
+    it('should not link two users to the same clinician', async () => {
+      const { body } = await login();
+
+      await request(app)
+        .post('/api/auth/users')
+        .set('Authorization', `Bearer ${body.data.token}`)
+        .send({ email: 'second@example.com', password: 'a-long-password', clinicianId: testClinician.id })
+        .expect(409);
+    });
+  });
+});
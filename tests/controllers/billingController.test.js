@@ -0,0 +1,103 @@
+const request = require('supertest');
+const express = require('express');
+const billingRoutes = require('../../src/routes/billingRoutes');
+const { actAs } = require('../helpers/auth');
+
+const app = express();
+app.use(express.json());
+app.use(actAs('admin'));
+app.use('/api/billing', billingRoutes);
+
+describe('Billing Controller', () => {
+  let testEnrollment;
+
+  beforeEach(async () => {
+    const timestamp = Date.now();
+
+    const clinician = await global.prisma.clinician.create({
+      data: { firstName: 'Test', lastName: 'Clinician', email: `test.clinician.${timestamp}@example.com`, npi: `${timestamp}`.slice(-10) }
+    });
+    const patient = await global.prisma.patient.create({
+      data: { firstName: 'Test', lastName: 'Patient', email: `test.patient.${timestamp}@example.com` }
+    });
+    const preset = await global.prisma.conditionPreset.create({
+      data: { name: `Billing Preset ${timestamp}` }
+    });
+    const metric = await global.prisma.metricDefinition.create({
+      data: { key: `billing_pain_${timestamp}`, displayName: 'Pain', valueType: 'numeric', scaleMin: 0, scaleMax: 10 }
+    });
+
+    testEnrollment = await global.prisma.enrollment.create({
+      data: {
+        patientId: patient.id,
+        clinicianId: clinician.id,
+        presetId: preset.id,
+        diagnosisCode: 'M79.3',
+        startDate: new Date('2025-10-01T00:00:00Z')
+      }
+    });
+
+    await global.prisma.observation.createMany({
+      data: Array.from({ length: 16 }, (_, i) => ({
+        patientId: patient.id,
+        enrollmentId: testEnrollment.id,
+        metricKey: metric.key,
+        metricDefinitionId: metric.id,
+        recordedAt: new Date(Date.UTC(2025, 9, i + 1, 9)),
+        valueNumeric: 5
+      }))
+    });
+
+    await global.prisma.timeLog.create({
+      data: {
+        patientId: patient.id,
+        enrollmentId: testEnrollment.id,
+        cptCode: 'CPT_98980',
+        minutes: 42,
+        startedAt: new Date('2025-10-10T10:00:00Z'),
+        endedAt: new Date('2025-10-10T10:42:00Z'),
+        actorId: clinician.id
+      }
+    });
+  });
+
+  it('should return the billable codes for the month', async () => {
+    const response = await request(app)
+      .get(`/api/billing/periods/2025-10?enrollmentId=${testEnrollment.id}`)
+      .expect(200);
+
+    const [result] = response.body.data.enrollments;
+    expect(result.dataDays).toBe(16);
+    expect(result.lines.map(line => [line.code, line.units])).toEqual([
+      ['98975', 1],
+      ['98977', 1],
+      ['98980', 1],
+      ['98981', 1]
+    ]);
+    expect(response.body.data.summary.totals).toEqual({ 98975: 1, 98977: 1, 98980: 1, 98981: 1 });
+  });
+
+  it('should not bill set-up or device supply again the following month', async () => {
+    const response = await request(app)
+      .get(`/api/billing/periods/2025-11?enrollmentId=${testEnrollment.id}`)
+      .expect(200);
+
+    expect(response.body.data.enrollments[0].lines).toEqual([]);
+  });
+
+  it('should export the claim lines as CSV', async () => {
+    const response = await request(app)
+      .get(`/api/billing/periods/2025-10/export?format=csv&enrollmentId=${testEnrollment.id}`)
+      .expect('Content-Type', /text\/csv/)
+      .expect('Content-Disposition', 'attachment; filename="billing-2025-10.csv"')
+      .expect(200);
+
+    const rows = response.text.trim().split('\r\n');
+    expect(rows).toHaveLength(5);
+    expect(rows[2]).toContain(',98977,1,2025-10-01,2025-10-16');
+  });
+
+  it('should reject malformed periods', async () => {
+    await request(app).get('/api/billing/periods/2025-13').expect(400);
+  });
+});
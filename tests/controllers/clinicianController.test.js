@@ -1,5 +1,6 @@
 const request = require('supertest');
 const { app } = require('../../index');
+const { authHeader } = require('../helpers/auth');
 
 // Use global prisma client for test isolation
 const prisma = global.prisma;
@@ -40,6 +41,7 @@ describe('Clinician Controller', () => {
 
       const response = await request(app)
         .post('/api/clinicians')
+        .set(authHeader)
         .send(clinicianData)
         .expect(201);
 
@@ -63,6 +65,7 @@ describe('Clinician Controller', () => {
 
       const response = await request(app)
         .post('/api/clinicians')
+        .set(authHeader)
         .send(incompleteData)
         .expect(400);
 
@@ -80,6 +83,7 @@ describe('Clinician Controller', () => {
 
       const response = await request(app)
         .post('/api/clinicians')
+        .set(authHeader)
         .send(invalidData)
         .expect(400);
 
@@ -98,12 +102,14 @@ describe('Clinician Controller', () => {
       // Create first clinician
       await request(app)
         .post('/api/clinicians')
+        .set(authHeader)
         .send(clinicianData)
         .expect(201);
 
       // Try to create second clinician with same email
       const response = await request(app)
         .post('/api/clinicians')
+        .set(authHeader)
         .send({
           ...clinicianData,
           licenseNumber: 'MD222222'
@@ -125,12 +131,14 @@ describe('Clinician Controller', () => {
       // Create first clinician
       await request(app)
         .post('/api/clinicians')
+        .set(authHeader)
         .send(clinicianData)
         .expect(201);
 
       // Try to create second clinician with same license number
       const response = await request(app)
         .post('/api/clinicians')
+        .set(authHeader)
         .send({
           ...clinicianData,
           email: 'different.email@hospital.com'
@@ -152,12 +160,14 @@ describe('Clinician Controller', () => {
       // Create first clinician
       await request(app)
         .post('/api/clinicians')
+        .set(authHeader)
         .send(clinicianData)
         .expect(201);
 
       // Try to create second clinician with same license number
       const response = await request(app)
         .post('/api/clinicians')
+        .set(authHeader)
         .send({
           ...clinicianData,
           email: 'different.email.unique@hospital.com'
@@ -209,6 +219,7 @@ describe('Clinician Controller', () => {
     it('should get all clinicians with default pagination', async () => {
       const response = await request(app)
         .get('/api/clinicians')
+        .set(authHeader)
         .expect(200);
 
       expect(response.body.data).toHaveLength(2);
@@ -222,6 +233,7 @@ describe('Clinician Controller', () => {
     it('should filter clinicians by specialization', async () => {
       const response = await request(app)
         .get('/api/clinicians?specialization=Cardiology')
+        .set(authHeader)
         .expect(200);
 
       expect(response.body.data).toHaveLength(1);
@@ -231,6 +243,7 @@ describe('Clinician Controller', () => {
     it('should search clinicians by name', async () => {
       const response = await request(app)
         .get('/api/clinicians?search=Jane')
+        .set(authHeader)
         .expect(200);
 
       expect(response.body.data).toHaveLength(1);
@@ -240,6 +253,7 @@ describe('Clinician Controller', () => {
     it('should return 400 for invalid pagination parameters', async () => {
       const response = await request(app)
         .get('/api/clinicians?page=invalid&limit=invalid')
+        .set(authHeader)
         .expect(400);
 
       expect(response.body.errors).toBeDefined();
@@ -271,6 +285,7 @@ describe('Clinician Controller', () => {
     it('should get clinician by valid ID', async () => {
       const response = await request(app)
         .get(`/api/clinicians/${testClinicianForGet.id}`)
+        .set(authHeader)
         .expect(200);
 
       expect(response.body.data).toMatchObject({
@@ -284,6 +299,7 @@ describe('Clinician Controller', () => {
     it('should return 400 for invalid ID format', async () => {
       const response = await request(app)
         .get('/api/clinicians/invalid-id')
+        .set(authHeader)
         .expect(400);
 
       expect(response.body.error).toBe('Invalid clinician ID format');
@@ -294,6 +310,7 @@ describe('Clinician Controller', () => {
       
       const response = await request(app)
         .get(`/api/clinicians/${nonExistentId}`)
+        .set(authHeader)
         .expect(404);
 
       expect(response.body.error).toBe('Clinician not found');
@@ -330,6 +347,7 @@ describe('Clinician Controller', () => {
 
       const response = await request(app)
         .put(`/api/clinicians/${testClinicianForUpdate.id}`)
+        .set(authHeader)
         .send(updateData)
         .expect(200);
 
@@ -340,6 +358,7 @@ describe('Clinician Controller', () => {
     it('should return 400 for invalid ID format', async () => {
       const response = await request(app)
         .put('/api/clinicians/invalid-id')
+        .set(authHeader)
         .send({ firstName: 'Updated' })
         .expect(400);
 
@@ -351,6 +370,7 @@ describe('Clinician Controller', () => {
       
       const response = await request(app)
         .put(`/api/clinicians/${nonExistentId}`)
+        .set(authHeader)
         .send({ firstName: 'Updated' })
         .expect(404);
 
@@ -383,6 +403,7 @@ describe('Clinician Controller', () => {
     it('should delete clinician with valid ID', async () => {
       const response = await request(app)
         .delete(`/api/clinicians/${testClinicianForDelete.id}`)
+        .set(authHeader)
         .expect(200);
 
       expect(response.body.message).toContain('deleted successfully');
@@ -391,6 +412,7 @@ describe('Clinician Controller', () => {
     it('should return 400 for invalid ID format', async () => {
       const response = await request(app)
         .delete('/api/clinicians/invalid-id')
+        .set(authHeader)
         .expect(400);
 
       expect(response.body.error).toBe('Invalid clinician ID format');
@@ -401,6 +423,7 @@ describe('Clinician Controller', () => {
       
       const response = await request(app)
         .delete(`/api/clinicians/${nonExistentId}`)
+        .set(authHeader)
         .expect(404);
 
       expect(response.body.error).toBe('Clinician not found');
@@ -450,6 +473,7 @@ describe('Clinician Controller', () => {
     it('should get clinician statistics', async () => {
       const response = await request(app)
         .get('/api/clinicians/stats')
+        .set(authHeader)
         .expect(200);
 
       expect(response.body.data).toMatchObject({
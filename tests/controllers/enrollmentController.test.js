@@ -1,10 +1,12 @@
 const request = require('supertest');
 const express = require('express');
 const enrollmentRoutes = require('../../src/routes/enrollmentRoutes');
+const { actAs } = require('../helpers/auth');
 
 // Create test app
 const app = express();
 app.use(express.json());
+app.use(actAs('admin'));
 app.use('/api/enrollments', enrollmentRoutes);
 
 describe('Enrollment Controller', () => {
@@ -99,6 +101,57 @@ describe('Enrollment Controller', () => {
 
       expect(response.body.success).toBe(false);
     });
+
+    it('should reject an invalid reminder schedule', async () => {
+      const response = await request(app)
+        .post('/api/enrollments')
+        .send({
+          patientId: testPatient.id,
+          presetId: testPreset.id,
+          diagnosisCode: 'M79.3',
+          clinicianId: testClinician.id,
+          reminderSettings: {
+            dailyAssessment: true,
+            reminderTime: '9am',
+            daysOfWeek: [1, 8],
+            timezone: 'Mars/Olympus_Mons'
+          }
+        })
+        .expect(400);
+
+      expect(response.body.errors).toEqual(expect.arrayContaining([
+        'Reminder time must be HH:MM',
+        'Days of week must be 0 (Sunday) to 6 (Saturday)',
+        'Timezone must be an IANA time zone such as America/New_York'
+      ]));
+    });
+
+    it('should store the reminder schedule without creating alert rules', async () => {
+      const reminderSettings = {
+        dailyAssessment: true,
+        reminderTime: '19:30',
+        daysOfWeek: [1, 3, 5],
+        timezone: 'America/Chicago',
+        quietHours: { start: '22:00', end: '07:00' },
+        methods: ['sms']
+      };
+
+      const response = await request(app)
+        .post('/api/enrollments')
+        .send({
+          patientId: testPatient.id,
+          presetId: testPreset.id,
+          diagnosisCode: 'M79.3',
+          clinicianId: testClinician.id,
+          reminderSettings
+        })
+        .expect(201);
+
+      expect(response.body.data.reminderSettings).toEqual(reminderSettings);
+      expect(await global.prisma.alertRule.count({
+        where: { expression: { path: ['enrollmentId'], equals: response.body.data.id } }
+      })).toBe(0);
+    });
   });
 
   describe('GET /api/enrollments/:id', () => {
@@ -134,6 +187,59 @@ describe('Enrollment Controller', () => {
     });
   });
 
+  describe('GET /api/enrollments/:id/medications', () => {
+    it('should rate adherence against the doses the frequency expects', async () => {
+      const enrollment = await global.prisma.enrollment.create({
+        data: {
+          patientId: testPatient.id,
+          presetId: testPreset.id,
+          diagnosisCode: 'M79.3',
+          clinicianId: testClinician.id,
+          startDate: new Date(),
+          status: 'active'
+        }
+      });
+      const drug = await global.prisma.drug.create({
+        data: {
+          name: `Naproxen ${Date.now()}`,
+          activeIngredient: 'Naproxen',
+          drugClass: 'NSAID',
+          dosageForm: 'tablet',
+          strength: '250mg'
+        }
+      });
+      const twoDaysAgo = new Date(Date.now() - 2 * 24 * 60 * 60 * 1000);
+      const [scheduled, prn] = await Promise.all(['BID', 'PRN'].map(frequency =>
+        global.prisma.patientMedication.create({
+          data: {
+            patientId: testPatient.id,
+            drugId: drug.id,
+            dosage: '250mg',
+            frequency,
+            route: 'oral',
+            startDate: new Date(twoDaysAgo.toISOString().slice(0, 10))
+          }
+        })
+      ));
+
+      const response = await request(app)
+        .get(`/api/enrollments/${enrollment.id}/medications`)
+        .expect(200);
+
+      const summaryOf = (medication) => response.body.data.medicationSummary
+        .find(summary => summary.medication.id === medication.id);
+      expect(summaryOf(scheduled).adherenceStats).toEqual(expect.objectContaining({ totalTaken: 0, adherenceRate: 0 }));
+      expect(summaryOf(scheduled).adherenceStats.totalScheduled).toBeGreaterThanOrEqual(3);
+      expect(summaryOf(prn).adherenceStats.adherenceRate).toBeNull();
+      expect(response.body.data.overallAdherence).toBe(0);
+
+      // Asking again does not create the expected doses twice
+      const count = await global.prisma.medicationAdherence.count({ where: { patientMedicationId: scheduled.id } });
+      await request(app).get(`/api/enrollments/${enrollment.id}/medications`).expect(200);
+      expect(await global.prisma.medicationAdherence.count({ where: { patientMedicationId: scheduled.id } })).toBe(count);
+    });
+  });
+
   describe('PUT /api/enrollments/:id/deactivate', () => {
     it('should deactivate an active enrollment', async () => {
       const enrollment = await global.prisma.enrollment.create({
@@ -0,0 +1,80 @@
+const request = require('supertest');
+const express = require('express');
+const medicationObservationRoutes = require('../../src/routes/medicationObservationRoutes');
+const { actAs } = require('../helpers/auth');
+
+const app = express();
+app.use(express.json());
+app.use(actAs('admin'));
+app.use('/api/medication-observations', medicationObservationRoutes);
+
+describe('Medication Observation Controller', () => {
+  let testPatient, otherPatient, testEnrollment, otherEnrollment, testMedication, testMetric;
+
+  beforeEach(async () => {
+    const timestamp = Date.now();
+
+    [testPatient, otherPatient] = await Promise.all([
+      global.prisma.patient.create({
+        data: { firstName: 'Test', lastName: 'Patient', email: `test.patient.${timestamp}@example.com` }
+      }),
+      global.prisma.patient.create({
+        data: { firstName: 'Other', lastName: 'Patient', email: `other.patient.${timestamp}@example.com` }
+      })
+    ]);
+
+    const preset = await global.prisma.conditionPreset.create({
+      data: { name: `Medication Observation Preset ${timestamp}` }
+    });
+    [testEnrollment, otherEnrollment] = await Promise.all([testPatient, otherPatient].map(patient =>
+      global.prisma.enrollment.create({
+        data: { patientId: patient.id, presetId: preset.id, diagnosisCode: 'M79.3', startDate: new Date() }
+      })
+    ));
+
+    const drug = await global.prisma.drug.create({
+      data: { name: `Ibuprofen ${timestamp}`, activeIngredient: 'Ibuprofen', drugClass: 'NSAID', dosageForm: 'tablet', strength: '200mg' }
+    });
+    testMedication = await global.prisma.patientMedication.create({
+      data: {
+        patientId: testPatient.id,
+        drugId: drug.id,
+        dosage: '200mg',
+        frequency: 'Twice daily',
+        route: 'oral',
+        startDate: new Date()
+      }
+    });
+
+    testMetric = await global.prisma.metricDefinition.create({
+      data: { key: `medication_effectiveness_${timestamp}`, displayName: 'Medication Effectiveness', valueType: 'text' }
+    });
+  });
+
+  const observation = (overrides = {}) => ({
+    patientId: testPatient.id,
+    enrollmentId: testEnrollment.id,
+    patientMedicationId: testMedication.id,
+    metricKey: testMetric.key,
+    value: 'Helped a little',
+    ...overrides
+  });
+
+  it('should record an observation against the patient\'s enrollment', async () => {
+    const response = await request(app)
+      .post('/api/medication-observations')
+      .send(observation())
+      .expect(201);
+
+    expect(response.body.data).toMatchObject({ patientId: testPatient.id, enrollmentId: testEnrollment.id });
+  });
+
+  it('should refuse an enrollment that belongs to another patient', async () => {
+    const response = await request(app)
+      .post('/api/medication-observations')
+      .send(observation({ enrollmentId: otherEnrollment.id }))
+      .expect(400);
+
+    expect(response.body.error).toBe('Enrollment does not belong to this patient');
+  });
+});
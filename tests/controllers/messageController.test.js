@@ -0,0 +1,146 @@
+const request = require('supertest');
+const express = require('express');
+const enrollmentRoutes = require('../../src/routes/enrollmentRoutes');
+const { actAs } = require('../helpers/auth');
+
+const buildApp = (role, clinicianId) => {
+  const app = express();
+  app.use(express.json());
+  app.use(actAs(role, clinicianId));
+  app.use('/api/enrollments', enrollmentRoutes);
+  return app;
+};
+
+describe('Message Controller', () => {
+  let testClinician, testPatient, testEnrollment, app;
+
+  beforeEach(async () => {
+    const timestamp = Date.now();
+
+    testClinician = await global.prisma.clinician.create({
+      data: { firstName: 'Test', lastName: 'Clinician', email: `test.clinician.${timestamp}@example.com` }
+    });
+    testPatient = await global.prisma.patient.create({
+      data: { firstName: 'Test', lastName: 'Patient', email: `test.patient.${timestamp}@example.com` }
+    });
+    const preset = await global.prisma.conditionPreset.create({
+      data: { name: `Messaging Preset ${timestamp}` }
+    });
+    testEnrollment = await global.prisma.enrollment.create({
+      data: {
+        patientId: testPatient.id,
+        clinicianId: testClinician.id,
+        presetId: preset.id,
+        diagnosisCode: 'M79.3',
+        startDate: new Date()
+      }
+    });
+
+    app = buildApp('clinician', testClinician.id);
+  });
+
+  const patientMessage = (body) => global.prisma.message.create({
+    data: {
+      enrollmentId: testEnrollment.id,
+      patientId: testPatient.id,
+      senderType: 'patient',
+      senderId: testPatient.id,
+      body
+    }
+  });
+
+  describe('GET /api/enrollments/:id/messages', () => {
+    it('should return the thread oldest first with the unread count', async () => {
+      await patientMessage('My pain is worse today');
+      await patientMessage('Should I take another dose?');
+
+      const response = await request(app)
+        .get(`/api/enrollments/${testEnrollment.id}/messages`)
+        .expect(200);
+
+      expect(response.body.data.map(message => message.body)).toEqual([
+        'My pain is worse today',
+        'Should I take another dose?'
+      ]);
+      expect(response.body.unreadCount).toBe(2);
+    });
+  });
+
+  describe('POST /api/enrollments/:id/messages', () => {
+    it('should send a message from the signed-in clinician', async () => {
+      const response = await request(app)
+        .post(`/api/enrollments/${testEnrollment.id}/messages`)
+        .send({ body: 'Please log your pain level tonight.' })
+        .expect(201);
+
+      expect(response.body.data).toMatchObject({
+        senderType: 'clinician',
+        senderId: testClinician.id,
+        patientId: testPatient.id,
+        timeLog: null
+      });
+    });
+
+    it('should log the reply time toward 98980 when minutes are given', async () => {
+      const response = await request(app)
+        .post(`/api/enrollments/${testEnrollment.id}/messages`)
+        .send({ body: 'Reviewed your readings, let us adjust the plan.', logMinutes: 12 })
+        .expect(201);
+
+      const timeLog = await global.prisma.timeLog.findUnique({ where: { id: response.body.data.timeLog.id } });
+      expect(timeLog).toMatchObject({
+        enrollmentId: testEnrollment.id,
+        cptCode: 'CPT_98980',
+        minutes: 12,
+        actorId: testClinician.id,
+        activityRef: `message:${response.body.data.id}`
+      });
+    });
+
+    it('should reject empty messages', async () => {
+      await request(app)
+        .post(`/api/enrollments/${testEnrollment.id}/messages`)
+        .send({ body: '   ' })
+        .expect(400);
+    });
+  });
+
+  describe('read receipts', () => {
+    it('should mark patient messages as read and clear the unread counts', async () => {
+      await patientMessage('Hello?');
+
+      const before = await request(app).get('/api/enrollments/messages/unread').expect(200);
+      expect(before.body.data.total).toBe(1);
+      expect(before.body.data.threads[0]).toMatchObject({
+        enrollmentId: testEnrollment.id,
+        unreadCount: 1,
+        patient: { id: testPatient.id }
+      });
+
+      const marked = await request(app)
+        .post(`/api/enrollments/${testEnrollment.id}/messages/read`)
+        .expect(200);
+      expect(marked.body.data.count).toBe(1);
+
+      const [message] = await global.prisma.message.findMany({ where: { enrollmentId: testEnrollment.id } });
+      expect(message.readAt).not.toBeNull();
+      expect(message.readById).toBe(testClinician.id);
+
+      const after = await request(app).get('/api/enrollments/messages/unread').expect(200);
+      expect(after.body.data.total).toBe(0);
+    });
+
+    it('should not count unread messages of other clinicians\' patients', async () => {
+      await patientMessage('Hello?');
+      const otherClinician = await global.prisma.clinician.create({
+        data: { firstName: 'Other', lastName: 'Clinician', email: `other.${Date.now()}@example.com` }
+      });
+
+      const response = await request(buildApp('clinician', otherClinician.id))
+        .get('/api/enrollments/messages/unread')
+        .expect(200);
+
+      expect(response.body.data.total).toBe(0);
+    });
+  });
+});
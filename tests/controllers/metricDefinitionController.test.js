@@ -1,5 +1,6 @@
 const request = require('supertest');
 const { app } = require('../../index');
+const { authHeader } = require('../helpers/auth');
 
 describe('MetricDefinition Controller', () => {
   let testMetricDefinition;
@@ -28,6 +29,7 @@ describe('MetricDefinition Controller', () => {
 
       const response = await request(app)
         .post('/api/metric-definitions')
+        .set(authHeader)
         .send(metricData)
         .expect(201);
 
@@ -50,12 +52,14 @@ describe('MetricDefinition Controller', () => {
       // Create first metric
       await request(app)
         .post('/api/metric-definitions')
+        .set(authHeader)
         .send(metricData)
         .expect(201);
 
       // Try to create duplicate
       const response = await request(app)
         .post('/api/metric-definitions')
+        .set(authHeader)
         .send(metricData)
         .expect(400);
 
@@ -66,6 +70,7 @@ describe('MetricDefinition Controller', () => {
     it('should validate required fields', async () => {
       const response = await request(app)
         .post('/api/metric-definitions')
+        .set(authHeader)
         .send({})
         .expect(400);
 
@@ -97,6 +102,7 @@ describe('MetricDefinition Controller', () => {
     it('should get all metric definitions with pagination', async () => {
       const response = await request(app)
         .get('/api/metric-definitions')
+        .set(authHeader)
         .expect(200);
 
       expect(response.body.success).toBe(true);
@@ -111,6 +117,7 @@ describe('MetricDefinition Controller', () => {
     it('should filter by search term', async () => {
       const response = await request(app)
         .get('/api/metric-definitions?search=Pain Level 1')
+        .set(authHeader)
         .expect(200);
 
       expect(response.body.data).toHaveLength(1);
@@ -120,6 +127,7 @@ describe('MetricDefinition Controller', () => {
     it('should filter by value type', async () => {
       const response = await request(app)
         .get('/api/metric-definitions?valueType=numeric')
+        .set(authHeader)
         .expect(200);
 
       expect(response.body.data).toHaveLength(2);
@@ -142,6 +150,7 @@ describe('MetricDefinition Controller', () => {
     it('should get metric definition by ID', async () => {
       const response = await request(app)
         .get(`/api/metric-definitions/${testMetricDefinition.id}`)
+        .set(authHeader)
         .expect(200);
 
       expect(response.body.success).toBe(true);
@@ -153,6 +162,7 @@ describe('MetricDefinition Controller', () => {
       
       const response = await request(app)
         .get(`/api/metric-definitions/${nonExistentId}`)
+        .set(authHeader)
         .expect(404);
 
       expect(response.body.success).toBe(false);
@@ -179,6 +189,7 @@ describe('MetricDefinition Controller', () => {
 
       const response = await request(app)
         .put(`/api/metric-definitions/${testMetricDefinition.id}`)
+        .set(authHeader)
         .send(updateData)
         .expect(200);
 
@@ -191,6 +202,7 @@ describe('MetricDefinition Controller', () => {
       
       const response = await request(app)
         .put(`/api/metric-definitions/${nonExistentId}`)
+        .set(authHeader)
         .send({ displayName: 'Updated' })
         .expect(404);
 
@@ -213,6 +225,7 @@ describe('MetricDefinition Controller', () => {
     it('should delete metric definition successfully', async () => {
       const response = await request(app)
         .delete(`/api/metric-definitions/${testMetricDefinition.id}`)
+        .set(authHeader)
         .expect(200);
 
       expect(response.body.success).toBe(true);
@@ -224,6 +237,7 @@ describe('MetricDefinition Controller', () => {
       
       const response = await request(app)
         .delete(`/api/metric-definitions/${nonExistentId}`)
+        .set(authHeader)
         .expect(404);
 
       expect(response.body.success).toBe(false);
@@ -252,6 +266,7 @@ describe('MetricDefinition Controller', () => {
     it('should get metric definition statistics', async () => {
       const response = await request(app)
         .get('/api/metric-definitions/stats')
+        .set(authHeader)
         .expect(200);
 
       expect(response.body.success).toBe(true);
@@ -283,6 +298,7 @@ describe('MetricDefinition Controller', () => {
 
       const response = await request(app)
         .post('/api/metric-definitions/validate')
+        .set(authHeader)
         .send(validationData)
         .expect(200);
 
@@ -298,6 +314,7 @@ describe('MetricDefinition Controller', () => {
 
       const response = await request(app)
         .post('/api/metric-definitions/validate')
+        .set(authHeader)
         .send(validationData)
         .expect(200);
 
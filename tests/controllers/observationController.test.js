@@ -1,9 +1,11 @@
 const request = require('supertest');
 const express = require('express');
 const observationRoutes = require('../../src/routes/observationRoutes');
+const { actAs } = require('../helpers/auth');
 
 const app = express();
 app.use(express.json());
+app.use(actAs('admin'));
 app.use('/api/observations', observationRoutes);
 
 describe('Observation Controller', () => {
@@ -135,6 +137,180 @@ describe('Observation Controller', () => {
 
       expect(response.body.success).toBe(false);
     });
+
+    it('should raise alerts for preset rules triggered by the observation', async () => {
+      const rule = await global.prisma.alertRule.create({
+        data: {
+          name: `High Pain ${Date.now()}`,
+          severity: 'high',
+          window: '1d',
+          expression: {
+            condition: testMetricDefinition.key,
+            operator: 'greater_than_or_equal',
+            threshold: 8
+          },
+          actions: { notify: ['clinician'] }
+        }
+      });
+
+      await global.prisma.conditionPresetAlertRule.create({
+        data: { presetId: testPreset.id, ruleId: rule.id }
+      });
+
+      const response = await request(app)
+        .post('/api/observations')
+        .send({
+          patientId: testPatient.id,
+          metricDefinitionId: testMetricDefinition.id,
+          enrollmentId: testEnrollment.id,
+          value: '9',
+          recordedAt: new Date().toISOString()
+        })
+        .expect(201);
+
+      expect(response.body.triggeredAlertIds).toHaveLength(1);
+
+      const alert = await global.prisma.alert.findUnique({
+        where: { id: response.body.triggeredAlertIds[0] }
+      });
+      expect(alert.ruleId).toBe(rule.id);
+      expect(alert.facts.value).toBe(9);
+    });
+
+    it('should fold repeat triggers within the rule cooldown into the open alert', async () => {
+      const rule = await global.prisma.alertRule.create({
+        data: {
+          name: `High Pain Cooldown ${Date.now()}`,
+          severity: 'high',
+          window: '1d',
+          cooldown: '4h',
+          expression: {
+            condition: testMetricDefinition.key,
+            operator: 'greater_than_or_equal',
+            threshold: 8
+          },
+          actions: { notify: ['clinician'] }
+        }
+      });
+
+      await global.prisma.conditionPresetAlertRule.create({
+        data: { presetId: testPreset.id, ruleId: rule.id }
+      });
+
+      const observationData = {
+        patientId: testPatient.id,
+        metricDefinitionId: testMetricDefinition.id,
+        enrollmentId: testEnrollment.id,
+        value: '9',
+        recordedAt: new Date().toISOString()
+      };
+
+      const first = await request(app).post('/api/observations').send(observationData).expect(201);
+      const second = await request(app).post('/api/observations').send(observationData).expect(201);
+
+      expect(first.body.triggeredAlertIds).toHaveLength(1);
+      expect(second.body.triggeredAlertIds).toHaveLength(0);
+
+      const alert = await global.prisma.alert.findUnique({
+        where: { id: first.body.triggeredAlertIds[0] },
+        include: { suppressions: true }
+      });
+      expect(alert.occurrenceCount).toBe(2);
+      expect(alert.suppressions).toHaveLength(1);
+    });
+  });
+
+  describe('POST /api/observations/bulk', () => {
+    it('should score a complete template submission and store the score as a derived observation', async () => {
+      const timestamp = Date.now();
+      const itemMetrics = await Promise.all(['interest', 'mood'].map(name =>
+        global.prisma.metricDefinition.create({
+          data: {
+            key: `screen_${name}_${timestamp}`,
+            displayName: name,
+            valueType: 'ordinal',
+            scaleMin: 0,
+            scaleMax: 3,
+            options: { values: [{ code: '0', display: 'Not at all' }, { code: '1', display: 'Several days' }, { code: '2', display: 'More than half the days' }, { code: '3', display: 'Nearly every day' }] }
+          }
+        })
+      ));
+      const template = await global.prisma.assessmentTemplate.create({
+        data: {
+          name: `Two Item Screen ${timestamp}`,
+          scoringInfo: {
+            totalScore: {
+              range: '0-6',
+              metricKey: `screen_total_${timestamp}`,
+              interpretation: { '0-2': 'Negative screen', '3-6': 'Positive screen' }
+            }
+          },
+          items: {
+            create: itemMetrics.map((metric, index) => ({ metricDefinitionId: metric.id, required: true, displayOrder: index }))
+          }
+        }
+      });
+
+      const response = await request(app)
+        .post('/api/observations/bulk')
+        .send({
+          observations: itemMetrics.map((metric, index) => ({
+            patientId: testPatient.id,
+            enrollmentId: testEnrollment.id,
+            metricDefinitionId: metric.id,
+            templateId: template.id,
+            value: index === 0 ? '1' : 'More than half the days',
+            recordedAt: new Date().toISOString()
+          }))
+        })
+        .expect(201);
+
+      expect(response.body.data).toHaveLength(3);
+      expect(response.body.scores).toHaveLength(1);
+      expect(response.body.scores[0].scores[0]).toMatchObject({ scale: 'total', score: 3 });
+      expect(response.body.scores[0].interpretation).toMatchObject({ scale: 'total', label: 'Positive screen' });
+
+      const derived = await global.prisma.observation.findFirst({
+        where: { enrollmentId: testEnrollment.id, metricKey: `screen_total_${timestamp}` }
+      });
+      expect(Number(derived.valueNumeric)).toBe(3);
+      expect(derived.context).toMatchObject({ derived: true, submissionId: response.body.scores[0].submissionId });
+    });
+
+    it('should not score a partial template submission', async () => {
+      const metric = await global.prisma.metricDefinition.create({
+        data: { key: `partial_item_${Date.now()}`, displayName: 'Item', valueType: 'numeric', scaleMin: 0, scaleMax: 3 }
+      });
+      const template = await global.prisma.assessmentTemplate.create({
+        data: {
+          name: `Partial Screen ${Date.now()}`,
+          scoringInfo: { totalScore: { range: '0-6' } },
+          items: {
+            create: [
+              { metricDefinitionId: metric.id, required: true },
+              { metricDefinitionId: testMetricDefinition.id, required: true }
+            ]
+          }
+        }
+      });
+
+      const response = await request(app)
+        .post('/api/observations/bulk')
+        .send({
+          observations: [{
+            patientId: testPatient.id,
+            enrollmentId: testEnrollment.id,
+            metricDefinitionId: metric.id,
+            templateId: template.id,
+            value: '2',
+            recordedAt: new Date().toISOString()
+          }]
+        })
+        .expect(201);
+
+      expect(response.body.data).toHaveLength(1);
+      expect(response.body.scores).toEqual([]);
+    });
   });
 
   describe('GET /api/observations/enrollment/:enrollmentId', () => {
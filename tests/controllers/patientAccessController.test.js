@@ -0,0 +1,173 @@
+const request = require('supertest');
+const express = require('express');
+const enrollmentRoutes = require('../../src/routes/enrollmentRoutes');
+const patientAccessRoutes = require('../../src/routes/patientAccessRoutes');
+const { actAs } = require('../helpers/auth');
+
+const app = express();
+app.use(express.json());
+app.use('/api/patient-access', patientAccessRoutes);
+app.use('/api/enrollments', actAs('admin'), enrollmentRoutes);
+
+describe('Patient Access Controller', () => {
+  let testPatient, testEnrollment;
+
+  beforeEach(async () => {
+    const timestamp = Date.now();
+
+    testPatient = await global.prisma.patient.create({
+      data: { firstName: 'Jane', lastName: 'Patient', email: `test.patient.${timestamp}@example.com` }
+    });
+    const preset = await global.prisma.conditionPreset.create({
+      data: { name: `Access Preset ${timestamp}` }
+    });
+    testEnrollment = await global.prisma.enrollment.create({
+      data: {
+        patientId: testPatient.id,
+        presetId: preset.id,
+        diagnosisCode: 'M79.3',
+        startDate: new Date()
+      }
+    });
+  });
+
+  const issueLink = (body = {}) => request(app)
+    .post(`/api/enrollments/${testEnrollment.id}/access-links`)
+    .send(body)
+    .expect(201);
+
+  const redeem = (token, enrollmentId = testEnrollment.id) => request(app)
+    .post(`/api/patient-access/enrollments/${enrollmentId}/session`)
+    .send({ token });
+
+  const openDailyAssessment = (accessToken) => request(app)
+    .get(`/api/patient-access/enrollments/${testEnrollment.id}/daily-assessment`)
+    .set('Authorization', `Bearer ${accessToken}`);
+
+  describe('POST /api/enrollments/:id/access-links', () => {
+    it('should issue a link to the daily assessment page', async () => {
+      const response = await issueLink({ expiresInHours: 24 });
+
+      expect(response.body.data).toMatchObject({
+        enrollmentId: testEnrollment.id,
+        status: 'active',
+        scopes: ['assessments', 'medication_adherence'],
+        createdById: '00000000-0000-0000-0000-000000000001'
+      });
+      expect(response.body.data.url).toBe(
+        `/assessments/${testEnrollment.id}/daily?token=${encodeURIComponent(response.body.data.token)}`
+      );
+
+      const list = await request(app).get(`/api/enrollments/${testEnrollment.id}/access-links`).expect(200);
+      expect(list.body.data).toHaveLength(1);
+      expect(list.body.data[0].token).toBeUndefined();
+    });
+  });
+
+  describe('POST /api/patient-access/enrollments/:enrollmentId/session', () => {
+    it('should redeem a link only once', async () => {
+      const { body } = await issueLink();
+
+      const first = await redeem(body.data.token).expect(201);
+      await openDailyAssessment(first.body.data.accessToken).expect(200);
+
+      const second = await redeem(body.data.token).expect(401);
+      expect(second.body.reason).toBe('used');
+    });
+
+    it('should audit each redemption', async () => {
+      const { body } = await issueLink();
+      await redeem(body.data.token).expect(201);
+
+      const entries = await global.prisma.auditLog.findMany({
+        where: { entityType: 'patient_access_link', entityId: body.data.id },
+        orderBy: { createdAt: 'asc' }
+      });
+      expect(entries.map(entry => entry.action)).toEqual(expect.arrayContaining(['create', 'update']));
+      expect(entries.find(entry => entry.action === 'update').changes).toHaveProperty('usedAt');
+      expect(entries.every(entry => entry.patientId === testPatient.id)).toBe(true);
+    });
+
+    it('should reject expired links and links for another enrollment', async () => {
+      const { body } = await issueLink();
+
+      await redeem(body.data.token, '00000000-0000-0000-0000-000000000099').expect(403);
+
+      await global.prisma.patientAccessLink.update({
+        where: { id: body.data.id },
+        data: { expiresAt: new Date(Date.now() - 60000) }
+      });
+      const expired = await redeem(body.data.token).expect(401);
+      expect(expired.body.reason).toBe('expired');
+    });
+
+    it('should only open the pages in the link\'s scopes', async () => {
+      const { body } = await issueLink({ scopes: ['medication_adherence'] });
+      const session = await redeem(body.data.token).expect(201);
+
+      await openDailyAssessment(session.body.data.accessToken).expect(403);
+    });
+  });
+
+  describe('GET /api/patient-access/enrollments/:enrollmentId/medications', () => {
+    it('should list today\'s doses and record one taken', async () => {
+      const drug = await global.prisma.drug.create({
+        data: {
+          name: `Gabapentin ${Date.now()}`,
+          activeIngredient: 'Gabapentin',
+          drugClass: 'Anticonvulsant',
+          dosageForm: 'capsule',
+          strength: '300mg'
+        }
+      });
+      const medication = await global.prisma.patientMedication.create({
+        data: {
+          patientId: testPatient.id,
+          drugId: drug.id,
+          dosage: '300mg',
+          frequency: 'TID',
+          route: 'oral',
+          startDate: new Date(Date.now() - 2 * 24 * 60 * 60 * 1000)
+        }
+      });
+
+      const { body } = await issueLink({ scopes: ['medication_adherence'] });
+      expect(body.data.url).toContain(`/assessments/${testEnrollment.id}/medications?token=`);
+      const session = await redeem(body.data.token).expect(201);
+      const accessToken = session.body.data.accessToken;
+
+      const response = await request(app)
+        .get(`/api/patient-access/enrollments/${testEnrollment.id}/medications`)
+        .set('Authorization', `Bearer ${accessToken}`)
+        .expect(200);
+
+      const [listed] = response.body.data.medications;
+      expect(listed).toMatchObject({ id: medication.id, frequency: 'TID', isPRN: false });
+      expect(listed.doses).toHaveLength(3);
+
+      const dose = await request(app)
+        .post(`/api/patient-access/enrollments/${testEnrollment.id}/medications/${medication.id}/doses`)
+        .set('Authorization', `Bearer ${accessToken}`)
+        .send({ status: 'taken', adherenceId: listed.doses[0].id })
+        .expect(201);
+
+      expect(dose.body.data).toMatchObject({ id: listed.doses[0].id, status: 'taken' });
+      expect(await global.prisma.medicationAdherence.findUnique({ where: { id: listed.doses[0].id } }))
+        .toMatchObject({ wasTaken: true, reportedBy: 'patient' });
+    });
+  });
+
+  describe('POST /api/enrollments/:id/access-links/:linkId/revoke', () => {
+    it('should end sessions opened with the link', async () => {
+      const { body } = await issueLink();
+      const session = await redeem(body.data.token).expect(201);
+
+      const response = await request(app)
+        .post(`/api/enrollments/${testEnrollment.id}/access-links/${body.data.id}/revoke`)
+        .expect(200);
+
+      expect(response.body.data.status).toBe('revoked');
+      await openDailyAssessment(session.body.data.accessToken).expect(401);
+    });
+  });
+});
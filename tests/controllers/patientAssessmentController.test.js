@@ -0,0 +1,170 @@
+const request = require('supertest');
+const express = require('express');
+const patientAccessRoutes = require('../../src/routes/patientAccessRoutes');
+const { signAccessToken, signPatientAccessToken } = require('../../src/services/authService');
+const { issueAccessLink, redeemAccessLink } = require('../../src/services/patientAccessService');
+
+const app = express();
+app.use(express.json());
+app.use('/api/patient-access', patientAccessRoutes);
+
+describe('Patient Assessment Controller', () => {
+  let testPatient, testEnrollment, painTemplate, sleepTemplate, painMetric, moodMetric, sleepMetric, token;
+
+  beforeEach(async () => {
+    const timestamp = Date.now();
+
+    testPatient = await global.prisma.patient.create({
+      data: { firstName: 'Jane', lastName: 'Patient', email: `test.patient.${timestamp}@example.com` }
+    });
+
+    [painMetric, moodMetric, sleepMetric] = await Promise.all([
+      global.prisma.metricDefinition.create({
+        data: { key: `pain_level_${timestamp}`, displayName: 'Pain Level', valueType: 'numeric', scaleMin: 0, scaleMax: 10 }
+      }),
+      global.prisma.metricDefinition.create({
+        data: {
+          key: `mood_${timestamp}`,
+          displayName: 'Mood',
+          valueType: 'categorical',
+          options: { values: [{ code: 'good', display: 'Good' }, { code: 'poor', display: 'Poor' }] }
+        }
+      }),
+      global.prisma.metricDefinition.create({
+        data: { key: `slept_well_${timestamp}`, displayName: 'Slept well', valueType: 'boolean' }
+      })
+    ]);
+
+    painTemplate = await global.prisma.assessmentTemplate.create({
+      data: {
+        name: `Daily Pain ${timestamp}`,
+        items: {
+          create: [
+            { metricDefinitionId: painMetric.id, required: true, displayOrder: 0 },
+            { metricDefinitionId: moodMetric.id, required: false, displayOrder: 1 }
+          ]
+        }
+      }
+    });
+    sleepTemplate = await global.prisma.assessmentTemplate.create({
+      data: {
+        name: `Sleep ${timestamp}`,
+        items: { create: [{ metricDefinitionId: sleepMetric.id, required: true }] }
+      }
+    });
+
+    const preset = await global.prisma.conditionPreset.create({
+      data: {
+        name: `Daily Preset ${timestamp}`,
+        templates: { create: [{ templateId: painTemplate.id }, { templateId: sleepTemplate.id }] }
+      }
+    });
+    testEnrollment = await global.prisma.enrollment.create({
+      data: {
+        patientId: testPatient.id,
+        presetId: preset.id,
+        diagnosisCode: 'M79.3',
+        startDate: new Date()
+      }
+    });
+
+    const { token: linkToken } = await issueAccessLink(testEnrollment);
+    ({ accessToken: token } = await redeemAccessLink(linkToken, { enrollmentId: testEnrollment.id }));
+  });
+
+  const dailyUrl = (enrollmentId, linkToken = token) =>
+    `/api/patient-access/enrollments/${enrollmentId}/daily-assessment?token=${linkToken}`;
+
+  describe('patient link tokens', () => {
+    it('should require a token', async () => {
+      await request(app)
+        .get(`/api/patient-access/enrollments/${testEnrollment.id}/daily-assessment`)
+        .expect(401);
+    });
+
+    it('should not accept a staff access token', async () => {
+      const staffToken = signAccessToken({ id: '00000000-0000-0000-0000-000000000001', email: 'admin@example.com', role: 'admin' });
+
+      await request(app)
+        .get(dailyUrl(testEnrollment.id, staffToken))
+        .expect(401);
+    });
+
+    it('should only open the enrollment the token was issued for', async () => {
+      await request(app)
+        .get(dailyUrl('00000000-0000-0000-0000-000000000099'))
+        .expect(403);
+    });
+
+    it('should not accept a session whose link does not exist', async () => {
+      const forged = signPatientAccessToken({
+        enrollmentId: testEnrollment.id,
+        linkId: '00000000-0000-0000-0000-000000000099',
+        scopes: ['assessments']
+      });
+
+      await request(app)
+        .get(dailyUrl(testEnrollment.id, forged))
+        .expect(401);
+    });
+  });
+
+  describe('GET /api/patient-access/enrollments/:enrollmentId/daily-assessment', () => {
+    it('should return the preset templates with their items', async () => {
+      const response = await request(app)
+        .get(dailyUrl(testEnrollment.id))
+        .expect(200);
+
+      expect(response.body.data.patient).toEqual({ firstName: 'Jane' });
+      expect(response.body.data.templates).toHaveLength(2);
+
+      const pain = response.body.data.templates.find(template => template.id === painTemplate.id);
+      expect(pain.completedToday).toBe(false);
+      expect(pain.items.map(item => [item.metric.key, item.required])).toEqual([
+        [painMetric.key, true],
+        [moodMetric.key, false]
+      ]);
+    });
+  });
+
+  describe('POST /api/patient-access/enrollments/:enrollmentId/daily-assessment', () => {
+    it('should record every template of the submission', async () => {
+      const response = await request(app)
+        .post(dailyUrl(testEnrollment.id))
+        .send({
+          assessments: [
+            { templateId: painTemplate.id, responses: [{ metricDefinitionId: painMetric.id, value: 6 }, { metricDefinitionId: moodMetric.id, value: 'good' }] },
+            { templateId: sleepTemplate.id, responses: [{ metricDefinitionId: sleepMetric.id, value: false }] }
+          ]
+        })
+        .expect(201);
+
+      expect(response.body.data).toHaveLength(2);
+      expect(response.body.data.every(result => result.completedAt)).toBe(true);
+
+      const stored = await global.prisma.assessmentResponse.findMany({ where: { enrollmentId: testEnrollment.id } });
+      expect(stored).toHaveLength(2);
+      expect(stored.every(result => result.source === 'patient' && result.submittedById === null)).toBe(true);
+
+      const reloaded = await request(app).get(dailyUrl(testEnrollment.id)).expect(200);
+      expect(reloaded.body.data.templates.every(template => template.completedToday)).toBe(true);
+    });
+
+    it('should write nothing when one template has an invalid answer', async () => {
+      const response = await request(app)
+        .post(dailyUrl(testEnrollment.id))
+        .send({
+          assessments: [
+            { templateId: painTemplate.id, responses: [{ metricDefinitionId: painMetric.id, value: 12 }] },
+            { templateId: sleepTemplate.id, responses: [{ metricDefinitionId: sleepMetric.id, value: true }] }
+          ]
+        })
+        .expect(400);
+
+      expect(response.body.details).toEqual([
+        expect.objectContaining({ templateId: painTemplate.id, error: 'Invalid assessment responses' })
+      ]);
+      expect(await global.prisma.observation.count({ where: { enrollmentId: testEnrollment.id } })).toBe(0);
+    });
+  });
+});
@@ -1,10 +1,12 @@
 const request = require('supertest');
 const express = require('express');
 const patientRoutes = require('../../src/routes/patientRoutes');
+const { actAs } = require('../helpers/auth');
 
 // Create test app
 const app = express();
 app.use(express.json());
+app.use(actAs('admin'));
 app.use('/api/patients', patientRoutes);
 
 describe('Patient Controller', () => {
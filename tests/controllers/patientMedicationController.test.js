@@ -0,0 +1,333 @@
+const request = require('supertest');
+const express = require('express');
+const patientMedicationRoutes = require('../../src/routes/patientMedicationRoutes');
+const { actAs } = require('../helpers/auth');
+const { materializePatientSchedules } = require('../../src/services/medicationScheduleService');
+
+// Create test app
+const app = express();
+app.use(express.json());
+app.use(actAs('admin'));
+app.use('/api/patient-medications', patientMedicationRoutes);
+
+describe('Patient Medication Controller', () => {
+  let testPatient, ibuprofen, warfarin, warfarinMedication;
+
+  beforeEach(async () => {
+    const timestamp = Date.now();
+
+    testPatient = await global.prisma.patient.create({
+      data: {
+        firstName: 'Test',
+        lastName: 'Patient',
+        email: `test.patient.${timestamp}@example.com`,
+        allergies: { medications: ['Penicillin'] }
+      }
+    });
+
+    [ibuprofen, warfarin] = await Promise.all([
+      global.prisma.drug.create({
+        data: {
+          name: `Ibuprofen ${timestamp}`,
+          activeIngredient: 'Ibuprofen',
+          drugClass: 'NSAID',
+          dosageForm: 'tablet',
+          strength: '200mg',
+          interactions: [{ drug: 'Warfarin', severity: 'major', description: 'increased bleeding risk' }]
+        }
+      }),
+      global.prisma.drug.create({
+        data: {
+          name: `Warfarin ${timestamp}`,
+          activeIngredient: 'Warfarin',
+          drugClass: 'Anticoagulant',
+          dosageForm: 'tablet',
+          strength: '5mg'
+        }
+      })
+    ]);
+
+    warfarinMedication = await global.prisma.patientMedication.create({
+      data: {
+        patientId: testPatient.id,
+        drugId: warfarin.id,
+        dosage: '5mg',
+        frequency: 'Once daily',
+        route: 'oral',
+        startDate: new Date()
+      }
+    });
+  });
+
+  const prescription = (overrides = {}) => ({
+    patientId: testPatient.id,
+    drugId: ibuprofen.id,
+    dosage: '200mg',
+    frequency: 'Three times daily',
+    route: 'oral',
+    startDate: new Date().toISOString(),
+    ...overrides
+  });
+
+  describe('POST /api/patient-medications/safety-check', () => {
+    it('should return the warnings for the drug', async () => {
+      const response = await request(app)
+        .post('/api/patient-medications/safety-check')
+        .send({ patientId: testPatient.id, drugId: ibuprofen.id })
+        .expect(200);
+
+      expect(response.body.data.requiresOverride).toBe(true);
+      expect(response.body.data.warnings).toEqual([
+        expect.objectContaining({ type: 'interaction', severity: 'major', drugId: warfarin.id })
+      ]);
+    });
+  });
+
+  describe('POST /api/patient-medications', () => {
+    it('should refuse a major interaction without an override reason', async () => {
+      const response = await request(app)
+        .post('/api/patient-medications')
+        .send(prescription())
+        .expect(409);
+
+      expect(response.body.requiresOverride).toBe(true);
+      expect(response.body.warnings[0].type).toBe('interaction');
+      expect(await global.prisma.patientMedication.count({ where: { drugId: ibuprofen.id } })).toBe(0);
+    });
+
+    it('should prescribe and record the override when a reason is given', async () => {
+      const response = await request(app)
+        .post('/api/patient-medications')
+        .send(prescription({ overrideReason: 'Short course, INR monitored weekly' }))
+        .expect(201);
+
+      expect(response.body.warnings).toHaveLength(1);
+      expect(response.body.data.overrideReason).toBe('Short course, INR monitored weekly');
+      expect(response.body.data.overriddenBy).toBe('00000000-0000-0000-0000-000000000001');
+      expect(response.body.data.safetyWarnings).toEqual(response.body.warnings);
+
+      const audit = await global.prisma.auditLog.findFirst({
+        where: { entityType: 'patient_medication', entityId: response.body.data.id, action: 'create' }
+      });
+      expect(audit).not.toBeNull();
+    });
+
+    it('should refuse a second prescription of the same ingredient', async () => {
+      const response = await request(app)
+        .post('/api/patient-medications')
+        .send(prescription({ drugId: warfarin.id, dosage: '2mg' }))
+        .expect(409);
+
+      expect(response.body.warnings).toEqual([
+        expect.objectContaining({ type: 'duplicate_therapy', severity: 'major' })
+      ]);
+    });
+
+    it('should prescribe without an override when there are no major warnings', async () => {
+      const acetaminophen = await global.prisma.drug.create({
+        data: {
+          name: `Acetaminophen ${Date.now()}`,
+          activeIngredient: 'Acetaminophen',
+          drugClass: 'Analgesic',
+          dosageForm: 'tablet',
+          strength: '500mg'
+        }
+      });
+
+      const response = await request(app)
+        .post('/api/patient-medications')
+        .send(prescription({ drugId: acetaminophen.id }))
+        .expect(201);
+
+      expect(response.body.warnings).toEqual([]);
+      expect(response.body.data.safetyWarnings).toBeNull();
+      expect(response.body.data.overrideReason).toBeNull();
+    });
+  });
+
+  describe('PUT /api/patient-medications/:id', () => {
+    it('should check a discontinued medication again before reactivating it', async () => {
+      const discontinued = await global.prisma.patientMedication.create({
+        data: {
+          patientId: testPatient.id,
+          drugId: ibuprofen.id,
+          dosage: '200mg',
+          frequency: 'Three times daily',
+          route: 'oral',
+          startDate: new Date(),
+          isActive: false
+        }
+      });
+
+      const refused = await request(app)
+        .put(`/api/patient-medications/${discontinued.id}`)
+        .send({ isActive: true })
+        .expect(409);
+      expect(refused.body.warnings[0]).toMatchObject({ type: 'interaction', drugId: warfarin.id });
+
+      const response = await request(app)
+        .put(`/api/patient-medications/${discontinued.id}`)
+        .send({ isActive: true, overrideReason: 'Warfarin dose reduced, INR monitored' })
+        .expect(200);
+      expect(response.body.data).toMatchObject({ isActive: true, overrideReason: 'Warfarin dose reduced, INR monitored' });
+    });
+  });
+
+  describe('GET /api/patient-medications/patient/:patientId', () => {
+    it('should return the daily MME of the active opioid prescriptions', async () => {
+      const oxycodone = await global.prisma.drug.create({
+        data: {
+          name: `Oxycodone ${Date.now()}`,
+          activeIngredient: 'Oxycodone',
+          drugClass: 'Opioid',
+          controlledSubstance: 'II',
+          dosageForm: 'tablet',
+          strength: '5mg'
+        }
+      });
+      const opioidMedication = await global.prisma.patientMedication.create({
+        data: {
+          patientId: testPatient.id,
+          drugId: oxycodone.id,
+          dosage: '2 tablets',
+          frequency: 'every 6 hours',
+          route: 'oral',
+          startDate: new Date(Date.now() - 24 * 60 * 60 * 1000)
+        }
+      });
+
+      const response = await request(app)
+        .get(`/api/patient-medications/patient/${testPatient.id}`)
+        .expect(200);
+
+      expect(response.body.mme).toMatchObject({ totalDailyMme: 60, thresholdsReached: [50], incomplete: false });
+      expect(response.body.mme.medications).toEqual([
+        expect.objectContaining({ patientMedicationId: opioidMedication.id, conversionFactor: 1.5, dailyDose: 40, dailyMme: 60 })
+      ]);
+      expect(response.body.data.find(medication => medication.id === warfarinMedication.id).mme).toBeNull();
+    });
+  });
+
+  describe('POST /api/patient-medications/:id/doses', () => {
+    // Once-daily warfarin started three days ago, with its scheduled doses created
+    const pastDoses = async () => {
+      await global.prisma.patientMedication.update({
+        where: { id: warfarinMedication.id },
+        data: { startDate: new Date(new Date(Date.now() - 3 * 24 * 60 * 60 * 1000).toISOString().slice(0, 10)) }
+      });
+      await materializePatientSchedules(testPatient.id);
+      return global.prisma.medicationAdherence.findMany({
+        where: { patientMedicationId: warfarinMedication.id, scheduledDate: { lt: new Date(Date.now() - 3 * 60 * 60 * 1000) } },
+        orderBy: { scheduledDate: 'asc' }
+      });
+    };
+
+    it('should record a dose against the scheduled dose closest to when it was taken', async () => {
+      const [slot] = await pastDoses();
+
+      const response = await request(app)
+        .post(`/api/patient-medications/${warfarinMedication.id}/doses`)
+        .send({
+          status: 'taken',
+          takenAt: new Date(slot.scheduledDate.getTime() + 30 * 60 * 1000).toISOString(),
+          dosageTaken: '5mg'
+        })
+        .expect(201);
+
+      expect(response.body.data).toMatchObject({
+        id: slot.id,
+        wasTaken: true,
+        dosageTaken: '5mg',
+        reportedBy: 'clinician'
+      });
+
+      const audit = await global.prisma.auditLog.findFirst({
+        where: { entityType: 'medication_adherence', entityId: slot.id, action: 'update' }
+      });
+      expect(audit.patientId).toBe(testPatient.id);
+      expect(audit.changes).toHaveProperty('wasTaken');
+    });
+
+    it('should record a skipped dose with its reason and side effects', async () => {
+      const [, slot] = await pastDoses();
+
+      const response = await request(app)
+        .post(`/api/patient-medications/${warfarinMedication.id}/doses`)
+        .send({ status: 'skipped', adherenceId: slot.id, skipReason: 'Nausea', sideEffects: ['nausea'] })
+        .expect(201);
+
+      expect(response.body.data).toMatchObject({
+        id: slot.id,
+        wasTaken: false,
+        wasSkipped: true,
+        skipReason: 'Nausea',
+        sideEffectsReported: ['nausea']
+      });
+    });
+
+    it('should refuse a dose reported twice at the same time', async () => {
+      const [slot] = await pastDoses();
+      const extraDose = { status: 'taken', takenAt: slot.scheduledDate.toISOString(), dosageTaken: '5mg' };
+
+      await request(app)
+        .post(`/api/patient-medications/${warfarinMedication.id}/doses`)
+        .send({ status: 'taken', adherenceId: slot.id })
+        .expect(201);
+
+      const response = await request(app)
+        .post(`/api/patient-medications/${warfarinMedication.id}/doses`)
+        .send(extraDose)
+        .expect(409);
+
+      expect(response.body.data.id).toBe(slot.id);
+    });
+
+    it('should require a reason for a skipped dose', async () => {
+      const response = await request(app)
+        .post(`/api/patient-medications/${warfarinMedication.id}/doses`)
+        .send({ status: 'skipped' })
+        .expect(400);
+
+      expect(response.body.errors).toContain('A reason is required when a dose is skipped');
+    });
+
+    it('should warn when as-needed doses go over the maximum daily dose', async () => {
+      const prnMedication = await global.prisma.patientMedication.create({
+        data: {
+          patientId: testPatient.id,
+          drugId: ibuprofen.id,
+          dosage: '400mg',
+          frequency: 'every 6 hours as needed for pain',
+          route: 'oral',
+          isPRN: true,
+          maxDailyDose: '1200mg',
+          startDate: new Date()
+        }
+      });
+      const hoursAgo = (hours) => new Date(Date.now() - hours * 60 * 60 * 1000).toISOString();
+
+      const first = await request(app)
+        .post(`/api/patient-medications/${prnMedication.id}/doses`)
+        .send({ status: 'taken', takenAt: hoursAgo(10), dosageTaken: '4 tablets' })
+        .expect(201);
+      expect(first.body.data.isPRN).toBe(true);
+      expect(first.body.prnUsage).toMatchObject({ total: 800, maxDailyDose: 1200, unit: 'mg', exceeded: false });
+      expect(first.body.warnings).toEqual([]);
+
+      const second = await request(app)
+        .post(`/api/patient-medications/${prnMedication.id}/doses`)
+        .send({ status: 'taken', takenAt: hoursAgo(1) })
+        .expect(201);
+      expect(second.body.prnUsage).toMatchObject({ total: 1200, dosesTaken: 2, exceeded: false });
+
+      const third = await request(app)
+        .post(`/api/patient-medications/${prnMedication.id}/doses`)
+        .send({ status: 'taken', dosageTaken: '200 mg' })
+        .expect(201);
+      expect(third.body.prnUsage).toMatchObject({ total: 1400, percentOfMax: 117, exceeded: true });
+      expect(third.body.warnings).toEqual([
+        expect.objectContaining({ type: 'max_daily_dose_exceeded', severity: 'major', patientMedicationId: prnMedication.id })
+      ]);
+    });
+  });
+});
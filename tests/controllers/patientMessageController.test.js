@@ -0,0 +1,105 @@
+const request = require('supertest');
+const express = require('express');
+const patientAccessRoutes = require('../../src/routes/patientAccessRoutes');
+const enrollmentRoutes = require('../../src/routes/enrollmentRoutes');
+const { actAs } = require('../helpers/auth');
+const { issueAccessLink, redeemAccessLink } = require('../../src/services/patientAccessService');
+
+const app = express();
+app.use(express.json());
+app.use('/api/patient-access', patientAccessRoutes);
+
+describe('Patient Message Controller', () => {
+  let testClinician, testEnrollment, token;
+
+  beforeEach(async () => {
+    const timestamp = Date.now();
+
+    testClinician = await global.prisma.clinician.create({
+      data: { firstName: 'Test', lastName: 'Clinician', email: `test.clinician.${timestamp}@example.com` }
+    });
+    const patient = await global.prisma.patient.create({
+      data: { firstName: 'Jane', lastName: 'Patient', email: `test.patient.${timestamp}@example.com` }
+    });
+    const preset = await global.prisma.conditionPreset.create({
+      data: { name: `Patient Messaging Preset ${timestamp}` }
+    });
+    testEnrollment = await global.prisma.enrollment.create({
+      data: {
+        patientId: patient.id,
+        clinicianId: testClinician.id,
+        presetId: preset.id,
+        diagnosisCode: 'M79.3',
+        startDate: new Date()
+      }
+    });
+
+    // A medication check-in link; messaging does not need its own scope
+    const { token: linkToken } = await issueAccessLink(testEnrollment, { scopes: ['medication_adherence'] });
+    ({ accessToken: token } = await redeemAccessLink(linkToken, { enrollmentId: testEnrollment.id }));
+  });
+
+  const messagesUrl = (enrollmentId = testEnrollment.id) =>
+    `/api/patient-access/enrollments/${enrollmentId}/messages?token=${token}`;
+
+  it('should send a patient message that the care team sees as unread', async () => {
+    const response = await request(app)
+      .post(messagesUrl())
+      .send({ body: '  My pain is worse today  ' })
+      .expect(201);
+
+    expect(response.body.data).toMatchObject({ senderType: 'patient', body: 'My pain is worse today', readAt: null });
+
+    const staffApp = express();
+    staffApp.use(express.json());
+    staffApp.use(actAs('clinician', testClinician.id));
+    staffApp.use('/api/enrollments', enrollmentRoutes);
+
+    const thread = await request(staffApp)
+      .get(`/api/enrollments/${testEnrollment.id}/messages`)
+      .expect(200);
+    expect(thread.body.unreadCount).toBe(1);
+  });
+
+  it('should mark the care team\'s messages read when the patient opens the thread', async () => {
+    await global.prisma.message.create({
+      data: {
+        enrollmentId: testEnrollment.id,
+        patientId: testEnrollment.patientId,
+        senderType: 'clinician',
+        senderId: testClinician.id,
+        body: 'How are you feeling?'
+      }
+    });
+
+    const response = await request(app)
+      .get(messagesUrl())
+      .expect(200);
+
+    expect(response.body.data).toHaveLength(1);
+    expect(response.body.data[0].readAt).not.toBeNull();
+  });
+
+  it('should reject empty messages', async () => {
+    await request(app)
+      .post(messagesUrl())
+      .send({ body: '   ' })
+      .expect(400);
+  });
+
+  it('should only open the enrollment the session is for', async () => {
+    const other = await global.prisma.enrollment.create({
+      data: {
+        patientId: testEnrollment.patientId,
+        presetId: testEnrollment.presetId,
+        diagnosisCode: 'M79.3',
+        startDate: new Date()
+      }
+    });
+
+    await request(app)
+      .post(messagesUrl(other.id))
+      .send({ body: 'Hello' })
+      .expect(403);
+  });
+});
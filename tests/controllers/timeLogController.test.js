@@ -0,0 +1,205 @@
+const request = require('supertest');
+const express = require('express');
+const timeLogRoutes = require('../../src/routes/timeLogRoutes');
+const { actAs } = require('../helpers/auth');
+
+const buildApp = (role = 'admin', clinicianId = null) => {
+  const app = express();
+  app.use(express.json());
+  app.use(actAs(role, clinicianId));
+  app.use('/api/time-logs', timeLogRoutes);
+  return app;
+};
+
+describe('Time Log Controller', () => {
+  let testClinician, testPatient, testEnrollment;
+
+  beforeEach(async () => {
+    const timestamp = Date.now();
+
+    testClinician = await global.prisma.clinician.create({
+      data: { firstName: 'Test', lastName: 'Clinician', email: `test.clinician.${timestamp}@example.com` }
+    });
+    testPatient = await global.prisma.patient.create({
+      data: { firstName: 'Test', lastName: 'Patient', email: `test.patient.${timestamp}@example.com` }
+    });
+    const preset = await global.prisma.conditionPreset.create({
+      data: { name: `Time Log Preset ${timestamp}` }
+    });
+    testEnrollment = await global.prisma.enrollment.create({
+      data: {
+        patientId: testPatient.id,
+        clinicianId: testClinician.id,
+        presetId: preset.id,
+        diagnosisCode: 'M79.3',
+        startDate: new Date()
+      }
+    });
+  });
+
+  describe('POST /api/time-logs', () => {
+    it('should create a time log with minutes taken from the interval', async () => {
+      const response = await request(buildApp())
+        .post('/api/time-logs')
+        .send({
+          enrollmentId: testEnrollment.id,
+          cptCode: 'CPT_99457',
+          startedAt: '2025-10-01T10:00:00Z',
+          endedAt: '2025-10-01T10:25:00Z',
+          actorId: testClinician.id
+        })
+        .expect(201);
+
+      expect(response.body.data).toMatchObject({
+        patientId: testPatient.id,
+        minutes: 25,
+        actorId: testClinician.id
+      });
+    });
+
+    it('should log time for the signed-in clinician unless the user is an admin', async () => {
+      const otherClinician = await global.prisma.clinician.create({
+        data: { firstName: 'Other', lastName: 'Clinician', email: `other.${Date.now()}@example.com` }
+      });
+
+      const response = await request(buildApp('care_coordinator', otherClinician.id))
+        .post('/api/time-logs')
+        .send({
+          enrollmentId: testEnrollment.id,
+          cptCode: 'CPT_99457',
+          startedAt: '2025-10-01T10:00:00Z',
+          endedAt: '2025-10-01T10:25:00Z',
+          actorId: testClinician.id
+        })
+        .expect(201);
+
+      expect(response.body.data.actorId).toBe(otherClinician.id);
+    });
+
+    it('should reject minutes that do not match the interval', async () => {
+      const response = await request(buildApp())
+        .post('/api/time-logs')
+        .send({
+          enrollmentId: testEnrollment.id,
+          cptCode: 'CPT_99457',
+          startedAt: '2025-10-01T10:00:00Z',
+          endedAt: '2025-10-01T10:10:00Z',
+          minutes: 20
+        })
+        .expect(400);
+
+      expect(response.body.error).toContain('does not match');
+    });
+
+    it('should reject device codes that are not billed on time', async () => {
+      const response = await request(buildApp())
+        .post('/api/time-logs')
+        .send({
+          enrollmentId: testEnrollment.id,
+          cptCode: 'CPT_98976',
+          startedAt: '2025-10-01T10:00:00Z',
+          endedAt: '2025-10-01T10:25:00Z'
+        })
+        .expect(400);
+
+      expect(response.body.errors[0]).toContain('CPT_99457');
+    });
+  });
+
+  describe('timer', () => {
+    it('should start and stop a timer for the signed-in clinician', async () => {
+      const app = buildApp('clinician', testClinician.id);
+
+      const started = await request(app)
+        .post('/api/time-logs/timer/start')
+        .send({ enrollmentId: testEnrollment.id, cptCode: 'CPT_99457' })
+        .expect(201);
+
+      expect(started.body.data.endedAt).toBeNull();
+      expect(started.body.data.actorId).toBe(testClinician.id);
+
+      // Only one running timer per clinician and enrollment
+      await request(app)
+        .post('/api/time-logs/timer/start')
+        .send({ enrollmentId: testEnrollment.id, cptCode: 'CPT_99457' })
+        .expect(409);
+
+      const stopped = await request(app)
+        .post(`/api/time-logs/${started.body.data.id}/stop`)
+        .expect(200);
+
+      expect(stopped.body.data.endedAt).not.toBeNull();
+      expect(stopped.body.data.minutes).toBe(0);
+
+      await request(app)
+        .post(`/api/time-logs/${started.body.data.id}/stop`)
+        .expect(409);
+    });
+
+    it('should not let a clinician log time on another clinician\'s enrollment', async () => {
+      const otherClinician = await global.prisma.clinician.create({
+        data: { firstName: 'Other', lastName: 'Clinician', email: `other.${Date.now()}@example.com` }
+      });
+
+      await request(buildApp('clinician', otherClinician.id))
+        .post('/api/time-logs/timer/start')
+        .send({ enrollmentId: testEnrollment.id, cptCode: 'CPT_99457' })
+        .expect(404);
+    });
+  });
+
+  describe('GET /api/time-logs', () => {
+    it('should filter by enrollment and total the minutes', async () => {
+      await global.prisma.timeLog.createMany({
+        data: [
+          { enrollmentId: testEnrollment.id, patientId: testPatient.id, cptCode: 'CPT_99457', minutes: 20, startedAt: new Date('2025-10-01T10:00:00Z'), endedAt: new Date('2025-10-01T10:20:00Z') },
+          { enrollmentId: testEnrollment.id, patientId: testPatient.id, cptCode: 'CPT_99458', minutes: 15, startedAt: new Date('2025-10-02T10:00:00Z'), endedAt: new Date('2025-10-02T10:15:00Z') }
+        ]
+      });
+
+      const response = await request(buildApp())
+        .get(`/api/time-logs?enrollmentId=${testEnrollment.id}`)
+        .expect(200);
+
+      expect(response.body.data).toHaveLength(2);
+      expect(response.body.summary.totalMinutes).toBe(35);
+    });
+  });
+
+  describe('PUT /api/time-logs/:id', () => {
+    it('should recalculate minutes when the interval changes', async () => {
+      const timeLog = await global.prisma.timeLog.create({
+        data: { enrollmentId: testEnrollment.id, patientId: testPatient.id, cptCode: 'CPT_99457', minutes: 20, startedAt: new Date('2025-10-01T10:00:00Z'), endedAt: new Date('2025-10-01T10:20:00Z') }
+      });
+
+      const response = await request(buildApp())
+        .put(`/api/time-logs/${timeLog.id}`)
+        .send({ endedAt: '2025-10-01T10:30:00Z' })
+        .expect(200);
+
+      expect(response.body.data.minutes).toBe(30);
+    });
+
+    it('should only let the clinician who logged the time change or stop it', async () => {
+      const otherClinician = await global.prisma.clinician.create({
+        data: { firstName: 'Other', lastName: 'Clinician', email: `other.${Date.now()}@example.com` }
+      });
+      const timer = await global.prisma.timeLog.create({
+        data: { enrollmentId: testEnrollment.id, patientId: testPatient.id, actorId: testClinician.id, cptCode: 'CPT_99457', minutes: 0, startedAt: new Date() }
+      });
+      const otherApp = buildApp('care_coordinator', otherClinician.id);
+
+      await request(otherApp)
+        .put(`/api/time-logs/${timer.id}`)
+        .send({ activityRef: 'Changed' })
+        .expect(403);
+      await request(otherApp)
+        .post(`/api/time-logs/${timer.id}/stop`)
+        .expect(403);
+
+      await request(buildApp('care_coordinator', testClinician.id))
+        .post(`/api/time-logs/${timer.id}/stop`)
+        .expect(200);
+    });
+  });
+});
@@ -0,0 +1,21 @@
+const { signAccessToken } = require('../../src/services/authService');
+
+const testUser = (role = 'admin', clinicianId = null) => ({
+  id: '00000000-0000-0000-0000-000000000001',
+  email: `test.${role}@example.com`,
+  role,
+  clinicianId
+});
+
+// Authorization header for requests against the full app, which requires a valid access token
+const authHeader = {
+  Authorization: `Bearer ${signAccessToken(testUser())}`
+};
+
+// Stand-in for authenticate when routers are mounted directly in a test app
+const actAs = (role = 'admin', clinicianId = null) => (req, res, next) => {
+  req.user = testUser(role, clinicianId);
+  next();
+};
+
+module.exports = { authHeader, actAs };
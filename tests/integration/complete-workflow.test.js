@@ -1,5 +1,6 @@
 const request = require('supertest');
 const { app } = require('../../index');
+const { authHeader } = require('../helpers/auth');
 
 describe('Complete Workflow Integration Tests', () => {
   let testData = {};
@@ -33,6 +34,7 @@ describe('Complete Workflow Integration Tests', () => {
       // Step 1: Create a clinician
       const clinicianResponse = await request(app)
         .post('/api/clinicians')
+        .set(authHeader)
         .send({
           firstName: 'Dr. Jane',
           lastName: 'Smith',
@@ -49,6 +51,7 @@ describe('Complete Workflow Integration Tests', () => {
       // Step 2: Create a patient
       const patientResponse = await request(app)
         .post('/api/patients')
+        .set(authHeader)
         .send({
           firstName: 'John',
           lastName: 'Doe',
@@ -65,6 +68,7 @@ describe('Complete Workflow Integration Tests', () => {
       // Step 3: Create metric definitions
       const painMetricResponse = await request(app)
         .post('/api/metric-definitions')
+        .set(authHeader)
         .send({
           key: `pain_level_${timestamp}`,
           displayName: 'Pain Level',
@@ -80,6 +84,7 @@ describe('Complete Workflow Integration Tests', () => {
 
       const moodMetricResponse = await request(app)
         .post('/api/metric-definitions')
+        .set(authHeader)
         .send({
           key: `mood_${timestamp}`,
           displayName: 'Mood',
@@ -93,6 +98,7 @@ describe('Complete Workflow Integration Tests', () => {
       // Step 4: Create condition preset
       const presetResponse = await request(app)
         .post('/api/condition-presets')
+        .set(authHeader)
         .send({
           name: `Chronic Pain Protocol ${timestamp}`,
           description: 'Standard protocol for chronic pain management',
@@ -105,6 +111,7 @@ describe('Complete Workflow Integration Tests', () => {
       // Step 5: Create enrollment
       const enrollmentResponse = await request(app)
         .post('/api/enrollments')
+        .set(authHeader)
         .send({
           patientId: testData.patient.id,
           presetId: testData.preset.id,
@@ -121,6 +128,7 @@ describe('Complete Workflow Integration Tests', () => {
       // Step 6: Create observations
       const painObservationResponse = await request(app)
         .post('/api/observations')
+        .set(authHeader)
         .send({
           patientId: testData.patient.id,
           metricDefinitionId: testData.painMetric.id,
@@ -135,6 +143,7 @@ describe('Complete Workflow Integration Tests', () => {
 
       const moodObservationResponse = await request(app)
         .post('/api/observations')
+        .set(authHeader)
         .send({
           patientId: testData.patient.id,
           metricDefinitionId: testData.moodMetric.id,
@@ -150,6 +159,7 @@ describe('Complete Workflow Integration Tests', () => {
       // Step 7: Create alert for high pain
       const alertResponse = await request(app)
         .post('/api/alerts')
+        .set(authHeader)
         .send({
           patientId: testData.patient.id,
           enrollmentId: testData.enrollment.id,
@@ -167,6 +177,7 @@ describe('Complete Workflow Integration Tests', () => {
       // Get patient with enrollments
       const patientWithDataResponse = await request(app)
         .get(`/api/patients/${testData.patient.id}`)
+        .set(authHeader)
         .expect(200);
 
       expect(patientWithDataResponse.body.data).toHaveProperty('enrollments');
@@ -175,6 +186,7 @@ describe('Complete Workflow Integration Tests', () => {
       // Get enrollment with observations
       const enrollmentWithDataResponse = await request(app)
         .get(`/api/enrollments/${testData.enrollment.id}`)
+        .set(authHeader)
         .expect(200);
 
       expect(enrollmentWithDataResponse.body.data).toHaveProperty('observations');
@@ -183,6 +195,7 @@ describe('Complete Workflow Integration Tests', () => {
       // Get alerts for patient
       const alertsResponse = await request(app)
         .get(`/api/alerts?patientId=${testData.patient.id}`)
+        .set(authHeader)
         .expect(200);
 
       expect(alertsResponse.body.alerts).toHaveLength(1);
@@ -191,6 +204,7 @@ describe('Complete Workflow Integration Tests', () => {
       // Step 9: Update alert status
       const alertUpdateResponse = await request(app)
         .put(`/api/alerts/${testData.alert.id}`)
+        .set(authHeader)
         .send({
           status: 'acknowledged',
           acknowledgedBy: testData.clinician.id,
@@ -203,12 +217,14 @@ describe('Complete Workflow Integration Tests', () => {
       // Step 10: Get statistics
       const patientStatsResponse = await request(app)
         .get('/api/patients/stats')
+        .set(authHeader)
         .expect(200);
 
       expect(patientStatsResponse.body.data.total).toBeGreaterThan(0);
 
       const alertStatsResponse = await request(app)
         .get('/api/alerts/stats')
+        .set(authHeader)
         .expect(200);
 
       expect(alertStatsResponse.body.data.total).toBeGreaterThan(0);
@@ -219,6 +235,7 @@ describe('Complete Workflow Integration Tests', () => {
     it('should handle invalid patient enrollment', async () => {
       const invalidEnrollmentResponse = await request(app)
         .post('/api/enrollments')
+        .set(authHeader)
         .send({
           patientId: '550e8400-e29b-41d4-a716-446655440000', // Non-existent
           presetId: testData.preset?.id || '550e8400-e29b-41d4-a716-446655440000',
@@ -235,6 +252,7 @@ describe('Complete Workflow Integration Tests', () => {
     it('should handle invalid observation creation', async () => {
       const invalidObservationResponse = await request(app)
         .post('/api/observations')
+        .set(authHeader)
         .send({
           patientId: '550e8400-e29b-41d4-a716-446655440000', // Non-existent
           metricDefinitionId: testData.painMetric?.id || '550e8400-e29b-41d4-a716-446655440000',
@@ -255,6 +273,7 @@ describe('Complete Workflow Integration Tests', () => {
       // Try to create duplicate clinician with same license number
       await request(app)
         .post('/api/clinicians')
+        .set(authHeader)
         .send({
           firstName: 'Dr. John',
           lastName: 'Duplicate',
@@ -268,6 +287,7 @@ describe('Complete Workflow Integration Tests', () => {
       // Try to create duplicate metric definition with same key
       await request(app)
         .post('/api/metric-definitions')
+        .set(authHeader)
         .send({
           key: testData.painMetric?.key || `pain_level_${timestamp}`,
           displayName: 'Duplicate Pain Level',
@@ -2,9 +2,11 @@ const request = require('supertest');
 const express = require('express');
 const enrollmentRoutes = require('../../src/routes/enrollmentRoutes');
 const observationRoutes = require('../../src/routes/observationRoutes');
+const { actAs } = require('../helpers/auth');
 
 const app = express();
 app.use(express.json());
+app.use(actAs('admin'));
 app.use('/api/enrollments', enrollmentRoutes);
 app.use('/api/observations', observationRoutes);
 
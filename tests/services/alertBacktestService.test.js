@@ -0,0 +1,149 @@
+const { replayRule, backtestRule, validateBacktestRequest } = require('../../src/services/alertBacktestService');
+
+describe('Alert Backtest Service', () => {
+  const observation = (day, value, hour = 10) => ({
+    id: `obs-${day}-${hour}`,
+    recordedAt: new Date(`2025-10-${String(day).padStart(2, '0')}T${String(hour).padStart(2, '0')}:00:00Z`),
+    valueNumeric: value,
+    valueCode: null,
+    valueText: null
+  });
+
+  const highPainRule = {
+    id: 'rule-1',
+    name: 'High Pain',
+    severity: 'high',
+    window: '1d',
+    cooldown: '24h',
+    expression: { condition: 'pain_scale_0_10', operator: 'greater_than_or_equal', threshold: 8 }
+  };
+
+  const range = {
+    from: new Date('2025-10-01T00:00:00Z'),
+    to: new Date('2025-10-31T00:00:00Z')
+  };
+
+  describe('replayRule', () => {
+    it('should evaluate every observation and report which points triggered', () => {
+      const result = replayRule(highPainRule, {
+        observations: [observation(10, 9), observation(11, 4), observation(12, 8)],
+        ...range
+      });
+
+      expect(result.pointsEvaluated).toBe(3);
+      expect(result.triggeredCount).toBe(2);
+      expect(result.points.map(point => point.triggered)).toEqual([true, false, true]);
+      expect(result.points[0].reason).toContain('pain_scale_0_10 9');
+    });
+
+    it('should fold triggers inside the cooldown into the previous alert', () => {
+      const result = replayRule(highPainRule, {
+        observations: [observation(10, 9, 8), observation(10, 9, 14), observation(11, 9, 9)],
+        ...range
+      });
+
+      expect(result.triggeredCount).toBe(3);
+      expect(result.alertsCreated).toBe(2);
+      expect(result.suppressedCount).toBe(1);
+      expect(result.points[1].suppressedReason).toBe('Suppressed by 24h cooldown');
+    });
+
+    it('should only count one alert when the rule has no cooldown', () => {
+      const result = replayRule({ ...highPainRule, cooldown: null }, {
+        observations: [observation(10, 9), observation(15, 9)],
+        ...range
+      });
+
+      expect(result.alertsCreated).toBe(1);
+    });
+
+    it('should check absence rules once per day', () => {
+      const rule = {
+        window: '7d',
+        cooldown: '48h',
+        expression: { condition: 'no_assessment_for', operator: 'greater_than', threshold: 2, unit: 'days' }
+      };
+
+      const result = replayRule(rule, {
+        observations: [observation(1, 5)],
+        enrollmentStart: new Date('2025-10-01T00:00:00Z'),
+        from: new Date('2025-10-01T00:00:00Z'),
+        to: new Date('2025-10-06T00:00:00Z')
+      });
+
+      expect(result.pointsEvaluated).toBe(6);
+      expect(result.points.filter(point => point.triggered).map(point => point.evaluatedAt.slice(0, 10)))
+        .toEqual(['2025-10-03', '2025-10-04', '2025-10-05', '2025-10-06']);
+      expect(result.alertsCreated).toBe(2);
+    });
+  });
+
+  describe('replayRule with prescriptions', () => {
+    it('should check daily MME once per day from the prescriptions active then', () => {
+      const rule = {
+        window: '1d',
+        cooldown: '7d',
+        expression: { condition: 'daily_mme', operator: 'greater_than_or_equal', threshold: 50 }
+      };
+      const morphine = (id, dosage, startDate) => ({
+        id,
+        isActive: true,
+        startDate: new Date(startDate),
+        endDate: null,
+        dosage,
+        frequency: 'BID',
+        drug: { name: 'Morphine', activeIngredient: 'Morphine', drugClass: 'Opioid', strength: '15mg' }
+      });
+
+      const result = replayRule(rule, {
+        medications: [morphine('m1', '15mg', '2025-10-01T00:00:00Z'), morphine('m2', '15mg', '2025-10-03T12:00:00Z')],
+        from: new Date('2025-10-01T00:00:00Z'),
+        to: new Date('2025-10-05T00:00:00Z')
+      });
+
+      expect(result.points.map(point => point.value)).toEqual([30, 30, 60, 60, 60]);
+      expect(result.alertsCreated).toBe(1);
+    });
+  });
+
+  describe('backtestRule', () => {
+    it('should replay as-needed dose samples against their maximum daily dose', async () => {
+      const rule = {
+        window: '24h',
+        cooldown: '12h',
+        expression: { condition: 'prn_overuse', operator: 'greater_than', threshold: 1 }
+      };
+      const dose = (takenAt, dosageTaken) => ({ takenAt, dosageTaken, maxDailyDose: '8 tablets', strength: '5mg' });
+      const samples = [
+        dose('2025-10-10T08:00:00Z', '2 tablets'),
+        dose('2025-10-10T14:00:00Z', '10mg'),
+        dose('2025-10-10T20:00:00Z', '2 tablets'),
+        dose('2025-10-11T02:00:00Z', '3 tablets')
+      ];
+
+      expect(validateBacktestRequest(rule, { samples })).toEqual([]);
+      const result = await backtestRule(rule, { samples, to: '2025-10-12T00:00:00Z' });
+
+      expect(result.points.map(point => point.value)).toEqual([0.25, 0.5, 0.75, 1.13]);
+      expect(result.alertsCreated).toBe(1);
+    });
+  });
+
+  describe('validateBacktestRequest', () => {
+    it('should require samples or an enrollment', () => {
+      expect(validateBacktestRequest(highPainRule, {}))
+        .toContain('Provide either sample observations or an enrollmentId');
+    });
+
+    it('should reject invalid sample dates and oversized ranges', () => {
+      const errors = validateBacktestRequest(highPainRule, {
+        samples: [{ value: 9 }],
+        from: '2025-01-01',
+        to: '2025-10-01'
+      });
+
+      expect(errors).toContain('observations[0].recordedAt must be a valid date');
+      expect(errors).toContain('Date range cannot exceed 180 days');
+    });
+  });
+});
@@ -0,0 +1,84 @@
+const {
+  DEFAULT_ESCALATION_POLICIES,
+  getDueEscalationStep,
+  escalateAlert
+} = require('../../src/services/alertEscalationService');
+const notificationService = require('../../src/services/notificationService');
+
+describe('Alert Escalation Service', () => {
+  const now = new Date('2025-10-18T12:00:00Z');
+  const minutesAgo = (minutes) => new Date(now.getTime() - minutes * 60 * 1000);
+
+  const alert = (overrides = {}) => ({
+    id: 'alert-1',
+    status: 'open',
+    escalationLevel: 0,
+    triggeredAt: minutesAgo(45),
+    rule: { severity: 'critical' },
+    ...overrides
+  });
+
+  describe('getDueEscalationStep', () => {
+    it('should escalate critical alerts to the enrollment clinician after 30 minutes', () => {
+      expect(getDueEscalationStep(alert(), DEFAULT_ESCALATION_POLICIES, now)).toEqual({
+        level: 1,
+        afterMinutes: 30,
+        target: 'enrollment_clinician'
+      });
+    });
+
+    it('should not escalate before the step is due', () => {
+      expect(getDueEscalationStep(alert({ triggeredAt: minutesAgo(20) }), DEFAULT_ESCALATION_POLICIES, now))
+        .toBeNull();
+    });
+
+    it('should move to the department on-call list as the next step', () => {
+      const step = getDueEscalationStep(
+        alert({ escalationLevel: 1, triggeredAt: minutesAgo(61) }),
+        DEFAULT_ESCALATION_POLICIES,
+        now
+      );
+
+      expect(step.level).toBe(2);
+      expect(step.target).toBe('department_on_call');
+    });
+
+    it('should stop once the policy is exhausted', () => {
+      expect(getDueEscalationStep(alert({ escalationLevel: 2, triggeredAt: minutesAgo(600) }), DEFAULT_ESCALATION_POLICIES, now))
+        .toBeNull();
+    });
+
+    it('should never escalate acknowledged alerts', () => {
+      expect(getDueEscalationStep(alert({ status: 'ack' }), DEFAULT_ESCALATION_POLICIES, now)).toBeNull();
+    });
+
+    it('should not escalate severities without a policy', () => {
+      expect(getDueEscalationStep(alert({ rule: { severity: 'low' }, triggeredAt: minutesAgo(10000) }), DEFAULT_ESCALATION_POLICIES, now))
+        .toBeNull();
+    });
+  });
+
+  describe('escalateAlert', () => {
+    const step = { level: 1, afterMinutes: 30, target: 'enrollment_clinician' };
+    const clinician = { id: 'clinician-1', firstName: 'Sam', lastName: 'Lee', email: 'sam@example.com', phone: '555-0100' };
+
+    afterEach(() => jest.restoreAllMocks());
+
+    it('should not move the alert on when no recipient could be notified', async () => {
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      jest.spyOn(notificationService, 'sendAlertEscalation').mockRejectedValue(new Error('SMTP unavailable'));
+
+      await expect(escalateAlert(alert({ enrollment: { clinician } }), step, now)).rejects.toMatchObject({
+        message: 'Could not notify the enrollment clinician: Sam Lee (SMTP unavailable)',
+        failed: [{ clinicianId: 'clinician-1', name: 'Sam Lee', error: 'SMTP unavailable' }]
+      });
+    });
+
+    it('should count a recipient as notified when one of their channels works', async () => {
+      jest.spyOn(notificationService, 'sendEmail').mockRejectedValue(new Error('SMTP unavailable'));
+      jest.spyOn(notificationService, 'sendSMS').mockResolvedValue();
+
+      await expect(notificationService.sendAlertEscalation(clinician, alert(), step)).resolves.toEqual(['sms']);
+    });
+  });
+});
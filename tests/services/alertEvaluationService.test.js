@@ -0,0 +1,343 @@
+const {
+  parseDuration,
+  compareValues,
+  evaluateObservationExpression,
+  evaluateMedicationExpression,
+  evaluateMmeExpression,
+  evaluateNoAssessmentExpression,
+  evaluateCompletionRateExpression,
+  validateExpression,
+  renderDedupeKey
+} = require('../../src/services/alertEvaluationService');
+
+describe('Alert Evaluation Service', () => {
+  const now = new Date('2025-10-18T12:00:00Z');
+
+  const observation = (day, value, hour = 10) => ({
+    id: `obs-${day}-${hour}`,
+    recordedAt: new Date(`2025-10-${String(day).padStart(2, '0')}T${String(hour).padStart(2, '0')}:00:00Z`),
+    valueNumeric: value,
+    valueCode: null,
+    valueText: null
+  });
+
+  describe('parseDuration', () => {
+    it('should parse minute, hour, day and week durations', () => {
+      expect(parseDuration('30m')).toBe(30 * 60 * 1000);
+      expect(parseDuration('4h')).toBe(4 * 60 * 60 * 1000);
+      expect(parseDuration('7d')).toBe(7 * 24 * 60 * 60 * 1000);
+      expect(parseDuration('2w')).toBe(14 * 24 * 60 * 60 * 1000);
+    });
+
+    it('should return null for invalid durations', () => {
+      expect(parseDuration('soon')).toBeNull();
+      expect(parseDuration(undefined)).toBeNull();
+    });
+  });
+
+  describe('compareValues', () => {
+    it('should support every rule builder operator', () => {
+      expect(compareValues(8, 'greater_than', 7)).toBe(true);
+      expect(compareValues(8, 'greater_than_or_equal', 8)).toBe(true);
+      expect(compareValues(3, 'less_than', 4)).toBe(true);
+      expect(compareValues(3, 'less_than_or_equal', 3)).toBe(true);
+      expect(compareValues(5, 'equal', 5)).toBe(true);
+      expect(compareValues('compliant', 'equals', 'compliant')).toBe(true);
+      expect(compareValues('compliant', 'not_equal', 'non_compliant')).toBe(true);
+      expect(compareValues('sharp and burning', 'contains', 'burning')).toBe(true);
+    });
+
+    it('should never trigger on missing values', () => {
+      expect(compareValues(null, 'less_than', 5)).toBe(false);
+    });
+  });
+
+  describe('evaluateObservationExpression', () => {
+    it('should compare the latest observation against the threshold', () => {
+      const result = evaluateObservationExpression(
+        { condition: 'pain_scale_0_10', operator: 'greater_than_or_equal', threshold: 8 },
+        [observation(17, 9), observation(18, 6)],
+        { now }
+      );
+
+      expect(result.triggered).toBe(false);
+      expect(result.value).toBe(6);
+    });
+
+    it('should require consecutive days to meet the threshold', () => {
+      const expression = {
+        condition: 'pain_scale_0_10',
+        operator: 'greater_than_or_equal',
+        threshold: 5,
+        consecutiveDays: 3
+      };
+
+      const consecutive = evaluateObservationExpression(
+        expression,
+        [observation(16, 5), observation(17, 6), observation(18, 7)],
+        { now }
+      );
+      expect(consecutive.triggered).toBe(true);
+      expect(consecutive.consecutiveDays).toBe(3);
+
+      const withGap = evaluateObservationExpression(
+        expression,
+        [observation(14, 5), observation(15, 6), observation(18, 7)],
+        { now }
+      );
+      expect(withGap.triggered).toBe(false);
+    });
+
+    it('should detect increasing and decreasing trends on daily averages', () => {
+      const observations = [
+        observation(16, 3),
+        observation(17, 4, 8),
+        observation(17, 6, 20),
+        observation(18, 7)
+      ];
+
+      expect(evaluateObservationExpression(
+        { condition: 'pain_scale_0_10', operator: 'trend_increasing', consecutiveDays: 3 },
+        observations,
+        { now }
+      ).triggered).toBe(true);
+
+      expect(evaluateObservationExpression(
+        { condition: 'pain_scale_0_10', operator: 'trend_decreasing', consecutiveDays: 3 },
+        observations,
+        { now }
+      ).triggered).toBe(false);
+    });
+
+    it('should restrict evaluation to the expression timeWindow', () => {
+      const result = evaluateObservationExpression(
+        { condition: 'pain_scale_0_10', operator: 'greater_than', threshold: 7, timeWindow: '24h' },
+        [observation(16, 9)],
+        { now }
+      );
+
+      expect(result.triggered).toBe(false);
+    });
+
+    it('should count occurrences when requested', () => {
+      const result = evaluateObservationExpression(
+        { condition: 'pain_scale_0_10', operator: 'greater_than', threshold: 6, occurrences: 2 },
+        [observation(16, 7), observation(17, 3), observation(18, 8)],
+        { now }
+      );
+
+      expect(result.triggered).toBe(true);
+      expect(result.occurrences).toBe(2);
+    });
+  });
+
+  describe('evaluateMedicationExpression', () => {
+    const records = [
+      { id: 'a', scheduledDate: new Date('2025-10-17T08:00:00Z'), wasTaken: true },
+      { id: 'b', scheduledDate: new Date('2025-10-17T20:00:00Z'), wasTaken: false },
+      { id: 'c', scheduledDate: new Date('2025-10-18T08:00:00Z'), wasTaken: false }
+    ];
+
+    it('should compute adherence rate from scheduled doses', () => {
+      const result = evaluateMedicationExpression(
+        { condition: 'medication_adherence_rate', operator: 'less_than', threshold: 0.8 },
+        records,
+        { now }
+      );
+
+      expect(result.triggered).toBe(true);
+      expect(result.dosesScheduled).toBe(3);
+      expect(result.dosesTaken).toBe(1);
+    });
+
+    it('should count missed doses', () => {
+      const result = evaluateMedicationExpression(
+        { condition: 'missed_medication_doses', operator: 'greater_than_or_equal', threshold: 2 },
+        records,
+        { now }
+      );
+
+      expect(result.triggered).toBe(true);
+      expect(result.value).toBe(2);
+    });
+
+    it('should leave as-needed doses out of adherence', () => {
+      const result = evaluateMedicationExpression(
+        { condition: 'medication_adherence_rate', operator: 'less_than', threshold: 0.8 },
+        [...records, { id: 'prn', scheduledDate: new Date('2025-10-18T09:00:00Z'), wasTaken: true, isPRN: true }],
+        { now }
+      );
+
+      expect(result.dosesScheduled).toBe(3);
+      expect(result.dosesTaken).toBe(1);
+    });
+
+    describe('prn_overuse', () => {
+      const ibuprofen = {
+        id: 'med-ibuprofen',
+        isPRN: true,
+        frequency: 'every 6 hours as needed',
+        dosage: '400mg',
+        maxDailyDose: '1200mg',
+        drug: { name: 'Ibuprofen', strength: '200mg', dosageForm: 'tablet' }
+      };
+      const prnDose = (id, time, dosageTaken = null) => ({
+        id,
+        scheduledDate: new Date(`2025-10-${time}Z`),
+        takenAt: new Date(`2025-10-${time}Z`),
+        wasTaken: true,
+        isPRN: true,
+        dosageTaken,
+        patientMedication: ibuprofen
+      });
+      const expression = { condition: 'prn_overuse', operator: 'greater_than', threshold: 1 };
+
+      it('should trigger when the last 24 hours exceed the maximum daily dose', () => {
+        const result = evaluateMedicationExpression(expression, [
+          prnDose('d1', '17T10:00:00'), // outside the 24 hours
+          prnDose('d2', '17T14:00:00'),
+          prnDose('d3', '17T22:00:00', '2 tablets'),
+          prnDose('d4', '18T06:00:00', '600 mg')
+        ], { now });
+
+        expect(result.triggered).toBe(true);
+        expect(result.value).toBe(1.17);
+        expect(result.reason).toBe('Ibuprofen 1400 mg in 24 hours, 117% of the 1200 mg maximum (threshold > 100%)');
+        expect(result.adherenceRecordIds).toEqual(['d2', 'd3', 'd4']);
+      });
+
+      it('should not trigger within the maximum or without as-needed doses', () => {
+        expect(evaluateMedicationExpression(expression, [prnDose('d1', '18T06:00:00')], { now })).toEqual(
+          expect.objectContaining({ triggered: false, value: 0.33 })
+        );
+        expect(evaluateMedicationExpression(expression, records, { now }).triggered).toBe(false);
+      });
+    });
+  });
+
+  describe('evaluateMmeExpression', () => {
+    const prescription = (name, dosage, frequency, fields = {}) => ({
+      id: `med-${name}`,
+      isActive: true,
+      startDate: new Date('2025-10-01T00:00:00Z'),
+      endDate: null,
+      dosage,
+      frequency,
+      drug: { name, activeIngredient: name, drugClass: 'Opioid', strength: dosage },
+      ...fields
+    });
+    const expression = { condition: 'daily_mme', operator: 'greater_than_or_equal', threshold: 90 };
+
+    it('should trigger when the active opioid prescriptions reach the threshold', () => {
+      const result = evaluateMmeExpression(expression, [
+        prescription('Oxycodone', '10mg', 'every 6 hours'),
+        prescription('Morphine', '15mg', 'BID'),
+        prescription('Hydromorphone', '2mg', 'TID', { endDate: new Date('2025-10-10T00:00:00Z') })
+      ], { now });
+
+      expect(result.triggered).toBe(true);
+      expect(result.value).toBe(90);
+      expect(result.reason).toBe('Daily MME 90 from 2 opioid prescriptions (threshold >= 90)');
+    });
+
+    it('should not trigger without opioid prescriptions', () => {
+      expect(evaluateMmeExpression(expression, [], { now })).toEqual(
+        expect.objectContaining({ triggered: false, reason: 'No active opioid prescriptions' })
+      );
+    });
+  });
+
+  describe('evaluateNoAssessmentExpression', () => {
+    it('should trigger when the last assessment is older than the threshold', () => {
+      const result = evaluateNoAssessmentExpression(
+        { condition: 'no_assessment_for', operator: 'greater_than', threshold: 2, unit: 'days' },
+        { lastObservedAt: new Date('2025-10-15T12:00:00Z'), enrollmentStart: new Date('2025-10-01T00:00:00Z'), now }
+      );
+
+      expect(result.triggered).toBe(true);
+      expect(result.value).toBe(72);
+    });
+
+    it('should fall back to the enrollment start when nothing has been recorded', () => {
+      const result = evaluateNoAssessmentExpression(
+        { condition: 'no_assessment_for', operator: 'greater_than', threshold: 48 },
+        { lastObservedAt: null, enrollmentStart: new Date('2025-10-17T12:00:00Z'), now }
+      );
+
+      expect(result.triggered).toBe(false);
+      expect(result.lastObservedAt).toBeNull();
+    });
+  });
+
+  describe('evaluateCompletionRateExpression', () => {
+    const templates = [{
+      id: 'template-1',
+      name: 'Daily Pain',
+      items: [
+        { metricKey: 'pain_scale_0_10', required: true, defaultFrequency: 'daily' },
+        { metricKey: 'sleep_quality', required: false, defaultFrequency: 'daily' }
+      ]
+    }];
+
+    const recorded = (day, metricKey) => ({
+      metricKey,
+      recordedAt: new Date(`2025-10-${day}T09:00:00Z`)
+    });
+
+    it('should count template-days where every required item was recorded', () => {
+      const result = evaluateCompletionRateExpression(
+        { condition: 'assessment_completion_rate', operator: 'less_than', threshold: 0.8 },
+        {
+          templates,
+          observations: [recorded(14, 'pain_scale_0_10'), recorded(15, 'sleep_quality'), recorded(16, 'pain_scale_0_10'), recorded(17, 'pain_scale_0_10')],
+          windowStart: new Date('2025-10-14T00:00:00Z'),
+          now
+        }
+      );
+
+      expect(result.triggered).toBe(true);
+      expect(result.value).toBe(0.75);
+      expect(result.templates[0]).toMatchObject({ expected: 4, completed: 3 });
+    });
+
+    it('should not trigger without a full day of history', () => {
+      const result = evaluateCompletionRateExpression(
+        { condition: 'assessment_completion_rate', operator: 'less_than', threshold: 0.8 },
+        { templates, observations: [], windowStart: new Date('2025-10-18T00:00:00Z'), now }
+      );
+
+      expect(result.triggered).toBe(false);
+    });
+  });
+
+  describe('validateExpression', () => {
+    it('should reject expressions without a threshold', () => {
+      expect(validateExpression({ condition: 'pain_scale_0_10', operator: 'greater_than' }))
+        .toContain('Expression threshold or value is required');
+    });
+
+    it('should accept trend expressions without a threshold', () => {
+      expect(validateExpression({ condition: 'mood_scale', operator: 'trend_decreasing', consecutiveDays: 4 }))
+        .toEqual([]);
+    });
+  });
+
+  describe('renderDedupeKey', () => {
+    const enrollment = { id: 'enrollment-1', patientId: 'patient-1', presetId: 'preset-1' };
+
+    it('should default to rule and enrollment', () => {
+      expect(renderDedupeKey({ id: 'rule-1', expression: {} }, enrollment)).toBe('rule-1:enrollment-1');
+    });
+
+    it('should render placeholders in the rule dedupe key', () => {
+      const rule = {
+        id: 'rule-1',
+        severity: 'high',
+        dedupeKey: '{enrollmentId}:{{condition}}:{severity}',
+        expression: { condition: 'pain_scale_0_10' }
+      };
+
+      expect(renderDedupeKey(rule, enrollment)).toBe('enrollment-1:pain_scale_0_10:high');
+    });
+  });
+});
@@ -0,0 +1,83 @@
+const { answerValueFields, buildResponse } = require('../../src/services/assessmentResponseService');
+
+describe('Assessment Response Service', () => {
+  const painLevel = { id: 'metric-pain', key: 'pain_level', valueType: 'numeric', scaleMin: 0, scaleMax: 10 };
+  const mood = {
+    id: 'metric-mood',
+    key: 'mood',
+    valueType: 'ordinal',
+    options: { values: [{ code: '0', display: 'Poor' }, { code: '1', display: 'Fair' }, { code: '2', display: 'Good' }] }
+  };
+  const sleptWell = { id: 'metric-sleep', key: 'slept_well', valueType: 'boolean' };
+  const notes = { id: 'metric-notes', key: 'daily_notes', valueType: 'text' };
+
+  const template = {
+    id: 'template-daily',
+    items: [
+      { required: true, metricDefinition: painLevel },
+      { required: true, metricDefinition: mood },
+      { required: false, metricDefinition: sleptWell },
+      { required: false, metricDefinition: notes }
+    ]
+  };
+
+  describe('answerValueFields', () => {
+    it('should store each value type in its observation column', () => {
+      expect(answerValueFields('7', painLevel)).toEqual({ valueNumeric: 7 });
+      expect(answerValueFields('Good', mood)).toEqual({ valueCode: 'Good' });
+      expect(answerValueFields(false, sleptWell)).toEqual({ valueCode: 'false' });
+      expect(answerValueFields('Slept badly', notes)).toEqual({ valueText: 'Slept badly' });
+    });
+
+    it('should reject values that do not fit the metric', () => {
+      expect(answerValueFields(11, painLevel).error).toBe('Value must be between 0 and 10');
+      expect(answerValueFields('a lot', painLevel).error).toBe('Value must be a number');
+      expect(answerValueFields('Great', mood).error).toMatch(/^Value must be one of/);
+      expect(answerValueFields('yes', sleptWell).error).toBe('Value must be true or false');
+    });
+  });
+
+  describe('buildResponse', () => {
+    it('should accept answers by metric id or key and report completeness', () => {
+      const result = buildResponse(template, [
+        { metricDefinitionId: 'metric-pain', value: 6 },
+        { metricKey: 'mood', value: '2' },
+        { metricKey: 'daily_notes', value: '' }
+      ]);
+
+      expect(result.errors).toEqual([]);
+      expect(result.answers.map(answer => answer.metricDefinition.key)).toEqual(['pain_level', 'mood']);
+      expect(result.completeness).toEqual({
+        itemCount: 4,
+        answeredCount: 2,
+        requiredCount: 2,
+        missingRequired: []
+      });
+    });
+
+    it('should list skipped required items', () => {
+      const result = buildResponse(template, [
+        { metricKey: 'pain_level', value: 4 },
+        { metricKey: 'mood', value: null }
+      ]);
+
+      expect(result.completeness.missingRequired).toEqual(['mood']);
+      expect(result.completeness.answeredCount).toBe(1);
+    });
+
+    it('should report unknown, duplicate and invalid answers by index', () => {
+      const result = buildResponse(template, [
+        { metricKey: 'pain_level', value: 4 },
+        { metricKey: 'pain_level', value: 5 },
+        { metricKey: 'heart_rate', value: 72 },
+        { metricKey: 'mood', value: 'Great' }
+      ]);
+
+      expect(result.errors).toEqual([
+        { index: 1, metricKey: 'pain_level', error: 'Item answered more than once' },
+        { index: 2, error: 'Not an item of this assessment template' },
+        { index: 3, metricKey: 'mood', error: expect.stringMatching(/^Value must be one of/) }
+      ]);
+    });
+  });
+});
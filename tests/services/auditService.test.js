@@ -0,0 +1,108 @@
+const {
+  computeDiff,
+  planQuery,
+  readEntries,
+  removeAddedFields,
+  runWithAuditContext,
+  getAuditContext
+} = require('../../src/services/auditService');
+
+describe('Audit Service', () => {
+  describe('computeDiff', () => {
+    it('should report only the fields that changed', () => {
+      const diff = computeDiff(
+        { id: 'p1', firstName: 'Jane', lastName: 'Doe', phone: null },
+        { id: 'p1', firstName: 'Janet', lastName: 'Doe', phone: '555-0100' }
+      );
+
+      expect(diff).toEqual({
+        firstName: { from: 'Jane', to: 'Janet' },
+        phone: { from: null, to: '555-0100' }
+      });
+    });
+
+    it('should ignore timestamps and included relations', () => {
+      const diff = computeDiff(
+        { id: 'p1', updatedAt: new Date('2025-10-01'), enrollments: [{ id: 'e1' }] },
+        { id: 'p1', updatedAt: new Date('2025-10-02'), enrollments: [{ id: 'e1' }, { id: 'e2' }] }
+      );
+
+      expect(diff).toEqual({});
+    });
+
+    it('should normalize dates and decimals', () => {
+      const decimal = (value) => ({ toFixed: () => value, toString: () => value });
+
+      const diff = computeDiff(
+        { dateOfBirth: new Date('1980-01-01T00:00:00Z'), valueNumeric: decimal('7') },
+        { dateOfBirth: new Date('1980-01-01T00:00:00Z'), valueNumeric: decimal('8.5') }
+      );
+
+      expect(diff).toEqual({ valueNumeric: { from: '7', to: '8.5' } });
+    });
+
+    it('should record every field of a created or deleted record', () => {
+      expect(computeDiff(null, { id: 'o1', valueText: 'ok' })).toEqual({
+        id: { from: null, to: 'o1' },
+        valueText: { from: null, to: 'ok' }
+      });
+      expect(computeDiff({ id: 'o1' }, null)).toEqual({ id: { from: 'o1', to: null } });
+    });
+  });
+
+  describe('query planning', () => {
+    const context = { userId: 'u1', role: 'clinician' };
+
+    it('should select the ids a narrowed read needs and drop them again', () => {
+      const { args, plan } = planQuery('Patient', {
+        where: { id: 'p1' },
+        select: { allergies: true, patientMedications: { select: { dosage: true } } }
+      });
+
+      expect(args.select).toMatchObject({ id: true, patientMedications: { select: { dosage: true, id: true, patientId: true } } });
+
+      const result = { id: 'p1', allergies: [], patientMedications: [{ id: 'm1', patientId: 'p1', dosage: '5mg' }] };
+      const entries = readEntries(context, plan, result);
+      removeAddedFields(plan, result);
+
+      expect(entries.map(entry => [entry.entityType, entry.entityId, entry.patientId])).toEqual([
+        ['patient', 'p1', 'p1'],
+        ['patient_medication', 'm1', 'p1']
+      ]);
+      expect(result).toEqual({ allergies: [], patientMedications: [{ dosage: '5mg' }] });
+    });
+
+    it('should record audited records included by unaudited models', () => {
+      const { args, plan } = planQuery('Alert', {
+        include: { rule: true, enrollment: { include: { patient: { select: { firstName: true } } } } }
+      });
+
+      expect(args.include.rule).toBe(true);
+      expect(args.include.enrollment.include.patient.select).toEqual({ firstName: true, id: true });
+
+      const result = [{ id: 'a1', rule: { id: 'r1' }, enrollment: { id: 'e1', patientId: 'p1', patient: { id: 'p1', firstName: 'Jane' } } }];
+      const entries = readEntries(context, plan, result);
+      removeAddedFields(plan, result);
+
+      expect(entries.map(entry => [entry.entityType, entry.entityId, entry.patientId])).toEqual([
+        ['enrollment', 'e1', 'p1'],
+        ['patient', 'p1', 'p1']
+      ]);
+      expect(result[0].enrollment.patient).toEqual({ firstName: 'Jane' });
+    });
+  });
+
+  describe('audit context', () => {
+    it('should expose the request context to code running inside it', async () => {
+      const context = { userId: 'u1', email: 'auditor@example.com', path: '/api/patients/p1' };
+
+      const seen = await runWithAuditContext(context, async () => {
+        await Promise.resolve();
+        return getAuditContext();
+      });
+
+      expect(seen).toBe(context);
+      expect(getAuditContext()).toBeNull();
+    });
+  });
+});
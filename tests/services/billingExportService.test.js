@@ -0,0 +1,112 @@
+const { CSV_COLUMNS, toCsv, to837P } = require('../../src/services/billingExportService');
+
+describe('Billing Export Service', () => {
+  const billingPeriod = {
+    period: '2025-10',
+    start: new Date('2025-10-01T00:00:00Z'),
+    end: new Date('2025-11-01T00:00:00Z'),
+    enrollments: [
+      {
+        enrollmentId: '11111111-2222-3333-4444-555555555555',
+        patient: {
+          mrn: 'MRN001',
+          firstName: 'Jane',
+          lastName: 'O"Neil, Jr',
+          dateOfBirth: '1980-04-02T00:00:00.000Z',
+          gender: 'female',
+          insuranceInfo: { payerName: 'Aetna', payerId: '60054', memberId: 'W123' }
+        },
+        clinician: { firstName: 'Sam', lastName: 'Lee', npi: '1234567893' },
+        diagnosisCode: 'M79.3',
+        icd10Codes: ['M79.3', 'G89.29'],
+        lines: [
+          { code: '98977', units: 1, serviceFrom: '2025-10-01', serviceTo: '2025-10-20' },
+          { code: '98980', units: 1, serviceFrom: '2025-10-10', serviceTo: '2025-10-10' }
+        ]
+      },
+      {
+        enrollmentId: '99999999-2222-3333-4444-555555555555',
+        patient: { mrn: 'MRN002', firstName: 'Not', lastName: 'Billable' },
+        clinician: null,
+        diagnosisCode: 'M54.5',
+        icd10Codes: [],
+        lines: []
+      }
+    ]
+  };
+
+  describe('toCsv', () => {
+    it('should write one escaped row per claim line', () => {
+      const rows = toCsv(billingPeriod).trim().split('\r\n');
+
+      expect(rows[0]).toBe(CSV_COLUMNS.join(','));
+      expect(rows).toHaveLength(3);
+      expect(rows[1]).toBe(
+        '2025-10,MRN001,"O""Neil, Jr",Jane,1980-04-02,M79.3,M79.3; G89.29,Sam Lee,1234567893,98977,1,2025-10-01,2025-10-20'
+      );
+    });
+
+    it('should keep text that starts like a formula from running in a spreadsheet', () => {
+      const [enrollment] = billingPeriod.enrollments;
+      const csv = toCsv({
+        ...billingPeriod,
+        enrollments: [{
+          ...enrollment,
+          patient: { ...enrollment.patient, mrn: '@SUM(1)', firstName: '=HYPERLINK("http://example.com","Jane")', lastName: '-Lee' }
+        }]
+      });
+
+      expect(csv.split('\r\n')[1]).toMatch(/^2025-10,'@SUM\(1\),'-Lee,"'=HYPERLINK\(""http:\/\/example.com"",""Jane""\)",/);
+    });
+  });
+
+  describe('to837P', () => {
+    const settings = {
+      submitterName: 'Pain DB',
+      submitterId: 'PAINDB',
+      contactName: 'Billing',
+      contactPhone: '5550100',
+      receiverName: 'Clearinghouse',
+      receiverId: 'CH01',
+      providerName: 'Acme Pain Clinic',
+      providerNpi: '1999999984',
+      providerTaxId: '123456789',
+      providerAddress: { street: '1 Main St', city: 'Springfield', state: 'IL', zipCode: '62701' },
+      placeOfService: '11',
+      claimFilingCode: 'CI',
+      charges: { 98977: 50, 98980: 49.5 }
+    };
+    const file = to837P(billingPeriod, { now: new Date('2025-11-02T08:30:00Z'), settings });
+    const segments = file.trim().split('\n');
+
+    it('should wrap the claims in a 005010X222A1 interchange', () => {
+      expect(segments[0]).toMatch(/^ISA\*00\*.*\*ZZ\*PAINDB {9}\*ZZ\*CH01 {11}\*251102\*0830\*\^\*00501\*\d{9}\*0\*P\*:~$/);
+      expect(segments[1]).toMatch(/^GS\*HC\*PAINDB\*CH01\*20251102\*0830\*\d+\*X\*005010X222A1~$/);
+      expect(segments[2]).toBe('ST*837*0001*005010X222A1~');
+      expect(segments[segments.length - 1]).toMatch(/^IEA\*1\*\d{9}~$/);
+    });
+
+    it('should count the transaction segments in SE', () => {
+      const st = segments.findIndex(s => s.startsWith('ST*'));
+      const se = segments.findIndex(s => s.startsWith('SE*'));
+      expect(segments[se]).toBe(`SE*${se - st + 1}*0001~`);
+    });
+
+    it('should write one claim per billable enrollment with its service lines', () => {
+      expect(segments.filter(s => s.startsWith('CLM*'))).toEqual([
+        'CLM*20251011111111222233334444*99.50***11:B:1*Y*A*Y*Y~'
+      ]);
+      expect(segments).toEqual(expect.arrayContaining([
+        'NM1*IL*1*O"NEIL, JR*JANE****MI*W123~',
+        'DMG*D8*19800402*F~',
+        'NM1*PR*2*AETNA*****PI*60054~',
+        'HI*ABK:M793*ABF:G8929~',
+        'NM1*82*1*LEE*SAM****XX*1234567893~',
+        'SV1*HC:98977*50.00*UN*1***1~',
+        'DTP*472*RD8*20251001-20251020~',
+        'SV1*HC:98980*49.50*UN*1***1~',
+        'DTP*472*D8*20251010~'
+      ]));
+    });
+  });
+});
@@ -0,0 +1,104 @@
+const {
+  parseBillingPeriod,
+  deviceSupplyCode,
+  timeUnits,
+  evaluateEnrollmentPeriod
+} = require('../../src/services/billingService');
+
+describe('Billing Service', () => {
+  const period = parseBillingPeriod('2025-10');
+
+  const readingsOnDays = (days) =>
+    Array.from({ length: days }, (_, i) => new Date(Date.UTC(2025, 9, i + 1, 9)));
+
+  const enrollment = (overrides = {}) => ({
+    id: 'enrollment-1',
+    diagnosisCode: 'M79.3',
+    startDate: new Date('2025-09-15T00:00:00Z'),
+    patient: { id: 'patient-1' },
+    clinician: { id: 'clinician-1' },
+    ...overrides
+  });
+
+  const codesOf = (result) => Object.fromEntries(result.lines.map(line => [line.code, line.units]));
+
+  describe('parseBillingPeriod', () => {
+    it('should cover the calendar month with an exclusive end', () => {
+      expect(period.start.toISOString()).toBe('2025-10-01T00:00:00.000Z');
+      expect(period.end.toISOString()).toBe('2025-11-01T00:00:00.000Z');
+      expect(parseBillingPeriod('2025-12').end.toISOString()).toBe('2026-01-01T00:00:00.000Z');
+    });
+
+    it('should reject malformed periods', () => {
+      expect(parseBillingPeriod('2025-13')).toBeNull();
+      expect(parseBillingPeriod('October')).toBeNull();
+    });
+  });
+
+  describe('deviceSupplyCode', () => {
+    it('should bill respiratory diagnoses as 98976 and everything else as 98977', () => {
+      expect(deviceSupplyCode('J44.9')).toBe('98976');
+      expect(deviceSupplyCode('M79.3')).toBe('98977');
+    });
+  });
+
+  describe('timeUnits', () => {
+    it('should need 20 minutes for the first unit and full 20 minutes for each additional unit', () => {
+      expect(timeUnits(19)).toEqual({ first: 0, additional: 0 });
+      expect(timeUnits(39)).toEqual({ first: 1, additional: 0 });
+      expect(timeUnits(60)).toEqual({ first: 1, additional: 2 });
+    });
+  });
+
+  describe('evaluateEnrollmentPeriod', () => {
+    it('should bill device supply only with 16 distinct days of readings', () => {
+      const fifteenDays = evaluateEnrollmentPeriod({
+        enrollment: enrollment(),
+        // Two readings on the same day count once
+        observationDates: [...readingsOnDays(15), new Date(Date.UTC(2025, 9, 1, 18))],
+        timeLogs: [],
+        period
+      });
+      expect(fifteenDays.dataDays).toBe(15);
+      expect(codesOf(fifteenDays)).toEqual({});
+
+      const sixteenDays = evaluateEnrollmentPeriod({
+        enrollment: enrollment(),
+        observationDates: readingsOnDays(16),
+        timeLogs: [],
+        period
+      });
+      expect(codesOf(sixteenDays)).toEqual({ 98977: 1 });
+    });
+
+    it('should bill set-up only in the month monitoring started', () => {
+      const result = evaluateEnrollmentPeriod({
+        enrollment: enrollment({ startDate: new Date('2025-10-01T00:00:00Z') }),
+        observationDates: readingsOnDays(20),
+        timeLogs: [],
+        period
+      });
+
+      expect(codesOf(result)).toEqual({ 98975: 1, 98977: 1 });
+      expect(result.lines[1]).toMatchObject({ serviceFrom: '2025-10-01', serviceTo: '2025-10-20' });
+    });
+
+    it('should total RTM and RPM management time separately', () => {
+      const result = evaluateEnrollmentPeriod({
+        enrollment: enrollment(),
+        observationDates: [],
+        timeLogs: [
+          { cptCode: 'CPT_98980', minutes: 25 },
+          { cptCode: 'CPT_98981', minutes: 20 },
+          { cptCode: 'CPT_99457', minutes: 15 }
+        ],
+        period
+      });
+
+      expect(result.rtmMinutes).toBe(45);
+      expect(result.rpmMinutes).toBe(15);
+      expect(codesOf(result)).toEqual({ 98980: 1, 98981: 1 });
+      expect(result.checks.find(item => item.code === '99457').reason).toBe('15 of 20 required RPM minutes logged');
+    });
+  });
+});
@@ -0,0 +1,89 @@
+const { checkDrugSafety, requiresOverride } = require('../../src/services/medicationSafetyService');
+
+describe('Medication Safety Service', () => {
+  const ibuprofen = {
+    id: 'ibuprofen',
+    name: 'Ibuprofen',
+    brandName: 'Advil',
+    activeIngredient: 'Ibuprofen',
+    drugClass: 'NSAID',
+    strength: '200mg',
+    contraindications: ['kidney disease', 'stomach ulcers'],
+    interactions: [{ drug: 'Warfarin', severity: 'major', description: 'increased bleeding risk' }]
+  };
+  const warfarin = { id: 'warfarin', name: 'Warfarin', activeIngredient: 'Warfarin', drugClass: 'Anticoagulant', strength: '5mg' };
+  const naproxen = { id: 'naproxen', name: 'Naproxen', activeIngredient: 'Naproxen', drugClass: 'NSAID', strength: '250mg' };
+  const morphine = {
+    id: 'morphine',
+    name: 'Morphine',
+    activeIngredient: 'Morphine sulfate',
+    drugClass: 'Opioid',
+    strength: '15mg',
+    interactions: ['Benzodiazepine']
+  };
+  const lorazepam = { id: 'lorazepam', name: 'Lorazepam', activeIngredient: 'Lorazepam', drugClass: 'Benzodiazepine', strength: '1mg' };
+
+  const active = (...drugs) => drugs.map(drug => ({ id: `med-${drug.id}`, drug }));
+
+  it('should warn about interactions listed on the new drug', () => {
+    const warnings = checkDrugSafety(ibuprofen, { activeMedications: active(warfarin) });
+
+    expect(warnings).toEqual([{
+      type: 'interaction',
+      severity: 'major',
+      patientMedicationId: 'med-warfarin',
+      drugId: 'warfarin',
+      message: 'Ibuprofen 200mg interacts with Warfarin 5mg: increased bleeding risk'
+    }]);
+    expect(requiresOverride(warnings)).toBe(true);
+  });
+
+  it('should warn about interactions listed on the active medication', () => {
+    const warnings = checkDrugSafety(lorazepam, { activeMedications: active(morphine) });
+
+    expect(warnings).toEqual([
+      expect.objectContaining({ type: 'interaction', severity: 'moderate', drugId: 'morphine' })
+    ]);
+    expect(requiresOverride(warnings)).toBe(false);
+  });
+
+  it('should warn about duplicate therapy', () => {
+    expect(checkDrugSafety(ibuprofen, { activeMedications: active(naproxen) })).toEqual([
+      expect.objectContaining({ type: 'duplicate_therapy', severity: 'moderate' })
+    ]);
+    expect(checkDrugSafety(ibuprofen, { activeMedications: active({ ...ibuprofen, id: 'advil', strength: '400mg' }) })[0])
+      .toEqual(expect.objectContaining({ type: 'duplicate_therapy', severity: 'major' }));
+  });
+
+  it('should warn about allergies in any recorded shape', () => {
+    expect(checkDrugSafety(ibuprofen, { allergies: 'Penicillin, NSAIDs' })).toEqual([
+      expect.objectContaining({ type: 'allergy', severity: 'major', term: 'NSAIDs' })
+    ]);
+    expect(checkDrugSafety(ibuprofen, { allergies: { medications: ['Advil'], environmental: ['Pollen'] } }))
+      .toHaveLength(1);
+    expect(checkDrugSafety(ibuprofen, { allergies: [{ substance: 'ibuprofen', reaction: 'hives' }] })[0].message)
+      .toBe('Patient is allergic to ibuprofen (hives)');
+    expect(checkDrugSafety(ibuprofen, { allergies: 'None known' })).toEqual([]);
+  });
+
+  it('should warn about contraindicated conditions', () => {
+    const warnings = checkDrugSafety(ibuprofen, {
+      conditions: { conditions: ['Chronic kidney disease stage 3', 'Hypertension'] }
+    });
+
+    expect(warnings).toEqual([expect.objectContaining({
+      type: 'contraindication',
+      severity: 'major',
+      message: 'Ibuprofen 200mg is contraindicated in kidney disease'
+    })]);
+  });
+
+  it('should sort the most serious warnings first', () => {
+    const warnings = checkDrugSafety(ibuprofen, {
+      activeMedications: active(naproxen, warfarin),
+      allergies: 'Sulfa drugs'
+    });
+
+    expect(warnings.map(warning => warning.severity)).toEqual(['major', 'moderate']);
+  });
+});
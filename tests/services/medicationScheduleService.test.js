@@ -0,0 +1,131 @@
+const {
+  parseFrequency,
+  expectedDoses,
+  adherenceStats
+} = require('../../src/services/medicationScheduleService');
+
+describe('Medication Schedule Service', () => {
+  const timeZone = 'America/New_York';
+
+  describe('parseFrequency', () => {
+    it('should parse doses per day', () => {
+      expect(parseFrequency('Once daily').times).toEqual(['09:00']);
+      expect(parseFrequency('BID').times).toEqual(['09:00', '21:00']);
+      expect(parseFrequency('twice daily').times).toEqual(['09:00', '21:00']);
+      expect(parseFrequency('t.i.d.').times).toEqual(['08:00', '14:00', '20:00']);
+      expect(parseFrequency('4 times a day').times).toEqual(['08:00', '12:00', '16:00', '20:00']);
+      expect(parseFrequency('at bedtime').times).toEqual(['21:00']);
+    });
+
+    it('should parse hourly intervals', () => {
+      expect(parseFrequency('q8h')).toEqual({ prn: false, cycleDays: 1, offsets: [0], times: ['00:00', '08:00', '16:00'] });
+      expect(parseFrequency('every 6 hours').times).toEqual(['02:00', '08:00', '14:00', '20:00']);
+      expect(parseFrequency('every 48 hours')).toEqual(expect.objectContaining({ cycleDays: 2, offsets: [0] }));
+    });
+
+    it('should parse weekly and longer cycles', () => {
+      expect(parseFrequency('Weekly')).toEqual(expect.objectContaining({ cycleDays: 7, offsets: [0] }));
+      expect(parseFrequency('3 times a week')).toEqual(expect.objectContaining({ cycleDays: 7, offsets: [0, 2, 4] }));
+      expect(parseFrequency('every other day')).toEqual(expect.objectContaining({ cycleDays: 2 }));
+      expect(parseFrequency('every 2 weeks')).toEqual(expect.objectContaining({ cycleDays: 14 }));
+    });
+
+    it('should recognise as-needed medications and unknown text', () => {
+      expect(parseFrequency('PRN')).toEqual({ prn: true });
+      expect(parseFrequency('every 4 hours as needed for pain')).toEqual({ prn: true });
+      expect(parseFrequency('twice daily', { isPRN: true })).toEqual({ prn: true });
+      expect(parseFrequency('see instructions')).toBeNull();
+    });
+  });
+
+  describe('expectedDoses', () => {
+    it('should place doses at local times between the start and end dates', () => {
+      const doses = expectedDoses(parseFrequency('BID'), {
+        startDate: new Date('2025-10-14T00:00:00Z'),
+        endDate: new Date('2025-10-15T00:00:00Z'),
+        from: new Date('2025-10-01T00:00:00Z'),
+        to: new Date('2025-10-20T00:00:00Z'),
+        timeZone
+      });
+
+      // New York is UTC-4 in October; the start and end dates are whole calendar days
+      expect(doses.map(dose => dose.toISOString())).toEqual([
+        '2025-10-14T13:00:00.000Z',
+        '2025-10-15T01:00:00.000Z',
+        '2025-10-15T13:00:00.000Z',
+        '2025-10-16T01:00:00.000Z'
+      ]);
+    });
+
+    it('should count cycles from the start date', () => {
+      const doses = expectedDoses(parseFrequency('every other day'), {
+        startDate: new Date('2025-10-13T00:00:00Z'),
+        from: new Date('2025-10-14T04:00:00Z'),
+        to: new Date('2025-10-20T04:00:00Z'),
+        timeZone
+      });
+
+      expect(doses.map(dose => dose.toISOString().slice(0, 10))).toEqual(['2025-10-15', '2025-10-17', '2025-10-19']);
+    });
+
+    it('should keep the wall clock time across a DST change', () => {
+      const doses = expectedDoses(parseFrequency('daily'), {
+        startDate: new Date('2025-11-01T00:00:00Z'),
+        from: new Date('2025-11-01T00:00:00Z'),
+        to: new Date('2025-11-03T23:00:00Z'),
+        timeZone
+      });
+
+      expect(doses.map(dose => dose.toISOString())).toEqual([
+        '2025-11-01T13:00:00.000Z',
+        '2025-11-02T14:00:00.000Z',
+        '2025-11-03T14:00:00.000Z'
+      ]);
+    });
+
+    it('should expect no doses of PRN medications', () => {
+      expect(expectedDoses(parseFrequency('PRN'), {
+        startDate: new Date('2025-10-01T00:00:00Z'),
+        from: new Date('2025-10-01T00:00:00Z'),
+        to: new Date('2025-10-08T00:00:00Z'),
+        timeZone
+      })).toEqual([]);
+    });
+  });
+
+  describe('adherenceStats', () => {
+    const now = new Date('2025-10-15T14:00:00Z');
+    const dose = (time, fields = {}) => ({
+      scheduledDate: new Date(`2025-10-${time}Z`),
+      wasTaken: false,
+      wasSkipped: false,
+      takenAt: null,
+      ...fields
+    });
+
+    it('should count unreported doses as missed once their window has passed', () => {
+      const records = [
+        dose('14T13:00:00', { wasTaken: true, takenAt: new Date('2025-10-14T13:20:00Z') }),
+        dose('15T01:00:00'),
+        dose('15T13:00:00'), // still inside its window
+        dose('16T01:00:00') // not due yet
+      ];
+
+      expect(adherenceStats(records, { schedule: parseFrequency('BID'), now })).toEqual({
+        totalScheduled: 2,
+        totalTaken: 1,
+        totalMissed: 1,
+        adherenceRate: 50,
+        lastTaken: new Date('2025-10-14T13:20:00Z')
+      });
+    });
+
+    it('should not rate PRN medications', () => {
+      const records = [dose('15T10:00:00', { wasTaken: true, takenAt: new Date('2025-10-15T10:00:00Z') })];
+
+      expect(adherenceStats(records, { schedule: parseFrequency('as needed'), now })).toEqual(
+        expect.objectContaining({ totalScheduled: 0, totalTaken: 1, adherenceRate: null })
+      );
+    });
+  });
+});
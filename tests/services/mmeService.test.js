@@ -0,0 +1,102 @@
+const {
+  opioidIngredient,
+  isActiveOn,
+  medicationMme,
+  patientMme
+} = require('../../src/services/mmeService');
+
+describe('MME Service', () => {
+  const opioid = (name, strength, fields = {}) => ({
+    id: `med-${name.toLowerCase()}`,
+    isActive: true,
+    startDate: new Date('2025-10-01T00:00:00Z'),
+    endDate: null,
+    route: 'oral',
+    isPRN: false,
+    maxDailyDose: null,
+    drug: { name, activeIngredient: name, drugClass: 'Opioid', strength, dosageForm: 'tablet' },
+    ...fields
+  });
+
+  describe('opioidIngredient', () => {
+    it('should match the longest ingredient name', () => {
+      expect(opioidIngredient({ activeIngredient: 'Oxymorphone hydrochloride' })).toBe('oxymorphone');
+      expect(opioidIngredient({ activeIngredient: 'Hydromorphone' })).toBe('hydromorphone');
+      expect(opioidIngredient({ name: 'Acetaminophen and Codeine' })).toBe('codeine');
+      expect(opioidIngredient({ activeIngredient: 'Ibuprofen' })).toBeNull();
+    });
+  });
+
+  describe('medicationMme', () => {
+    it('should multiply dosage, doses a day and the conversion factor', () => {
+      expect(medicationMme(opioid('Oxycodone', '5mg', { dosage: '10mg', frequency: 'every 6 hours' }))).toEqual(
+        expect.objectContaining({ ingredient: 'oxycodone', conversionFactor: 1.5, dailyDose: 40, dosesPerDay: 4, basis: 'scheduled', dailyMme: 60 })
+      );
+      expect(medicationMme(opioid('Tramadol', '50mg', { dosage: '2 tablets', frequency: 'BID' })).dailyMme).toBe(40);
+      expect(medicationMme(opioid('Hydrocodone/Acetaminophen', '5mg/325mg', { dosage: '1 tablet', frequency: 'TID' })).dailyMme).toBe(15);
+    });
+
+    it('should use the opioid\'s own part of a combination product strength', () => {
+      expect(medicationMme(opioid('Acetaminophen/Codeine', '300mg/30mg', { dosage: '1 tablet', frequency: 'TID' }))).toEqual(
+        expect.objectContaining({ ingredient: 'codeine', dailyDose: 90, dailyMme: 13.5 })
+      );
+      expect(medicationMme(opioid('Acetaminophen and Hydrocodone', '325mg/10mg', { dosage: '1 tablet', frequency: 'TID' })).dailyMme)
+        .toBe(30);
+      expect(medicationMme(opioid('Acetaminophen/Codeine', '120mg/12mg/5mL', { dosage: '10 mL', frequency: 'QID' })).dailyMme)
+        .toBe(14.4);
+      expect(medicationMme(opioid('Hydrocodone', '10mg/325mg', { dosage: '1 tablet', frequency: 'TID' }))).toEqual(
+        expect.objectContaining({ dailyMme: null, reason: 'Cannot tell which part of the strength 10mg/325mg is hydrocodone' })
+      );
+    });
+
+    it('should count as-needed prescriptions at their most', () => {
+      expect(medicationMme(opioid('Oxycodone', '5mg', {
+        isPRN: true, dosage: '1 tablet', frequency: 'PRN', maxDailyDose: '6 tablets'
+      }))).toEqual(expect.objectContaining({ dailyDose: 30, basis: 'max_daily_dose', dailyMme: 45 }));
+      expect(medicationMme(opioid('Morphine', '15mg', {
+        dosage: '15mg', frequency: 'every 4 hours as needed'
+      }))).toEqual(expect.objectContaining({ dosesPerDay: 6, basis: 'prn_interval', dailyMme: 90 }));
+      expect(medicationMme(opioid('Morphine', '15mg', { dosage: '15mg', frequency: 'PRN' })).reason)
+        .toBe('As-needed without a maximum daily dose or dosing interval');
+    });
+
+    it('should convert fentanyl patches per mcg/hr', () => {
+      const patch = opioid('Fentanyl', '25 mcg/hr', { dosage: '1 patch', frequency: 'every 72 hours', route: 'transdermal' });
+
+      expect(medicationMme(patch)).toEqual(expect.objectContaining({ dailyDose: 25, doseUnit: 'mcg/hr', basis: 'patch', dailyMme: 60 }));
+      expect(medicationMme({ ...patch, route: 'buccal', drug: { ...patch.drug, strength: '100mcg' } }).dailyMme).toBeNull();
+    });
+
+    it('should leave out non-opioids and report opioids without a factor', () => {
+      expect(medicationMme({ dosage: '400mg', frequency: 'TID', drug: { name: 'Ibuprofen', activeIngredient: 'Ibuprofen', drugClass: 'NSAID' } })).toBeNull();
+      expect(medicationMme(opioid('Buprenorphine', '8mg', { dosage: '8mg', frequency: 'daily' }))).toEqual(
+        expect.objectContaining({ dailyMme: null, reason: 'No MME conversion factor for buprenorphine' })
+      );
+    });
+  });
+
+  describe('patientMme', () => {
+    it('should total the opioids and list the thresholds reached', () => {
+      const result = patientMme([
+        opioid('Oxycodone', '5mg', { dosage: '10mg', frequency: 'q6h' }),
+        opioid('Tramadol', '50mg', { dosage: '50mg', frequency: 'QID' }),
+        opioid('Buprenorphine', '8mg', { dosage: '8mg', frequency: 'daily' })
+      ], { thresholds: [50, 90] });
+
+      expect(result).toEqual(expect.objectContaining({
+        totalDailyMme: 100,
+        thresholdsReached: [50, 90],
+        incomplete: true
+      }));
+      expect(result.medications).toHaveLength(3);
+    });
+
+    it('should only count prescriptions active on the date', () => {
+      const ended = opioid('Morphine', '15mg', { endDate: new Date('2025-10-10T00:00:00Z') });
+
+      expect(isActiveOn(ended, new Date('2025-10-05T00:00:00Z'))).toBe(true);
+      expect(isActiveOn(ended, new Date('2025-10-12T00:00:00Z'))).toBe(false);
+      expect(isActiveOn({ ...ended, endDate: null, isActive: false }, new Date('2025-10-05T00:00:00Z'))).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,117 @@
+const {
+  parseAmount,
+  parseStrength,
+  convertAmount,
+  prnUsage,
+  prnUsageWarnings
+} = require('../../src/services/prnUsageService');
+
+describe('PRN Usage Service', () => {
+  describe('parseAmount', () => {
+    it('should normalise units to mg, mL and counts', () => {
+      expect(parseAmount('400mg')).toEqual({ value: 400, kind: 'mass', unit: 'mg' });
+      expect(parseAmount('4 g per day')).toEqual({ value: 4000, kind: 'mass', unit: 'mg' });
+      expect(parseAmount('50 mcg')).toEqual({ value: 0.05, kind: 'mass', unit: 'mg' });
+      expect(parseAmount('10 mL')).toEqual({ value: 10, kind: 'volume', unit: 'mL' });
+      expect(parseAmount('8 tablets in 24 hours')).toEqual({ value: 8, kind: 'count', unit: 'tablets' });
+      expect(parseAmount('1-2 tabs')).toEqual({ value: 2, kind: 'count', unit: 'tabs' });
+      expect(parseAmount('2 doses')).toEqual({ value: 2, kind: 'dose', unit: 'doses' });
+    });
+
+    it('should read a bare number as a count and give up on text without one', () => {
+      expect(parseAmount('2')).toEqual({ value: 2, kind: 'count', unit: null });
+      expect(parseAmount('as directed')).toBeNull();
+      expect(parseAmount(null)).toBeNull();
+    });
+  });
+
+  describe('parseStrength', () => {
+    it('should read the amount per tablet or per volume', () => {
+      expect(parseStrength('200mg')).toEqual({
+        amount: { value: 200, kind: 'mass', unit: 'mg' },
+        per: { value: 1, kind: 'count' }
+      });
+      expect(parseStrength('100 mg / 5 mL').per).toEqual({ value: 5, kind: 'volume', unit: 'mL' });
+      expect(parseStrength('5mg/ml').per).toEqual({ value: 1, kind: 'volume', unit: 'mL' });
+      // Combination products count their first ingredient
+      expect(parseStrength('5mg/325mg').amount.value).toBe(5);
+    });
+
+    it('should convert between tablets, volumes and mass', () => {
+      expect(convertAmount(parseAmount('2 tablets'), 'mass', parseStrength('200mg'))).toBe(400);
+      expect(convertAmount(parseAmount('600mg'), 'count', parseStrength('200mg'))).toBe(3);
+      expect(convertAmount(parseAmount('10 mL'), 'mass', parseStrength('100 mg / 5 mL'))).toBe(200);
+      expect(convertAmount(parseAmount('10 mL'), 'mass', parseStrength('200mg'))).toBeNull();
+    });
+  });
+
+  describe('prnUsage', () => {
+    const now = new Date('2025-10-18T12:00:00Z');
+    const oxycodone = {
+      id: 'med-oxycodone',
+      isPRN: true,
+      dosage: '5mg',
+      maxDailyDose: '30 mg',
+      drug: { name: 'Oxycodone', strength: '5mg', dosageForm: 'tablet' }
+    };
+    const dose = (id, time, fields = {}) => ({
+      id,
+      scheduledDate: new Date(`2025-10-${time}Z`),
+      takenAt: new Date(`2025-10-${time}Z`),
+      wasTaken: true,
+      dosageTaken: null,
+      ...fields
+    });
+
+    it('should total the rolling 24 hours against the maximum daily dose', () => {
+      const usage = prnUsage(oxycodone, [
+        dose('d1', '17T11:00:00', { dosageTaken: '10mg' }), // more than 24 hours ago
+        dose('d2', '17T13:00:00', { dosageTaken: '2 tablets' }),
+        dose('d3', '17T20:00:00'),
+        dose('d4', '18T04:00:00', { dosageTaken: '10 mg' }),
+        dose('d5', '18T08:00:00', { wasTaken: false, takenAt: null, wasSkipped: true })
+      ], { now });
+
+      expect(usage).toEqual(expect.objectContaining({
+        dosesTaken: 3,
+        lastTakenAt: new Date('2025-10-18T04:00:00Z'),
+        total: 25,
+        maxDailyDose: 30,
+        unit: 'mg',
+        percentOfMax: 83,
+        remaining: 5,
+        exceeded: false,
+        unparsedDoseIds: []
+      }));
+    });
+
+    it('should flag doses over the maximum and doses it cannot read', () => {
+      const usage = prnUsage({ ...oxycodone, maxDailyDose: '4 tablets' }, [
+        dose('d1', '18T01:00:00', { dosageTaken: '10mg' }),
+        dose('d2', '18T05:00:00', { dosageTaken: '15 mg' }),
+        dose('d3', '18T09:00:00', { dosageTaken: 'a spoonful' })
+      ], { now });
+
+      expect(usage).toEqual(expect.objectContaining({
+        total: 5,
+        maxDailyDose: 4,
+        unit: 'tablets',
+        exceeded: true,
+        remaining: 0,
+        unparsedDoseIds: ['d3']
+      }));
+      expect(prnUsageWarnings(usage, oxycodone)).toEqual([expect.objectContaining({
+        type: 'max_daily_dose_exceeded',
+        severity: 'major',
+        message: '5 tablets of Oxycodone taken in the last 24 hours exceeds the maximum daily dose of 4 tablets'
+      })]);
+    });
+
+    it('should report use without a limit when no maximum is set', () => {
+      const usage = prnUsage({ ...oxycodone, maxDailyDose: null }, [dose('d1', '18T09:00:00')], { now });
+
+      expect(usage).toEqual(expect.objectContaining({ dosesTaken: 1, total: null, exceeded: false }));
+      expect(prnUsageWarnings(usage, oxycodone)).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,101 @@
+const {
+  canReceive,
+  formatEvent,
+  addClient,
+  clientCount,
+  dispatch,
+  publish
+} = require('../../src/services/realtimeService');
+
+describe('Realtime Service', () => {
+  const admin = { id: 'user-1', role: 'admin' };
+  const clinician = { id: 'user-2', role: 'clinician', clinicianId: 'clinician-1' };
+  const otherClinician = { id: 'user-3', role: 'clinician', clinicianId: 'clinician-2' };
+  const unlinkedClinician = { id: 'user-4', role: 'clinician', clinicianId: null };
+
+  const fakeResponse = () => ({ write: jest.fn() });
+  const written = (res) => res.write.mock.calls.map(([chunk]) => chunk).join('');
+
+  let removers = [];
+  const connect = (user) => {
+    const res = fakeResponse();
+    removers.push(addClient(user, res));
+    res.write.mockClear();
+    return res;
+  };
+
+  afterEach(() => {
+    removers.forEach(remove => remove());
+    removers = [];
+  });
+
+  describe('canReceive', () => {
+    it('should deliver every event to unscoped roles', () => {
+      expect(canReceive(admin, 'alert.created', 'clinician-1')).toBe(true);
+      expect(canReceive({ role: 'auditor' }, 'observation.created', 'clinician-2')).toBe(true);
+    });
+
+    it('should only deliver a clinician the events of their own enrollments', () => {
+      expect(canReceive(clinician, 'alert.created', 'clinician-1')).toBe(true);
+      expect(canReceive(clinician, 'alert.created', 'clinician-2')).toBe(false);
+      expect(canReceive(unlinkedClinician, 'alert.created', null)).toBe(false);
+    });
+
+    it('should reject unknown event types', () => {
+      expect(canReceive(admin, 'patient.deleted', 'clinician-1')).toBe(false);
+    });
+  });
+
+  describe('formatEvent', () => {
+    it('should render a named SSE message with a JSON payload', () => {
+      expect(formatEvent('alert.created', { id: 'a1' })).toBe('event: alert.created\ndata: {"id":"a1"}\n\n');
+    });
+  });
+
+  describe('addClient', () => {
+    it('should send the retry interval and a ready event, and unregister on close', () => {
+      const res = fakeResponse();
+      const remove = addClient(admin, res);
+
+      expect(clientCount()).toBe(1);
+      expect(written(res)).toMatch(/^retry: \d+\n\n/);
+      expect(written(res)).toContain('event: ready\n');
+
+      remove();
+      expect(clientCount()).toBe(0);
+    });
+  });
+
+  describe('dispatch', () => {
+    it('should write events only to clients in scope', () => {
+      const adminRes = connect(admin);
+      const clinicianRes = connect(clinician);
+      const otherRes = connect(otherClinician);
+
+      const delivered = dispatch('alert.created', { alert: { id: 'alert-1' } }, 'clinician-1');
+
+      expect(delivered).toBe(2);
+      expect(written(adminRes)).toContain('event: alert.created');
+      expect(written(clinicianRes)).toContain('"id":"alert-1"');
+      expect(otherRes.write).not.toHaveBeenCalled();
+    });
+
+    it('should keep delivering when one client fails', () => {
+      const broken = connect(admin);
+      broken.write.mockImplementation(() => { throw new Error('socket closed'); });
+      const healthy = connect(clinician);
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+
+      expect(dispatch('observation.created', {}, 'clinician-1')).toBe(1);
+      expect(healthy.write).toHaveBeenCalled();
+
+      console.error.mockRestore();
+    });
+  });
+
+  describe('publish', () => {
+    it('should skip the enrollment lookup when nobody is connected', async () => {
+      await expect(publish('alert.created', 'enrollment-1', {})).resolves.toBe(0);
+    });
+  });
+});
@@ -0,0 +1,165 @@
+const {
+  parseTime,
+  localParts,
+  startOfLocalDay,
+  normalizeReminderSettings,
+  templateFrequency,
+  planReminder
+} = require('../../src/services/reminderService');
+
+const template = (id, ...frequencies) => ({
+  id,
+  items: frequencies.map(defaultFrequency => ({ metricDefinition: { defaultFrequency } }))
+});
+
+describe('Reminder Service', () => {
+  // 2025-10-15 is a Wednesday; New York is UTC-4 in October
+  const settings = {
+    dailyAssessment: true,
+    reminderTime: '09:00',
+    timezone: 'America/New_York',
+    methods: ['email']
+  };
+  const at = (time) => new Date(`2025-10-15T${time}Z`);
+
+  describe('localParts', () => {
+    it('should give the wall clock time in the time zone', () => {
+      expect(localParts(at('13:30:00'), 'America/New_York')).toEqual(
+        expect.objectContaining({ year: 2025, month: 10, day: 15, weekday: 3, minutes: 9 * 60 + 30 })
+      );
+      expect(localParts(at('02:00:00'), 'America/New_York')).toEqual(
+        expect.objectContaining({ day: 14, weekday: 2, minutes: 22 * 60 })
+      );
+    });
+
+    it('should find local midnight across a DST change', () => {
+      // Clocks went back on 2025-11-02 in New York
+      expect(startOfLocalDay(new Date('2025-11-02T12:00:00Z'), 'America/New_York').toISOString())
+        .toBe('2025-11-02T04:00:00.000Z');
+      expect(startOfLocalDay(new Date('2025-11-03T12:00:00Z'), 'America/New_York').toISOString())
+        .toBe('2025-11-03T05:00:00.000Z');
+    });
+  });
+
+  describe('normalizeReminderSettings', () => {
+    it('should fill in defaults', () => {
+      expect(normalizeReminderSettings({ dailyAssessment: true, timezone: 'Not/AZone' })).toEqual({
+        enabled: true,
+        times: [parseTime('09:00')],
+        daysOfWeek: [0, 1, 2, 3, 4, 5, 6],
+        frequency: 'auto',
+        timezone: 'America/New_York',
+        quietHours: null,
+        methods: ['email']
+      });
+    });
+
+    it('should sort reminder times and drop invalid ones', () => {
+      expect(normalizeReminderSettings({ reminderTimes: ['20:00', '08:30', '25:00'] }).times)
+        .toEqual([8 * 60 + 30, 20 * 60]);
+    });
+  });
+
+  describe('templateFrequency', () => {
+    it('should use the most frequent metric', () => {
+      expect(templateFrequency(template('t', 'weekly', 'daily'))).toBe('daily');
+      expect(templateFrequency(template('t', 'weekly', 'biweekly'))).toBe('weekly');
+    });
+
+    it('should default to daily and skip as-needed templates', () => {
+      expect(templateFrequency(template('t', null))).toBe('daily');
+      expect(templateFrequency(template('t', 'as_needed', 'as_needed'))).toBeNull();
+    });
+  });
+
+  describe('planReminder', () => {
+    const templates = [template('pain', 'daily')];
+
+    it('should send at the reminder time in the patient time zone', () => {
+      expect(planReminder(settings, { now: at('12:59:00'), templates })).toEqual({ send: false, reason: 'not_due' });
+
+      const plan = planReminder(settings, { now: at('13:05:00'), templates });
+      expect(plan).toEqual({ send: true, slotAt: at('13:00:00'), templateIds: ['pain'] });
+    });
+
+    it('should not send after the reminder window has passed', () => {
+      expect(planReminder(settings, { now: at('14:30:00'), templates }).reason).toBe('not_due');
+    });
+
+    it('should only send once per reminder time', () => {
+      expect(planReminder(settings, { now: at('13:10:00'), templates, lastReminderAt: at('13:05:00') }).reason)
+        .toBe('already_sent');
+    });
+
+    it('should skip days that are not scheduled', () => {
+      expect(planReminder({ ...settings, daysOfWeek: [1, 5] }, { now: at('13:05:00'), templates }).reason)
+        .toBe('not_scheduled_day');
+    });
+
+    it('should move reminders out of quiet hours', () => {
+      const quiet = { ...settings, reminderTime: '07:00', quietHours: { start: '21:00', end: '08:00' } };
+
+      expect(planReminder(quiet, { now: at('11:30:00'), templates }).reason).toBe('quiet_hours');
+      expect(planReminder(quiet, { now: at('12:00:00'), templates }).send).toBe(true);
+    });
+
+    it('should skip when the assessment was already completed today', () => {
+      const plan = planReminder(settings, {
+        now: at('13:05:00'),
+        templates,
+        lastCompletedAt: { pain: at('04:30:00') }
+      });
+      expect(plan.reason).toBe('completed');
+
+      // 00:30 in New York was still the previous day
+      expect(planReminder(settings, {
+        now: at('13:05:00'),
+        templates,
+        lastCompletedAt: { pain: at('03:30:00') }
+      }).send).toBe(true);
+    });
+
+    it('should follow the frequency of the template metrics', () => {
+      const weekly = [template('function', 'weekly')];
+
+      expect(planReminder(settings, {
+        now: at('13:05:00'),
+        templates: weekly,
+        lastCompletedAt: { function: new Date('2025-10-10T15:00:00Z') }
+      }).reason).toBe('completed');
+      expect(planReminder(settings, {
+        now: at('13:05:00'),
+        templates: weekly,
+        lastCompletedAt: { function: new Date('2025-10-08T15:00:00Z') }
+      }).send).toBe(true);
+      expect(planReminder({ ...settings, frequency: 'daily' }, {
+        now: at('13:05:00'),
+        templates: weekly,
+        lastCompletedAt: { function: new Date('2025-10-14T15:00:00Z') }
+      }).send).toBe(true);
+    });
+
+    it('should remind multiple-daily templates at every time', () => {
+      const twice = { ...settings, reminderTimes: ['09:00', '18:00'] };
+      const multiple = [template('glucose', 'multiple_daily')];
+
+      expect(planReminder(twice, {
+        now: at('22:05:00'),
+        templates: multiple,
+        lastCompletedAt: { glucose: at('14:00:00') },
+        lastReminderAt: at('13:00:00')
+      })).toEqual({ send: true, slotAt: at('22:00:00'), templateIds: ['glucose'] });
+      expect(planReminder(twice, {
+        now: at('22:05:00'),
+        templates: multiple,
+        lastCompletedAt: { glucose: at('20:00:00') },
+        lastReminderAt: at('13:00:00')
+      }).reason).toBe('completed');
+    });
+
+    it('should not remind disabled enrollments', () => {
+      expect(planReminder({ ...settings, dailyAssessment: false }, { now: at('13:05:00'), templates }).reason)
+        .toBe('disabled');
+    });
+  });
+});
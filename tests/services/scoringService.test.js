@@ -0,0 +1,192 @@
+const {
+  parseRange,
+  interpretScore,
+  responseValue,
+  scoreTemplate
+} = require('../../src/services/scoringService');
+
+describe('Scoring Service', () => {
+  const metric = (key, overrides = {}) => ({ key, scaleMin: 0, scaleMax: 10, ...overrides });
+  const item = (definition, required = true) => ({ required, metricDefinition: definition });
+  const numeric = (value) => ({ valueNumeric: value });
+  const code = (value) => ({ valueCode: value });
+
+  const phq9Options = {
+    values: [
+      { code: '0', display: 'Not at all' },
+      { code: '1', display: 'Several days' },
+      { code: '2', display: 'More than half the days' },
+      { code: '3', display: 'Nearly every day' }
+    ]
+  };
+  const phq9Keys = [
+    'phq9_little_interest', 'phq9_feeling_down', 'phq9_sleep_problems', 'phq9_tired_energy', 'phq9_appetite',
+    'phq9_feeling_bad', 'phq9_concentration', 'phq9_moving_speaking', 'phq9_self_harm'
+  ];
+  const phq9 = {
+    id: 'template-phq9',
+    name: 'Patient Health Questionnaire-9 (PHQ-9)',
+    validationInfo: { instrument: 'PHQ-9' },
+    scoringInfo: {
+      totalScore: {
+        range: '0-27',
+        interpretation: {
+          '0-4': 'Minimal depression',
+          '5-9': 'Mild depression',
+          '10-14': 'Moderate depression',
+          '15-19': 'Moderately severe depression',
+          '20-27': 'Severe depression'
+        }
+      }
+    },
+    items: phq9Keys.map(key => item(metric(key, { scaleMax: 3, options: phq9Options })))
+  };
+
+  describe('parseRange', () => {
+    it('should parse integer and decimal ranges', () => {
+      expect(parseRange('10-14')).toEqual({ min: 10, max: 14 });
+      expect(parseRange('0 - 38.5')).toEqual({ min: 0, max: 38.5 });
+      expect(parseRange('high')).toBeNull();
+    });
+  });
+
+  describe('interpretScore', () => {
+    const bands = { '1-4': 'Mild pain', '5-6': 'Moderate pain', '7-10': 'Severe pain' };
+
+    it('should return the band containing the score', () => {
+      expect(interpretScore(5, bands)).toEqual({ range: '5-6', label: 'Moderate pain' });
+      expect(interpretScore(10, bands)).toEqual({ range: '7-10', label: 'Severe pain' });
+    });
+
+    it('should keep fractional scores in the band they have reached', () => {
+      expect(interpretScore(4.5, bands)).toEqual({ range: '1-4', label: 'Mild pain' });
+    });
+
+    it('should not interpret scores outside the bands', () => {
+      expect(interpretScore(0, bands)).toBeNull();
+      expect(interpretScore(11, bands)).toBeNull();
+      expect(interpretScore(3, undefined)).toBeNull();
+    });
+  });
+
+  describe('responseValue', () => {
+    it('should read numbers, numeric codes and option labels', () => {
+      const definition = metric('phq9_appetite', { options: phq9Options });
+      expect(responseValue(numeric(7), definition)).toBe(7);
+      expect(responseValue(code('2'), definition)).toBe(2);
+      expect(responseValue(code('Nearly every day'), definition)).toBe(3);
+      expect(responseValue(code('Sometimes'), definition)).toBeNull();
+      expect(responseValue(undefined, definition)).toBeNull();
+    });
+  });
+
+  describe('scoreTemplate', () => {
+    it('should sum the PHQ-9 and return the interpretation band', () => {
+      const answers = [2, 2, 1, 2, 1, 1, 1, 1, 0];
+      const responses = Object.fromEntries(phq9Keys.map((key, index) => [key, code(String(answers[index]))]));
+
+      const result = scoreTemplate(phq9, responses);
+
+      expect(result.scores).toEqual([expect.objectContaining({
+        scale: 'total',
+        metricKey: 'phq9_total_score',
+        method: 'sum',
+        score: 11,
+        answered: 9,
+        interpretation: { range: '10-14', label: 'Moderate depression' }
+      })]);
+      expect(result.interpretation).toEqual({ scale: 'total', range: '10-14', label: 'Moderate depression' });
+    });
+
+    it('should not score a submission missing a required item', () => {
+      const responses = Object.fromEntries(phq9Keys.slice(1).map(key => [key, code('1')]));
+      expect(scoreTemplate(phq9, responses)).toBeNull();
+    });
+
+    it('should not score templates without scoring rules', () => {
+      expect(scoreTemplate({ ...phq9, scoringInfo: null }, {})).toBeNull();
+    });
+
+    it('should score BPI severity and interference subscales as means', () => {
+      const severityKeys = ['pain_severity_worst', 'pain_severity_least', 'pain_severity_average', 'pain_severity_now'];
+      const interferenceKeys = ['pain_interference_general', 'pain_interference_mood', 'pain_interference_walking',
+        'pain_interference_work', 'pain_interference_relations', 'pain_interference_sleep', 'pain_interference_enjoyment'];
+      const bpi = {
+        id: 'template-bpi',
+        name: 'Brief Pain Inventory (BPI)',
+        scoringInfo: {
+          subscales: {
+            severity: {
+              label: 'Pain Severity', method: 'mean', items: severityKeys, metricKey: 'bpi_severity_score',
+              interpretation: { '0-0': 'No pain', '1-4': 'Mild pain', '5-6': 'Moderate pain', '7-10': 'Severe pain' }
+            },
+            interference: {
+              label: 'Pain Interference', method: 'mean', items: interferenceKeys, minItems: 4, metricKey: 'bpi_interference_score'
+            }
+          }
+        },
+        items: [
+          ...severityKeys.map(key => item(metric(key))),
+          ...interferenceKeys.map(key => item(metric(key), false))
+        ]
+      };
+      const responses = {
+        pain_severity_worst: numeric(8),
+        pain_severity_least: numeric(3),
+        pain_severity_average: numeric(6),
+        pain_severity_now: numeric(5),
+        pain_interference_general: numeric(4),
+        pain_interference_mood: numeric(6),
+        pain_interference_walking: numeric(5)
+      };
+
+      const result = scoreTemplate(bpi, responses);
+
+      expect(result.scores[0]).toMatchObject({ scale: 'severity', score: 5.5, interpretation: { label: 'Moderate pain' } });
+      // Only 3 of the required 4 interference items answered
+      expect(result.scores[1]).toMatchObject({ scale: 'interference', score: null, answered: 3 });
+      expect(result.interpretation).toMatchObject({ scale: 'severity', label: 'Moderate pain' });
+
+      const withFourth = scoreTemplate(bpi, { ...responses, pain_interference_sleep: numeric(7) });
+      expect(withFourth.scores[1]).toMatchObject({ score: 5.5, answered: 4, interpretation: null });
+    });
+
+    it('should reverse and rescale FIQ day counts to a 0-100 total', () => {
+      const tenPointKeys = ['fiq_physical_function', 'fiq_work_difficulty', 'fiq_pain_level', 'fiq_fatigue_level',
+        'fiq_morning_tiredness', 'fiq_stiffness', 'fiq_anxiety', 'fiq_depression'];
+      const fiq = {
+        id: 'template-fiq',
+        name: 'Fibromyalgia Impact Questionnaire (FIQ)',
+        validationInfo: { instrument: 'FIQ' },
+        scoringInfo: {
+          totalScore: {
+            range: '0-100',
+            items: [
+              'fiq_physical_function',
+              { metricKey: 'fiq_feel_good', reverse: true, scaleTo: 10 },
+              { metricKey: 'fiq_work_missed', scaleTo: 10 },
+              ...tenPointKeys.slice(1)
+            ],
+            interpretation: { '0-38': 'Mild impact', '39-58': 'Moderate impact', '59-100': 'Severe impact' }
+          }
+        },
+        items: [
+          ...tenPointKeys.map(key => item(metric(key))),
+          item(metric('fiq_feel_good', { scaleMax: 7 })),
+          item(metric('fiq_work_missed', { scaleMax: 7 }))
+        ]
+      };
+      const responses = {
+        ...Object.fromEntries(tenPointKeys.map(key => [key, numeric(5)])),
+        fiq_feel_good: numeric(0),
+        fiq_work_missed: numeric(7)
+      };
+
+      const result = scoreTemplate(fiq, responses);
+
+      // 8 items at 5, plus 10 for no good days and 10 for every work day missed
+      expect(result.scores[0]).toMatchObject({ metricKey: 'fiq_total_score', score: 60 });
+      expect(result.interpretation).toMatchObject({ label: 'Severe impact' });
+    });
+  });
+});
@@ -0,0 +1,34 @@
+const { intervalMinutes, resolveMinutes } = require('../../src/services/timeLogService');
+
+describe('Time Log Service', () => {
+  const startedAt = '2025-10-01T10:00:00Z';
+  const endedAt = '2025-10-01T10:20:00Z';
+
+  describe('intervalMinutes', () => {
+    it('should round to whole minutes', () => {
+      expect(intervalMinutes(startedAt, endedAt)).toBe(20);
+      expect(intervalMinutes(startedAt, '2025-10-01T10:20:40Z')).toBe(21);
+    });
+  });
+
+  describe('resolveMinutes', () => {
+    it('should default minutes to the interval', () => {
+      expect(resolveMinutes({ startedAt, endedAt })).toEqual({ minutes: 20 });
+    });
+
+    it('should accept minutes within the rounding tolerance', () => {
+      expect(resolveMinutes({ startedAt, endedAt, minutes: 19 })).toEqual({ minutes: 19 });
+      expect(resolveMinutes({ startedAt, endedAt, minutes: '21' })).toEqual({ minutes: 21 });
+    });
+
+    it('should reject minutes that do not match the interval', () => {
+      expect(resolveMinutes({ startedAt, endedAt, minutes: 30 }).error)
+        .toContain('does not match the 20 minute interval');
+    });
+
+    it('should reject intervals that end before they start', () => {
+      expect(resolveMinutes({ startedAt: endedAt, endedAt: startedAt }).error)
+        .toBe('endedAt must be after startedAt');
+    });
+  });
+});
@@ -32,6 +32,8 @@ async function cleanDatabase() {
   await global.prisma.message.deleteMany({});
   await global.prisma.timeLog.deleteMany({});
   await global.prisma.observation.deleteMany({});
+  await global.prisma.assessmentResponse.deleteMany({});
+  await global.prisma.patientAccessLink.deleteMany({});
   await global.prisma.alert.deleteMany({});
   
   // Then tables that depend on enrollments
@@ -53,9 +55,12 @@ async function cleanDatabase() {
   // Then metric definitions
   await global.prisma.metricDefinition.deleteMany({});
   
-  // Finally, core entities
+  // Finally, core entities (user accounts and their refresh tokens first)
+  await global.prisma.auditLog.deleteMany({});
+  await global.prisma.user.deleteMany({});
   await global.prisma.patient.deleteMany({});
   await global.prisma.clinician.deleteMany({});
+  await global.prisma.drug.deleteMany({});
 }
 
 beforeAll(async () => {